@@ -0,0 +1,65 @@
+/**
+ * Backfill Histórico - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Baixa swaps históricos de um pool e grava dados de mercado (JSONL) para backtesting
+ *
+ * Uso:
+ *   npm run backfill -- --pair WETH/USDC --from 2025-10-01 --to 2025-10-31
+ *   npm run backfill -- --pair ARB/USDC --network arbitrum --source logs --from 2025-11-01 --to 2025-11-07
+ *
+ * Opções: --pair, --network, --from, --to (YYYY-MM-DD, inclusivos), --source (subgraph | logs),
+ *         --subgraph (URL GraphQL; padrão SUBGRAPH_URL_<REDE>), --interval (minutos por registro),
+ *         --blocks (blocos por eth_getLogs), --reset (ignora checkpoint e recomeça)
+ *
+ * Interrompido, o mesmo comando retoma do último checkpoint (data/backfill/)
+ */
+
+const { config } = require('../src/core/config');
+const { providerManager } = require('../src/blockchain/provider');
+const { Backfiller, SubgraphBackfillSource, LogBackfillSource } = require('../src/data/backfill');
+const { parseArgs, toNumber } = require('./cli');
+
+async function createSource(args, network) {
+  if (args.source === 'logs') {
+    const provider = await providerManager.getProviderForNetwork(network, config.network.mode);
+    return new LogBackfillSource({ provider, maxBlockRange: toNumber(args.blocks) });
+  }
+
+  if (args.source && args.source !== 'subgraph') {
+    throw new Error(`Fonte inválida: ${args.source} (use subgraph ou logs)`);
+  }
+
+  return new SubgraphBackfillSource({ url: args.subgraph });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const network = args.network || config.network.active;
+
+  if (!args.pair || !args.from || !args.to) {
+    throw new Error('Informe --pair, --from e --to');
+  }
+
+  const interval = toNumber(args.interval);
+  const backfiller = new Backfiller({ interval: interval ? interval * 60 * 1000 : undefined });
+
+  const result = await backfiller.run({
+    source: await createSource(args, network),
+    network,
+    pair: args.pair,
+    from: args.from,
+    to: args.to,
+    reset: Boolean(args.reset),
+  });
+
+  console.log(`\n📥 Backfill ${result.pair} (${result.network}) via ${result.source}`);
+  console.log(`  Período: ${args.from} → ${args.to}`);
+  console.log(`  Registros gravados: ${result.written}`);
+  console.log('');
+}
+
+main().catch(error => {
+  console.error('❌ Backfill falhou:', error.message);
+  process.exit(1);
+});
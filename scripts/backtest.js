@@ -0,0 +1,48 @@
+/**
+ * Backtest - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Roda estratégias sobre dados de mercado salvos (JSONL)
+ *
+ * Uso:
+ *   npm run backtest -- --strategy grid --pairs WETH/USDC --from 2025-11-01 --to 2025-11-10
+ *
+ * Opções: --network, --pairs (separados por vírgula), --from, --to, --strategy,
+ *         --capital, --slippage, --gas (USD por swap)
+ */
+
+const { BacktestEngine } = require('../src/backtesting/engine');
+const { parseArgs, toNumber, toList } = require('./cli');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const engine = new BacktestEngine({
+    network: args.network,
+    pairs: toList(args.pairs),
+    from: args.from,
+    to: args.to,
+    strategy: args.strategy,
+    initialCapital: toNumber(args.capital),
+    slippage: toNumber(args.slippage),
+    gasCostUSD: toNumber(args.gas),
+  });
+
+  const cycle = await engine.run();
+
+  console.log('\n📊 Resultado do Backtest');
+  console.log(`  Ciclo: ${cycle.cycleId}`);
+  console.log(`  Período: ${cycle.backtest.from} → ${cycle.backtest.to} (${cycle.backtest.ticks} ticks)`);
+  console.log(`  Capital: $${cycle.initialCapital.toFixed(2)} → $${cycle.finalCapital.toFixed(2)}`);
+  console.log(`  P&L: $${cycle.pnl.toFixed(2)} (${cycle.pnlPercent.toFixed(2)}%)`);
+  console.log(`  Trades: ${cycle.totalTrades} (Win Rate: ${cycle.winRate !== null ? cycle.winRate.toFixed(2) + '%' : 'N/A'})`);
+  console.log(`  Profit Factor: ${cycle.metrics.profitFactor?.toFixed(2) ?? 'N/A'}`);
+  console.log(`  Sharpe: ${cycle.metrics.sharpeRatio?.toFixed(2) ?? 'N/A'}`);
+  console.log(`  Max Drawdown: ${cycle.maxDrawdown.toFixed(2)}%`);
+  console.log('');
+}
+
+main().catch(error => {
+  console.error('❌ Backtest falhou:', error.message);
+  process.exit(1);
+});
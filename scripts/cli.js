@@ -0,0 +1,41 @@
+/**
+ * Helpers de linha de comando - Jason Bot Trader
+ * Versão: 0.3.0
+ */
+
+/**
+ * Converte argv (--chave valor) em objeto
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Número opcional (undefined quando ausente)
+ */
+function toNumber(value) {
+  return value === undefined ? undefined : parseFloat(value);
+}
+
+/**
+ * Lista separada por vírgula (undefined quando ausente)
+ */
+function toList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+module.exports = {
+  parseArgs,
+  toNumber,
+  toList,
+};
@@ -0,0 +1,57 @@
+/**
+ * Keystore - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Cria o keystore JSON criptografado usado com SIGNER_TYPE=keystore
+ *
+ * Uso:
+ *   npm run keystore -- --out data/keystore.json
+ *
+ * Opções: --out (padrão KEYSTORE_FILE ou data/keystore.json), --force (sobrescreve arquivo existente)
+ *
+ * A chave vem de PRIVATE_KEY (se ainda estiver no .env) ou é digitada; a senha é digitada duas vezes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { config } = require('../src/core/config');
+const { promptPassword } = require('../src/blockchain/signers');
+const { parseArgs } = require('./cli');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const out = args.out || config.wallet.keystore.file || path.join(config.paths.data, 'keystore.json');
+
+  if (fs.existsSync(out) && !args.force) {
+    throw new Error(`${out} já existe (use --force para sobrescrever)`);
+  }
+
+  const privateKey = config.wallet.privateKey || await promptPassword('🔑 Chave privada: ');
+  const wallet = new ethers.Wallet(privateKey.trim());
+
+  const password = await promptPassword('🔒 Senha do keystore: ');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Senha precisa de pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+  }
+
+  if (password !== await promptPassword('🔒 Confirme a senha: ')) {
+    throw new Error('Senhas não conferem');
+  }
+
+  const json = await wallet.encrypt(password);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, json, { mode: 0o600 });
+
+  console.log(`\n🔐 Keystore criado: ${out}`);
+  console.log(`  Endereço: ${wallet.address}`);
+  console.log(`  No .env: SIGNER_TYPE=keystore, KEYSTORE_FILE=${out} e remova PRIVATE_KEY`);
+  console.log('');
+}
+
+main().catch(error => {
+  console.error('❌ Keystore não criado:', error.message);
+  process.exit(1);
+});
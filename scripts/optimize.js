@@ -0,0 +1,81 @@
+/**
+ * Otimização de Parâmetros - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Grid/random search com walk-forward sobre dados de mercado salvos (JSONL)
+ *
+ * Uso:
+ *   npm run optimize -- --strategy grid --from 2025-11-01 --to 2025-11-10
+ *   npm run optimize -- --strategy momentum --method random --samples 40 --seed 42 --folds 4
+ *   npm run optimize -- --space space.json
+ *
+ * Espaço (JSON): { "GRID_LEVELS": [3, 5, 7], "grid.rangeMin": { "min": -0.1, "max": -0.02, "step": 0.02 } }
+ *
+ * Opções: --network, --pairs, --from, --to, --strategy, --method (grid|random), --samples, --seed,
+ *         --folds, --train-ratio, --space, --capital, --slippage, --gas, --top, --verbose
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../src/core/config');
+const { logger } = require('../src/reporting/logger');
+const { ParameterOptimizer, formatResultsTable, toEnvLines } = require('../src/backtesting/optimizer');
+const { parseArgs, toNumber, toList } = require('./cli');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Centenas de backtests: console só com avisos, a não ser com --verbose
+  if (!args.verbose) {
+    logger.level = 'warn';
+  }
+
+  const space = args.space ? JSON.parse(fs.readFileSync(args.space, 'utf8')) : undefined;
+
+  const optimizer = new ParameterOptimizer({
+    strategy: args.strategy,
+    space,
+    method: args.method,
+    samples: toNumber(args.samples),
+    seed: toNumber(args.seed),
+    folds: toNumber(args.folds),
+    trainRatio: toNumber(args['train-ratio']),
+    engineOptions: {
+      network: args.network,
+      pairs: toList(args.pairs),
+      from: args.from,
+      to: args.to,
+      initialCapital: toNumber(args.capital),
+      slippage: toNumber(args.slippage),
+      gasCostUSD: toNumber(args.gas),
+    },
+  });
+
+  const report = await optimizer.run();
+
+  console.log(`\n🔬 Otimização ${report.strategy} (${report.method}): ${report.combinations} combinações, ${report.folds} janelas walk-forward`);
+  report.windows.forEach(window => {
+    console.log(`  Janela ${window.fold}: treino ${window.trainRange[0]} → ${window.trainRange[1]} | teste → ${window.testRange[1]}`);
+  });
+  console.log('');
+  console.log(formatResultsTable(report.results, toNumber(args.top) || 20));
+
+  const best = report.results[0];
+  if (best) {
+    console.log('\n✅ Melhor combinação (fora da amostra):');
+    toEnvLines(best.params).forEach(line => console.log(`  ${line}`));
+  }
+
+  if (!fs.existsSync(config.paths.backtests)) {
+    fs.mkdirSync(config.paths.backtests, { recursive: true });
+  }
+
+  const file = path.join(config.paths.backtests, `optimization-${report.strategy}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`\n💾 Relatório salvo em ${file}\n`);
+}
+
+main().catch(error => {
+  console.error('❌ Otimização falhou:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Análise Semanal - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Pontua tokens dos pools SushiSwap V3 e gera whitelist/blacklist + relatório
+ *
+ * Uso:
+ *   npm run weekly
+ *   npm run weekly -- --network base --pools 300 --top 15
+ *   npm run weekly -- --subgraph http://localhost:8000/graphql --no-market-cap
+ *
+ * Opções: --network, --subgraph (URL GraphQL; padrão SUBGRAPH_URL_<REDE>), --pools, --days,
+ *         --top, --no-market-cap, --whitelist (arquivo de saída), --reports (diretório)
+ */
+
+const { config } = require('../src/core/config');
+const { TokenScanner, SubgraphSource } = require('../src/analysis/token-scanner');
+const { classifyTokens, saveLists, getListsFile } = require('../src/analysis/whitelist');
+const { buildWeeklyReport, saveWeeklyReport } = require('../src/analysis/weekly-report');
+const { parseArgs, toNumber } = require('./cli');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const network = args.network || config.network.active;
+
+  const scanner = new TokenScanner({
+    network,
+    source: new SubgraphSource({ url: args.subgraph || config.analysis.subgraphUrls[network] }),
+    marketData: args['no-market-cap'] ? null : undefined,
+    poolsToScan: toNumber(args.pools),
+    volatilityDays: toNumber(args.days),
+  });
+
+  const tokens = await scanner.scan();
+  const lists = classifyTokens(tokens);
+  const report = buildWeeklyReport({ network, tokens, lists, top: toNumber(args.top) || 10 });
+
+  saveLists({ generatedAt: report.generatedAt, week: report.week, network, ...lists }, args.whitelist || getListsFile(network));
+  const files = saveWeeklyReport(report, args.reports || config.paths.reports);
+
+  console.log(`\n📊 Análise Semanal ${report.week} (${network})`);
+  console.log(`  Tokens analisados: ${report.summary.tokensAnalyzed}`);
+  console.log(`  Whitelist: ${report.summary.whitelisted} | Blacklist: ${report.summary.blacklisted} | Não verificados: ${report.summary.unverified}`);
+  report.topTokens.forEach((token, index) => {
+    console.log(`  ${String(index + 1).padStart(2)}. ${token.symbol.padEnd(10)} ${token.score.toFixed(1).padStart(5)} ${token.passed ? '✅' : '❌'} ${token.pair}`);
+  });
+  console.log(`\n💾 Relatório: ${files.json}`);
+  console.log(`💾 Markdown: ${files.markdown}\n`);
+}
+
+main().catch(error => {
+  console.error('❌ Análise semanal falhou:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,343 @@
+/**
+ * Token Scanner - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Coleta estatísticas de pools SushiSwap V3 e pontua tokens para a análise semanal
+ * - Fonte de pools plugável (subgraph por padrão; qualquer objeto com fetchPools())
+ * - Market cap opcional via CoinGecko
+ * - Score 0-100 com os pesos de config.analysis.scoreWeights
+ */
+
+const axios = require('axios');
+const { GraphQLClient, gql } = require('graphql-request');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens de quote (USD) não entram no ranking
+const STABLECOINS = ['USDC', 'USDC.E', 'USDT', 'DAI', 'USDBC', 'FRAX', 'LUSD', 'USDT0'];
+
+const POOLS_QUERY = gql`
+  query Pools($first: Int!, $days: Int!) {
+    pools(first: $first, orderBy: totalValueLockedUSD, orderDirection: desc) {
+      id
+      feeTier
+      createdAtTimestamp
+      totalValueLockedUSD
+      token0 { id symbol name decimals }
+      token1 { id symbol name decimals }
+      poolDayData(first: $days, orderBy: date, orderDirection: desc) {
+        date
+        volumeUSD
+        tvlUSD
+        open
+        high
+        low
+        close
+      }
+    }
+  }
+`;
+
+/**
+ * Normaliza pool do subgraph (strings → números, timestamps em ms)
+ */
+function normalizePool(pool) {
+  const token = t => ({
+    address: t.id.toLowerCase(),
+    symbol: t.symbol,
+    name: t.name,
+    decimals: Number(t.decimals),
+  });
+
+  return {
+    id: pool.id.toLowerCase(),
+    feeTier: Number(pool.feeTier),
+    createdAt: Number(pool.createdAtTimestamp) * 1000,
+    tvlUSD: parseFloat(pool.totalValueLockedUSD) || 0,
+    token0: token(pool.token0),
+    token1: token(pool.token1),
+    days: (pool.poolDayData || []).map(day => ({
+      date: Number(day.date) * 1000,
+      volumeUSD: parseFloat(day.volumeUSD) || 0,
+      tvlUSD: parseFloat(day.tvlUSD) || 0,
+      open: parseFloat(day.open) || 0,
+      high: parseFloat(day.high) || 0,
+      low: parseFloat(day.low) || 0,
+      close: parseFloat(day.close) || 0,
+    })),
+  };
+}
+
+/**
+ * Fonte de pools via subgraph SushiSwap V3 (schema Uniswap V3)
+ */
+class SubgraphSource {
+  /**
+   * @param {Object} options
+   * @param {String} options.url - Endpoint GraphQL (subgraph ou servidor local de fixtures)
+   * @param {Object} options.client - Cliente com request(query, variables) (padrão: GraphQLClient)
+   */
+  constructor(options = {}) {
+    this.url = options.url;
+
+    if (!this.url && !options.client) {
+      throw new Error('URL do subgraph não configurada (SUBGRAPH_URL_<REDE> ou --subgraph)');
+    }
+
+    this.client = options.client || new GraphQLClient(this.url);
+  }
+
+  /**
+   * Busca top pools por TVL com histórico diário
+   */
+  async fetchPools({ first, days }) {
+    const data = await this.client.request(POOLS_QUERY, { first, days });
+    return (data.pools || []).map(normalizePool);
+  }
+}
+
+/**
+ * Market cap via CoinGecko (simple/token_price)
+ */
+class CoinGeckoMarketData {
+  /**
+   * @param {Object} options
+   * @param {String} options.apiKey - Chave demo da CoinGecko (padrão: COINGECKO_API_KEY)
+   * @param {Number} options.batchSize - Endereços por requisição
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : config.apiKeys.coingecko;
+    this.baseUrl = options.baseUrl || 'https://api.coingecko.com/api/v3';
+    this.batchSize = options.batchSize || 30;
+    this.http = options.http || axios;
+  }
+
+  /**
+   * Retorna Map endereço (lowercase) → market cap em USD
+   */
+  async fetchMarketCaps(network, addresses) {
+    const platform = config.chains[network]?.coingeckoPlatform;
+    const marketCaps = new Map();
+
+    if (!platform) {
+      return marketCaps;
+    }
+
+    for (let i = 0; i < addresses.length; i += this.batchSize) {
+      const batch = addresses.slice(i, i + this.batchSize);
+
+      try {
+        const response = await this.http.get(`${this.baseUrl}/simple/token_price/${platform}`, {
+          params: {
+            contract_addresses: batch.join(','),
+            vs_currencies: 'usd',
+            include_market_cap: true,
+          },
+          headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+          timeout: 15000,
+        });
+
+        for (const [address, data] of Object.entries(response.data || {})) {
+          if (data.usd_market_cap) {
+            marketCaps.set(address.toLowerCase(), data.usd_market_cap);
+          }
+        }
+      } catch (error) {
+        logger.warn(`CoinGecko indisponível para ${batch.length} token(s): ${error.message}`);
+      }
+    }
+
+    return marketCaps;
+  }
+}
+
+/**
+ * Volatilidade diária média: (high - low) / low
+ * Mesma razão para o preço invertido, então não depende de qual lado do pool é o token
+ */
+function calculateDailyVolatility(days) {
+  const ranges = days
+    .filter(day => day.high > 0 && day.low > 0)
+    .map(day => (day.high - day.low) / day.low);
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  return ranges.reduce((sum, range) => sum + range, 0) / ranges.length;
+}
+
+/**
+ * Pontuação de um critério (0-1): 0.5 no mínimo, 1 a partir de 10× o mínimo
+ */
+function scaleScore(value, minimum) {
+  if (!value || value <= 0 || !minimum) {
+    return 0;
+  }
+
+  return Math.max(0, Math.min(1, Math.log10(value / minimum) / 2 + 0.5));
+}
+
+/**
+ * Score 0-100 com pesos configurados
+ */
+function scoreToken(metrics, criteria = config.analysis) {
+  const weights = criteria.scoreWeights;
+
+  const components = {
+    liquidity: scaleScore(metrics.liquidity, criteria.minLiquidity),
+    volume: scaleScore(metrics.volume24h, criteria.minVolume24h),
+    volatility: scaleScore(metrics.volatility, criteria.minVolatility),
+    age: scaleScore(metrics.poolAgeDays, criteria.minPoolAge),
+    marketCap: scaleScore(metrics.marketCap, criteria.minMarketCap),
+  };
+
+  const score = Object.entries(components)
+    .reduce((sum, [key, value]) => sum + value * (weights[key] || 0), 0) * 100;
+
+  return { score: Math.round(score * 10) / 10, components };
+}
+
+/**
+ * Verifica critérios mínimos; métricas ausentes ficam como "unknown"
+ */
+function evaluateCriteria(metrics, criteria = config.analysis) {
+  const checks = {
+    liquidity: [metrics.liquidity, criteria.minLiquidity],
+    volume24h: [metrics.volume24h, criteria.minVolume24h],
+    volatility: [metrics.volatility, criteria.minVolatility],
+    marketCap: [metrics.marketCap, criteria.minMarketCap],
+    poolAgeDays: [metrics.poolAgeDays, criteria.minPoolAge],
+  };
+
+  const failed = [];
+  const unknown = [];
+
+  for (const [name, [value, minimum]] of Object.entries(checks)) {
+    if (value === null || value === undefined) {
+      unknown.push(name);
+    } else if (value < minimum) {
+      failed.push(name);
+    }
+  }
+
+  return { passed: failed.length === 0 && unknown.length === 0, failed, unknown };
+}
+
+/**
+ * Scanner de tokens (agrega pools por token e aplica critérios)
+ */
+class TokenScanner {
+  /**
+   * @param {Object} options
+   * @param {String} options.network - Rede analisada (padrão: ACTIVE_NETWORK)
+   * @param {Object} options.source - Fonte de pools (fetchPools({ first, days }))
+   * @param {Object} options.marketData - Fonte de market cap (fetchMarketCaps) ou null para ignorar
+   * @param {Object} options.criteria - Critérios e pesos (padrão: config.analysis)
+   * @param {Function} options.now - Timestamp atual (ms)
+   */
+  constructor(options = {}) {
+    this.network = options.network || config.network.active;
+    this.criteria = options.criteria || config.analysis;
+    this.source = options.source || new SubgraphSource({ url: this.criteria.subgraphUrls?.[this.network] });
+    this.marketData = options.marketData !== undefined ? options.marketData : new CoinGeckoMarketData();
+    this.now = options.now || (() => Date.now());
+    this.poolsToScan = options.poolsToScan || this.criteria.poolsToScan || 200;
+    this.volatilityDays = options.volatilityDays || this.criteria.volatilityDays || 7;
+  }
+
+  /**
+   * Executa o scan completo: pools → tokens → market cap → score
+   */
+  async scan() {
+    const pools = await this.source.fetchPools({ first: this.poolsToScan, days: this.volatilityDays + 1 });
+    logger.info(`🔎 ${pools.length} pools SushiSwap V3 carregados (${this.network})`);
+
+    const tokens = this.aggregateTokens(pools);
+
+    if (this.marketData && tokens.length > 0) {
+      const marketCaps = await this.marketData.fetchMarketCaps(this.network, tokens.map(token => token.address));
+      tokens.forEach(token => {
+        token.metrics.marketCap = marketCaps.get(token.address) ?? null;
+      });
+    }
+
+    for (const token of tokens) {
+      const { score, components } = scoreToken(token.metrics, this.criteria);
+      token.score = score;
+      token.components = components;
+      token.criteria = evaluateCriteria(token.metrics, this.criteria);
+    }
+
+    return tokens.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Agrupa pools por token (exceto stablecoins)
+   * - liquidez: soma do TVL dos pools
+   * - volume 24h: soma do último dia completo de cada pool
+   * - volatilidade e idade: pool principal (maior TVL)
+   */
+  aggregateTokens(pools) {
+    const byToken = new Map();
+    const now = this.now();
+
+    for (const pool of pools) {
+      for (const [token, counterpart] of [[pool.token0, pool.token1], [pool.token1, pool.token0]]) {
+        if (STABLECOINS.includes(String(token.symbol).toUpperCase())) continue;
+
+        if (!byToken.has(token.address)) {
+          byToken.set(token.address, { ...token, pools: [] });
+        }
+
+        byToken.get(token.address).pools.push({ ...pool, counterpart });
+      }
+    }
+
+    return Array.from(byToken.values()).map(token => {
+      const mainPool = token.pools.reduce((best, pool) => (pool.tvlUSD > best.tvlUSD ? pool : best));
+      const completeDays = pool => pool.days.filter(day => day.date + DAY_MS <= now);
+
+      const volume24h = token.pools.reduce((sum, pool) => {
+        const lastDay = completeDays(pool)[0] || pool.days[0];
+        return sum + (lastDay ? lastDay.volumeUSD : 0);
+      }, 0);
+
+      return {
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        mainPool: {
+          id: mainPool.id,
+          feeTier: mainPool.feeTier,
+          pair: `${token.symbol}/${mainPool.counterpart.symbol}`,
+          tvlUSD: mainPool.tvlUSD,
+        },
+        poolCount: token.pools.length,
+        metrics: {
+          liquidity: token.pools.reduce((sum, pool) => sum + pool.tvlUSD, 0),
+          volume24h,
+          volatility: calculateDailyVolatility(completeDays(mainPool).slice(0, this.volatilityDays)),
+          marketCap: null,
+          poolAgeDays: mainPool.createdAt ? Math.floor((now - mainPool.createdAt) / DAY_MS) : null,
+        },
+      };
+    });
+  }
+}
+
+module.exports = {
+  TokenScanner,
+  SubgraphSource,
+  CoinGeckoMarketData,
+  POOLS_QUERY,
+  STABLECOINS,
+  normalizePool,
+  calculateDailyVolatility,
+  scaleScore,
+  scoreToken,
+  evaluateCriteria,
+};
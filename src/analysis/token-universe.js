@@ -0,0 +1,179 @@
+/**
+ * Token Universe - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Universo de tokens operáveis a partir da whitelist/blacklist da análise semanal
+ * - Sem arquivo de listas (ou com enforce desligado) tudo é permitido
+ * - Um universo por rede, cada um com o seu arquivo (getListsFile); listas de outra rede são ignoradas
+ * - Recarrega automaticamente quando o arquivo muda (sem reiniciar o bot)
+ */
+
+const fs = require('fs');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { loadLists, getListsFile } = require('./whitelist');
+
+/**
+ * Universo de tokens permitidos
+ */
+class TokenUniverse {
+  /**
+   * @param {Object} options
+   * @param {String} options.file - Arquivo de listas (padrão: arquivo da rede, ver getListsFile)
+   * @param {String} options.network - Rede cujos tokens são verificados (padrão: ACTIVE_NETWORK)
+   * @param {Boolean} options.enforce - Aplica as listas (padrão: ENFORCE_WHITELIST)
+   * @param {Number} options.watchInterval - Intervalo de polling do arquivo (ms)
+   */
+  constructor(options = {}) {
+    this.network = options.network || config.network.active;
+    this.file = options.file || getListsFile(this.network);
+    this.enforce = options.enforce ?? config.analysis.enforceWhitelist;
+    this.watchInterval = options.watchInterval || 5000;
+    this.events = options.events || botEvents;
+
+    this.lists = null;
+    this.whitelist = { symbols: new Set(), addresses: new Set() };
+    this.blacklist = { symbols: new Set(), addresses: new Set() };
+    this.watching = false;
+    this.onFileChange = this.onFileChange.bind(this);
+  }
+
+  /**
+   * Carrega listas do arquivo (mantém as anteriores se o JSON estiver inválido)
+   */
+  load() {
+    let lists;
+
+    try {
+      lists = loadLists(this.file);
+    } catch (error) {
+      logger.error(`Whitelist inválida em ${this.file}, mantendo listas anteriores: ${error.message}`);
+      return false;
+    }
+
+    if (lists && lists.network && lists.network !== this.network) {
+      logger.warn(`Whitelist ${this.file} é da rede ${lists.network} (esperada: ${this.network}), ignorando`);
+      lists = null;
+    }
+
+    this.lists = lists;
+    this.whitelist = this.index(lists?.whitelist);
+    this.blacklist = this.index(lists?.blacklist);
+
+    if (lists) {
+      logger.info(`📋 Whitelist ${lists.week || ''} carregada: ${this.whitelist.symbols.size} liberado(s), ${this.blacklist.symbols.size} bloqueado(s)`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Indexa entradas por símbolo e endereço (case-insensitive)
+   */
+  index(entries = []) {
+    return {
+      symbols: new Set(entries.map(entry => String(entry.symbol).toUpperCase())),
+      addresses: new Set(entries.filter(entry => entry.address).map(entry => entry.address.toLowerCase())),
+    };
+  }
+
+  /**
+   * Observa o arquivo e recarrega quando ele muda
+   */
+  watch() {
+    if (this.watching) return;
+
+    this.load();
+    fs.watchFile(this.file, { interval: this.watchInterval, persistent: false }, this.onFileChange);
+    this.watching = true;
+  }
+
+  /**
+   * Para de observar o arquivo
+   */
+  unwatch() {
+    if (!this.watching) return;
+
+    fs.unwatchFile(this.file, this.onFileChange);
+    this.watching = false;
+  }
+
+  /**
+   * Callback do fs.watchFile
+   */
+  onFileChange(current, previous) {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    logger.info(`🔄 Whitelist alterada (${this.file}), recarregando...`);
+
+    if (this.load()) {
+      this.events.emit(EVENTS.WHITELIST_UPDATED, this.getSummary());
+    }
+  }
+
+  /**
+   * Verifica se há listas ativas
+   */
+  isActive() {
+    return this.enforce && this.lists !== null;
+  }
+
+  /**
+   * Token (símbolo) está na lista?
+   * Compara por endereço quando o token está em config.tokens (evita homônimos), senão por símbolo
+   */
+  matches(list, symbol) {
+    const address = config.tokens[this.network]?.[symbol]?.address;
+
+    if (address) {
+      return list.addresses.has(address.toLowerCase());
+    }
+
+    return list.symbols.has(String(symbol).toUpperCase());
+  }
+
+  /**
+   * Token base do par ("BASE/QUOTE")
+   */
+  baseOf(pair) {
+    return String(pair).split('/')[0];
+  }
+
+  /**
+   * Par pode ser analisado? (token base na whitelist)
+   */
+  isPairAllowed(pair) {
+    if (!this.isActive()) return true;
+    return this.matches(this.whitelist, this.baseOf(pair));
+  }
+
+  /**
+   * Token base do par está na blacklist?
+   */
+  isBlacklisted(pair) {
+    if (!this.isActive()) return false;
+    return this.matches(this.blacklist, this.baseOf(pair));
+  }
+
+  /**
+   * Resumo para logs, eventos e API
+   */
+  getSummary() {
+    return {
+      active: this.isActive(),
+      file: this.file,
+      week: this.lists?.week || null,
+      generatedAt: this.lists?.generatedAt || null,
+      whitelist: Array.from(this.whitelist.symbols),
+      blacklist: Array.from(this.blacklist.symbols),
+    };
+  }
+}
+
+const tokenUniverse = new TokenUniverse();
+
+module.exports = {
+  tokenUniverse,
+  TokenUniverse,
+};
@@ -0,0 +1,148 @@
+/**
+ * Relatório Semanal - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Monta o relatório da análise semanal de tokens (JSON + Markdown)
+ * Arquivos: data/reports/weekly-YYYY-Www.{json,md}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../core/config');
+
+/**
+ * Semana ISO 8601 (ex: 2025-W45)
+ */
+function getIsoWeek(date = new Date()) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+
+  // Quinta-feira da semana define o ano ISO
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Monta objeto do relatório
+ */
+function buildWeeklyReport({ network, tokens, lists, criteria = config.analysis, generatedAt = new Date(), top = 10 }) {
+  const { minLiquidity, minVolume24h, minVolatility, minMarketCap, minPoolAge, scoreWeights } = criteria;
+
+  return {
+    week: getIsoWeek(generatedAt),
+    generatedAt: generatedAt.toISOString(),
+    network,
+    criteria: { minLiquidity, minVolume24h, minVolatility, minMarketCap, minPoolAge, scoreWeights },
+    summary: {
+      tokensAnalyzed: tokens.length,
+      whitelisted: lists.whitelist.length,
+      blacklisted: lists.blacklist.length,
+      unverified: lists.unverified.length,
+    },
+    topTokens: tokens.slice(0, top).map(token => ({
+      symbol: token.symbol,
+      address: token.address,
+      score: token.score,
+      pair: token.mainPool.pair,
+      metrics: token.metrics,
+      passed: token.criteria.passed,
+    })),
+    ...lists,
+  };
+}
+
+/**
+ * Formata valores em USD de forma compacta ($1.2M)
+ */
+function formatUSD(value) {
+  if (value === null || value === undefined) return 'N/A';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Renderiza relatório em Markdown
+ */
+function renderMarkdown(report) {
+  const { criteria, summary } = report;
+  const percent = value => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(2)}%`);
+
+  const lines = [
+    `# Análise Semanal de Tokens - ${report.week}`,
+    '',
+    `- **Rede:** ${report.network}`,
+    `- **Gerado em:** ${report.generatedAt}`,
+    `- **Tokens analisados:** ${summary.tokensAnalyzed}`,
+    `- **Whitelist:** ${summary.whitelisted} | **Blacklist:** ${summary.blacklisted} | **Não verificados:** ${summary.unverified}`,
+    '',
+    '## Critérios',
+    '',
+    '| Critério | Mínimo |',
+    '|----------|--------|',
+    `| Liquidez (TVL) | ${formatUSD(criteria.minLiquidity)} |`,
+    `| Volume 24h | ${formatUSD(criteria.minVolume24h)} |`,
+    `| Volatilidade diária | ${percent(criteria.minVolatility)} |`,
+    `| Market Cap | ${formatUSD(criteria.minMarketCap)} |`,
+    `| Idade do pool | ${criteria.minPoolAge} dias |`,
+    '',
+    `## Top ${report.topTokens.length} Tokens`,
+    '',
+    '| # | Token | Score | Pool principal | Liquidez | Volume 24h | Volatilidade | Market Cap | Idade | Aprovado |',
+    '|---|-------|-------|----------------|----------|------------|--------------|------------|-------|----------|',
+    ...report.topTokens.map((token, index) => {
+      const m = token.metrics;
+      return `| ${index + 1} | ${token.symbol} | ${token.score.toFixed(1)} | ${token.pair} | ${formatUSD(m.liquidity)} | ${formatUSD(m.volume24h)} | ${percent(m.volatility)} | ${formatUSD(m.marketCap)} | ${m.poolAgeDays ?? 'N/A'}d | ${token.passed ? '✅' : '❌'} |`;
+    }),
+    '',
+    '## Whitelist',
+    '',
+    ...(report.whitelist.length > 0
+      ? report.whitelist.map(entry => `- **${entry.symbol}** (${entry.score.toFixed(1)}) - ${entry.pair} \`${entry.address}\``)
+      : ['_Nenhum token atendeu todos os critérios._']),
+    '',
+    '## Blacklist',
+    '',
+    ...(report.blacklist.length > 0
+      ? report.blacklist.map(entry => `- **${entry.symbol}** - ${entry.reasons.join(', ')} \`${entry.address}\``)
+      : ['_Nenhum token reprovado._']),
+    '',
+  ];
+
+  if (report.unverified.length > 0) {
+    lines.push(
+      '## Não verificados',
+      '',
+      ...report.unverified.map(entry => `- **${entry.symbol}** - sem dados de ${entry.missing.join(', ')} \`${entry.address}\``),
+      '',
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Salva relatório JSON + Markdown
+ */
+function saveWeeklyReport(report, dir = config.paths.reports) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const base = path.join(dir, `weekly-${report.week}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2), 'utf8');
+  fs.writeFileSync(`${base}.md`, renderMarkdown(report), 'utf8');
+
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+module.exports = {
+  getIsoWeek,
+  buildWeeklyReport,
+  renderMarkdown,
+  saveWeeklyReport,
+};
@@ -0,0 +1,96 @@
+/**
+ * Whitelist / Blacklist - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Classifica tokens da análise semanal e persiste as listas (config.paths.whitelist)
+ * - whitelist: todos os critérios mínimos atendidos
+ * - blacklist: algum critério reprovado
+ * - unverified: sem reprovação, mas com métrica indisponível (ex: market cap sem CoinGecko)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+
+/**
+ * Resumo de um token para as listas
+ */
+function toEntry(token) {
+  return {
+    address: token.address,
+    symbol: token.symbol,
+    score: token.score,
+    pair: token.mainPool?.pair || null,
+    pool: token.mainPool?.id || null,
+    feeTier: token.mainPool?.feeTier || null,
+  };
+}
+
+/**
+ * Separa tokens pontuados em whitelist / blacklist / unverified
+ */
+function classifyTokens(tokens) {
+  const whitelist = [];
+  const blacklist = [];
+  const unverified = [];
+
+  for (const token of tokens) {
+    const { failed, unknown } = token.criteria;
+
+    if (failed.length > 0) {
+      blacklist.push({ ...toEntry(token), reasons: failed.map(name => `min_${name}`) });
+    } else if (unknown.length > 0) {
+      unverified.push({ ...toEntry(token), missing: unknown });
+    } else {
+      whitelist.push(toEntry(token));
+    }
+  }
+
+  return { whitelist, blacklist, unverified };
+}
+
+/**
+ * Arquivo de listas da rede: a rede ativa usa WHITELIST_FILE; demais redes, whitelist.<rede>.json ao lado
+ */
+function getListsFile(network = config.network.active) {
+  if (network === config.network.active) {
+    return config.paths.whitelist;
+  }
+
+  const { dir, name, ext } = path.parse(config.paths.whitelist);
+  return path.join(dir, `${name}.${network}${ext}`);
+}
+
+/**
+ * Grava listas em JSON (arquivo lido pelo bot)
+ */
+function saveLists(lists, filePath = config.paths.whitelist) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(lists, null, 2), 'utf8');
+  logger.info(`📋 Whitelist salva: ${lists.whitelist.length} token(s) liberado(s), ${lists.blacklist.length} bloqueado(s) → ${filePath}`);
+
+  return filePath;
+}
+
+/**
+ * Carrega listas salvas (null se o arquivo não existir)
+ */
+function loadLists(filePath = config.paths.whitelist) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  classifyTokens,
+  saveLists,
+  loadLists,
+  getListsFile,
+};
@@ -0,0 +1,298 @@
+/**
+ * Bot Controller - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Comandos de intervenção manual via API (pausar, retomar, parar, forçar estratégia,
+ * fechar posições, resetar drawdown)
+ * - Autenticação por token (API_CONTROL_TOKEN, header Authorization: Bearer <token>)
+ * - Auditoria: todo comando vira evento no ciclo (storageManager.addEvent) e control.command no botEvents
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { drawdownManager: defaultDrawdownManager } = require('../risk/drawdown');
+const { positionManager: defaultPositionManager } = require('../risk/position-manager');
+const { strategyManager: defaultStrategyManager } = require('../strategies/manager');
+const { storageManager: defaultStorageManager } = require('../data/storage');
+
+/**
+ * Compara tokens em tempo constante
+ */
+function tokensMatch(received, expected) {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Executa comandos de controle sobre o bot em execução
+ */
+class BotController {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bot - Instância do JasonBotTrader
+   * @param {String} options.token - Token dos endpoints (padrão: API_CONTROL_TOKEN; sem token = controle desativado)
+   * @param {Object} options.events - Emitter para control.command (padrão: botEvents)
+   */
+  constructor(options = {}) {
+    this.bot = options.bot || null;
+    this.token = options.token !== undefined ? options.token : config.api.controlToken;
+    this.events = options.events || botEvents;
+
+    this.drawdownManager = options.drawdownManager || defaultDrawdownManager;
+    this.positionManager = options.positionManager || defaultPositionManager;
+    this.strategyManager = options.strategyManager || defaultStrategyManager;
+    this.storage = options.storage || defaultStorageManager;
+  }
+
+  /**
+   * Controle só fica disponível com token configurado
+   */
+  isEnabled() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Pausa o bot (sem duração = até retomar manualmente)
+   */
+  pause(duration = null) {
+    if (!this.bot) return this.unavailable();
+
+    if (duration !== null && !(Number(duration) > 0)) {
+      return { success: false, status: 400, error: `Duração inválida: ${duration}` };
+    }
+
+    this.bot.pause(duration === null ? null : Number(duration));
+    return { success: true, paused: true, duration };
+  }
+
+  /**
+   * Retoma o bot (bloqueado enquanto o drawdown nível 3 não for resetado)
+   */
+  resume() {
+    if (!this.bot) return this.unavailable();
+
+    if (this.drawdownManager.currentLevel === 3) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Drawdown nível 3 ativo: revise e resete o drawdown antes de retomar',
+      };
+    }
+
+    this.bot.resume();
+    return { success: true, paused: false };
+  }
+
+  /**
+   * Para o bot (finaliza ciclo e encerra o processo após responder)
+   */
+  stop() {
+    if (!this.bot) return this.unavailable();
+
+    setImmediate(() => this.bot.stop());
+    return { success: true, stopping: true };
+  }
+
+  /**
+   * Força estratégia em todos os pares ou em um par específico
+   */
+  forceStrategy(strategy, pair = null) {
+    const managers = this.getStrategyManagers();
+
+    if (!Object.keys(this.strategyManager.strategies).includes(strategy)) {
+      return { success: false, status: 400, error: `Estratégia desconhecida: ${strategy}` };
+    }
+
+    // Com várias redes os nomes são rede:par; o par sozinho vale para todas as redes
+    const targets = pair ? managers.filter(([name]) => name === pair || name.endsWith(`:${pair}`)) : managers;
+
+    if (targets.length === 0) {
+      return { success: false, status: 404, error: `Par não operado: ${pair}` };
+    }
+
+    const pairs = {};
+    for (const [name, manager] of targets) {
+      pairs[name] = manager.forceSwitch(strategy, 'manual');
+    }
+
+    return { success: Object.values(pairs).every(Boolean), strategy, pairs };
+  }
+
+  /**
+   * Pausa o bot e fecha todas as posições abertas a mercado (todas as redes)
+   */
+  async closeAllPositions() {
+    const pipelines = this.getPipelines();
+
+    if (pipelines.length === 0) return this.unavailable();
+
+    // Pausa antes de vender para a estratégia não reabrir posição no próximo tick
+    this.bot.pause();
+
+    const results = [];
+    for (const pipeline of pipelines) {
+      results.push(...await pipeline.closeAllPositions('manual_close'));
+    }
+
+    const closed = results.filter(result => result.trade).map(result => result.trade);
+    const failed = results
+      .filter(result => !result.trade)
+      .map(result => ({ pair: result.order.pair, error: result.fill?.error || 'sem resposta do executor' }));
+
+    return {
+      success: failed.length === 0,
+      status: failed.length > 0 ? 502 : undefined,
+      paused: true,
+      closed,
+      failed,
+      error: failed.length > 0 ? `${failed.length} posição(ões) não fechada(s)` : undefined,
+    };
+  }
+
+  /**
+   * Reseta o circuit breaker após revisão manual (novo pico = patrimônio atual)
+   */
+  resetDrawdown() {
+    const previous = this.drawdownManager.getState();
+    const baseline = this.bot?.pipeline
+      ? this.bot.pipeline.getEquity()
+      : this.positionManager.currentCapital;
+
+    this.drawdownManager.reset(baseline);
+
+    return { success: true, previousLevel: previous.currentLevel, baselineCapital: baseline };
+  }
+
+  /**
+   * Executa comando com auditoria
+   */
+  async execute(action, params, meta = {}) {
+    const handlers = {
+      pause: () => this.pause(params.duration ?? null),
+      resume: () => this.resume(),
+      stop: () => this.stop(),
+      strategy: () => this.forceStrategy(params.strategy, params.pair || null),
+      close_positions: () => this.closeAllPositions(),
+      reset_drawdown: () => this.resetDrawdown(),
+    };
+
+    let result;
+    try {
+      result = await handlers[action]();
+    } catch (error) {
+      logger.error(`Erro no comando de controle ${action}:`, error);
+      result = { success: false, status: 500, error: error.message };
+    }
+
+    this.audit(action, params, meta, result);
+    return result;
+  }
+
+  /**
+   * Registra comando no ciclo, no log e no stream de eventos
+   */
+  audit(action, params, meta, result) {
+    const entry = {
+      action,
+      params,
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      success: result.success,
+      error: result.error || null,
+    };
+
+    const icon = result.success ? '🕹️ ' : '⛔';
+    logger.warn(`${icon} Comando manual: ${action} ${JSON.stringify(params)} (${entry.ip || 'local'})${result.error ? ` - ${result.error}` : ''}`);
+
+    this.storage.addEvent(EVENTS.CONTROL_COMMAND, entry);
+    this.events.emit(EVENTS.CONTROL_COMMAND, entry);
+  }
+
+  /**
+   * Pipelines ativos (um por rede)
+   */
+  getPipelines() {
+    if (!this.bot) return [];
+    if (this.bot.pipelines?.length > 0) return this.bot.pipelines;
+    return this.bot.pipeline ? [this.bot.pipeline] : [];
+  }
+
+  /**
+   * Pares operados e seus StrategyManagers (rede:par com várias redes)
+   */
+  getStrategyManagers() {
+    const pipelines = this.getPipelines();
+
+    if (pipelines.length > 0) {
+      return pipelines.flatMap(pipeline => Array.from(pipeline.strategyManagers.entries())
+        .map(([pair, manager]) => [pipelines.length > 1 ? `${pipeline.network}:${pair}` : pair, manager]));
+    }
+
+    return [[config.bot.pairs[0], this.strategyManager]];
+  }
+
+  /**
+   * Resposta padrão quando o bot não está rodando neste processo
+   */
+  unavailable() {
+    return { success: false, status: 503, error: 'Bot não está em execução' };
+  }
+
+  /**
+   * Middleware de autenticação por token
+   */
+  authenticate() {
+    return (req, res, next) => {
+      if (!this.isEnabled()) {
+        return res.status(403).json({ error: 'Controle desativado: defina API_CONTROL_TOKEN' });
+      }
+
+      const header = req.get('authorization') || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+      if (!token || !tokensMatch(token, this.token)) {
+        logger.warn(`⛔ Tentativa de controle sem token válido: ${req.method} ${req.originalUrl} (${req.ip})`);
+        return res.status(401).json({ error: 'Token inválido' });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Rotas de controle (montadas em /api/control)
+   */
+  createRouter() {
+    const router = express.Router();
+    router.use(this.authenticate());
+
+    const route = (action, getParams = () => ({})) => async (req, res, next) => {
+      try {
+        const params = getParams(req.body || {});
+        const result = await this.execute(action, params, { ip: req.ip, userAgent: req.get('user-agent') });
+        const { status, ...body } = result;
+
+        res.status(result.success ? 200 : status || 400).json(body);
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    router.post('/pause', route('pause', body => ({ duration: body.duration ?? null })));
+    router.post('/resume', route('resume'));
+    router.post('/stop', route('stop'));
+    router.post('/strategy', route('strategy', body => ({ strategy: body.strategy, pair: body.pair || null })));
+    router.post('/positions/close', route('close_positions'));
+    router.post('/drawdown/reset', route('reset_drawdown'));
+
+    return router;
+  }
+}
+
+module.exports = {
+  BotController,
+};
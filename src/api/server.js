@@ -0,0 +1,251 @@
+/**
+ * API Server - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * API REST (Express) para o dashboard e scripts de operação
+ * Expõe estado de risco, posições, estratégias, gas e ciclos salvos (somente leitura)
+ * Eventos em tempo real via Socket.IO no mesmo servidor HTTP (ver api/socket.js)
+ * Comandos autenticados em /api/control (ver api/control.js)
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { drawdownManager: defaultDrawdownManager } = require('../risk/drawdown');
+const { positionManager: defaultPositionManager } = require('../risk/position-manager');
+const { exitManager: defaultExitManager } = require('../risk/exit-manager');
+const { strategyManager: defaultStrategyManager } = require('../strategies/manager');
+const { gasManager: defaultGasManager } = require('../blockchain/gas');
+const { allowanceManager: defaultAllowanceManager } = require('../blockchain/allowance');
+const { providerManager: defaultProviderManager } = require('../blockchain/provider');
+const { portfolio: defaultPortfolio } = require('../risk/portfolio');
+const { storageManager: defaultStorageManager } = require('../data/storage');
+const { EventStream } = require('./socket');
+const { BotController } = require('./control');
+
+// IDs de ciclo viram nome de arquivo em data/cycles (sem path traversal)
+const CYCLE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Servidor HTTP da API do dashboard
+ */
+class ApiServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bot - Instância do JasonBotTrader (status e estratégias por par)
+   * @param {Number} options.port - Porta (padrão: API_PORT)
+   * @param {String} options.host - Host (padrão: API_HOST)
+   * @param {String} options.corsOrigin - Origem permitida (padrão: CORS_ORIGIN)
+   * @param {Object} options.eventStream - Stream Socket.IO dos eventos (padrão: EventStream do botEvents)
+   * @param {Object} options.controller - Comandos de controle (padrão: BotController com API_CONTROL_TOKEN)
+   */
+  constructor(options = {}) {
+    this.bot = options.bot || null;
+    this.port = options.port ?? config.api.port;
+    this.host = options.host || config.api.host;
+    this.corsOrigin = options.corsOrigin || config.api.corsOrigin;
+
+    this.drawdownManager = options.drawdownManager || defaultDrawdownManager;
+    this.positionManager = options.positionManager || defaultPositionManager;
+    this.exitManager = options.exitManager || defaultExitManager;
+    this.strategyManager = options.strategyManager || defaultStrategyManager;
+    this.gasManager = options.gasManager || defaultGasManager;
+    this.allowanceManager = options.allowanceManager || defaultAllowanceManager;
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.portfolio = options.portfolio || defaultPortfolio;
+    this.storage = options.storage || defaultStorageManager;
+    this.eventStream = options.eventStream || new EventStream({ corsOrigin: this.corsOrigin });
+    this.controller = options.controller || new BotController({
+      bot: this.bot,
+      drawdownManager: this.drawdownManager,
+      positionManager: this.positionManager,
+      strategyManager: this.strategyManager,
+      storage: this.storage,
+    });
+
+    this.app = this.createApp();
+    this.server = null;
+  }
+
+  /**
+   * Monta aplicação Express com todas as rotas
+   */
+  createApp() {
+    const app = express();
+
+    app.use(cors({ origin: this.corsOrigin }));
+    app.use(express.json());
+
+    const router = express.Router();
+
+    router.get('/health', (req, res) => {
+      res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    });
+
+    router.get('/status', (req, res) => {
+      res.json(this.getStatus());
+    });
+
+    router.get('/drawdown', (req, res) => {
+      res.json(this.drawdownManager.getState());
+    });
+
+    router.get('/positions', (req, res) => {
+      res.json({
+        summary: this.positionManager.getSummary(),
+        positions: this.positionManager.getAllPositions(),
+      });
+    });
+
+    router.get('/portfolio', (req, res) => {
+      res.json({
+        ...this.portfolio.getSummary(),
+        positions: this.portfolio.getAllPositions(),
+      });
+    });
+
+    router.get('/exits', (req, res) => {
+      res.json(this.exitManager.getAllActiveExits());
+    });
+
+    router.get('/strategies', (req, res) => {
+      res.json(this.getStrategies());
+    });
+
+    router.get('/gas', (req, res) => {
+      const limit = parseInt(req.query.limit, 10) || 20;
+
+      res.json({
+        history: this.gasManager.gasPriceHistory.slice(-limit),
+        averageGasPrice: this.gasManager.getAverageGasPrice(limit),
+        trend: this.gasManager.getGasTrend(),
+      });
+    });
+
+    router.get('/approvals', (req, res) => {
+      res.json(this.allowanceManager.getOutstanding());
+    });
+
+    router.get('/rpc', (req, res) => {
+      res.json(this.providerManager.getMetrics());
+    });
+
+    router.get('/cycles', (req, res) => {
+      res.json(this.storage.listCycles());
+    });
+
+    router.get('/cycles/current', (req, res) => {
+      if (!this.storage.currentCycle) {
+        return res.status(404).json({ error: 'Nenhum ciclo ativo' });
+      }
+
+      res.json(this.storage.currentCycle);
+    });
+
+    router.get('/cycles/:cycleId', (req, res) => {
+      const { cycleId } = req.params;
+
+      if (!CYCLE_ID_PATTERN.test(cycleId)) {
+        return res.status(400).json({ error: `ID de ciclo inválido: ${cycleId}` });
+      }
+
+      const cycle = this.storage.loadCycle(cycleId);
+
+      if (!cycle) {
+        return res.status(404).json({ error: `Ciclo não encontrado: ${cycleId}` });
+      }
+
+      res.json(cycle);
+    });
+
+    app.use('/api/control', this.controller.createRouter());
+    app.use('/api', router);
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Rota não encontrada: ${req.method} ${req.path}` });
+    });
+
+    // Handler de erro do Express precisa de 4 argumentos
+    app.use((error, req, res, _next) => {
+      logger.error(`Erro na API (${req.method} ${req.path}):`, error);
+      res.status(500).json({ error: error.message });
+    });
+
+    return app;
+  }
+
+  /**
+   * Status geral do bot
+   */
+  getStatus() {
+    const bot = this.bot;
+
+    return {
+      running: bot ? bot.isRunning : false,
+      paused: bot ? bot.isPaused : false,
+      uptime: bot ? bot.getUptime() : 0,
+      network: config.network.active,
+      networks: config.network.networks,
+      networkMode: config.network.mode,
+      executionMode: config.execution.mode,
+      pairs: config.bot.pairs,
+      cycleId: this.storage.currentCycle ? this.storage.currentCycle.cycleId : null,
+      tradingPaused: this.drawdownManager.isTradingPaused(),
+      controlEnabled: this.controller.isEnabled(),
+    };
+  }
+
+  /**
+   * Estado das estratégias (um StrategyManager por par quando o pipeline está ativo; rede:par com várias redes)
+   */
+  getStrategies() {
+    const pairs = {};
+
+    for (const [pair, manager] of this.controller.getStrategyManagers()) {
+      pairs[pair] = manager.getState();
+    }
+
+    return { pairs };
+  }
+
+  /**
+   * Inicia servidor HTTP
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(this.port, this.host, () => {
+        this.server = server;
+        this.eventStream.attach(server);
+        const { port } = server.address();
+        logger.info(`🌐 API do dashboard em http://${this.host}:${port}/api`);
+        resolve(server);
+      });
+
+      server.once('error', reject);
+    });
+  }
+
+  /**
+   * Encerra servidor HTTP
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    this.eventStream.close();
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        logger.info('API do dashboard encerrada');
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = {
+  ApiServer,
+};
@@ -0,0 +1,245 @@
+/**
+ * Event Stream (Socket.IO) - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Repassa todos os eventos do botEvents para o dashboard em tempo real
+ * - Salas por tópico (trades, risk, gas, wallet, strategy, market, bot)
+ * - Replay dos últimos N eventos ao conectar / assinar
+ */
+
+const { Server } = require('socket.io');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+
+/**
+ * Tópico (sala) de cada evento
+ */
+const TOPICS = {
+  trades: [
+    EVENTS.TRADE_SIGNAL_BUY,
+    EVENTS.TRADE_SIGNAL_SELL,
+    EVENTS.TRADE_EXECUTED,
+    EVENTS.TRADE_FAILED,
+    EVENTS.TRADE_CANCELLED,
+  ],
+  risk: [
+    EVENTS.STOP_LOSS_TRIGGERED,
+    EVENTS.TAKE_PROFIT_TRIGGERED,
+    EVENTS.DRAWDOWN_LEVEL_1,
+    EVENTS.DRAWDOWN_LEVEL_2,
+    EVENTS.DRAWDOWN_LEVEL_3,
+    EVENTS.SPENDING_LIMIT_BLOCKED,
+  ],
+  gas: [
+    EVENTS.GAS_TOO_HIGH,
+    EVENTS.GAS_ACCEPTABLE,
+  ],
+  wallet: [
+    EVENTS.APPROVAL_UPDATED,
+    EVENTS.APPROVAL_REVOKED,
+    EVENTS.TX_SENT,
+    EVENTS.TX_CONFIRMED,
+    EVENTS.TX_FAILED,
+    EVENTS.TX_REPLACED,
+    EVENTS.TX_CANCELLED,
+    EVENTS.TX_DROPPED,
+    EVENTS.TX_STUCK,
+  ],
+  network: [
+    EVENTS.RPC_FAILOVER,
+  ],
+  strategy: [
+    EVENTS.STRATEGY_SELECTED,
+    EVENTS.STRATEGY_CHANGED,
+  ],
+  market: [
+    EVENTS.MARKET_DATA_COLLECTED,
+    EVENTS.MARKET_DATA_ERROR,
+    EVENTS.CANDLE_CLOSED,
+    EVENTS.WHITELIST_UPDATED,
+  ],
+  bot: [
+    EVENTS.BOT_STARTED,
+    EVENTS.BOT_STOPPED,
+    EVENTS.BOT_PAUSED,
+    EVENTS.BOT_RESUMED,
+    EVENTS.BOT_ERROR,
+    EVENTS.CYCLE_STARTED,
+    EVENTS.CYCLE_ENDED,
+    EVENTS.REPORT_GENERATED,
+    EVENTS.CONTROL_COMMAND,
+    EVENTS.BACKTEST_STARTED,
+    EVENTS.BACKTEST_COMPLETED,
+  ],
+};
+
+/**
+ * Retorna o tópico de um evento (eventos novos sem mapeamento caem em "bot")
+ */
+function getTopic(event) {
+  const entry = Object.entries(TOPICS).find(([, events]) => events.includes(event));
+  return entry ? entry[0] : 'bot';
+}
+
+/**
+ * Converte payload em JSON seguro para o socket (BigInt → string, Error → { message })
+ */
+function toSerializable(data) {
+  if (data === undefined) return null;
+
+  return JSON.parse(JSON.stringify(data, (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    return value;
+  }));
+}
+
+/**
+ * Normaliza lista de tópicos (array ou "trades,risk"); vazio = todos
+ */
+function parseTopics(topics) {
+  const list = Array.isArray(topics)
+    ? topics
+    : String(topics || '').split(',').map(topic => topic.trim()).filter(Boolean);
+
+  if (list.length === 0) {
+    return Object.keys(TOPICS);
+  }
+
+  return list.filter(topic => TOPICS[topic]);
+}
+
+/**
+ * Stream de eventos do bot via Socket.IO
+ *
+ * Protocolo do cliente:
+ * - conexão: io(url, { query: { topics: 'trades,risk' } }) → entra nas salas e recebe 'replay'
+ * - socket.emit('subscribe', ['gas']) / socket.emit('unsubscribe', ['gas'])
+ * - cada evento chega com o próprio nome (ex: 'trade.executed') → { seq, event, topic, timestamp, data }
+ */
+class EventStream {
+  /**
+   * @param {Object} options
+   * @param {Object} options.events - Emitter de eventos (padrão: botEvents)
+   * @param {Number} options.replaySize - Eventos guardados para replay (padrão: SOCKET_REPLAY_SIZE)
+   * @param {String} options.corsOrigin - Origem permitida (padrão: CORS_ORIGIN)
+   */
+  constructor(options = {}) {
+    this.events = options.events || botEvents;
+    this.replaySize = options.replaySize ?? config.api.replaySize;
+    this.corsOrigin = options.corsOrigin || config.api.corsOrigin;
+
+    this.io = null;
+    this.buffer = [];
+    this.seq = 0;
+    this.listeners = new Map(); // event -> listener
+  }
+
+  /**
+   * Cria servidor Socket.IO sobre o servidor HTTP da API
+   */
+  attach(httpServer) {
+    const io = new Server(httpServer, {
+      cors: { origin: this.corsOrigin },
+    });
+
+    this.bind(io);
+    return io;
+  }
+
+  /**
+   * Liga o stream a um servidor Socket.IO e começa a repassar eventos
+   */
+  bind(io) {
+    this.io = io;
+    this.io.on('connection', socket => this.handleConnection(socket));
+
+    for (const event of Object.values(EVENTS)) {
+      if (this.listeners.has(event)) continue;
+
+      const listener = data => this.publish(event, data);
+      this.listeners.set(event, listener);
+      this.events.on(event, listener);
+    }
+
+    logger.debug(`Event stream ativo (${this.listeners.size} eventos, replay: ${this.replaySize})`);
+  }
+
+  /**
+   * Conexão de um cliente: assina tópicos da query e envia replay
+   */
+  handleConnection(socket) {
+    const topics = parseTopics(socket.handshake?.query?.topics);
+
+    this.subscribe(socket, topics);
+    logger.debug(`Dashboard conectado via socket: ${socket.id} (${topics.join(', ')})`);
+
+    socket.on('subscribe', requested => this.subscribe(socket, parseTopics(requested)));
+
+    socket.on('unsubscribe', requested => {
+      parseTopics(requested).forEach(topic => socket.leave(topic));
+    });
+  }
+
+  /**
+   * Entra nas salas e envia replay dos tópicos assinados
+   */
+  subscribe(socket, topics) {
+    topics.forEach(topic => socket.join(topic));
+
+    socket.emit('replay', this.getReplay(topics));
+  }
+
+  /**
+   * Registra evento no buffer e envia para a sala do tópico
+   */
+  publish(event, data) {
+    const envelope = {
+      seq: ++this.seq,
+      event,
+      topic: getTopic(event),
+      timestamp: new Date().toISOString(),
+      data: toSerializable(data),
+    };
+
+    this.buffer.push(envelope);
+    if (this.buffer.length > this.replaySize) {
+      this.buffer.shift();
+    }
+
+    if (this.io) {
+      this.io.to(envelope.topic).emit(event, envelope);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Últimos eventos dos tópicos informados (ordem cronológica)
+   */
+  getReplay(topics = Object.keys(TOPICS)) {
+    return this.buffer.filter(envelope => topics.includes(envelope.topic));
+  }
+
+  /**
+   * Desconecta clientes e para de repassar eventos
+   */
+  close() {
+    for (const [event, listener] of this.listeners) {
+      this.events.off(event, listener);
+    }
+    this.listeners.clear();
+
+    if (this.io) {
+      this.io.disconnectSockets(true);
+      this.io = null;
+    }
+  }
+}
+
+module.exports = {
+  EventStream,
+  TOPICS,
+  getTopic,
+};
@@ -0,0 +1,256 @@
+/**
+ * Backtesting Engine - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Replay de dados de mercado (JSONL) pelo mesmo pipeline do bot:
+ * estratégias → PositionManager/ExitManager/DrawdownManager → TradeSimulator
+ * - Relógio virtual (rebalance, cooldowns e pausas de drawdown no tempo dos dados)
+ * - Resultado salvo em formato de ciclo (data/backtests/) com as métricas do StorageManager
+ */
+
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, BotEventEmitter, EVENTS } = require('../core/events');
+const { VirtualClock } = require('../core/clock');
+const { TradingPipeline } = require('../core/pipeline');
+const { StrategyManager } = require('../strategies/manager');
+const { PositionManager } = require('../risk/position-manager');
+const { ExitManager } = require('../risk/exit-manager');
+const { DrawdownManager } = require('../risk/drawdown');
+const { StorageManager, storageManager: defaultStorageManager } = require('../data/storage');
+const { MarketReplay, TradeSimulator } = require('./simulator');
+const { calculateMaxDrawdown, calculateSharpeRatio, calculateTotalReturn } = require('./metrics');
+
+/**
+ * Engine de backtesting
+ */
+class BacktestEngine {
+  /**
+   * @param {Object} options
+   * @param {String} options.network - Rede dos dados (padrão: rede ativa)
+   * @param {Array} options.pairs - Pares a simular (padrão: TRADING_PAIRS)
+   * @param {String} options.from - Primeiro dia (YYYY-MM-DD)
+   * @param {String} options.to - Último dia (YYYY-MM-DD)
+   * @param {String} options.strategy - grid | momentum | auto (padrão: DEFAULT_STRATEGY)
+   * @param {Object} options.strategyConfig - Overrides por estratégia ({ grid: {...}, momentum: {...} })
+   * @param {Object} options.riskConfig - Overrides de risco ({ stopLossTrailing, takeProfitLevels, maxPositionPercent })
+   * @param {Number} options.initialCapital - Capital inicial (padrão: INITIAL_CAPITAL)
+   * @param {Number} options.slippage - Slippage simulado
+   * @param {Number} options.gasCostUSD - Gas por swap em USD
+   * @param {Object} options.records - Registros já carregados ({ pair: [...] }), ignora from/to
+   * @param {String} options.outputDir - Diretório do resultado (padrão: data/backtests)
+   * @param {Boolean} options.save - Salva arquivo de resultado (padrão: true)
+   */
+  constructor(options = {}) {
+    this.network = options.network || config.network.active;
+    this.pairs = options.pairs || config.bot.pairs;
+    this.from = options.from || null;
+    this.to = options.to || null;
+    this.strategy = options.strategy || config.strategies.default;
+    this.strategyConfig = options.strategyConfig || {};
+    this.riskConfig = options.riskConfig || {};
+    this.initialCapital = options.initialCapital ?? config.bot.initialCapital;
+    this.outputDir = options.outputDir || config.paths.backtests;
+    this.save = options.save ?? true;
+
+    this.records = options.records || null;
+    this.marketStorage = options.marketStorage || defaultStorageManager;
+
+    this.simulatorOptions = {
+      slippage: options.slippage,
+      gasCostUSD: options.gasCostUSD,
+      feeRate: options.feeRate,
+    };
+  }
+
+  /**
+   * Carrega registros JSONL de cada par
+   */
+  loadRecords() {
+    if (this.records) {
+      return this.records;
+    }
+
+    return this.pairs.reduce((acc, pair) => {
+      acc[pair] = this.marketStorage.loadMarketHistory(this.network, pair, { from: this.from, to: this.to });
+      logger.info(`📂 ${pair}: ${acc[pair].length} registros carregados (${this.network})`);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Monta módulos do bot com relógio virtual e eventos isolados
+   */
+  setup(records) {
+    const clock = new VirtualClock();
+    const events = new BotEventEmitter();
+    const replay = new MarketReplay(records, clock);
+    const timeline = replay.getTimeline();
+
+    if (timeline.length === 0) {
+      throw new Error(`Sem dados de mercado para ${this.pairs.join(', ')} (${this.network})`);
+    }
+
+    clock.set(timeline[0]);
+
+    const createStrategyManager = () => new StrategyManager({
+      clock,
+      strategyConfig: this.strategyConfig,
+      defaultStrategy: this.strategy,
+    });
+
+    const positionManager = new PositionManager({
+      clock,
+      initialCapital: this.initialCapital,
+      maxPositionPercent: this.riskConfig.maxPositionPercent,
+    });
+    const simulator = new TradeSimulator(this.simulatorOptions);
+
+    const storage = new StorageManager({
+      clock,
+      cyclesDir: this.outputDir,
+      initialCapital: this.initialCapital,
+      persist: this.save,
+    });
+
+    const pipeline = new TradingPipeline({
+      collector: replay,
+      executor: simulator,
+      pairs: this.pairs,
+      strategyManager: createStrategyManager(),
+      createStrategyManager,
+      positionManager,
+      exitManager: new ExitManager({
+        clock,
+        stopLossTrailing: this.riskConfig.stopLossTrailing,
+        takeProfitLevels: this.riskConfig.takeProfitLevels,
+      }),
+      drawdownManager: new DrawdownManager({ clock, events, initialCapital: this.initialCapital }),
+      storage,
+      clock,
+      events,
+      logTrades: false,
+    });
+
+    return { clock, events, replay, timeline, simulator, storage, pipeline, positionManager };
+  }
+
+  /**
+   * Reações do bot aos níveis de drawdown (mesmas do JasonBotTrader)
+   */
+  bindDrawdownHandlers(context, state) {
+    const { events, storage, pipeline, positionManager } = context;
+
+    const switchToGrid = reason => {
+      for (const manager of pipeline.strategyManagers.values()) {
+        manager.forceSwitch('grid', reason);
+      }
+    };
+
+    events.on(EVENTS.DRAWDOWN_LEVEL_1, data => {
+      storage.addEvent(EVENTS.DRAWDOWN_LEVEL_1, data);
+      switchToGrid('drawdown_level_1');
+    });
+
+    events.on(EVENTS.DRAWDOWN_LEVEL_2, data => {
+      storage.addEvent(EVENTS.DRAWDOWN_LEVEL_2, data);
+      positionManager.maxPositionPercent = Math.min(positionManager.maxPositionPercent, 0.05);
+      switchToGrid('drawdown_level_2');
+    });
+
+    events.on(EVENTS.DRAWDOWN_LEVEL_3, data => {
+      storage.addEvent(EVENTS.DRAWDOWN_LEVEL_3, data);
+      state.halted = true;
+    });
+  }
+
+  /**
+   * Executa o backtest
+   *
+   * @returns {Object} - Ciclo finalizado (formato data/cycles) + seção backtest
+   */
+  async run() {
+    const records = this.loadRecords();
+    const context = this.setup(records);
+    const { clock, replay, timeline, simulator, storage, pipeline, positionManager } = context;
+    const state = { halted: false };
+
+    this.bindDrawdownHandlers(context, state);
+
+    const cycleId = `backtest-${this.strategy}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    storage.startNewCycle(this.network, this.strategy, { simulated: true, executionMode: 'backtest', cycleId });
+
+    botEvents.emit(EVENTS.BACKTEST_STARTED, { cycleId, pairs: this.pairs, ticks: timeline.length });
+    logger.info(`⏪ Backtest ${cycleId}: ${timeline.length} ticks, ${this.pairs.join(', ')}`);
+
+    await pipeline.initialize();
+
+    const equityCurve = [];
+    let ticks = 0;
+
+    for (const time of timeline) {
+      clock.set(time);
+      await pipeline.runCycle();
+
+      equityCurve.push({ time, equity: pipeline.getEquity() });
+      ticks++;
+
+      if (state.halted) {
+        logger.warn('🛑 Backtest interrompido: drawdown nível 3');
+        break;
+      }
+    }
+
+    // Fecha posições abertas no último preço (realiza P&L no ciclo)
+    for (const pair of this.pairs) {
+      const lastPrice = replay.getLastPrice(pair);
+
+      if (positionManager.hasOpenPosition(pair) && lastPrice) {
+        await pipeline.executeOrder(pipeline.buildSellOrder(pair, 1, lastPrice, 'backtest_end'));
+      }
+    }
+
+    equityCurve.push({ time: clock.now(), equity: pipeline.getEquity() });
+
+    // Métricas da curva de patrimônio (ciclos live não preenchem estes campos)
+    storage.currentCycle.maxDrawdown = calculateMaxDrawdown(equityCurve);
+    storage.currentCycle.metrics.sharpeRatio = calculateSharpeRatio(equityCurve);
+    storage.currentCycle.backtest = {
+      from: new Date(timeline[0]).toISOString(),
+      to: new Date(clock.now()).toISOString(),
+      pairs: this.pairs,
+      ticks,
+      totalTicks: timeline.length,
+      halted: state.halted,
+      strategyConfig: this.strategyConfig,
+      riskConfig: this.riskConfig,
+      finalEquity: pipeline.getEquity(),
+      totalReturn: calculateTotalReturn(equityCurve),
+      simulator: {
+        slippage: simulator.slippage,
+        feeRate: simulator.feeRate,
+        gasCostUSD: simulator.gasCostUSD,
+        ...simulator.getStats(),
+      },
+    };
+
+    const file = this.save ? storage.currentCycleFile : null;
+    const cycle = storage.finalizeCycle();
+
+    if (file) {
+      logger.info(`💾 Resultado do backtest salvo em ${file}`);
+    }
+
+    botEvents.emit(EVENTS.BACKTEST_COMPLETED, {
+      cycleId: cycle.cycleId,
+      pnl: cycle.pnl,
+      totalTrades: cycle.totalTrades,
+    });
+
+    return cycle;
+  }
+}
+
+module.exports = {
+  BacktestEngine,
+};
@@ -0,0 +1,76 @@
+/**
+ * Métricas de Backtesting - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Métricas calculadas sobre a curva de patrimônio do backtest
+ * (complementam as métricas de trades do StorageManager.calculateMetrics)
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Drawdown máximo da curva de patrimônio (percentual negativo, ex: -7.5)
+ *
+ * @param {Array} equityCurve - [{ time, equity }]
+ */
+function calculateMaxDrawdown(equityCurve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    const drawdown = (point.equity - peak) / peak;
+    maxDrawdown = Math.min(maxDrawdown, drawdown);
+  }
+
+  return maxDrawdown * 100;
+}
+
+/**
+ * Sharpe ratio anualizado (taxa livre de risco = 0)
+ * Período inferido do intervalo médio entre pontos da curva
+ */
+function calculateSharpeRatio(equityCurve) {
+  if (equityCurve.length < 3) {
+    return null;
+  }
+
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    returns.push((equityCurve[i].equity - equityCurve[i - 1].equity) / equityCurve[i - 1].equity);
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+  const stdDev = Math.sqrt(variance);
+
+  if (stdDev === 0) {
+    return null;
+  }
+
+  const elapsed = equityCurve[equityCurve.length - 1].time - equityCurve[0].time;
+  const periodMs = elapsed / returns.length;
+  const periodsPerYear = periodMs > 0 ? YEAR_MS / periodMs : 0;
+
+  return (mean / stdDev) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Retorno total da curva (%)
+ */
+function calculateTotalReturn(equityCurve) {
+  if (equityCurve.length < 2) {
+    return 0;
+  }
+
+  const first = equityCurve[0].equity;
+  const last = equityCurve[equityCurve.length - 1].equity;
+
+  return ((last - first) / first) * 100;
+}
+
+module.exports = {
+  calculateMaxDrawdown,
+  calculateSharpeRatio,
+  calculateTotalReturn,
+};
@@ -0,0 +1,445 @@
+/**
+ * Otimizador de Parâmetros - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Busca em grade (grid search) ou aleatória (random search) sobre parâmetros
+ * de config.strategies e config.risk, validada com walk-forward:
+ * cada combinação roda no trecho de treino e no trecho de teste (fora da amostra)
+ * de cada janela; o ranking usa apenas o desempenho de teste.
+ */
+
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { storageManager: defaultStorageManager } = require('../data/storage');
+const { BacktestEngine } = require('./engine');
+
+/**
+ * Variáveis do .env → caminho do parâmetro no otimizador
+ */
+const PARAMETER_ALIASES = {
+  GRID_LEVELS: 'grid.levels',
+  GRID_RANGE_MIN: 'grid.rangeMin',
+  GRID_RANGE_MAX: 'grid.rangeMax',
+  GRID_AMOUNT_PER_LEVEL: 'grid.amountPerLevel',
+  MOMENTUM_ENTRY_THRESHOLD: 'momentum.entryThreshold',
+  MOMENTUM_EXIT_THRESHOLD: 'momentum.exitThreshold',
+  MOMENTUM_VOLUME_MULTIPLIER: 'momentum.volumeMultiplier',
+  MOMENTUM_RSI_ENTRY: 'momentum.rsiEntry',
+  MOMENTUM_RSI_EXIT: 'momentum.rsiExit',
+  STOP_LOSS_TRAILING_PERCENT: 'risk.stopLossTrailing',
+  MAX_POSITION_PERCENT: 'risk.maxPositionPercent',
+  TAKE_PROFIT_LEVEL_1: 'risk.takeProfitLevel1',
+  TAKE_PROFIT_LEVEL_2: 'risk.takeProfitLevel2',
+  TAKE_PROFIT_LEVEL_3: 'risk.takeProfitLevel3',
+};
+
+/**
+ * Espaços de busca padrão por estratégia
+ */
+const DEFAULT_SPACES = {
+  grid: {
+    'grid.levels': [3, 5, 7],
+    'grid.rangeMin': [-0.10, -0.05, -0.03],
+    'grid.rangeMax': [0.03, 0.05, 0.10],
+    'risk.stopLossTrailing': [0.02, 0.03, 0.05],
+  },
+  momentum: {
+    'momentum.entryThreshold': [0.03, 0.05, 0.08],
+    'momentum.exitThreshold': [0.02, 0.03, 0.05],
+    'momentum.volumeMultiplier': [1.5, 2, 3],
+    'risk.stopLossTrailing': [0.02, 0.03, 0.05],
+  },
+};
+
+/**
+ * Resolve alias do .env para caminho do parâmetro
+ */
+function resolveParameter(key) {
+  return PARAMETER_ALIASES[key] || key;
+}
+
+/**
+ * Expande definição de parâmetro em lista de valores
+ * Aceita array ou { min, max, step }
+ */
+function expandValues(definition) {
+  if (Array.isArray(definition)) {
+    return definition;
+  }
+
+  const { min, max, step } = definition;
+  if (min === undefined || max === undefined || !step) {
+    throw new Error(`Definição de parâmetro inválida: ${JSON.stringify(definition)}`);
+  }
+
+  const values = [];
+  const decimals = (String(step).split('.')[1] || '').length;
+
+  for (let value = min; value <= max + step / 1e6; value += step) {
+    values.push(parseFloat(value.toFixed(decimals)));
+  }
+
+  return values;
+}
+
+/**
+ * Normaliza espaço de busca: { caminho: [valores] }
+ */
+function normalizeSpace(space) {
+  return Object.entries(space).reduce((acc, [key, definition]) => {
+    acc[resolveParameter(key)] = expandValues(definition);
+    return acc;
+  }, {});
+}
+
+/**
+ * Produto cartesiano do espaço (grid search)
+ */
+function gridSearch(space) {
+  return Object.entries(space).reduce((combinations, [key, values]) => {
+    const next = [];
+    combinations.forEach(combination => {
+      values.forEach(value => next.push({ ...combination, [key]: value }));
+    });
+    return next;
+  }, [{}]);
+}
+
+/**
+ * Gerador pseudo-aleatório com seed (mulberry32) para buscas reproduzíveis
+ */
+function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Amostras aleatórias únicas do espaço (random search)
+ */
+function randomSearch(space, samples, random = createRandom()) {
+  const total = Object.values(space).reduce((product, values) => product * values.length, 1);
+  const target = Math.min(samples, total);
+  const seen = new Set();
+  const combinations = [];
+
+  while (combinations.length < target) {
+    const combination = {};
+    for (const [key, values] of Object.entries(space)) {
+      combination[key] = values[Math.floor(random() * values.length)];
+    }
+
+    const id = JSON.stringify(combination);
+    if (!seen.has(id)) {
+      seen.add(id);
+      combinations.push(combination);
+    }
+  }
+
+  return combinations;
+}
+
+/**
+ * Converte combinação de parâmetros em options do BacktestEngine
+ */
+function toEngineOptions(params) {
+  const strategyConfig = {};
+  const riskConfig = {};
+  const takeProfitPercents = {};
+
+  for (const [key, value] of Object.entries(params)) {
+    const [group, name] = key.split('.');
+
+    if (group === 'grid' || group === 'momentum') {
+      strategyConfig[group] = { ...strategyConfig[group], [name]: value };
+    } else if (group === 'risk') {
+      const level = name.match(/^takeProfitLevel(\d)$/);
+      if (level) {
+        takeProfitPercents[Number(level[1]) - 1] = value;
+      } else {
+        riskConfig[name] = value;
+      }
+    } else {
+      throw new Error(`Parâmetro desconhecido: ${key}`);
+    }
+  }
+
+  if (Object.keys(takeProfitPercents).length > 0) {
+    riskConfig.takeProfitLevels = config.risk.takeProfitLevels.map((level, index) => ({
+      percent: takeProfitPercents[index] ?? level.percent,
+      amount: level.amount,
+    }));
+  }
+
+  return { strategyConfig, riskConfig };
+}
+
+/**
+ * Divide registros em janelas walk-forward consecutivas (treino → teste)
+ *
+ * @param {Object} recordsByPair - { pair: [registros] }
+ * @param {Number} folds - Número de janelas
+ * @param {Number} trainRatio - Fração de cada janela usada para treino
+ */
+function splitWalkForward(recordsByPair, folds = 3, trainRatio = 0.7) {
+  const times = new Set();
+  Object.values(recordsByPair).forEach(records => {
+    records.forEach(record => times.add(new Date(record.timestamp).getTime()));
+  });
+
+  const timeline = [...times].sort((a, b) => a - b);
+  const windowSize = Math.floor(timeline.length / folds);
+
+  if (windowSize < 2) {
+    throw new Error(`Dados insuficientes para ${folds} janelas walk-forward (${timeline.length} ticks)`);
+  }
+
+  const slice = (start, end) => Object.entries(recordsByPair).reduce((acc, [pair, records]) => {
+    acc[pair] = records.filter(record => {
+      const time = new Date(record.timestamp).getTime();
+      return time >= start && time < end;
+    });
+    return acc;
+  }, {});
+
+  const windows = [];
+
+  for (let i = 0; i < folds; i++) {
+    const startIndex = i * windowSize;
+    const endIndex = i === folds - 1 ? timeline.length : startIndex + windowSize;
+    const splitIndex = startIndex + Math.max(1, Math.floor((endIndex - startIndex) * trainRatio));
+
+    const start = timeline[startIndex];
+    const split = timeline[splitIndex];
+    const end = endIndex < timeline.length ? timeline[endIndex] : timeline[timeline.length - 1] + 1;
+
+    windows.push({
+      fold: i + 1,
+      train: slice(start, split),
+      test: slice(split, end),
+      trainRange: [new Date(start).toISOString(), new Date(split).toISOString()],
+      testRange: [new Date(split).toISOString(), new Date(end).toISOString()],
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Agrega ciclos de backtest (P&L, profit factor, drawdown, win rate)
+ * Win rate considera apenas trades fechados (com P&L)
+ */
+function summarizeCycles(cycles) {
+  const closed = cycles.flatMap(cycle => cycle.trades.filter(trade => trade.pnl !== null));
+  const grossProfit = closed.filter(t => t.pnl > 0).reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = Math.abs(closed.filter(t => t.pnl < 0).reduce((sum, t) => sum + t.pnl, 0));
+  const wins = closed.filter(t => t.pnl > 0).length;
+
+  return {
+    pnl: cycles.reduce((sum, cycle) => sum + cycle.pnl, 0),
+    pnlPercent: cycles.reduce((sum, cycle) => sum + cycle.pnlPercent, 0) / cycles.length,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+    maxDrawdown: Math.min(...cycles.map(cycle => cycle.maxDrawdown)),
+    winRate: closed.length > 0 ? (wins / closed.length) * 100 : null,
+    trades: closed.length,
+    profitableFolds: cycles.filter(cycle => cycle.pnl > 0).length,
+  };
+}
+
+/**
+ * Otimizador walk-forward
+ */
+class ParameterOptimizer {
+  /**
+   * @param {Object} options
+   * @param {String} options.strategy - grid | momentum
+   * @param {Object} options.space - Espaço de busca ({ 'grid.levels': [3, 5], GRID_RANGE_MIN: { min, max, step } })
+   * @param {String} options.method - grid | random
+   * @param {Number} options.samples - Amostras no random search
+   * @param {Number} options.seed - Seed do random search
+   * @param {Number} options.folds - Janelas walk-forward
+   * @param {Number} options.trainRatio - Fração de treino por janela
+   * @param {Object} options.records - Registros já carregados ({ pair: [...] })
+   * @param {Object} options.engineOptions - Options repassadas ao BacktestEngine (network, pairs, from, to, capital...)
+   */
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'grid';
+    this.space = normalizeSpace(options.space || DEFAULT_SPACES[this.strategy] || {});
+    this.method = options.method || 'grid';
+    this.samples = options.samples || 50;
+    this.seed = options.seed ?? Date.now();
+    this.folds = options.folds || 3;
+    this.trainRatio = options.trainRatio || 0.7;
+    this.records = options.records || null;
+    this.engineOptions = options.engineOptions || {};
+    this.marketStorage = options.marketStorage || defaultStorageManager;
+  }
+
+  /**
+   * Combinações a avaliar
+   */
+  getCombinations() {
+    if (Object.keys(this.space).length === 0) {
+      throw new Error('Espaço de busca vazio');
+    }
+
+    return this.method === 'random'
+      ? randomSearch(this.space, this.samples, createRandom(this.seed))
+      : gridSearch(this.space);
+  }
+
+  /**
+   * Carrega registros do período
+   */
+  loadRecords() {
+    if (this.records) {
+      return this.records;
+    }
+
+    const { network = config.network.active, pairs = config.bot.pairs, from, to } = this.engineOptions;
+
+    return pairs.reduce((acc, pair) => {
+      acc[pair] = this.marketStorage.loadMarketHistory(network, pair, { from, to });
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Roda um backtest sem salvar arquivo
+   */
+  async backtest(records, params) {
+    const engine = new BacktestEngine({
+      ...this.engineOptions,
+      ...toEngineOptions(params),
+      pairs: Object.keys(records),
+      strategy: this.strategy,
+      records,
+      save: false,
+    });
+
+    return engine.run();
+  }
+
+  /**
+   * Avalia todas as combinações em todas as janelas
+   *
+   * @returns {Object} - { results (ranking), windows, combinations }
+   */
+  async run() {
+    const records = this.loadRecords();
+    const windows = splitWalkForward(records, this.folds, this.trainRatio);
+    const combinations = this.getCombinations();
+
+    logger.info(`🔬 Otimizando ${this.strategy}: ${combinations.length} combinações × ${windows.length} janelas (${this.method})`);
+
+    const results = [];
+
+    for (const [index, params] of combinations.entries()) {
+      const trainCycles = [];
+      const testCycles = [];
+
+      for (const window of windows) {
+        trainCycles.push(await this.backtest(window.train, params));
+        testCycles.push(await this.backtest(window.test, params));
+      }
+
+      const train = summarizeCycles(trainCycles);
+      const test = summarizeCycles(testCycles);
+
+      results.push({
+        params,
+        train,
+        test,
+        // Diferença treino - teste: quanto maior, mais sobreajustado
+        overfitGap: train.pnlPercent - test.pnlPercent,
+      });
+
+      logger.debug(`Combinação ${index + 1}/${combinations.length}: teste ${test.pnlPercent.toFixed(2)}%`);
+    }
+
+    return {
+      strategy: this.strategy,
+      method: this.method,
+      seed: this.method === 'random' ? this.seed : null,
+      folds: this.folds,
+      trainRatio: this.trainRatio,
+      windows: windows.map(({ fold, trainRange, testRange }) => ({ fold, trainRange, testRange })),
+      combinations: combinations.length,
+      results: rankResults(results),
+    };
+  }
+}
+
+/**
+ * Ranking: P&L médio fora da amostra; empate → menor drawdown
+ */
+function rankResults(results) {
+  return [...results]
+    .sort((a, b) => (b.test.pnlPercent - a.test.pnlPercent) || (b.test.maxDrawdown - a.test.maxDrawdown))
+    .map((result, index) => ({ rank: index + 1, ...result }));
+}
+
+/**
+ * Formata ranking como tabela de texto
+ */
+function formatResultsTable(results, limit = 20) {
+  const format = (value, digits = 2) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (value === Infinity) return '∞';
+    return value.toFixed(digits);
+  };
+
+  const header = ['#', 'Teste P&L %', 'Treino P&L %', 'Profit F.', 'Max DD %', 'Win %', 'Trades', 'Janelas +', 'Parâmetros'];
+  const rows = results.slice(0, limit).map(result => [
+    String(result.rank),
+    format(result.test.pnlPercent),
+    format(result.train.pnlPercent),
+    format(result.test.profitFactor),
+    format(result.test.maxDrawdown),
+    format(result.test.winRate, 1),
+    String(result.test.trades),
+    String(result.test.profitableFolds),
+    Object.entries(result.params).map(([key, value]) => `${key}=${value}`).join(' '),
+  ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = row => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ');
+
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Converte parâmetros em linhas de .env
+ */
+function toEnvLines(params) {
+  const reverse = Object.entries(PARAMETER_ALIASES).reduce((acc, [env, key]) => {
+    acc[key] = env;
+    return acc;
+  }, {});
+
+  return Object.entries(params)
+    .filter(([key]) => reverse[key])
+    .map(([key, value]) => `${reverse[key]}=${value}`);
+}
+
+module.exports = {
+  ParameterOptimizer,
+  PARAMETER_ALIASES,
+  DEFAULT_SPACES,
+  normalizeSpace,
+  gridSearch,
+  randomSearch,
+  createRandom,
+  toEngineOptions,
+  splitWalkForward,
+  summarizeCycles,
+  rankResults,
+  formatResultsTable,
+  toEnvLines,
+};
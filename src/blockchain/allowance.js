@@ -0,0 +1,396 @@
+/**
+ * Allowance Manager - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Gerencia aprovações de tokens (allowance) da wallet do bot
+ * - Cache de allowance por (rede, token, spender): trade só consulta a chain quando o cache não cobre
+ * - Políticas: exact (valor do trade), buffered (N× o valor), infinite (MaxUint256) e permit2
+ *   (token aprovado uma vez ao Permit2 + allowance com expiração para o spender no Permit2;
+ *   só para spenders em PERMIT2_SPENDERS: o SwapRouter V3 usa transferFrom e é recusado)
+ * - prepare(): aprova em lote antes dos trades (ex: quote de cada par ao router na inicialização)
+ * - revokeAll(): zera as aprovações concedidas pelo bot (REVOKE_APPROVALS_ON_SHUTDOWN)
+ * - getOutstanding(): aprovações em aberto para revisão de segurança (GET /api/approvals)
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { providerManager: defaultProviderManager } = require('./provider');
+const { walletManager: defaultWalletManager } = require('./wallet');
+const sushiswap = require('./sushiswap');
+
+const POLICIES = ['exact', 'buffered', 'infinite', 'permit2'];
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const ERC20 = new ethers.Interface(sushiswap.ERC20_ABI);
+const PERMIT2 = new ethers.Interface(sushiswap.PERMIT2_ABI);
+
+/**
+ * Gerenciador de allowances
+ */
+class AllowanceManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.walletManager - Dono das aprovações e envio das transações
+   * @param {String} options.policy - exact | buffered | infinite | permit2 (padrão: APPROVAL_POLICY)
+   * @param {Number} options.bufferMultiplier - Multiplicador da política buffered
+   * @param {Boolean} options.revokeOnShutdown - Zera aprovações ao parar o bot
+   * @param {String} options.permit2 - Endereço do contrato Permit2
+   * @param {Number} options.permit2Expiration - Validade da allowance no Permit2 (segundos)
+   * @param {Array<String>} options.permit2Spenders - Spenders que puxam tokens pelo Permit2 (padrão: PERMIT2_SPENDERS)
+   * @param {Number} options.txTimeout - Espera máxima do receipt da aprovação (ms)
+   */
+  constructor(options = {}) {
+    const approvals = config.execution.approvals;
+
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.walletManager = options.walletManager || defaultWalletManager;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+
+    this.policy = options.policy || approvals.policy;
+    this.bufferMultiplier = options.bufferMultiplier ?? approvals.bufferMultiplier;
+    this.revokeOnShutdown = options.revokeOnShutdown ?? approvals.revokeOnShutdown;
+    this.permit2 = options.permit2 || approvals.permit2;
+    this.permit2Expiration = options.permit2Expiration ?? approvals.permit2Expiration;
+    this.permit2Spenders = (options.permit2Spenders || approvals.permit2Spenders).map(spender => spender.toLowerCase());
+    this.txTimeout = options.txTimeout ?? config.risk.orderTimeout;
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Política de aprovação inválida: ${this.policy} (use ${POLICIES.join(', ')})`);
+    }
+
+    this.allowances = new Map(); // `${rede}:${token}:${spender}` -> registro da allowance
+  }
+
+  getNetwork() {
+    return this.providerManager.currentNetwork || config.network.active;
+  }
+
+  getKey(network, token, spender) {
+    return `${network}:${token.toLowerCase()}:${spender.toLowerCase()}`;
+  }
+
+  /**
+   * Valor a aprovar para cobrir `amount` segundo a política
+   */
+  getTargetAmount(amount) {
+    switch (this.policy) {
+    case 'infinite':
+      return ethers.MaxUint256;
+    case 'buffered':
+      return (amount * BigInt(Math.round(this.bufferMultiplier * 100))) / 100n;
+    case 'permit2': {
+      const buffered = (amount * BigInt(Math.round(this.bufferMultiplier * 100))) / 100n;
+      return buffered > MAX_UINT160 ? MAX_UINT160 : buffered;
+    }
+    default:
+      return amount;
+    }
+  }
+
+  /**
+   * Allowance atual (cache; refresh força leitura na chain)
+   * Na política permit2 considera a allowance do Permit2 (e sua expiração)
+   */
+  async getAllowance(token, spender, refresh = false) {
+    const network = this.getNetwork();
+    const key = this.getKey(network, token, spender);
+    const cached = this.allowances.get(key);
+
+    if (cached && !refresh) {
+      return this.isExpired(cached) ? 0n : cached.amount;
+    }
+
+    const provider = this.providerManager.getProvider();
+    const owner = this.walletManager.getAddress();
+    let amount;
+    let expiration = null;
+
+    if (this.policy === 'permit2') {
+      const [tokenData, permitData] = await Promise.all([
+        provider.call({ to: token, data: ERC20.encodeFunctionData('allowance', [owner, this.permit2]) }),
+        provider.call({ to: this.permit2, data: PERMIT2.encodeFunctionData('allowance', [owner, token, spender]) }),
+      ]);
+      const tokenAllowance = ERC20.decodeFunctionResult('allowance', tokenData)[0];
+      const permit = PERMIT2.decodeFunctionResult('allowance', permitData);
+
+      // Permit2 só transfere até o que o token aprovou a ele
+      amount = permit.amount < tokenAllowance ? permit.amount : tokenAllowance;
+      expiration = Number(permit.expiration);
+      this.record(network, this.permit2, token, tokenAllowance, { via: 'erc20' });
+    } else {
+      const data = await provider.call({ to: token, data: ERC20.encodeFunctionData('allowance', [owner, spender]) });
+      amount = ERC20.decodeFunctionResult('allowance', data)[0];
+    }
+
+    const entry = this.record(network, spender, token, amount, {
+      via: this.policy === 'permit2' ? 'permit2' : 'erc20',
+      expiration,
+      granted: cached?.granted || false,
+    });
+
+    return this.isExpired(entry) ? 0n : amount;
+  }
+
+  /**
+   * Garante allowance >= amount (aprova segundo a política quando falta)
+   *
+   * @returns {Object} - registro atualizado ou null (allowance já suficiente)
+   */
+  async ensureAllowance(token, spender, amount) {
+    // Allowance no Permit2 não cobre spender que chama transferFrom direto (swap reverteria)
+    if (this.policy === 'permit2' && !this.permit2Spenders.includes(spender.toLowerCase())) {
+      throw new Error(`${this.describeSpender(spender)} não puxa tokens pelo Permit2 (APPROVAL_POLICY=permit2 exige spender em PERMIT2_SPENDERS)`);
+    }
+
+    if ((await this.getAllowance(token, spender)) >= amount) {
+      return null;
+    }
+
+    // Cache pode estar defasado (aprovação externa): confirma na chain antes de gastar gas
+    if ((await this.getAllowance(token, spender, true)) >= amount) {
+      return null;
+    }
+
+    const target = this.getTargetAmount(amount);
+
+    if (this.policy === 'permit2') {
+      return await this.approvePermit2(token, spender, target);
+    }
+
+    return await this.approve(token, spender, target);
+  }
+
+  /**
+   * Aprova em lote antes dos trades (sequencial: nonces em ordem)
+   *
+   * @param {Array} requirements - [{ token, spender, amount }]
+   */
+  async prepare(requirements) {
+    const results = [];
+
+    for (const { token, spender, amount } of requirements) {
+      try {
+        results.push({ token, spender, approved: (await this.ensureAllowance(token, spender, amount)) !== null });
+      } catch (error) {
+        logger.warn(`Aprovação antecipada falhou (${this.describeToken(token)} → ${this.describeSpender(spender)}): ${error.message}`);
+        results.push({ token, spender, approved: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Requisitos para os pares operados: quote de cada par ao router (compras)
+   * Na política exact aprova o orçamento máximo de uma posição
+   */
+  getPairRequirements(pairs, budgetUSD) {
+    const network = this.getNetwork();
+    const spender = sushiswap.getContracts(network).router;
+    const seen = new Set();
+
+    return pairs
+      .map(pair => sushiswap.resolvePair(pair, network).quote)
+      .filter(quote => !seen.has(quote.address) && seen.add(quote.address))
+      .map(quote => ({
+        token: quote.address,
+        spender,
+        amount: ethers.parseUnits(Number(budgetUSD).toFixed(quote.decimals), quote.decimals),
+      }));
+  }
+
+  /**
+   * Aprova antecipadamente o quote dos pares ao router (orçamento de uma posição)
+   */
+  async prepareForPairs(pairs, budgetUSD = config.bot.initialCapital * config.bot.maxPositionPercent) {
+    const results = await this.prepare(this.getPairRequirements(pairs, budgetUSD));
+    const approved = results.filter(result => result.approved).length;
+
+    logger.info(`🔐 Allowances verificadas: ${results.length} token(s), ${approved} aprovação(ões) enviada(s)`);
+    return results;
+  }
+
+  /**
+   * approve(spender, amount) no token
+   */
+  async approve(token, spender, amount, { via = 'erc20', revoke = false } = {}) {
+    const receipt = await this.send(token, ERC20.encodeFunctionData('approve', [spender, amount]));
+    return this.onApproved(spender, token, amount, receipt, { via, revoke });
+  }
+
+  /**
+   * Permit2: token → Permit2 (infinito, uma vez) + Permit2.approve(token, spender, amount, expiration)
+   */
+  async approvePermit2(token, spender, amount) {
+    const network = this.getNetwork();
+    const tokenEntry = this.allowances.get(this.getKey(network, token, this.permit2));
+
+    if (!tokenEntry || tokenEntry.amount < amount) {
+      await this.approve(token, this.permit2, ethers.MaxUint256);
+    }
+
+    const expiration = Math.floor(this.clock.now() / 1000) + this.permit2Expiration;
+    const receipt = await this.send(this.permit2, PERMIT2.encodeFunctionData('approve', [token, spender, amount, expiration]));
+
+    return this.onApproved(spender, token, amount, receipt, { via: 'permit2', expiration });
+  }
+
+  /**
+   * Envia transação de aprovação e aguarda o receipt
+   */
+  async send(to, data) {
+    const txResponse = await this.walletManager.sendTransaction({ to, data }, { label: 'approve' });
+    const receipt = await this.providerManager.waitForTransaction(txResponse.hash, 1, this.txTimeout);
+
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Aprovação revertida: ${txResponse.hash}`);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Atualiza cache e emite evento após aprovação/revogação confirmada
+   */
+  onApproved(spender, token, amount, receipt, { via, expiration = null, revoke = false }) {
+    const network = this.getNetwork();
+    const entry = this.record(network, spender, token, amount, { via, expiration, granted: !revoke, txHash: receipt.hash });
+    const description = `${this.describeToken(token)} → ${this.describeSpender(spender)}`;
+
+    if (revoke) {
+      logger.info(`🔒 Aprovação revogada: ${description}`);
+      this.events.emit(EVENTS.APPROVAL_REVOKED, this.toReport(entry));
+    } else {
+      logger.info(`🔓 Aprovação ${via === 'permit2' ? 'Permit2 ' : ''}(${this.policy}): ${description} = ${amount === ethers.MaxUint256 ? '∞' : amount.toString()}`);
+      this.events.emit(EVENTS.APPROVAL_UPDATED, this.toReport(entry));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Registra allowance no cache
+   */
+  record(network, spender, token, amount, { via = 'erc20', expiration = null, granted = false, txHash = null } = {}) {
+    const key = this.getKey(network, token, spender);
+    const previous = this.allowances.get(key);
+
+    const entry = {
+      network,
+      token,
+      spender,
+      amount,
+      via,
+      expiration,
+      granted: granted || previous?.granted || false,
+      txHash: txHash || previous?.txHash || null,
+      updatedAt: this.clock.toISOString(),
+    };
+
+    this.allowances.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Allowance do Permit2 com expiração vencida
+   */
+  isExpired(entry) {
+    return entry.expiration !== null && entry.expiration > 0 && entry.expiration * 1000 <= this.clock.now();
+  }
+
+  /**
+   * Debita allowance usada em um trade (mantém o cache alinhado sem reler a chain)
+   */
+  consume(token, spender, amount) {
+    const entry = this.allowances.get(this.getKey(this.getNetwork(), token, spender));
+
+    if (entry && entry.amount !== ethers.MaxUint256) {
+      entry.amount = entry.amount > amount ? entry.amount - amount : 0n;
+    }
+  }
+
+  /**
+   * Zera as aprovações concedidas pelo bot (tokens ao router/Permit2)
+   */
+  async revokeAll() {
+    const granted = Array.from(this.allowances.values()).filter(entry => entry.granted && entry.amount > 0n && entry.via === 'erc20');
+    const revoked = [];
+
+    for (const entry of granted) {
+      try {
+        await this.approve(entry.token, entry.spender, 0n, { revoke: true });
+        revoked.push(entry);
+      } catch (error) {
+        logger.error(`Falha ao revogar ${this.describeToken(entry.token)} → ${this.describeSpender(entry.spender)}: ${error.message}`);
+      }
+    }
+
+    return revoked.length;
+  }
+
+  /**
+   * Símbolo do token configurado (ou endereço)
+   */
+  describeToken(token) {
+    const tokens = config.tokens[this.getNetwork()] || {};
+    const symbol = Object.keys(tokens).find(key => tokens[key].address.toLowerCase() === token.toLowerCase());
+    return symbol || token;
+  }
+
+  /**
+   * Nome do spender conhecido (router, permit2) ou endereço
+   */
+  describeSpender(spender) {
+    const contracts = config.contracts[this.getNetwork()] || {};
+    const name = Object.keys(contracts).find(key => contracts[key].toLowerCase() === spender.toLowerCase());
+
+    if (name) return name;
+    return spender.toLowerCase() === this.permit2.toLowerCase() ? 'permit2' : spender;
+  }
+
+  /**
+   * Registro serializável (JSON da API/socket)
+   */
+  toReport(entry) {
+    return {
+      network: entry.network,
+      token: entry.token,
+      symbol: this.describeToken(entry.token),
+      spender: entry.spender,
+      spenderName: this.describeSpender(entry.spender),
+      amount: entry.amount.toString(),
+      infinite: entry.amount >= MAX_UINT160,
+      via: entry.via,
+      expiration: entry.expiration ? new Date(entry.expiration * 1000).toISOString() : null,
+      expired: this.isExpired(entry),
+      grantedByBot: entry.granted,
+      txHash: entry.txHash,
+      updatedAt: entry.updatedAt,
+    };
+  }
+
+  /**
+   * Aprovações em aberto (allowance > 0) para revisão de segurança
+   */
+  getOutstanding() {
+    return {
+      policy: this.policy,
+      revokeOnShutdown: this.revokeOnShutdown,
+      approvals: Array.from(this.allowances.values())
+        .filter(entry => entry.amount > 0n)
+        .map(entry => this.toReport(entry)),
+    };
+  }
+}
+
+const allowanceManager = new AllowanceManager();
+
+module.exports = {
+  allowanceManager,
+  AllowanceManager,
+  POLICIES,
+};
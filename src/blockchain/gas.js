@@ -9,14 +9,19 @@
 const { ethers } = require('ethers');
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
-const { providerManager } = require('./provider');
+const { providerManager: defaultProviderManager } = require('./provider');
 const { botEvents, EVENTS } = require('../core/events');
 
 /**
  * Classe para gerenciar gas
  */
 class GasManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerManager - Provider da rede (padrão: providerManager)
+   */
+  constructor(options = {}) {
+    this.providerManager = options.providerManager || defaultProviderManager;
     this.gasPriceHistory = [];
     this.maxHistorySize = 100;
   }
@@ -45,7 +50,7 @@ class GasManager {
    */
   async estimateGasCost(tx) {
     try {
-      const provider = providerManager.getProvider();
+      const provider = this.providerManager.getProvider();
 
       // Estima gas limit
       const gasEstimate = await provider.estimateGas(tx);
@@ -117,7 +122,7 @@ class GasManager {
    */
   async getCurrentGasPrice() {
     try {
-      const gasData = await providerManager.getGasPrice();
+      const gasData = await this.providerManager.getGasPrice();
 
       // Adiciona ao histórico
       this.gasPriceHistory.push({
@@ -194,7 +199,7 @@ class GasManager {
     while (Date.now() - startTime < timeoutMs) {
       try {
         const currentGas = await this.getCurrentGasPrice();
-        const provider = providerManager.getProvider();
+        const provider = this.providerManager.getProvider();
         const feeData = await provider.getFeeData();
 
         // Calcula custo estimado (assumindo gas limit médio de 200k)
@@ -225,7 +230,7 @@ class GasManager {
    */
   async optimizeGasSettings(tx, priorityLevel = 'medium') {
     try {
-      const provider = providerManager.getProvider();
+      const provider = this.providerManager.getProvider();
       const feeData = await provider.getFeeData();
 
       const settings = { ...tx };
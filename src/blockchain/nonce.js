@@ -0,0 +1,663 @@
+/**
+ * Nonce Manager - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Alocação local de nonce e ciclo de vida das transações da wallet
+ * - Nonces alocados em fila (sem colisão entre envios concorrentes), sincronizados com o nó
+ * - Transação assinada uma vez: reenvio após erro de rede usa os mesmos bytes (mesmo hash, sem envio duplo)
+ * - Reenvios esgotados: nonce só volta para a fila se o nó confirmar que não tem a transação
+ * - Registro das pendentes persistido em disco (PENDING_TX_FILE), retomado ao reiniciar
+ * - speedUp / cancel: substituição no mesmo nonce com fees +TX_FEE_BUMP
+ * - check(): confirma, detecta substituição externa e transações descartadas do mempool
+ * - Eventos tx.sent / tx.confirmed / tx.failed / tx.replaced / tx.cancelled / tx.dropped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+
+const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  CANCELLED: 'cancelled',
+  DROPPED: 'dropped',
+};
+
+// Erros em que a transação pode não ter chegado ao nó (reenviar os mesmos bytes é seguro)
+const RETRYABLE_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+
+const MIN_FEE_BUMP = 0.1; // nós exigem +10% para aceitar substituição
+
+function isNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error.message || '');
+}
+
+function isAlreadyKnown(error) {
+  return /already known|known transaction/i.test(error.message || '');
+}
+
+/**
+ * BigInt do registro (persistido como string)
+ */
+function toBigInt(value) {
+  return value === null || value === undefined ? null : BigInt(value);
+}
+
+function toStringOrNull(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+/**
+ * Gerenciador de nonces e transações pendentes
+ */
+class NonceManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.signer - Signer com address e signTransaction (padrão: definido pelo WalletManager)
+   * @param {Object} options.provider - Provider da rede (padrão: signer.provider)
+   * @param {String} options.file - Registro das pendentes (padrão: PENDING_TX_FILE; null não persiste)
+   * @param {Number} options.feeBump - Aumento das fees nas substituições (fração, mínimo 0,1)
+   * @param {Number} options.dropTimeout - Tempo fora do mempool até considerar dropped (ms)
+   * @param {Number} options.monitorInterval - Intervalo do check() automático (ms)
+   * @param {Number} options.broadcastRetries - Reenvios após erro de rede
+   */
+  constructor(options = {}) {
+    const transactions = config.execution.transactions;
+
+    this.signer = options.signer || null;
+    this.provider = options.provider || null;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+    this.file = options.file !== undefined ? options.file : config.paths.pendingTransactions;
+
+    this.feeBump = Math.max(MIN_FEE_BUMP, options.feeBump ?? transactions.feeBump);
+    this.dropTimeout = options.dropTimeout ?? transactions.dropTimeout;
+    this.monitorInterval = options.monitorInterval ?? transactions.monitorInterval;
+    this.broadcastRetries = options.broadcastRetries ?? transactions.broadcastRetries;
+    this.retryDelay = options.retryDelay ?? 2000;
+
+    this.nextNonce = new Map(); // chainId -> próximo nonce local
+    this.transactions = new Map(); // `${chainId}:${nonce}` -> registro
+    this.queue = Promise.resolve(); // envios/substituições em série
+    this.monitoring = false;
+    this.timer = null;
+  }
+
+  /**
+   * Define signer (e provider) usados nos envios
+   */
+  setSigner(signer, provider = null) {
+    this.signer = signer;
+    this.provider = provider || signer.provider || this.provider;
+    this.nextNonce.clear();
+  }
+
+  getProvider() {
+    const provider = this.provider || this.signer?.provider;
+    if (!provider) {
+      throw new Error('NonceManager sem provider (wallet não inicializada)');
+    }
+    return provider;
+  }
+
+  getAddress() {
+    if (!this.signer) {
+      throw new Error('NonceManager sem signer (wallet não inicializada)');
+    }
+    return this.signer.address;
+  }
+
+  async getChainId() {
+    const network = await this.getProvider().getNetwork();
+    return Number(network.chainId);
+  }
+
+  getKey(chainId, nonce) {
+    return `${chainId}:${nonce}`;
+  }
+
+  /**
+   * Executa tarefa na fila (uma alocação/envio por vez)
+   */
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // ============================================
+  // NONCE
+  // ============================================
+
+  /**
+   * Aloca o próximo nonce (sincroniza com o nó na primeira vez ou após drop/erro de nonce)
+   */
+  async allocate(chainId) {
+    if (!this.nextNonce.has(chainId)) {
+      const chainNonce = await this.getProvider().getTransactionCount(this.getAddress(), 'pending');
+      const tracked = this.getPending(chainId).map(record => record.nonce + 1);
+
+      this.nextNonce.set(chainId, Math.max(Number(chainNonce), ...tracked));
+    }
+
+    const nonce = this.nextNonce.get(chainId);
+    this.nextNonce.set(chainId, nonce + 1);
+    return nonce;
+  }
+
+  /**
+   * Devolve nonce não usado (falha antes do envio)
+   */
+  release(chainId, nonce) {
+    if (this.nextNonce.get(chainId) === nonce + 1) {
+      this.nextNonce.set(chainId, nonce);
+    } else {
+      this.nextNonce.delete(chainId);
+    }
+  }
+
+  // ============================================
+  // ENVIO
+  // ============================================
+
+  /**
+   * Envia transação com nonce local e registra como pendente
+   *
+   * @param {Object} tx - { to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas | gasPrice }
+   * @param {Object} options
+   * @param {String} options.label - Descrição (ex: 'swap WETH/USDC', 'approve USDC')
+   * @returns {Object} - { hash, nonce, chainId, from, to }
+   */
+  async send(tx, { label = null } = {}) {
+    return this.enqueue(() => this.sendNow(tx, label));
+  }
+
+  async sendNow(tx, label, resynced = false) {
+    const chainId = await this.getChainId();
+    const nonce = await this.allocate(chainId);
+    let request;
+    let hash;
+
+    try {
+      request = await this.populate({ ...tx, nonce, chainId });
+      hash = await this.broadcast(request);
+    } catch (error) {
+      // Erro de rede depois de assinar: o nó pode ter aceitado a transação, nonce não pode ser reusado
+      if (error.signedHash) {
+        const pendingNonce = await this.getPendingNonce();
+        if (pendingNonce === null || pendingNonce > nonce) {
+          return this.trackUncertainSend(request, error, label, pendingNonce);
+        }
+      }
+
+      this.release(chainId, nonce);
+
+      // Nonce já usado fora do bot (outra instância, carteira manual): ressincroniza uma vez
+      if (isNonceError(error) && !resynced) {
+        logger.warn(`Nonce ${nonce} já usado na chain ${chainId}, ressincronizando...`);
+        this.nextNonce.delete(chainId);
+        return this.sendNow(tx, label, true);
+      }
+
+      throw error;
+    }
+
+    const record = this.track(request, hash, label);
+    logger.info(`📤 Transação enviada: ${hash} (nonce ${nonce}${label ? `, ${label}` : ''})`);
+    this.events.emit(EVENTS.TX_SENT, this.toReport(record));
+
+    return { hash, nonce, chainId, from: record.from, to: record.to };
+  }
+
+  /**
+   * Nonce pending da wallet no nó (null se o nó não responder)
+   */
+  async getPendingNonce() {
+    try {
+      return Number(await this.getProvider().getTransactionCount(this.getAddress(), 'pending'));
+    } catch (error) {
+      logger.warn(`Sem resposta do nó ao consultar o nonce pending: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reenvios esgotados mas o nó pode ter a transação: registra como pendente (check() confirma ou detecta drop)
+   * Com o nonce já no pending do nó, a transação conta como enviada; sem resposta do nó, o erro segue para o chamador
+   */
+  trackUncertainSend(request, error, label, pendingNonce) {
+    const record = this.track(request, error.signedHash, label);
+
+    if (pendingNonce !== null) {
+      logger.warn(`Envio de ${record.hash} sem resposta, mas o nó já tem o nonce ${record.nonce} no pending: acompanhando como enviada`);
+      this.events.emit(EVENTS.TX_SENT, this.toReport(record));
+      return { hash: record.hash, nonce: record.nonce, chainId: record.chainId, from: record.from, to: record.to };
+    }
+
+    logger.warn(`Envio de ${record.hash} sem confirmação do nó: nonce ${record.nonce} mantido reservado até o check() resolver`);
+    error.hash = record.hash;
+    error.nonce = record.nonce;
+    throw error;
+  }
+
+  /**
+   * Completa a transação (gas e fees) sem depender do signer
+   */
+  async populate(tx) {
+    const provider = this.getProvider();
+    const from = this.getAddress();
+
+    const request = {
+      to: tx.to,
+      data: tx.data || '0x',
+      value: toBigInt(tx.value) ?? 0n,
+      nonce: tx.nonce,
+      chainId: tx.chainId,
+    };
+
+    request.gasLimit = toBigInt(tx.gasLimit) ?? await provider.estimateGas({ from, to: request.to, data: request.data, value: request.value });
+
+    if (tx.gasPrice !== undefined && tx.gasPrice !== null) {
+      request.type = 0;
+      request.gasPrice = toBigInt(tx.gasPrice);
+      return request;
+    }
+
+    let { maxFeePerGas, maxPriorityFeePerGas } = tx;
+
+    if (maxFeePerGas === undefined || maxFeePerGas === null) {
+      const feeData = await provider.getFeeData();
+
+      if (!feeData.maxFeePerGas) {
+        request.type = 0;
+        request.gasPrice = feeData.gasPrice;
+        return request;
+      }
+
+      maxFeePerGas = feeData.maxFeePerGas;
+      maxPriorityFeePerGas = maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+    }
+
+    request.type = 2;
+    request.maxFeePerGas = toBigInt(maxFeePerGas);
+    request.maxPriorityFeePerGas = toBigInt(maxPriorityFeePerGas) ?? request.maxFeePerGas;
+    return request;
+  }
+
+  /**
+   * Assina e transmite; após erro de rede reenvia os mesmos bytes (ou confirma que o nó já recebeu)
+   *
+   * @returns {String} - hash da transação
+   */
+  async broadcast(request) {
+    const provider = this.getProvider();
+    const signed = await this.signer.signTransaction(request);
+    const hash = ethers.keccak256(signed);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await provider.broadcastTransaction(signed);
+        return hash;
+      } catch (error) {
+        if (isAlreadyKnown(error)) {
+          return hash;
+        }
+
+        if (!RETRYABLE_CODES.includes(error.code)) {
+          throw error;
+        }
+
+        // Erro de rede não garante que o nó rejeitou: consulta pelo hash antes de reenviar
+        const known = await provider.getTransaction(hash).catch(() => null);
+        if (known) {
+          return hash;
+        }
+
+        if (attempt >= this.broadcastRetries) {
+          error.signedHash = hash;
+          throw error;
+        }
+
+        logger.warn(`Envio ${attempt}/${this.broadcastRetries} falhou (${error.message}), reenviando a mesma transação...`);
+        await new Promise(resolve => this.clock.setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
+      }
+    }
+  }
+
+  /**
+   * Registra transação pendente
+   */
+  track(request, hash, label) {
+    const now = this.clock.now();
+
+    const record = {
+      chainId: request.chainId,
+      nonce: request.nonce,
+      label,
+      from: this.getAddress(),
+      to: request.to,
+      data: request.data,
+      value: request.value.toString(),
+      gasLimit: request.gasLimit.toString(),
+      status: TX_STATUS.PENDING,
+      hash,
+      attempts: [this.toAttempt(request, hash, 'original', now)],
+      sentAt: now,
+      updatedAt: now,
+      blockNumber: null,
+    };
+
+    this.transactions.set(this.getKey(record.chainId, record.nonce), record);
+    this.save();
+    return record;
+  }
+
+  toAttempt(request, hash, kind, sentAt) {
+    return {
+      hash,
+      kind, // original | speedup | cancel
+      gasPrice: toStringOrNull(request.gasPrice),
+      maxFeePerGas: toStringOrNull(request.maxFeePerGas),
+      maxPriorityFeePerGas: toStringOrNull(request.maxPriorityFeePerGas),
+      sentAt,
+    };
+  }
+
+  // ============================================
+  // SUBSTITUIÇÃO
+  // ============================================
+
+  /**
+   * Fees da substituição: última tentativa +feeBump, nunca abaixo das fees atuais da rede
+   */
+  bumpFees(attempt, feeData = {}) {
+    const factor = BigInt(Math.round((1 + this.feeBump) * 1000));
+    const bump = value => (toBigInt(value) * factor + 999n) / 1000n;
+    const max = (a, b) => (b && b > a ? b : a);
+
+    if (attempt.gasPrice) {
+      return { type: 0, gasPrice: max(bump(attempt.gasPrice), feeData.gasPrice) };
+    }
+
+    const maxFeePerGas = max(bump(attempt.maxFeePerGas), feeData.maxFeePerGas);
+    const maxPriorityFeePerGas = max(bump(attempt.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas);
+
+    return {
+      type: 2,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+    };
+  }
+
+  /**
+   * Reenvia a transação pendente com fees maiores (mesmo nonce)
+   *
+   * @param {Number} nonce
+   * @param {Object} options
+   * @param {Number} options.chainId - Chain da transação (padrão: rede atual)
+   * @param {Object} options.fees - Fees mínimas desejadas ({ maxFeePerGas, maxPriorityFeePerGas } ou { gasPrice })
+   * @param {String} options.data - Novo calldata (ex: swap remontado com deadline novo)
+   */
+  async speedUp(nonce, options = {}) {
+    return this.enqueue(() => this.replace(nonce, 'speedup', options));
+  }
+
+  /**
+   * Cancela a transação pendente: transferência de 0 para a própria wallet no mesmo nonce
+   */
+  async cancel(nonce, options = {}) {
+    return this.enqueue(() => this.replace(nonce, 'cancel', options));
+  }
+
+  async replace(nonce, kind, { chainId = null, fees: minFees = null, data = null } = {}) {
+    chainId = chainId ?? await this.getChainId();
+    const record = this.transactions.get(this.getKey(chainId, nonce));
+
+    if (!record || record.status !== TX_STATUS.PENDING) {
+      throw new Error(`Nenhuma transação pendente com nonce ${nonce} (chain ${chainId})`);
+    }
+
+    const feeData = minFees || await this.getProvider().getFeeData().catch(() => ({}));
+    const last = record.attempts[record.attempts.length - 1];
+    const fees = this.bumpFees(last, feeData);
+
+    if (kind === 'speedup' && data) {
+      record.data = data;
+    }
+
+    const base = kind === 'cancel'
+      ? { to: record.from, data: '0x', value: 0n, gasLimit: 21000n }
+      : { to: record.to, data: record.data, value: BigInt(record.value), gasLimit: BigInt(record.gasLimit) };
+
+    const request = { ...base, nonce, chainId, ...fees };
+    const hash = await this.broadcast(request);
+    const previousHash = record.hash;
+
+    record.attempts.push(this.toAttempt(request, hash, kind, this.clock.now()));
+    record.hash = hash;
+    record.updatedAt = this.clock.now();
+    this.save();
+
+    logger.info(`${kind === 'cancel' ? '🚫 Cancelamento' : '⏩ Speed-up'} do nonce ${nonce}: ${previousHash} → ${hash}`);
+    this.events.emit(EVENTS.TX_REPLACED, { ...this.toReport(record), reason: kind, previousHash });
+
+    return { hash, nonce, chainId, from: record.from, to: request.to };
+  }
+
+  // ============================================
+  // ACOMPANHAMENTO
+  // ============================================
+
+  /**
+   * Atualiza o estado das pendentes da rede atual
+   * - receipt de alguma tentativa: confirmed / cancelled / failed
+   * - nonce minerado sem receipt nosso: replaced (substituída fora do bot)
+   * - nenhuma tentativa no mempool por dropTimeout: dropped (nonce volta a ser alocado)
+   *
+   * @returns {Array} - Registros finalizados neste check
+   */
+  async check() {
+    const provider = this.getProvider();
+    const chainId = await this.getChainId();
+    const pending = this.getPending(chainId);
+
+    if (pending.length === 0) {
+      return [];
+    }
+
+    // Nonce minerado lido antes dos receipts: sem receipt depois disso, o nonce foi usado por outra transação
+    const minedNonce = Number(await provider.getTransactionCount(this.getAddress(), 'latest'));
+    const finalized = [];
+
+    for (const record of pending) {
+      const result = await this.checkRecord(record, minedNonce);
+      if (result) {
+        finalized.push(result);
+      }
+    }
+
+    if (finalized.length > 0) {
+      this.save();
+    }
+
+    return finalized;
+  }
+
+  async checkRecord(record, minedNonce) {
+    const provider = this.getProvider();
+
+    for (const attempt of [...record.attempts].reverse()) {
+      const receipt = await provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return this.finalize(record, attempt, receipt);
+      }
+    }
+
+    if (minedNonce > record.nonce) {
+      return this.finalize(record, null, null, TX_STATUS.REPLACED);
+    }
+
+    for (const attempt of record.attempts) {
+      if (await provider.getTransaction(attempt.hash)) {
+        return null;
+      }
+    }
+
+    const lastSentAt = record.attempts[record.attempts.length - 1].sentAt;
+    if (this.clock.now() - lastSentAt >= this.dropTimeout) {
+      this.nextNonce.delete(record.chainId);
+      return this.finalize(record, null, null, TX_STATUS.DROPPED);
+    }
+
+    return null;
+  }
+
+  /**
+   * Marca estado final e emite o evento correspondente
+   */
+  finalize(record, attempt, receipt, status = null) {
+    // Outro check() concorrente já finalizou
+    if (record.status !== TX_STATUS.PENDING) {
+      return null;
+    }
+
+    record.status = status || (receipt.status !== 1
+      ? TX_STATUS.FAILED
+      : (attempt.kind === 'cancel' ? TX_STATUS.CANCELLED : TX_STATUS.CONFIRMED));
+    record.updatedAt = this.clock.now();
+
+    if (attempt) {
+      record.hash = attempt.hash;
+      record.blockNumber = receipt.blockNumber ?? null;
+    }
+
+    const report = this.toReport(record);
+
+    switch (record.status) {
+    case TX_STATUS.CONFIRMED:
+      logger.info(`✅ Nonce ${record.nonce} confirmado: ${record.hash}`);
+      this.events.emit(EVENTS.TX_CONFIRMED, report);
+      break;
+    case TX_STATUS.CANCELLED:
+      logger.info(`🚫 Nonce ${record.nonce} cancelado: ${record.hash}`);
+      this.events.emit(EVENTS.TX_CANCELLED, report);
+      break;
+    case TX_STATUS.FAILED:
+      logger.error(`❌ Nonce ${record.nonce} revertido: ${record.hash}`);
+      this.events.emit(EVENTS.TX_FAILED, report);
+      break;
+    case TX_STATUS.REPLACED:
+      logger.warn(`⚠️  Nonce ${record.nonce} usado por outra transação (${record.hash} substituída)`);
+      this.events.emit(EVENTS.TX_REPLACED, { ...report, reason: 'external', previousHash: record.hash });
+      break;
+    default:
+      logger.warn(`⚠️  Transação ${record.hash} descartada do mempool (nonce ${record.nonce} liberado)`);
+      this.events.emit(EVENTS.TX_DROPPED, report);
+    }
+
+    return record;
+  }
+
+  /**
+   * check() periódico (monitorInterval)
+   */
+  start() {
+    if (this.monitoring) return;
+    this.monitoring = true;
+
+    const loop = async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        logger.warn(`Falha ao verificar transações pendentes: ${error.message}`);
+      }
+
+      if (this.monitoring) {
+        this.timer = this.clock.setTimeout(loop, this.monitorInterval);
+      }
+    };
+
+    this.timer = this.clock.setTimeout(loop, this.monitorInterval);
+  }
+
+  stop() {
+    this.monitoring = false;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ============================================
+  // REGISTRO
+  // ============================================
+
+  /**
+   * Transações pendentes (opcionalmente de uma chain), por nonce
+   */
+  getPending(chainId = null) {
+    return Array.from(this.transactions.values())
+      .filter(record => record.status === TX_STATUS.PENDING && (chainId === null || record.chainId === chainId))
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  getTransaction(nonce, chainId) {
+    return this.transactions.get(this.getKey(chainId, nonce)) || null;
+  }
+
+  /**
+   * Carrega pendentes salvas (execução anterior)
+   */
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return 0;
+    }
+
+    const records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    records.forEach(record => this.transactions.set(this.getKey(record.chainId, record.nonce), record));
+
+    if (records.length > 0) {
+      logger.info(`📋 ${records.length} transação(ões) pendente(s) retomada(s) de ${this.file}`);
+    }
+
+    return records.length;
+  }
+
+  /**
+   * Persiste só as pendentes (finalizadas ficam em memória)
+   */
+  save() {
+    if (!this.file) return;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.getPending(), null, 2), 'utf8');
+  }
+
+  toReport(record) {
+    return {
+      chainId: record.chainId,
+      nonce: record.nonce,
+      hash: record.hash,
+      status: record.status,
+      label: record.label,
+      to: record.to,
+      attempts: record.attempts.length,
+      blockNumber: record.blockNumber,
+      sentAt: new Date(record.sentAt).toISOString(),
+    };
+  }
+}
+
+const nonceManager = new NonceManager();
+
+module.exports = {
+  nonceManager,
+  NonceManager,
+  TX_STATUS,
+};
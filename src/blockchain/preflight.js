@@ -0,0 +1,139 @@
+/**
+ * Preflight - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Verificações de startup da rede conectada (ProviderManager.initialize)
+ * - chainId de cada endpoint RPC igual ao do registro de redes para o modo
+ * - Bytecode na factory, router e quoter configurados
+ * - Pool do primeiro par operado encontrado pela factory
+ * - Saldo nativo da wallet cobre o gas de PREFLIGHT_GAS_SWAPS swaps (execução live)
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { getContracts, getFactoryContract, resolvePair } = require('./sushiswap');
+
+const CONTRACTS = ['factory', 'router', 'quoter'];
+
+/**
+ * Checklist de uma rede: cada verificação vira { name, ok, detail }
+ */
+class Preflight {
+  /**
+   * @param {Object} options
+   * @param {String} options.walletAddress - Wallet do saldo de gas (padrão: WALLET_ADDRESS)
+   * @param {Number} options.gasReserveSwaps - Swaps que o saldo nativo precisa cobrir (padrão: PREFLIGHT_GAS_SWAPS)
+   * @param {Number} options.swapGasLimit - Gas estimado por swap (padrão: config.network.preflight.swapGasLimit)
+   * @param {Boolean} options.paper - Paper trading não gasta gas (padrão: EXECUTION_MODE)
+   */
+  constructor(options = {}) {
+    this.walletAddress = options.walletAddress || config.wallet.address;
+    this.gasReserveSwaps = options.gasReserveSwaps ?? config.network.preflight.gasReserveSwaps;
+    this.swapGasLimit = options.swapGasLimit ?? config.network.preflight.swapGasLimit;
+    this.paper = options.paper ?? config.execution.isPaper;
+  }
+
+  /**
+   * Executa todas as verificações (uma falha não interrompe as seguintes)
+   *
+   * @returns {Object} { network, mode, passed, checks, failed }
+   */
+  async run(provider, networkKey, mode = config.network.mode) {
+    const checks = [];
+    const check = async (name, task) => {
+      try {
+        checks.push({ name, ok: true, detail: await task() });
+      } catch (error) {
+        checks.push({ name, ok: false, detail: error.shortMessage || error.message });
+      }
+    };
+
+    await check('chainId', () => this.checkChainId(provider, networkKey, mode));
+
+    const contracts = getContracts(networkKey);
+    for (const name of CONTRACTS) {
+      await check(name, () => this.checkCode(provider, contracts[name]));
+    }
+
+    await check('pool', () => this.checkPool(provider, networkKey));
+
+    if (!this.paper) {
+      await check('gasBalance', () => this.checkGasBalance(provider, networkKey));
+    }
+
+    const failed = checks.filter(item => !item.ok);
+    return { network: networkKey, mode, passed: failed.length === 0, checks, failed };
+  }
+
+  /**
+   * Todos os endpoints que respondem precisam estar na chain esperada
+   */
+  async checkChainId(provider, networkKey, mode) {
+    const expected = config.chains[networkKey]?.chainId?.[mode];
+    const endpoints = provider.getChainIds
+      ? await provider.getChainIds()
+      : [{ label: 'rpc', chainId: Number((await provider.getNetwork()).chainId) }];
+
+    const answered = endpoints.filter(endpoint => endpoint.chainId !== null);
+    if (answered.length === 0) {
+      throw new Error(`nenhum endpoint respondeu eth_chainId (${endpoints.map(endpoint => endpoint.error).join('; ')})`);
+    }
+
+    const wrong = answered.filter(endpoint => endpoint.chainId !== expected);
+    if (wrong.length > 0) {
+      throw new Error(`esperado ${expected}, recebido ${wrong.map(endpoint => `${endpoint.chainId} em ${endpoint.label}`).join(', ')}`);
+    }
+
+    return `${expected} (${answered.length} endpoint(s))`;
+  }
+
+  /**
+   * Endereço com bytecode (contrato implantado nesta chain)
+   */
+  async checkCode(provider, address) {
+    const code = await provider.getCode(address);
+
+    if (!code || code === '0x') {
+      throw new Error(`sem bytecode em ${address}`);
+    }
+
+    return address;
+  }
+
+  /**
+   * factory.getPool do primeiro par operado (tokens e fee tier configurados)
+   */
+  async checkPool(provider, networkKey) {
+    const pairs = config.bot.pairsByNetwork[networkKey] || config.bot.pairs;
+    const { pair, base, quote, fee } = resolvePair(pairs[0], networkKey);
+    const pool = await getFactoryContract(provider, networkKey).getPool(base.address, quote.address, fee);
+
+    if (pool === ethers.ZeroAddress) {
+      throw new Error(`pool ${pair} (fee ${fee}) não encontrado na factory`);
+    }
+
+    await this.checkCode(provider, pool);
+    return `${pair} ${pool}`;
+  }
+
+  /**
+   * Saldo nativo ≥ gasReserveSwaps × swapGasLimit × maxFeePerGas atual
+   */
+  async checkGasBalance(provider, networkKey) {
+    const feeData = await provider.getFeeData();
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const required = gasPrice * BigInt(this.swapGasLimit) * BigInt(this.gasReserveSwaps);
+    const balance = await provider.getBalance(this.walletAddress);
+    const symbol = config.chains[networkKey]?.nativeCurrency?.symbol || 'nativo';
+
+    if (balance < required) {
+      throw new Error(`saldo ${ethers.formatEther(balance)} ${symbol} < ${ethers.formatEther(required)} ${symbol} (gas de ${this.gasReserveSwaps} swaps)`);
+    }
+
+    return `${ethers.formatEther(balance)} ${symbol}`;
+  }
+}
+
+module.exports = {
+  Preflight,
+};
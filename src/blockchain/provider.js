@@ -2,61 +2,40 @@
  * Provider Blockchain - Jason Bot Trader
  * Versão: 0.1.0
  *
- * Gerencia providers para múltiplas redes (Arbitrum, Base, Polygon)
+ * Gerencia providers para as redes do registro (Arbitrum, Base, Polygon + redes do NETWORKS_FILE)
  * Suporta testnet e mainnet com fallback automático
+ * Cada rede usa um RpcPool: RPC principal + extras (<REDE>_RPC_URLS) com health check e failover
+ * Preflight no startup (chainId, contratos, pool, saldo de gas): em mainnet uma falha impede o início
  */
 
 const { ethers } = require('ethers');
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
+const { RpcPool } = require('./rpc-pool');
+const { Preflight } = require('./preflight');
 
 /**
- * Configuração de redes suportadas
+ * Redes suportadas: registro de redes do config (core/networks.json + NETWORKS_FILE)
  */
-const NETWORKS = {
-  arbitrum: {
-    name: 'Arbitrum',
-    chainId: {
-      mainnet: 42161,
-      testnet: 421614, // Arbitrum Sepolia
-    },
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18,
-    },
-  },
-  base: {
-    name: 'Base',
-    chainId: {
-      mainnet: 8453,
-      testnet: 84532, // Base Sepolia
-    },
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18,
-    },
-  },
-  polygon: {
-    name: 'Polygon',
-    chainId: {
-      mainnet: 137,
-      testnet: 80002, // Polygon Amoy (substitui Mumbai)
-    },
-    nativeCurrency: {
-      name: 'MATIC',
-      symbol: 'MATIC',
-      decimals: 18,
-    },
-  },
-};
+const NETWORKS = config.chains;
 
 /**
  * Classe para gerenciar providers
  */
 class ProviderManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {String} options.network - Rede inicializada por initialize() (padrão: ACTIVE_NETWORK)
+   * @param {Object} options.poolOptions - Repassado a cada RpcPool (ex: createProvider, quorum)
+   * @param {Object} options.preflight - Verificações de startup (padrão: Preflight se PREFLIGHT_ENABLED; null desliga)
+   */
+  constructor(options = {}) {
+    this.network = options.network || null;
+    this.poolOptions = options.poolOptions || {};
+    this.preflight = options.preflight !== undefined
+      ? options.preflight
+      : (config.network.preflight.enabled ? new Preflight() : null);
+    this.preflightReports = new Map(); // rede -> último relatório
     this.providers = new Map();
     this.currentProvider = null;
     this.currentNetwork = null;
@@ -66,7 +45,7 @@ class ProviderManager {
    * Inicializa provider para a rede ativa
    */
   async initialize() {
-    const networkKey = config.network.active;
+    const networkKey = this.network || config.network.active;
     const mode = config.network.mode;
 
     logger.info(`Inicializando provider para ${networkKey} (${mode})...`);
@@ -76,8 +55,10 @@ class ProviderManager {
       this.currentProvider = provider;
       this.currentNetwork = networkKey;
 
-      // Valida conexão
+      // Valida conexão (health check inicial escolhe o endpoint preferido)
       await this.validateConnection();
+      await this.runPreflight(networkKey, mode);
+      provider.start();
 
       logger.info(`✅ Provider ${networkKey} inicializado com sucesso`);
       return provider;
@@ -96,26 +77,20 @@ class ProviderManager {
       throw new Error(`Rede não suportada: ${networkKey}`);
     }
 
-    // Pega RPC URL do config
-    const rpcUrl = mode === 'testnet'
-      ? config.network.testnet[networkKey]
-      : config.network.mainnet[networkKey];
+    const rpcUrls = this.getRpcUrls(networkKey, mode);
 
-    if (!rpcUrl) {
+    if (rpcUrls.length === 0) {
       throw new Error(`RPC URL não configurado para ${networkKey} (${mode})`);
     }
 
-    logger.debug(`Criando provider: ${rpcUrl}`);
+    logger.debug(`Criando provider ${networkKey} com ${rpcUrls.length} RPC(s)`);
 
-    // Cria provider com configuração de rede
+    // Pool de endpoints com a configuração de rede (timeout por requisição: RPC_TIMEOUT)
     const chainId = network.chainId[mode];
-    const provider = new ethers.JsonRpcProvider(rpcUrl, {
+    const provider = new RpcPool(rpcUrls, {
       chainId,
       name: `${network.name} ${mode === 'testnet' ? 'Testnet' : 'Mainnet'}`,
-    });
-
-    // Configura timeout (10 segundos)
-    provider._getConnection().timeout = 10000;
+    }, this.poolOptions);
 
     // Armazena no cache
     const key = `${networkKey}-${mode}`;
@@ -124,11 +99,22 @@ class ProviderManager {
     return provider;
   }
 
+  /**
+   * RPC principal seguido dos extras de failover (sem duplicatas)
+   */
+  getRpcUrls(networkKey, mode = 'testnet') {
+    const primary = config.network[mode]?.[networkKey];
+    const fallback = config.network.fallback[mode]?.[networkKey] || [];
+
+    return [...new Set([primary, ...fallback].filter(Boolean))];
+  }
+
   /**
    * Valida conexão com o provider
    */
   async validateConnection() {
     try {
+      await this.currentProvider.checkHealth();
       const network = await this.currentProvider.getNetwork();
       const blockNumber = await this.currentProvider.getBlockNumber();
 
@@ -142,6 +128,33 @@ class ProviderManager {
     }
   }
 
+  /**
+   * Confere chainId, contratos, pool e saldo de gas da rede conectada
+   * Em mainnet qualquer falha impede o início; em testnet só avisa (tokens configurados são de mainnet)
+   */
+  async runPreflight(networkKey, mode) {
+    if (!this.preflight) return null;
+
+    const report = await this.preflight.run(this.currentProvider, networkKey, mode);
+    this.preflightReports.set(networkKey, report);
+
+    report.checks.forEach(check => logger.debug(`Preflight ${networkKey} ${check.name}: ${check.ok ? 'ok' : 'falhou'} - ${check.detail}`));
+
+    if (report.passed) {
+      logger.info(`✅ Preflight ${networkKey}: ${report.checks.map(check => check.name).join(', ')} ok`);
+      return report;
+    }
+
+    const failures = report.failed.map(check => `${check.name}: ${check.detail}`).join('; ');
+
+    if (mode === 'mainnet') {
+      throw new Error(`Preflight falhou em ${networkKey} (mainnet): ${failures}`);
+    }
+
+    logger.warn(`⚠️  Preflight ${networkKey} (${mode}) com falhas, seguindo: ${failures}`);
+    return report;
+  }
+
   /**
    * Retorna provider atual
    */
@@ -177,10 +190,18 @@ class ProviderManager {
 
     try {
       const provider = await this.getProviderForNetwork(networkKey, targetMode);
+      const previous = this.currentProvider;
       this.currentProvider = provider;
       this.currentNetwork = networkKey;
 
       await this.validateConnection();
+      await this.runPreflight(networkKey, targetMode);
+
+      // Health check só na rede ativa
+      if (previous && previous !== provider) {
+        previous.stop();
+      }
+      provider.start();
 
       logger.info(`✅ Rede trocada para ${networkKey}`);
       return provider;
@@ -207,6 +228,7 @@ class ProviderManager {
       chainId: network.chainId[mode],
       mode,
       nativeCurrency: network.nativeCurrency,
+      wrappedNative: network.wrappedNative,
     };
   }
 
@@ -266,10 +288,31 @@ class ProviderManager {
     }
   }
 
+  /**
+   * Métricas dos endpoints RPC de cada rede criada (latência, atraso de blocos, taxa de erro)
+   */
+  getMetrics() {
+    return Array.from(this.providers.entries()).map(([key, provider]) => ({
+      key,
+      current: provider === this.currentProvider,
+      ...provider.getMetrics(),
+    }));
+  }
+
+  /**
+   * Para os health checks de todos os pools
+   */
+  stop() {
+    this.providers.forEach(provider => provider.stop());
+  }
+
   /**
    * Limpa cache de providers
    */
   clearCache() {
+    this.providers.forEach(provider => {
+      if (provider !== this.currentProvider) provider.stop();
+    });
     this.providers.clear();
     logger.debug('Cache de providers limpo');
   }
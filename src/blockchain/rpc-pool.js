@@ -0,0 +1,405 @@
+/**
+ * RPC Pool - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Provider ethers sobre vários endpoints RPC da mesma rede
+ * - Cada requisição vai ao endpoint com melhor score; erro de transporte passa ao próximo (failover)
+ * - Health check periódico: latência, atraso de blocos em relação ao endpoint mais adiantado e taxa de erro
+ * - Leituras críticas (ex: getBalance) opcionalmente confirmadas por quorum de endpoints no mesmo bloco
+ * - Métricas por endpoint para a API (/api/rpc)
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+
+// Erros do endpoint (não da requisição): justificam tentar outro RPC
+// Inclui erros de socket do Node, que o JsonRpcProvider repassa sem código ethers
+const FAILOVER_CODES = [
+  'NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR', 'BAD_DATA',
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+];
+
+// Métodos que aceitam blockTag (quorum fixa o mesmo bloco em todos os endpoints)
+const BLOCK_TAG_METHODS = ['getBalance', 'getTransactionCount', 'getCode', 'getStorage', 'call'];
+
+const LATENCY_SMOOTHING = 0.3; // peso da última medida na média móvel de latência
+
+/**
+ * Nome exibível do endpoint (sem path/query, onde costumam ficar as API keys)
+ */
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'rpc';
+  }
+}
+
+/**
+ * Provider com failover entre endpoints
+ */
+class RpcPool extends ethers.AbstractProvider {
+  /**
+   * @param {Array<String>} urls - Endpoints RPC (ordem = preferência enquanto não há medidas)
+   * @param {Object} network - { chainId, name }
+   * @param {Object} options
+   * @param {Function} options.createProvider - (url, network) => provider do endpoint (padrão: JsonRpcProvider)
+   * @param {Number} options.timeout - Timeout por requisição (ms)
+   * @param {Number} options.healthInterval - Intervalo do health check (ms)
+   * @param {Number} options.maxBlockLag - Blocos de atraso tolerados
+   * @param {Number} options.maxErrorRate - Taxa de erro tolerada (janela das últimas errorWindow requisições)
+   * @param {Number} options.quorum - Endpoints que precisam concordar nas leituras críticas (1 = desligado)
+   * @param {Array<String>} options.quorumMethods - Métodos lidos por quorum
+   */
+  constructor(urls, network, options = {}) {
+    const rpc = config.network.rpc;
+    const staticNetwork = ethers.Network.from(network);
+    super(staticNetwork);
+
+    if (!urls || urls.length === 0) {
+      throw new Error(`Nenhum RPC configurado para ${staticNetwork.name}`);
+    }
+
+    this.staticNetwork = staticNetwork;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+
+    this.timeout = options.timeout ?? rpc.timeout;
+    this.healthInterval = options.healthInterval ?? rpc.healthInterval;
+    this.maxBlockLag = options.maxBlockLag ?? rpc.maxBlockLag;
+    this.maxErrorRate = options.maxErrorRate ?? rpc.maxErrorRate;
+    this.errorWindow = options.errorWindow ?? 20;
+    this.quorumMethods = options.quorumMethods || rpc.quorumMethods;
+    this.quorum = Math.min(options.quorum ?? rpc.quorum, urls.length);
+
+    if ((options.quorum ?? rpc.quorum) > urls.length) {
+      logger.warn(`RPC_QUORUM maior que o número de endpoints de ${staticNetwork.name}: usando ${this.quorum}`);
+    }
+
+    const createProvider = options.createProvider || ((url, net) => this.createEndpointProvider(url, net));
+
+    this.endpoints = urls.map((url, index) => ({
+      index,
+      url,
+      label: describeUrl(url),
+      provider: createProvider(url, staticNetwork),
+      up: true,
+      latency: null,
+      blockNumber: null,
+      blockLag: 0,
+      results: [], // true = respondeu, false = erro de transporte
+      requests: 0,
+      errors: 0,
+      lastError: null,
+      lastCheck: null,
+    }));
+
+    this.activeIndex = 0;
+    this.monitoring = false;
+    this.timer = null;
+  }
+
+  /**
+   * Provider de um endpoint (rede fixa: sem eth_chainId a cada requisição)
+   */
+  createEndpointProvider(url, network) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = this.timeout;
+
+    return new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  // ============================================
+  // ROTEAMENTO
+  // ============================================
+
+  async _perform(req) {
+    if (this.quorum > 1 && this.quorumMethods.includes(req.method)) {
+      return await this.performQuorum(req);
+    }
+
+    // Broadcast não tenta outro endpoint na mesma chamada: o NonceManager confere o hash e reenvia os mesmos bytes
+    const candidates = req.method === 'broadcastTransaction'
+      ? this.getRanked().slice(0, 1)
+      : this.getRanked();
+
+    let lastError = null;
+    for (const endpoint of candidates) {
+      try {
+        return await this.performOn(endpoint, req);
+      } catch (error) {
+        lastError = error;
+        if (!RpcPool.isFailoverError(error)) {
+          throw error;
+        }
+        logger.warn(`RPC ${endpoint.label} falhou em ${req.method} (${error.code}): tentando próximo endpoint`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Leitura confirmada por `quorum` endpoints com a mesma resposta
+   */
+  async performQuorum(req) {
+    const ranked = this.getRanked();
+    const selected = ranked.filter(endpoint => this.isHealthy(endpoint));
+    const endpoints = selected.length >= this.quorum ? selected : ranked;
+
+    // "latest" varia entre endpoints: fixa o bloco mais antigo já visto por todos
+    let request = req;
+    const heights = endpoints.map(endpoint => endpoint.blockNumber).filter(height => height !== null);
+    if (BLOCK_TAG_METHODS.includes(req.method) && req.blockTag === 'latest' && heights.length === endpoints.length) {
+      request = { ...req, blockTag: ethers.toQuantity(Math.min(...heights)) };
+    }
+
+    const results = await Promise.all(endpoints.map(endpoint => this.performOn(endpoint, request)
+      .then(result => ({ result }), error => ({ error }))));
+
+    const votes = new Map();
+    for (const { result, error } of results) {
+      if (error) continue;
+      const key = JSON.stringify(result);
+      votes.set(key, { result, count: (votes.get(key)?.count || 0) + 1 });
+    }
+
+    const winner = Array.from(votes.values()).sort((a, b) => b.count - a.count)[0];
+    if (winner && winner.count >= this.quorum) {
+      return winner.result;
+    }
+
+    const failed = results.filter(({ error }) => error).length;
+    throw ethers.makeError(
+      `Quorum RPC não atingido em ${req.method} (${winner?.count || 0}/${this.quorum} iguais, ${failed} erro(s))`,
+      'SERVER_ERROR',
+      { request: req },
+    );
+  }
+
+  /**
+   * Executa no endpoint e registra latência/erro
+   */
+  async performOn(endpoint, req) {
+    const startedAt = this.clock.now();
+    endpoint.requests++;
+
+    try {
+      const result = await endpoint.provider._perform(req);
+      this.record(endpoint, true, this.clock.now() - startedAt);
+      return result;
+    } catch (error) {
+      // Revert, saldo insuficiente etc.: o endpoint respondeu corretamente
+      const transport = RpcPool.isFailoverError(error);
+      this.record(endpoint, !transport, this.clock.now() - startedAt, transport ? error : null);
+      throw error;
+    }
+  }
+
+  record(endpoint, ok, latency, error = null) {
+    endpoint.results.push(ok);
+    if (endpoint.results.length > this.errorWindow) {
+      endpoint.results.shift();
+    }
+
+    if (ok) {
+      endpoint.up = true;
+      endpoint.latency = endpoint.latency === null
+        ? latency
+        : Math.round(LATENCY_SMOOTHING * latency + (1 - LATENCY_SMOOTHING) * endpoint.latency);
+    } else {
+      endpoint.up = false;
+      endpoint.errors++;
+      endpoint.lastError = error?.shortMessage || error?.message || 'erro desconhecido';
+    }
+
+    this.updateActive();
+  }
+
+  static isFailoverError(error) {
+    return FAILOVER_CODES.includes(error?.code);
+  }
+
+  // ============================================
+  // SAÚDE
+  // ============================================
+
+  getErrorRate(endpoint) {
+    if (endpoint.results.length === 0) return 0;
+    return endpoint.results.filter(ok => !ok).length / endpoint.results.length;
+  }
+
+  /**
+   * Score 0-100: taxa de acerto × penalidades de atraso de blocos e latência (0 = fora do ar)
+   */
+  getScore(endpoint) {
+    if (!endpoint.up) return 0;
+
+    const success = 1 - this.getErrorRate(endpoint);
+    const lag = Math.max(0, 1 - endpoint.blockLag / (this.maxBlockLag + 1));
+    const latency = endpoint.latency === null ? 0 : Math.max(0, 1 - endpoint.latency / this.timeout); // sem medida = pior caso
+
+    return Math.round(100 * success * (0.5 + 0.5 * lag) * (0.5 + 0.5 * latency));
+  }
+
+  isHealthy(endpoint) {
+    return endpoint.up
+      && endpoint.blockLag <= this.maxBlockLag
+      && this.getErrorRate(endpoint) <= this.maxErrorRate;
+  }
+
+  /**
+   * Endpoints em ordem de preferência: saudáveis primeiro, depois score (empate: ordem configurada)
+   */
+  getRanked() {
+    return [...this.endpoints].sort((a, b) => (
+      Number(this.isHealthy(b)) - Number(this.isHealthy(a))
+      || this.getScore(b) - this.getScore(a)
+      || a.index - b.index
+    ));
+  }
+
+  /**
+   * Atualiza o endpoint preferido e avisa quando muda (failover)
+   */
+  updateActive() {
+    const [best] = this.getRanked();
+    if (best.index === this.activeIndex) return;
+
+    const previous = this.endpoints[this.activeIndex];
+    this.activeIndex = best.index;
+
+    logger.warn(`🔀 RPC ${this.staticNetwork.name}: ${previous.label} → ${best.label}`);
+    this.events.emit(EVENTS.RPC_FAILOVER, {
+      network: this.staticNetwork.name,
+      chainId: Number(this.staticNetwork.chainId),
+      from: previous.label,
+      to: best.label,
+      reason: previous.up ? 'score' : previous.lastError,
+    });
+  }
+
+  /**
+   * Mede latência e altura de bloco de todos os endpoints
+   * Sequencial: a latência de um endpoint não inclui a espera pelos outros
+   */
+  async checkHealth() {
+    for (const endpoint of this.endpoints) {
+      const startedAt = this.clock.now();
+      endpoint.requests++;
+
+      try {
+        const blockNumber = ethers.getNumber(await endpoint.provider._perform({ method: 'getBlockNumber' }));
+        endpoint.blockNumber = blockNumber;
+        this.record(endpoint, true, this.clock.now() - startedAt);
+      } catch (error) {
+        this.record(endpoint, false, this.clock.now() - startedAt, error);
+      }
+
+      endpoint.lastCheck = this.clock.toISOString();
+    }
+
+    const heights = this.endpoints.filter(endpoint => endpoint.up && endpoint.blockNumber !== null)
+      .map(endpoint => endpoint.blockNumber);
+    const head = heights.length > 0 ? Math.max(...heights) : null;
+
+    for (const endpoint of this.endpoints) {
+      endpoint.blockLag = head !== null && endpoint.blockNumber !== null ? head - endpoint.blockNumber : 0;
+    }
+
+    this.updateActive();
+    return this.getMetrics();
+  }
+
+  /**
+   * chainId informado por cada endpoint (getNetwork devolve a rede estática do pool)
+   */
+  async getChainIds() {
+    const results = [];
+
+    for (const endpoint of this.endpoints) {
+      try {
+        const chainId = ethers.getNumber(await this.performOn(endpoint, { method: 'chainId' }));
+        results.push({ label: endpoint.label, chainId });
+      } catch (error) {
+        results.push({ label: endpoint.label, chainId: null, error: error.shortMessage || error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * checkHealth() periódico (healthInterval)
+   */
+  start() {
+    if (this.monitoring) return;
+    this.monitoring = true;
+
+    const loop = async () => {
+      try {
+        await this.checkHealth();
+      } catch (error) {
+        logger.warn(`Falha no health check dos RPCs: ${error.message}`);
+      }
+
+      if (this.monitoring) {
+        this.timer = this.clock.setTimeout(loop, this.healthInterval);
+      }
+    };
+
+    this.timer = this.clock.setTimeout(loop, this.healthInterval);
+  }
+
+  stop() {
+    this.monitoring = false;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy?.());
+    super.destroy();
+  }
+
+  /**
+   * Métricas por endpoint
+   */
+  getMetrics() {
+    return {
+      network: this.staticNetwork.name,
+      chainId: Number(this.staticNetwork.chainId),
+      quorum: this.quorum,
+      active: this.endpoints[this.activeIndex].label,
+      endpoints: this.endpoints.map(endpoint => ({
+        label: endpoint.label,
+        active: endpoint.index === this.activeIndex,
+        healthy: this.isHealthy(endpoint),
+        score: this.getScore(endpoint),
+        latencyMs: endpoint.latency,
+        blockNumber: endpoint.blockNumber,
+        blockLag: endpoint.blockLag,
+        errorRate: this.getErrorRate(endpoint),
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        lastError: endpoint.lastError,
+        lastCheck: endpoint.lastCheck,
+      })),
+    };
+  }
+}
+
+module.exports = {
+  RpcPool,
+  FAILOVER_CODES,
+};
@@ -0,0 +1,254 @@
+/**
+ * Signers - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Backends de assinatura da wallet (SIGNER_TYPE)
+ * - private_key: PRIVATE_KEY do .env (padrão)
+ * - keystore: JSON criptografado (KEYSTORE_FILE) destravado por KEYSTORE_PASSWORD ou senha digitada no terminal
+ * - remote: signer externo via JSON-RPC (REMOTE_SIGNER_URL, eth_signTransaction); a chave não fica na máquina do bot
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+
+const SIGNER_TYPES = ['private_key', 'keystore', 'remote'];
+
+// Campos numéricos enviados como quantity hex no eth_signTransaction
+const QUANTITY_FIELDS = {
+  nonce: 'nonce',
+  gasLimit: 'gas',
+  gasPrice: 'gasPrice',
+  maxFeePerGas: 'maxFeePerGas',
+  maxPriorityFeePerGas: 'maxPriorityFeePerGas',
+  value: 'value',
+  chainId: 'chainId',
+  type: 'type',
+};
+
+// Keystore destravado uma vez por processo (várias redes não pedem a senha de novo)
+const unlockedKeystores = new Map();
+
+/**
+ * Signer remoto: assina por eth_signTransaction e confere que a transação devolvida é a pedida
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {Object} options
+   * @param {String} options.url - Endpoint JSON-RPC do signer (padrão: REMOTE_SIGNER_URL)
+   * @param {String} options.address - Conta do signer (padrão: WALLET_ADDRESS)
+   * @param {String} options.token - Enviado como Authorization: Bearer (padrão: REMOTE_SIGNER_TOKEN)
+   * @param {Number} options.timeout - Timeout por requisição em ms (padrão: REMOTE_SIGNER_TIMEOUT)
+   * @param {Object} options.http - Cliente HTTP com post(url, body, { headers, timeout }) (padrão: axios)
+   * @param {Object} provider - Provider da rede
+   */
+  constructor(options = {}, provider = null) {
+    super(provider);
+
+    const remote = config.wallet.remote;
+    this.url = options.url || remote.url;
+    this.address = ethers.getAddress(options.address || config.wallet.address);
+    this.token = options.token !== undefined ? options.token : remote.token;
+    this.timeout = options.timeout ?? remote.timeout;
+    this.http = options.http || axios;
+    this.requestId = 0;
+  }
+
+  connect(provider) {
+    return new RemoteSigner({
+      url: this.url,
+      address: this.address,
+      token: this.token,
+      timeout: this.timeout,
+      http: this.http,
+    }, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Chamada JSON-RPC ao signer
+   */
+  async request(method, params) {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    const body = { jsonrpc: '2.0', id: ++this.requestId, method, params };
+
+    let response;
+    try {
+      response = await this.http.post(this.url, body, { headers, timeout: this.timeout });
+    } catch (error) {
+      throw new Error(`Signer remoto indisponível (${method}): ${error.message}`);
+    }
+
+    const { result, error } = response.data || {};
+    if (error) {
+      throw new Error(`Signer remoto recusou ${method}: ${error.message || JSON.stringify(error)}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Contas controladas pelo signer (eth_accounts)
+   */
+  async getAccounts() {
+    const accounts = await this.request('eth_accounts', []);
+    return (accounts || []).map(account => ethers.getAddress(account));
+  }
+
+  async signTransaction(tx) {
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined,
+    });
+
+    if (from && ethers.getAddress(from) !== this.address) {
+      throw new Error(`Transação de ${from} não pertence ao signer remoto (${this.address})`);
+    }
+
+    const unsigned = ethers.Transaction.from({ ...tx, to: to ?? tx.to, from: undefined });
+    const signed = await this.request('eth_signTransaction', [this.toRpcTransaction(unsigned)]);
+
+    // Signer que altera campos ou assina com outra conta não passa
+    const parsed = ethers.Transaction.from(signed?.raw || signed);
+    if (parsed.from !== this.address || parsed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Signer remoto devolveu transação diferente da solicitada');
+    }
+
+    return parsed.serialized;
+  }
+
+  /**
+   * Transação no formato JSON-RPC (quantities em hex)
+   */
+  toRpcTransaction(tx) {
+    const rpc = { from: this.address, data: tx.data };
+
+    if (tx.to) {
+      rpc.to = tx.to;
+    }
+
+    for (const [field, key] of Object.entries(QUANTITY_FIELDS)) {
+      if (tx[field] !== null && tx[field] !== undefined && !(field === 'gasPrice' && tx.type === 2)) {
+        rpc[key] = ethers.toQuantity(tx[field]);
+      }
+    }
+
+    if (tx.accessList?.length > 0) {
+      rpc.accessList = tx.accessList;
+    }
+
+    return rpc;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    return await this.request('personal_sign', [data, this.address]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return await this.request('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+  }
+}
+
+/**
+ * Lê senha no terminal sem ecoar os caracteres
+ */
+function promptPassword(question, input = process.stdin, output = process.stdout) {
+  if (!input.isTTY) {
+    return Promise.reject(new Error('Sem terminal para digitar a senha (defina KEYSTORE_PASSWORD)'));
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, output, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.includes(question)) output.write(text);
+    };
+
+    rl.question(question, answer => {
+      rl.close();
+      output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Destrava keystore JSON (scrypt); senha do .env ou digitada
+ */
+async function loadKeystore(file, password = null, prompt = promptPassword) {
+  if (unlockedKeystores.has(file)) {
+    return unlockedKeystores.get(file);
+  }
+
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`Keystore não encontrado: ${file}`);
+  }
+
+  const json = fs.readFileSync(file, 'utf-8');
+  const passphrase = password ?? await prompt(`🔑 Senha do keystore ${file}: `);
+
+  let wallet;
+  try {
+    wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  } catch (error) {
+    throw new Error(`Falha ao destravar keystore ${file}: ${error.shortMessage || error.message}`);
+  }
+
+  unlockedKeystores.set(file, wallet);
+  return wallet;
+}
+
+/**
+ * Cria o signer configurado conectado ao provider
+ *
+ * @param {Object} provider - Provider da rede
+ * @param {Object} options - Configuração da wallet (padrão: config.wallet)
+ * @param {Function} options.prompt - Leitura da senha do keystore (padrão: terminal)
+ */
+async function createSigner(provider, options = config.wallet) {
+  const type = options.signer || 'private_key';
+
+  switch (type) {
+  case 'private_key':
+    if (!options.privateKey || options.privateKey === 'your_private_key_here') {
+      throw new Error('PRIVATE_KEY não configurada no .env');
+    }
+    return new ethers.Wallet(options.privateKey, provider);
+
+  case 'keystore': {
+    const wallet = await loadKeystore(options.keystore?.file, options.keystore?.password ?? null, options.prompt);
+    logger.info(`🔐 Keystore destravado: ${wallet.address}`);
+    return wallet.connect(provider);
+  }
+
+  case 'remote': {
+    const signer = new RemoteSigner({ ...options.remote, address: options.address }, provider);
+    const accounts = await signer.getAccounts();
+
+    if (!accounts.includes(signer.address)) {
+      throw new Error(`Signer remoto ${signer.url} não controla ${signer.address}`);
+    }
+
+    logger.info(`🔐 Signer remoto: ${signer.address} via ${new URL(signer.url).host}`);
+    return signer;
+  }
+
+  default:
+    throw new Error(`SIGNER_TYPE inválido: ${type} (use ${SIGNER_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  createSigner,
+  loadKeystore,
+  promptPassword,
+  RemoteSigner,
+  SIGNER_TYPES,
+};
@@ -0,0 +1,372 @@
+/**
+ * Spending Guard - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Teto de gastos aplicado no WalletManager.sendTransaction, antes de assinar (vale mesmo com bug na estratégia)
+ * - Destino só pode ser o router, um token configurado (approve), o Permit2 (APPROVAL_POLICY=permit2)
+ *   ou a própria wallet sem calldata (cancelamento de nonce)
+ * - Substituição no mesmo nonce (speed-up com swap remontado) troca o gasto da transação anterior
+ * - Calldata do router decodificado (exactInputSingle / exactInput): tokenIn, amountIn e recipient
+ * - Só compras contam como gasto (tokenIn = quote de um par, 1:1 em USD); vendas (stop-loss, take-profit,
+ *   fechamento) passam pelas checagens de recipient e token, mas nunca são barradas pelos limites
+ * - Limites por trade, última hora e últimas 24h (SPENDING_LIMIT_*), somados entre as redes
+ * - Gastos das últimas 24h persistidos em disco (SPENDING_FILE): reiniciar não zera o limite diário;
+ *   arquivo ilegível bloqueia todo envio até ser corrigido
+ * - Envio bloqueado vira evento risk.spending_blocked (botEvents + eventos do ciclo)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { storageManager: defaultStorageManager } = require('../data/storage');
+const sushiswap = require('./sushiswap');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_VIOLATIONS = 100;
+
+const ROUTER = new ethers.Interface(sushiswap.ROUTER_ABI);
+const ERC20 = new ethers.Interface(sushiswap.ERC20_ABI);
+const PERMIT2 = new ethers.Interface(sushiswap.PERMIT2_ABI);
+
+/**
+ * Envio recusado pelo guard (code SPENDING_BLOCKED, violation com o motivo)
+ */
+function blockedError(violation) {
+  const error = new Error(`Envio bloqueado pelo limite de gastos: ${violation.detail}`);
+  error.code = 'SPENDING_BLOCKED';
+  error.violation = violation;
+  return error;
+}
+
+/**
+ * Guard de gastos da wallet
+ */
+class SpendingGuard {
+  /**
+   * @param {Object} options
+   * @param {Boolean} options.enabled - Liga o guard (padrão: SPENDING_LIMITS_ENABLED)
+   * @param {Number} options.maxTradeUSD - Máximo por envio (padrão: SPENDING_LIMIT_TRADE_USD; 0 sem limite)
+   * @param {Number} options.maxHourlyUSD - Máximo na última hora (padrão: SPENDING_LIMIT_HOURLY_USD)
+   * @param {Number} options.maxDailyUSD - Máximo nas últimas 24h (padrão: SPENDING_LIMIT_DAILY_USD)
+   * @param {String} options.address - Wallet que precisa receber o resultado dos swaps (padrão: WALLET_ADDRESS)
+   * @param {String} options.permit2 - Permit2 liberado como destino (padrão: PERMIT2_ADDRESS se APPROVAL_POLICY=permit2)
+   * @param {String} options.file - Gastos persistidos (padrão: SPENDING_FILE; null não persiste)
+   * @param {Object} options.storage - Eventos do ciclo (padrão: storageManager; null desativa)
+   */
+  constructor(options = {}) {
+    const limits = config.execution.spendingLimits;
+    const approvals = config.execution.approvals;
+
+    this.enabled = options.enabled ?? limits.enabled;
+    this.maxTradeUSD = options.maxTradeUSD ?? limits.maxTradeUSD;
+    this.maxHourlyUSD = options.maxHourlyUSD ?? limits.maxHourlyUSD;
+    this.maxDailyUSD = options.maxDailyUSD ?? limits.maxDailyUSD;
+    this.address = options.address || config.wallet.address;
+    this.permit2 = options.permit2 !== undefined
+      ? options.permit2
+      : (approvals.policy === 'permit2' ? approvals.permit2 : null);
+
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+    this.storage = options.storage !== undefined ? options.storage : defaultStorageManager;
+    this.file = options.file !== undefined ? options.file : config.paths.spending;
+
+    this.spends = []; // { timestamp, network, label, amountUSD, hash }
+    this.violations = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Valida o envio e reserva o valor nos limites (chamado antes de assinar)
+   * Envio que falha depois da reserva continua contando: a transação pode ter chegado ao nó
+   *
+   * @param {Object} tx - { to, data, value }
+   * @param {Object} options - { network, label, replaces (hash da transação substituída no mesmo nonce) }
+   * @returns {Object|null} - gasto registrado ({ amountUSD, ... }) ou null com o guard desligado
+   */
+  authorize(tx, options = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const network = options.network || config.network.active;
+    const context = { network, label: options.label || null, to: tx.to || null };
+
+    this.load(context);
+
+    const amountUSD = this.inspect(tx, network, context);
+
+    // Só uma transação por nonce minera: o gasto da substituída não soma com o da substituta
+    const replaced = options.replaces ? this.spends.find(spend => spend.hash === options.replaces) || null : null;
+
+    if (amountUSD > 0) {
+      this.enforce(amountUSD, context, replaced);
+    }
+
+    const spend = { timestamp: this.clock.now(), network, label: context.label, amountUSD, hash: null };
+    if (amountUSD > 0) {
+      if (replaced) {
+        this.spends.splice(this.spends.indexOf(replaced), 1);
+      }
+      this.spends.push(spend);
+      this.save();
+    }
+
+    return spend;
+  }
+
+  /**
+   * Associa o hash ao gasto reservado
+   */
+  confirm(spend, hash) {
+    if (!spend || spend.amountUSD <= 0) return;
+    spend.hash = hash;
+    this.save();
+  }
+
+  // ============================================
+  // DESTINO E CALLDATA
+  // ============================================
+
+  /**
+   * Valor em USD que sai da wallet (0 para aprovações e vendas); bloqueia destino/chamada desconhecidos
+   */
+  inspect(tx, network, context) {
+    if (!tx.to) {
+      this.block('unknown_target', 'transação sem destinatário (deploy de contrato)', context);
+    }
+
+    if (tx.value && BigInt(tx.value) > 0n) {
+      this.block('native_value', `envio de ${ethers.formatEther(tx.value)} em moeda nativa`, context);
+    }
+
+    const to = ethers.getAddress(tx.to);
+    const router = ethers.getAddress(sushiswap.getContracts(network).router);
+
+    // Cancelamento de nonce: 0 para a própria wallet, sem calldata
+    if (to === ethers.getAddress(this.address) && (!tx.data || tx.data === '0x')) {
+      return 0;
+    }
+
+    if (to === router) {
+      return this.inspectSwap(tx.data, network, context);
+    }
+
+    if (this.permit2 && to === ethers.getAddress(this.permit2)) {
+      return this.inspectPermit2(tx.data, router, context);
+    }
+
+    if (this.findToken(to, network)) {
+      return this.inspectApproval(tx.data, router, context);
+    }
+
+    return this.block('unknown_target', `destino ${to} não é o router nem token configurado em ${network}`, context);
+  }
+
+  /**
+   * exactInputSingle / exactInput: recipient precisa ser a wallet; compra vale o amountIn do quote, venda não conta
+   */
+  inspectSwap(data, network, context) {
+    const call = this.parse(ROUTER, data, context);
+    const params = call.args.params;
+
+    const tokenIn = call.name === 'exactInputSingle'
+      ? params.tokenIn
+      : ethers.dataSlice(params.path, 0, 20);
+
+    if (ethers.getAddress(params.recipient) !== ethers.getAddress(this.address)) {
+      this.block('recipient', `swap envia o resultado para ${params.recipient}, não para a wallet`, context);
+    }
+
+    const token = this.findToken(tokenIn, network);
+    if (!token) {
+      this.block('unknown_token', `tokenIn ${ethers.getAddress(tokenIn)} não configurado em ${network}`, context);
+    }
+
+    context.token = token.symbol;
+
+    // Venda (tokenIn é o base): saída de posição não pode ficar presa no limite já consumido pelas compras
+    if (!this.isQuote(token.symbol, network)) {
+      return 0;
+    }
+
+    return parseFloat(ethers.formatUnits(params.amountIn, token.decimals));
+  }
+
+  /**
+   * approve do ERC20 só para o router (ou Permit2)
+   */
+  inspectApproval(data, router, context) {
+    const call = this.parse(ERC20, data, context);
+    const spender = call.name === 'approve' ? ethers.getAddress(call.args.spender) : null;
+
+    if (!spender || (spender !== router && spender !== (this.permit2 && ethers.getAddress(this.permit2)))) {
+      this.block('token_call', `${call.name} em token só é permitido como approve para o router`, context);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Permit2.approve só para o router
+   */
+  inspectPermit2(data, router, context) {
+    const call = this.parse(PERMIT2, data, context);
+
+    if (call.name !== 'approve' || ethers.getAddress(call.args.spender) !== router) {
+      this.block('token_call', `${call.name} no Permit2 só é permitido como approve para o router`, context);
+    }
+
+    return 0;
+  }
+
+  parse(iface, data, context) {
+    const call = data ? iface.parseTransaction({ data }) : null;
+
+    if (!call) {
+      this.block('unknown_call', `chamada ${ethers.dataSlice(data || '0x00000000', 0, 4)} não reconhecida`, context);
+    }
+
+    return call;
+  }
+
+  findToken(address, network) {
+    const target = ethers.getAddress(address);
+    const entry = Object.entries(config.tokens[network] || {})
+      .find(([, token]) => ethers.getAddress(token.address) === target);
+
+    return entry ? { symbol: entry[0], ...entry[1] } : null;
+  }
+
+  /**
+   * Quote de algum par operado na rede (vale 1 USD)
+   */
+  isQuote(symbol, network) {
+    const pairs = config.bot.pairsByNetwork[network] || config.bot.pairs;
+    return pairs.some(pair => pair.split('/')[1] === symbol);
+  }
+
+  // ============================================
+  // LIMITES
+  // ============================================
+
+  enforce(amountUSD, context, replaced = null) {
+    context.amountUSD = amountUSD;
+
+    if (this.maxTradeUSD > 0 && amountUSD > this.maxTradeUSD) {
+      this.block('trade_limit', `$${amountUSD.toFixed(2)} acima do limite por trade ($${this.maxTradeUSD})`, context);
+    }
+
+    const windows = [
+      { reason: 'hourly_limit', window: HOUR, limit: this.maxHourlyUSD, label: 'na última hora' },
+      { reason: 'daily_limit', window: DAY, limit: this.maxDailyUSD, label: 'nas últimas 24h' },
+    ];
+
+    for (const { reason, window, limit, label } of windows) {
+      const spent = this.getSpent(window, replaced);
+      if (limit > 0 && spent + amountUSD > limit) {
+        this.block(reason, `$${(spent + amountUSD).toFixed(2)} ${label} acima do limite ($${limit})`, context);
+      }
+    }
+  }
+
+  /**
+   * Total gasto na janela (ms) somando todas as redes (exclude: gasto a desconsiderar)
+   */
+  getSpent(window, exclude = null) {
+    const since = this.clock.now() - window;
+    return this.spends
+      .filter(spend => spend.timestamp > since && spend !== exclude)
+      .reduce((sum, spend) => sum + spend.amountUSD, 0);
+  }
+
+  /**
+   * Registra a violação (evento + ciclo) e interrompe o envio
+   */
+  block(reason, detail, context) {
+    const violation = {
+      timestamp: new Date(this.clock.now()).toISOString(),
+      reason,
+      detail,
+      ...context,
+    };
+
+    this.violations.push(violation);
+    if (this.violations.length > MAX_VIOLATIONS) {
+      this.violations.shift();
+    }
+
+    logger.error(`🛑 Envio bloqueado (${reason}): ${detail}`);
+    this.events.emit(EVENTS.SPENDING_LIMIT_BLOCKED, violation);
+    this.storage?.addEvent(EVENTS.SPENDING_LIMIT_BLOCKED, violation);
+
+    throw blockedError(violation);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      limits: { tradeUSD: this.maxTradeUSD, hourlyUSD: this.maxHourlyUSD, dailyUSD: this.maxDailyUSD },
+      spent: { hourUSD: this.getSpent(HOUR), dayUSD: this.getSpent(DAY) },
+      violations: this.violations.slice(-10),
+    };
+  }
+
+  // ============================================
+  // PERSISTÊNCIA
+  // ============================================
+
+  /**
+   * Carrega os gastos das últimas 24h (uma vez por processo)
+   * Arquivo ilegível não é sobrescrito: bloqueia o envio (sem histórico o limite diário não vale)
+   */
+  load(context = {}) {
+    if (this.loaded) return;
+
+    if (!this.file || !fs.existsSync(this.file)) {
+      this.loaded = true;
+      return;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!Array.isArray(saved) || !saved.every(spend => Number.isFinite(spend?.timestamp) && Number.isFinite(spend?.amountUSD))) {
+        throw new Error('esperada uma lista de { timestamp, amountUSD }');
+      }
+    } catch (error) {
+      this.block('spending_file', `gastos salvos em ${this.file} ilegíveis (${error.message}); corrija ou remova o arquivo`, context);
+    }
+
+    const since = this.clock.now() - DAY;
+    const spends = saved.filter(spend => spend.timestamp > since);
+    this.spends.push(...spends);
+    this.loaded = true;
+
+    if (spends.length > 0) {
+      logger.info(`💸 Gastos das últimas 24h retomados de ${this.file}: $${this.getSpent(DAY).toFixed(2)}`);
+    }
+  }
+
+  save() {
+    const since = this.clock.now() - DAY;
+    this.spends = this.spends.filter(spend => spend.timestamp > since);
+
+    if (!this.file) return;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.spends, null, 2), 'utf8');
+  }
+}
+
+const spendingGuard = new SpendingGuard();
+
+module.exports = {
+  spendingGuard,
+  SpendingGuard,
+};
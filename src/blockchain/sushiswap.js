@@ -0,0 +1,309 @@
+/**
+ * Interface SushiSwap V3 - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * ABIs e helpers para Router, Quoter V2 e Pools do SushiSwap V3
+ * - Resolução de pares (símbolos → tokens configurados)
+ * - Cotação via Quoter (static call)
+ * - Leitura de pools (factory.getPool, slot0, liquidity) e preço a partir do sqrtPriceX96
+ * - Encoding de path multi-hop e parsing de eventos Swap
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+
+/**
+ * ABIs mínimas (human-readable)
+ */
+const ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+];
+
+const QUOTER_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+];
+
+const FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)',
+];
+
+const POOL_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+const PERMIT2_ABI = [
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+  'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+
+/**
+ * Retorna endereços de contratos da rede
+ */
+function getContracts(networkKey = config.network.active) {
+  const contracts = config.contracts[networkKey];
+  if (!contracts) {
+    throw new Error(`Contratos SushiSwap não configurados para ${networkKey}`);
+  }
+  return contracts;
+}
+
+/**
+ * Retorna token configurado por símbolo
+ */
+function getToken(symbol, networkKey = config.network.active) {
+  const tokens = config.tokens[networkKey] || {};
+  const token = tokens[symbol];
+
+  if (!token) {
+    throw new Error(`Token ${symbol} não configurado para ${networkKey}`);
+  }
+
+  return { symbol, ...token };
+}
+
+/**
+ * Resolve par "BASE/QUOTE" em tokens + fee tier
+ * Base = ativo operado, Quote = moeda de referência (USD)
+ */
+function resolvePair(pair, networkKey = config.network.active) {
+  const [baseSymbol, quoteSymbol] = pair.split('/');
+
+  if (!baseSymbol || !quoteSymbol) {
+    throw new Error(`Par inválido: ${pair} (formato esperado BASE/QUOTE)`);
+  }
+
+  return {
+    pair,
+    base: getToken(baseSymbol, networkKey),
+    quote: getToken(quoteSymbol, networkKey),
+    fee: config.bot.poolFee,
+  };
+}
+
+/**
+ * Instancia contratos
+ */
+function getRouterContract(runner, networkKey = config.network.active) {
+  return new ethers.Contract(getContracts(networkKey).router, ROUTER_ABI, runner);
+}
+
+function getQuoterContract(runner, networkKey = config.network.active) {
+  return new ethers.Contract(getContracts(networkKey).quoter, QUOTER_ABI, runner);
+}
+
+function getFactoryContract(runner, networkKey = config.network.active) {
+  return new ethers.Contract(getContracts(networkKey).factory, FACTORY_ABI, runner);
+}
+
+function getPoolContract(address, runner) {
+  return new ethers.Contract(address, POOL_ABI, runner);
+}
+
+/**
+ * Verifica se tokenA é o token0 do pool (pools ordenam tokens por endereço)
+ */
+function isToken0(tokenA, tokenB) {
+  return BigInt(tokenA) < BigInt(tokenB);
+}
+
+/**
+ * Converte sqrtPriceX96 em preço de token0 cotado em token1 (unidades decimais)
+ * price = (sqrtPriceX96 / 2^96)^2 × 10^(decimals0 - decimals1)
+ * Com inverse = true retorna token1 cotado em token0
+ */
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, inverse = false) {
+  const precision = 10n ** 18n;
+  const ratioX192 = BigInt(sqrtPriceX96) * BigInt(sqrtPriceX96);
+  const Q192 = 1n << 192n;
+  const scale0 = 10n ** BigInt(decimals0);
+  const scale1 = 10n ** BigInt(decimals1);
+
+  if (ratioX192 === 0n) {
+    return 0;
+  }
+
+  // Divisão em bigint com 18 casas extras (preços muito pequenos ou grandes não perdem precisão)
+  const scaled = inverse
+    ? (Q192 * scale1 * precision) / (ratioX192 * scale0)
+    : (ratioX192 * scale0 * precision) / (Q192 * scale1);
+
+  return Number(ethers.formatUnits(scaled, 18));
+}
+
+/**
+ * Cota swap exactInputSingle no Quoter V2 (static call, não gasta gas)
+ *
+ * @returns {Object} - { amountOut, sqrtPriceX96After, ticksCrossed, gasEstimate } (bigint)
+ */
+async function quoteExactInputSingle(runner, { tokenIn, tokenOut, amountIn, fee }, networkKey) {
+  const quoter = getQuoterContract(runner, networkKey);
+
+  const [amountOut, sqrtPriceX96After, ticksCrossed, gasEstimate] =
+    await quoter.quoteExactInputSingle.staticCall({
+      tokenIn,
+      tokenOut,
+      amountIn,
+      fee,
+      sqrtPriceLimitX96: 0,
+    });
+
+  return { amountOut, sqrtPriceX96After, ticksCrossed: Number(ticksCrossed), gasEstimate };
+}
+
+/**
+ * Cota swap exactInput (multi-hop) no Quoter V2 (static call)
+ *
+ * @returns {Object} - { amountOut, sqrtPriceX96AfterList, ticksCrossed (soma dos hops), gasEstimate }
+ */
+async function quoteExactInput(runner, path, amountIn, networkKey) {
+  const quoter = getQuoterContract(runner, networkKey);
+
+  const [amountOut, sqrtPriceX96AfterList, ticksCrossedList, gasEstimate] =
+    await quoter.quoteExactInput.staticCall(path, amountIn);
+
+  return {
+    amountOut,
+    sqrtPriceX96AfterList: [...sqrtPriceX96AfterList],
+    ticksCrossed: ticksCrossedList.reduce((sum, ticks) => sum + Number(ticks), 0),
+    gasEstimate,
+  };
+}
+
+/**
+ * Aplica tolerância de slippage: amountOut × (1 - slippage)
+ */
+function applySlippage(amountOut, slippageTolerance = config.risk.slippageTolerance) {
+  const bps = BigInt(Math.round(slippageTolerance * 10000));
+  return (amountOut * (10000n - bps)) / 10000n;
+}
+
+/**
+ * Número em notação decimal (String() usa expoente fora de 1e-7..1e21)
+ */
+function toDecimalString(value) {
+  const text = String(value);
+  const match = text.match(/^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/i);
+  if (!match) return text;
+
+  const [, sign, lead, rest = '', exponent] = match;
+  const digits = lead + rest;
+  const point = 1 + Number(exponent);
+
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return sign + digits + '0'.repeat(point - digits.length);
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Valor decimal (number ou string) → unidades do token (bigint)
+ * Casas além de decimals são truncadas (nunca arredonda para cima)
+ */
+function toUnits(value, decimals) {
+  const [integer, fraction = ''] = toDecimalString(value).split('.');
+  return ethers.parseUnits(fraction ? `${integer}.${fraction.slice(0, decimals)}` : integer, decimals);
+}
+
+/**
+ * Codifica path V3: token (20 bytes) + fee (3 bytes) + token ...
+ */
+function encodePath(tokens, fees) {
+  if (tokens.length !== fees.length + 1) {
+    throw new Error('Path inválido: tokens deve ter fees.length + 1 elementos');
+  }
+
+  const types = [];
+  const values = [];
+
+  tokens.forEach((token, i) => {
+    types.push('address');
+    values.push(token);
+
+    if (i < fees.length) {
+      types.push('uint24');
+      values.push(fees[i]);
+    }
+  });
+
+  return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Extrai amountOut real dos eventos Swap do receipt
+ * O pool envia ao recipient o lado com delta negativo; no multi-hop vale o último Swap
+ */
+function parseSwapAmountOut(receipt, recipient) {
+  const swaps = [];
+
+  for (const log of receipt.logs || []) {
+    let parsed;
+    try {
+      parsed = poolInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch (_) {
+      continue;
+    }
+
+    if (parsed && parsed.name === 'Swap') {
+      swaps.push(parsed.args);
+    }
+  }
+
+  const toRecipient = swaps.filter(swap => swap.recipient.toLowerCase() === recipient.toLowerCase());
+
+  const last = toRecipient[toRecipient.length - 1];
+
+  if (!last) {
+    return null;
+  }
+
+  const { amount0, amount1 } = last;
+  const out = amount0 < 0n ? amount0 : amount1;
+
+  return {
+    amountOut: -out,
+    sqrtPriceX96: last.sqrtPriceX96,
+    tick: Number(last.tick),
+    swapCount: swaps.length,
+  };
+}
+
+module.exports = {
+  ROUTER_ABI,
+  QUOTER_ABI,
+  FACTORY_ABI,
+  POOL_ABI,
+  ERC20_ABI,
+  PERMIT2_ABI,
+  poolInterface,
+  getContracts,
+  getToken,
+  resolvePair,
+  getRouterContract,
+  getQuoterContract,
+  getFactoryContract,
+  getPoolContract,
+  isToken0,
+  sqrtPriceX96ToPrice,
+  quoteExactInputSingle,
+  quoteExactInput,
+  applySlippage,
+  encodePath,
+  toUnits,
+  parseSwapAmountOut,
+};
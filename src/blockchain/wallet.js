@@ -3,20 +3,37 @@
  * Versão: 0.1.0
  *
  * Gerencia wallet e signer para executar transações
+ * Signer por SIGNER_TYPE: chave do .env, keystore criptografado ou signer remoto (ver blockchain/signers.js)
+ * Envios passam pelo NonceManager (nonce local, speed-up/cancelamento, pendentes em disco)
+ * Antes de assinar, o SpendingGuard confere destino, calldata e limites de gasto (ver blockchain/spending-guard.js)
  */
 
 const { ethers } = require('ethers');
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
-const { providerManager } = require('./provider');
+const { providerManager: defaultProviderManager } = require('./provider');
+const { nonceManager: defaultNonceManager } = require('./nonce');
+const { createSigner } = require('./signers');
+const { spendingGuard: defaultSpendingGuard } = require('./spending-guard');
 
 /**
  * Classe para gerenciar wallet
  */
 class WalletManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerManager - Provider da rede da wallet (padrão: providerManager)
+   * @param {Object} options.nonceManager - Nonces e transações pendentes (padrão: nonceManager)
+   * @param {Function} options.createSigner - (provider) => signer (padrão: backend de SIGNER_TYPE)
+   * @param {Object} options.spendingGuard - Limites de gasto antes de assinar (padrão: spendingGuard; null desativa)
+   */
+  constructor(options = {}) {
     this.wallet = null;
     this.signer = null;
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.nonceManager = options.nonceManager || defaultNonceManager;
+    this.createSigner = options.createSigner || (provider => createSigner(provider));
+    this.spendingGuard = options.spendingGuard !== undefined ? options.spendingGuard : defaultSpendingGuard;
   }
 
   /**
@@ -26,35 +43,33 @@ class WalletManager {
     try {
       logger.info('Inicializando wallet...');
 
-      // Valida configuração
-      if (!config.wallet.privateKey || config.wallet.privateKey === 'your_private_key_here') {
-        throw new Error('PRIVATE_KEY não configurada no .env');
-      }
-
+      // Valida configuração (chave/keystore/signer remoto são validados pelo backend)
       if (!config.wallet.address || config.wallet.address === 'your_wallet_address_here') {
         throw new Error('WALLET_ADDRESS não configurada no .env');
       }
 
       // Pega provider
-      const provider = providerManager.getProvider();
+      const provider = this.providerManager.getProvider();
 
-      // Cria wallet
-      this.wallet = new ethers.Wallet(config.wallet.privateKey, provider);
-
-      // Signer é o próprio wallet conectado ao provider
+      // Cria signer do backend configurado (SIGNER_TYPE) conectado ao provider
+      this.wallet = await this.createSigner(provider);
       this.signer = this.wallet;
 
+      // Nonces locais + pendentes da execução anterior
+      this.nonceManager.setSigner(this.wallet, provider);
+      this.nonceManager.load();
+
       // Valida endereço
       const derivedAddress = await this.wallet.getAddress();
       if (derivedAddress.toLowerCase() !== config.wallet.address.toLowerCase()) {
-        logger.warn('⚠️  Endereço derivado da chave privada difere do configurado!');
+        logger.warn('⚠️  Endereço do signer difere do configurado!');
         logger.warn(`  Configurado: ${config.wallet.address}`);
         logger.warn(`  Derivado: ${derivedAddress}`);
       }
 
       // Verifica saldo
       const balance = await this.getBalance();
-      const networkInfo = providerManager.getNetworkInfo();
+      const networkInfo = this.providerManager.getNetworkInfo();
 
       logger.info(`✅ Wallet inicializada: ${this.wallet.address}`);
       logger.info(`Saldo: ${balance} ${networkInfo.nativeCurrency.symbol}`);
@@ -91,7 +106,7 @@ class WalletManager {
    */
   async getBalance() {
     try {
-      const balance = await providerManager.getNativeBalance(this.wallet.address);
+      const balance = await this.providerManager.getNativeBalance(this.wallet.address);
       return parseFloat(balance).toFixed(6);
     } catch (error) {
       logger.error('Erro ao obter saldo:', error);
@@ -136,6 +151,7 @@ class WalletManager {
 
   /**
    * Aprova token para um spender (ex: Router)
+   * O bot usa o AllowanceManager (cache + políticas); mantido para uso avulso
    */
   async approveToken(tokenAddress, spenderAddress, amount) {
     try {
@@ -161,11 +177,14 @@ class WalletManager {
         return null;
       }
 
-      // Aprova
-      const tx = await tokenContract.approve(spenderAddress, amount);
+      // Aprova (pelo NonceManager, para não colidir com os nonces locais)
+      const tx = await this.sendTransaction({
+        to: tokenAddress,
+        data: tokenContract.interface.encodeFunctionData('approve', [spenderAddress, amount]),
+      }, { label: 'approve' });
       logger.info(`Transação de aprovação enviada: ${tx.hash}`);
 
-      const receipt = await tx.wait();
+      const receipt = await this.providerManager.waitForTransaction(tx.hash);
 
       if (receipt.status === 1) {
         logger.info('✅ Token aprovado com sucesso');
@@ -181,33 +200,76 @@ class WalletManager {
   }
 
   /**
-   * Envia transação com retry automático
+   * Envia transação pelo NonceManager (nonce local, registro de pendentes)
+   * Reenvio após erro de rede usa a mesma transação assinada (nunca envia duas vezes)
+   * Bloqueada pelo SpendingGuard: lança erro com code SPENDING_BLOCKED sem assinar
+   *
+   * @param {Object} tx - { to, data, value, gasLimit, fees }
+   * @param {Object} options - { label }
+   * @returns {Object} - { hash, nonce, chainId, from, to }
    */
-  async sendTransaction(tx, retries = 3) {
-    let lastError;
-
-    for (let i = 0; i < retries; i++) {
-      try {
-        logger.debug(`Tentativa ${i + 1}/${retries} de enviar transação...`);
-
-        const txResponse = await this.signer.sendTransaction(tx);
-        logger.info(`Transação enviada: ${txResponse.hash}`);
-
-        return txResponse;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`Tentativa ${i + 1} falhou:`, error.message);
-
-        if (i < retries - 1) {
-          // Aguarda antes de tentar novamente (exponential backoff)
-          const delay = 2000 * Math.pow(2, i);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
+  async sendTransaction(tx, options = {}) {
+    try {
+      const network = this.providerManager.currentNetwork || config.network.active;
+      const spend = this.spendingGuard ? this.spendingGuard.authorize(tx, { ...options, network }) : null;
+
+      const sent = await this.nonceManager.send(tx, options);
+      this.spendingGuard?.confirm(spend, sent.hash);
+      return sent;
+    } catch (error) {
+      logger.error(`Falha ao enviar transação: ${error.message}`);
+      throw error;
     }
+  }
+
+  /**
+   * Acelera transação pendente (mesmo nonce, fees maiores)
+   * Calldata novo (ex: swap remontado) passa pelo SpendingGuard antes de assinar
+   *
+   * @param {Number} nonce
+   * @param {Object} options - { chainId, fees, data, label } (ver NonceManager.speedUp)
+   */
+  async speedUpTransaction(nonce, options = {}) {
+    const spend = options.data ? await this.authorizeReplacement(nonce, 'speedup', options) : null;
+
+    const sent = await this.nonceManager.speedUp(nonce, options);
+    this.spendingGuard?.confirm(spend, sent.hash);
+    return sent;
+  }
+
+  /**
+   * Cancela transação pendente (0 para a própria wallet no mesmo nonce)
+   *
+   * @param {Number} nonce
+   * @param {Object} options - { chainId, fees } (ver NonceManager.cancel)
+   */
+  async cancelTransaction(nonce, options = {}) {
+    await this.authorizeReplacement(nonce, 'cancel', options);
+    return this.nonceManager.cancel(nonce, options);
+  }
+
+  /**
+   * Substituição no mesmo nonce pelo SpendingGuard: só uma das transações minera, então o gasto
+   * da substituta toma o lugar do gasto da anterior em vez de somar
+   */
+  async authorizeReplacement(nonce, kind, options) {
+    if (!this.spendingGuard) return null;
+
+    const chainId = options.chainId ?? await this.nonceManager.getChainId();
+    const record = this.nonceManager.getTransaction(nonce, chainId);
+
+    // Sem pendente no nonce o NonceManager recusa a substituição
+    if (!record) return null;
+
+    const tx = kind === 'cancel'
+      ? { to: record.from, data: '0x' }
+      : { to: record.to, data: options.data, value: record.value };
 
-    logger.error('Todas as tentativas de enviar transação falharam');
-    throw lastError;
+    return this.spendingGuard.authorize(tx, {
+      network: this.providerManager.currentNetwork || config.network.active,
+      label: options.label || record.label,
+      replaces: record.hash,
+    });
   }
 
   /**
@@ -4,19 +4,63 @@
  *
  * Orquestrador principal do bot
  * Gerencia ciclo de vida, estratégias, trades e reportagens
+ * Opera uma ou várias redes ao mesmo tempo (ACTIVE_NETWORKS), uma NetworkContext por rede
  */
 
 const { config, printConfigSummary } = require('./config');
 const { logger, logEvent, logCriticalError } = require('../reporting/logger');
 const { botEvents, EVENTS } = require('./events');
+const { NetworkContext } = require('./network-context');
+const { tradeExecutor } = require('../execution/executor');
+const { priceImpactEstimator } = require('../execution/price-impact');
+const { providerManager } = require('../blockchain/provider');
+const { walletManager } = require('../blockchain/wallet');
+const { gasManager } = require('../blockchain/gas');
+const { allowanceManager } = require('../blockchain/allowance');
+const { strategyManager } = require('../strategies/manager');
+const { positionManager } = require('../risk/position-manager');
+const { exitManager } = require('../risk/exit-manager');
+const { portfolio } = require('../risk/portfolio');
+const { storageManager } = require('../data/storage');
+const { marketDataCollector } = require('../data/collector');
+const { SwapSubscriber } = require('../data/swap-subscriber');
+const { candleBuilder } = require('../data/candles');
+const { ApiServer } = require('../api/server');
+const { tokenUniverse } = require('../analysis/token-universe');
 
 class JasonBotTrader {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collector - Coletor de dados de mercado (collect(pair)), padrão: MarketDataCollector on-chain
+   * @param {Object} options.executor - Executor de trades (execute(order)), padrão: TradeExecutor SushiSwap V3
+   * @param {Object} options.apiServer - API do dashboard (padrão: ApiServer com API_HOST/API_PORT)
+   * @param {Object} options.swapSubscriber - Eventos Swap entre os ticks (padrão: SwapSubscriber WebSocket/polling)
+   * @param {Object} options.candles - Candles OHLCV (padrão: candleBuilder)
+   * @param {Object} options.universe - Whitelist de tokens (padrão: tokenUniverse, recarregada a cada mudança do arquivo)
+   * @param {Object} options.allowances - Aprovações do router (padrão: allowanceManager)
+   * @param {Array<String>} options.networks - Redes operadas (padrão: ACTIVE_NETWORKS; a primeira usa os componentes acima)
+   * @param {Object} options.portfolio - Capital global das redes (padrão: portfolio)
+   */
+  constructor(options = {}) {
     this.isRunning = false;
     this.isPaused = false;
+    this.pauseTimer = null;
     this.currentCycle = null;
     this.startTime = null;
 
+    this.collector = options.collector || marketDataCollector;
+    this.executor = options.executor || tradeExecutor;
+    this.impactEstimator = options.impactEstimator !== undefined ? options.impactEstimator : priceImpactEstimator;
+    this.pipeline = null; // pipeline da rede principal
+    this.networks = options.networks || config.network.networks;
+    this.contexts = []; // NetworkContext por rede
+    this.portfolio = options.portfolio || portfolio;
+    this.apiServer = options.apiServer || new ApiServer({ bot: this });
+    this.universe = options.universe || tokenUniverse;
+    this.candles = options.candles || candleBuilder;
+    this.allowances = options.allowances || allowanceManager;
+    this.swapSubscriber = options.swapSubscriber || new SwapSubscriber({ onTrade: trade => this.handleSwap(trade) });
+
     // Configurar handlers de eventos
     this.setupEventHandlers();
   }
@@ -41,17 +85,25 @@ class JasonBotTrader {
     // Risk events
     botEvents.on(EVENTS.DRAWDOWN_LEVEL_1, (data) => {
       logger.warn('⚠️  Drawdown Nível 1 atingido', data);
+      storageManager.addEvent(EVENTS.DRAWDOWN_LEVEL_1, data);
       this.handleDrawdownLevel1(data);
     });
 
     botEvents.on(EVENTS.DRAWDOWN_LEVEL_2, (data) => {
       logger.error('⚠️  Drawdown Nível 2 atingido', data);
+      storageManager.addEvent(EVENTS.DRAWDOWN_LEVEL_2, data);
       this.handleDrawdownLevel2(data);
     });
 
     botEvents.on(EVENTS.DRAWDOWN_LEVEL_3, (data) => {
-      logger.error('🛑 Drawdown Nível 3 atingido - PARANDO BOT', data);
-      this.stop();
+      logger.error('🛑 Drawdown Nível 3 atingido', data);
+      storageManager.addEvent(EVENTS.DRAWDOWN_LEVEL_3, data);
+      this.handleDrawdownLevel3();
+    });
+
+    // Execução
+    botEvents.on(EVENTS.TRADE_FAILED, (data) => {
+      storageManager.addEvent(EVENTS.TRADE_FAILED, data);
     });
   }
 
@@ -66,26 +118,35 @@ class JasonBotTrader {
       this.isRunning = true;
       this.startTime = new Date();
 
+      // API sobe antes dos eventos de início para o dashboard recebê-los (replay)
+      if (config.api.enabled) {
+        await this.apiServer.start();
+      }
+
+      // Whitelist semanal (recarrega sozinha quando weekly-analysis grava um novo arquivo)
+      this.universe.watch();
+
       // Emite evento de início
       botEvents.emit(EVENTS.BOT_STARTED, {
         timestamp: this.startTime.toISOString(),
         config: {
           network: config.network.active,
+          networks: this.networks,
           mode: config.network.mode,
+          executionMode: config.execution.mode,
           strategy: config.strategies.default,
         },
       });
 
       logEvent('BOT_STARTED');
 
-      // TODO: Inicializar módulos (próximas tasks)
-      // - Provider blockchain
-      // - Coletor de dados
-      // - Estratégias
-      // - Executor de trades
+      if (config.execution.isPaper) {
+        logger.warn('📝 Modo PAPER: ordens serão simuladas com cotações reais, nenhuma transação será enviada');
+      }
+
+      await this.initializeModules();
 
       logger.info('✅ Bot iniciado com sucesso!');
-      logger.info('Aguardando implementação dos módulos de trading...');
 
       // Mantém processo vivo
       await this.mainLoop();
@@ -95,6 +156,97 @@ class JasonBotTrader {
     }
   }
 
+  /**
+   * Inicializa blockchain, estratégias, ciclo e pipeline de trading de cada rede
+   */
+  async initializeModules() {
+    this.contexts = this.createContexts();
+
+    // Capital global dividido entre as redes (CAPITAL_ALLOCATION)
+    this.contexts.forEach(context => this.portfolio.addBook(context.network, context.positionManager));
+    if (this.contexts.length > 1) {
+      this.portfolio.allocate();
+    }
+
+    // Rede principal é obrigatória; falha numa rede extra só a retira da operação
+    const [primary, ...others] = this.contexts;
+    await primary.initialize();
+
+    for (const context of others) {
+      try {
+        await context.initialize();
+      } catch (error) {
+        logger.error(`Rede ${context.network} indisponível, seguindo sem ela: ${error.message}`);
+        this.portfolio.removeBook(context.network);
+        context.providerManager.stop();
+        this.contexts = this.contexts.filter(item => item !== context);
+      }
+    }
+
+    this.pipeline = primary.pipeline;
+
+    this.currentCycle = storageManager.startNewCycle(config.network.active, config.strategies.default, {
+      networks: this.contexts.map(context => context.network),
+    });
+    botEvents.emit(EVENTS.CYCLE_STARTED, { cycleId: this.currentCycle.cycleId });
+
+    // Candles OHLCV a partir dos snapshots do coletor e dos Swaps
+    this.candles.attach();
+
+    // Eventos Swap entre os ticks (sem eles o bot segue só com o polling do loop)
+    if (config.bot.swapSubscription) {
+      for (const context of this.contexts) {
+        await context.startSubscription();
+      }
+    }
+  }
+
+  /**
+   * Uma NetworkContext por rede; a principal usa os singletons e componentes injetados no bot
+   */
+  createContexts() {
+    const onTrade = (trade, context) => this.handleSwap(trade, context);
+
+    return this.networks.map((network, index) => (index === 0
+      ? new NetworkContext(network, {
+        providerManager,
+        walletManager,
+        gasManager,
+        allowanceManager: this.allowances,
+        positionManager,
+        exitManager,
+        strategyManager,
+        universe: this.universe,
+        collector: this.collector,
+        executor: this.executor,
+        impactEstimator: this.impactEstimator,
+        swapSubscriber: this.swapSubscriber,
+        portfolio: this.portfolio,
+        onTrade,
+      })
+      : new NetworkContext(network, { portfolio: this.portfolio, onTrade })));
+  }
+
+  /**
+   * Pipelines de todas as redes
+   */
+  get pipelines() {
+    return this.contexts.map(context => context.pipeline).filter(Boolean);
+  }
+
+  /**
+   * Swap on-chain recebido entre os ticks
+   */
+  async handleSwap(trade, context = this.contexts[0]) {
+    this.candles.addTick(trade.pair, { price: trade.price, volume: trade.amountQuote }, context?.network);
+
+    if (!this.isRunning || this.isPaused || !context?.pipeline) {
+      return [];
+    }
+
+    return await context.pipeline.processTrade(trade);
+  }
+
   /**
    * Loop principal do bot
    */
@@ -102,13 +254,7 @@ class JasonBotTrader {
     while (this.isRunning) {
       try {
         if (!this.isPaused) {
-          // TODO: Lógica principal do bot (próximas tasks)
-          // - Coletar dados de mercado
-          // - Executar estratégia
-          // - Gerenciar risco
-          // - Executar trades
-
-          logger.debug('Loop principal executando...');
+          await this.tick();
         }
 
         // Aguarda intervalo de polling
@@ -123,6 +269,21 @@ class JasonBotTrader {
     }
   }
 
+  /**
+   * Um tick do loop: coleta → estratégia → risco → execução (redes em paralelo)
+   */
+  async tick() {
+    const results = await Promise.all(this.pipelines.map(pipeline => pipeline.runCycle()));
+    const result = {
+      tick: results[0].tick,
+      processed: results.reduce((sum, item) => sum + item.processed, 0),
+      orders: results.flatMap(item => item.orders),
+    };
+
+    logger.debug(`Tick ${result.tick}: ${result.processed} par(es) em ${results.length} rede(s), ${result.orders.length} ordem(ns)`);
+    return result;
+  }
+
   /**
    * Para o bot
    */
@@ -139,7 +300,22 @@ class JasonBotTrader {
 
     logEvent('BOT_STOPPED');
 
-    // TODO: Gerar relatório de ciclo
+    // Finaliza ciclo (gera relatório em data/cycles)
+    const cycle = storageManager.finalizeCycle();
+    if (cycle) {
+      botEvents.emit(EVENTS.CYCLE_ENDED, { cycleId: cycle.cycleId, pnl: cycle.pnl });
+      botEvents.emit(EVENTS.REPORT_GENERATED, { cycleId: cycle.cycleId });
+    }
+
+    // Monitoramentos de cada rede; zera allowances concedidas (REVOKE_APPROVALS_ON_SHUTDOWN)
+    for (const context of this.contexts) {
+      await context.stop({ revokeApprovals: context.allowanceManager.revokeOnShutdown });
+    }
+
+    this.universe.unwatch();
+    this.candles.detach();
+    this.candles.flush();
+    await this.apiServer.stop();
 
     logger.info('✅ Bot parado com sucesso!');
     process.exit(0);
@@ -152,15 +328,17 @@ class JasonBotTrader {
     this.isPaused = true;
     botEvents.emit(EVENTS.BOT_PAUSED, { duration });
 
-    if (duration) {
-      setTimeout(() => this.resume(), duration * 1000);
-    }
+    // Nova pausa substitui a anterior (pausa sem duração não é desfeita por timer pendente)
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = duration ? setTimeout(() => this.resume(), duration * 1000) : null;
   }
 
   /**
    * Retoma o bot
    */
   resume() {
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = null;
     this.isPaused = false;
     botEvents.emit(EVENTS.BOT_RESUMED);
   }
@@ -172,7 +350,7 @@ class JasonBotTrader {
     logger.warn('Pausando bot por 30 minutos e trocando para estratégia conservadora');
     this.pause(1800); // 30 min
 
-    // TODO: Trocar para estratégia grid (mais conservadora)
+    this.switchToConservativeStrategy('drawdown_level_1');
   }
 
   /**
@@ -182,7 +360,38 @@ class JasonBotTrader {
     logger.warn('Pausando bot por 2 horas e resetando parâmetros');
     this.pause(7200); // 2h
 
-    // TODO: Resetar parâmetros para valores conservadores
+    // Parâmetros conservadores: posição máxima de 5% em todas as redes
+    const books = this.contexts.length > 0 ? this.contexts.map(context => context.positionManager) : [positionManager];
+    books.forEach(book => {
+      book.maxPositionPercent = Math.min(book.maxPositionPercent, 0.05);
+    });
+    this.switchToConservativeStrategy('drawdown_level_2');
+  }
+
+  /**
+   * Handler de Drawdown Nível 3 (-15%)
+   * Com controle via API o bot fica pausado aguardando o operador; sem controle, para
+   */
+  handleDrawdownLevel3() {
+    if (config.api.enabled && this.apiServer.controller.isEnabled()) {
+      logger.error('Bot pausado até intervenção manual: POST /api/control/positions/close, /drawdown/reset e /resume');
+      this.pause();
+      return;
+    }
+
+    logger.error('PARANDO BOT');
+    this.stop();
+  }
+
+  /**
+   * Força estratégia Grid em todos os pares
+   */
+  switchToConservativeStrategy(reason) {
+    for (const pipeline of this.pipelines) {
+      for (const manager of pipeline.strategyManagers.values()) {
+        manager.forceSwitch('grid', reason);
+      }
+    }
   }
 
   /**
@@ -205,37 +414,41 @@ class JasonBotTrader {
 // INICIALIZAÇÃO
 // ============================================
 
-// Handler de sinais de sistema
-process.on('SIGINT', async () => {
-  logger.info('\nRecebido SIGINT, encerrando bot...');
-  if (bot) {
-    await bot.stop();
-  }
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('\nRecebido SIGTERM, encerrando bot...');
-  if (bot) {
-    await bot.stop();
-  }
-  process.exit(0);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection:', reason);
-});
-
-process.on('uncaughtException', (error) => {
-  logCriticalError('Uncaught Exception', error);
-  process.exit(1);
-});
-
-// Inicia o bot
-const bot = new JasonBotTrader();
-bot.start().catch((error) => {
-  logCriticalError('Erro fatal ao iniciar bot', error);
-  process.exit(1);
-});
+let bot = null;
+
+if (require.main === module) {
+  // Handler de sinais de sistema
+  process.on('SIGINT', async () => {
+    logger.info('\nRecebido SIGINT, encerrando bot...');
+    if (bot) {
+      await bot.stop();
+    }
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('\nRecebido SIGTERM, encerrando bot...');
+    if (bot) {
+      await bot.stop();
+    }
+    process.exit(0);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection:', reason);
+  });
+
+  process.on('uncaughtException', (error) => {
+    logCriticalError('Uncaught Exception', error);
+    process.exit(1);
+  });
+
+  // Inicia o bot
+  bot = new JasonBotTrader();
+  bot.start().catch((error) => {
+    logCriticalError('Erro fatal ao iniciar bot', error);
+    process.exit(1);
+  });
+}
 
 module.exports = JasonBotTrader;
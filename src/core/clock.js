@@ -0,0 +1,97 @@
+/**
+ * Relógio - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Fonte de tempo injetável nos módulos de trading
+ * - SystemClock: tempo real (padrão)
+ * - VirtualClock: tempo controlado (backtesting), timers disparam ao avançar
+ */
+
+/**
+ * Relógio do sistema (Date.now / setTimeout)
+ */
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  toISOString() {
+    return new Date(this.now()).toISOString();
+  }
+
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Relógio virtual: o tempo só anda quando set()/advance() são chamados
+ */
+class VirtualClock extends SystemClock {
+  constructor(startTime = 0) {
+    super();
+    this.current = startTime;
+    this.timers = new Map(); // id -> { at, callback }
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.current;
+  }
+
+  /**
+   * Move relógio para um instante (nunca volta no tempo)
+   */
+  set(timestamp) {
+    if (timestamp < this.current) {
+      return;
+    }
+
+    this.current = timestamp;
+    this.runDueTimers();
+  }
+
+  /**
+   * Avança relógio em X ms
+   */
+  advance(ms) {
+    this.set(this.current + ms);
+  }
+
+  setTimeout(callback, ms) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { at: this.current + ms, callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Dispara timers vencidos em ordem cronológica
+   */
+  runDueTimers() {
+    const due = [...this.timers.entries()]
+      .filter(([, timer]) => timer.at <= this.current)
+      .sort((a, b) => a[1].at - b[1].at);
+
+    for (const [id, timer] of due) {
+      this.timers.delete(id);
+      timer.callback();
+    }
+  }
+}
+
+// Singleton instance
+const systemClock = new SystemClock();
+
+module.exports = {
+  systemClock,
+  SystemClock,
+  VirtualClock,
+};
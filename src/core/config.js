@@ -4,9 +4,11 @@
  *
  * Gerencia e valida todas as configurações do .env
  * Garante que variáveis obrigatórias existam antes de iniciar o bot
+ * Redes (RPCs, contratos, tokens) vêm do registro de redes (core/networks.json + NETWORKS_FILE)
  */
 
 require('dotenv').config();
+const { loadNetworkRegistry, validateNetworkRegistry } = require('./network-registry');
 
 /**
  * Valida se uma variável de ambiente existe
@@ -37,6 +39,41 @@ function parseNumber(value, defaultValue = 0) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Converte lista separada por vírgula em array
+ */
+function parseList(value, defaultValue = []) {
+  if (!value) return defaultValue;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Converte lista "chave:valor" em objeto numérico (ex: "arbitrum:0.6,base:0.4")
+ */
+function parseWeights(value) {
+  return Object.fromEntries(parseList(value)
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([key, weight]) => key && weight !== undefined && !isNaN(parseFloat(weight)))
+    .map(([key, weight]) => [key, parseFloat(weight)]));
+}
+
+/**
+ * Registro de redes: embutido + arquivo do usuário (NETWORKS_FILE)
+ */
+const chains = loadNetworkRegistry(process.env.NETWORKS_FILE || null);
+
+/**
+ * Valor por rede do registro (ex: RPC de cada rede a partir da variável definida no registro)
+ */
+function byChain(fn) {
+  return Object.fromEntries(Object.entries(chains).map(([network, chain]) => [network, fn(chain, network)]));
+}
+
+/**
+ * Redes operadas ao mesmo tempo (ACTIVE_NETWORKS); a primeira é a principal (padrão: só ACTIVE_NETWORK)
+ */
+const activeNetworks = parseList(process.env.ACTIVE_NETWORKS, [requireEnv('ACTIVE_NETWORK', 'arbitrum')]);
+
 /**
  * Configurações do Bot
  */
@@ -53,31 +90,61 @@ const config = {
   // WALLET
   // ============================================
   wallet: {
-    privateKey: requireEnv('PRIVATE_KEY'),
+    // private_key (PRIVATE_KEY) | keystore (JSON criptografado) | remote (signer externo via JSON-RPC)
+    signer: requireEnv('SIGNER_TYPE', 'private_key'),
+    privateKey: process.env.PRIVATE_KEY || null, // obrigatória só com SIGNER_TYPE=private_key
     address: requireEnv('WALLET_ADDRESS'),
+    keystore: {
+      file: process.env.KEYSTORE_FILE || null,
+      password: process.env.KEYSTORE_PASSWORD ?? null, // sem valor: senha digitada no terminal ao iniciar
+    },
+    remote: {
+      url: process.env.REMOTE_SIGNER_URL || null,
+      token: process.env.REMOTE_SIGNER_TOKEN || null, // Authorization: Bearer
+      timeout: parseNumber(process.env.REMOTE_SIGNER_TIMEOUT, 10) * 1000, // ms por assinatura
+    },
   },
 
   // ============================================
   // NETWORK
   // ============================================
   network: {
-    active: requireEnv('ACTIVE_NETWORK', 'arbitrum'),
+    active: activeNetworks[0],
+    networks: activeNetworks,
     mode: requireEnv('NETWORK_MODE', 'testnet'),
     isTestnet: requireEnv('NETWORK_MODE', 'testnet') === 'testnet',
 
-    // RPCs Testnet
-    testnet: {
-      arbitrum: requireEnv('ARBITRUM_TESTNET_RPC_URL', null),
-      base: requireEnv('BASE_TESTNET_RPC_URL', null),
-      polygon: requireEnv('POLYGON_TESTNET_RPC_URL', null),
+    // RPCs Testnet (variável rpcEnv.testnet do registro, ex: ARBITRUM_TESTNET_RPC_URL)
+    testnet: byChain(chain => process.env[chain.rpcEnv.testnet] || null),
+
+    // RPCs Mainnet (variável rpcEnv.mainnet do registro, ex: ARBITRUM_RPC_URL)
+    mainnet: byChain(chain => process.env[chain.rpcEnv.mainnet] || null),
+
+    // RPCs extras para failover (mesma variável + S, lista separada por vírgula, usados depois do RPC principal)
+    fallback: {
+      testnet: byChain(chain => parseList(process.env[`${chain.rpcEnv.testnet}S`])),
+      mainnet: byChain(chain => parseList(process.env[`${chain.rpcEnv.mainnet}S`])),
+    },
+
+    // Saúde dos RPCs (failover e leituras por quorum)
+    rpc: {
+      timeout: parseNumber(process.env.RPC_TIMEOUT, 10) * 1000, // ms por requisição
+      healthInterval: parseNumber(process.env.RPC_HEALTH_INTERVAL, 30) * 1000, // ms entre health checks
+      maxBlockLag: parseNumber(process.env.RPC_MAX_BLOCK_LAG, 5), // blocos atrás do endpoint mais adiantado
+      maxErrorRate: parseNumber(process.env.RPC_MAX_ERROR_RATE, 0.25), // últimas 20 requisições
+      quorum: parseNumber(process.env.RPC_QUORUM, 1), // endpoints que precisam concordar (1 = desligado)
+      quorumMethods: parseList(process.env.RPC_QUORUM_METHODS, ['getBalance']),
     },
 
-    // RPCs Mainnet
-    mainnet: {
-      arbitrum: requireEnv('ARBITRUM_RPC_URL', null),
-      base: requireEnv('BASE_RPC_URL', null),
-      polygon: requireEnv('POLYGON_RPC_URL', null),
+    // Verificações de startup (chainId, bytecode dos contratos, pool e saldo de gas); mainnet não inicia com falha
+    preflight: {
+      enabled: parseBool(process.env.PREFLIGHT_ENABLED, true),
+      gasReserveSwaps: parseNumber(process.env.PREFLIGHT_GAS_SWAPS, 10), // swaps que o saldo nativo precisa cobrir
+      swapGasLimit: 200000, // gas médio de um swap
     },
+
+    // WebSocket (eventos Swap em tempo real; sem URL o subscriber usa polling de eth_getLogs)
+    websocket: byChain(chain => process.env[chain.wsEnv] || null),
   },
 
   // ============================================
@@ -96,6 +163,60 @@ const config = {
     pollingInterval: parseNumber(process.env.POLLING_INTERVAL, 15),
     initialCapital: parseNumber(process.env.INITIAL_CAPITAL, 50),
     maxPositionPercent: parseNumber(process.env.MAX_POSITION_PERCENT, 0.10),
+    pairs: parseList(process.env.TRADING_PAIRS, ['WETH/USDC']), // BASE/QUOTE (quote em USD)
+    // Pares por rede (TRADING_PAIRS_<REDE>, ex: TRADING_PAIRS_POLYGON=WMATIC/USDC); sem valor usa TRADING_PAIRS
+    pairsByNetwork: byChain(chain => parseList(process.env[`TRADING_PAIRS_${chain.envKey}`], null)),
+    // Fração do capital por rede com várias redes ativas (ex: arbitrum:0.6,base:0.4); vazio = partes iguais
+    capitalAllocation: parseWeights(process.env.CAPITAL_ALLOCATION),
+    poolFee: parseNumber(process.env.POOL_FEE, 500), // fee tier V3 (100, 500, 3000, 10000)
+    swapSubscription: parseBool(process.env.SWAP_SUBSCRIPTION, true), // eventos Swap entre os ticks
+    logPollInterval: parseNumber(process.env.LOG_POLL_INTERVAL, 3), // segundos (fallback HTTP)
+    candleTimeframes: parseList(process.env.CANDLE_TIMEFRAMES, ['1m', '5m', '15m', '1h']),
+    volumeBackfillChunks: parseNumber(process.env.VOLUME_BACKFILL_CHUNKS, 10), // consultas eth_getLogs por coleta ao buscar a janela de volume
+  },
+
+  // ============================================
+  // EXECUÇÃO
+  // ============================================
+  execution: {
+    // live: envia swaps on-chain | paper: simula fills com cotações reais (sem gastar capital)
+    mode: requireEnv('EXECUTION_MODE', 'live'),
+    isPaper: requireEnv('EXECUTION_MODE', 'live') === 'paper',
+
+    // Roteamento multi-hop entre fee tiers (melhor rota líquida de gas via Quoter)
+    routing: {
+      enabled: parseBool(process.env.ROUTING_ENABLED, true),
+      feeTiers: parseList(process.env.ROUTE_FEE_TIERS, ['100', '500', '3000', '10000']).map(Number),
+      baseTokens: parseList(process.env.ROUTE_BASE_TOKENS, ['WETH', 'USDC', 'USDT']), // tokens intermediários
+      maxHops: parseNumber(process.env.ROUTE_MAX_HOPS, 3),
+    },
+
+    // Allowances do router: exact | buffered (N× o necessário) | infinite | permit2
+    approvals: {
+      policy: requireEnv('APPROVAL_POLICY', 'exact'),
+      bufferMultiplier: parseNumber(process.env.APPROVAL_BUFFER_MULTIPLIER, 2),
+      revokeOnShutdown: parseBool(process.env.REVOKE_APPROVALS_ON_SHUTDOWN, false),
+      permit2: requireEnv('PERMIT2_ADDRESS', '0x000000000022D473030F116dDEE9F6B43aC78BA3'),
+      permit2Expiration: parseNumber(process.env.PERMIT2_EXPIRATION, 30 * 24 * 60 * 60), // segundos
+      // Spenders que puxam tokens pelo Permit2 (ex: Universal Router); o SwapRouter V3 usa transferFrom direto
+      permit2Spenders: parseList(process.env.PERMIT2_SPENDERS, []),
+    },
+
+    // Ciclo de vida das transações (nonce local, speed-up/cancelamento, detecção de drop)
+    transactions: {
+      feeBump: parseNumber(process.env.TX_FEE_BUMP, 0.125), // +12,5% nas substituições (mínimo 10%)
+      dropTimeout: parseNumber(process.env.TX_DROP_TIMEOUT, 300) * 1000, // fora do mempool por X s = dropped
+      monitorInterval: parseNumber(process.env.TX_MONITOR_INTERVAL, 15) * 1000,
+      broadcastRetries: parseNumber(process.env.TX_BROADCAST_RETRIES, 3),
+    },
+
+    // Teto de gastos aplicado antes de assinar (valor em USD do que sai da wallet); 0 desativa o limite
+    spendingLimits: {
+      enabled: parseBool(process.env.SPENDING_LIMITS_ENABLED, true),
+      maxTradeUSD: parseNumber(process.env.SPENDING_LIMIT_TRADE_USD, parseNumber(process.env.INITIAL_CAPITAL, 50) * 0.2),
+      maxHourlyUSD: parseNumber(process.env.SPENDING_LIMIT_HOURLY_USD, parseNumber(process.env.INITIAL_CAPITAL, 50)),
+      maxDailyUSD: parseNumber(process.env.SPENDING_LIMIT_DAILY_USD, parseNumber(process.env.INITIAL_CAPITAL, 50) * 5),
+    },
   },
 
   // ============================================
@@ -188,38 +309,47 @@ const config = {
       age: 0.10,
       marketCap: 0.10,
     },
+
+    // Subgraph SushiSwap V3 por rede (Graph Studio / gateway ou servidor local de fixtures)
+    subgraphUrls: byChain(chain => process.env[`SUBGRAPH_URL_${chain.envKey}`] || null),
+    poolsToScan: parseNumber(process.env.ANALYSIS_POOLS, 200), // top pools por TVL
+    volatilityDays: parseNumber(process.env.ANALYSIS_VOLATILITY_DAYS, 7),
+    enforceWhitelist: parseBool(process.env.ENFORCE_WHITELIST, true), // bot só opera tokens da whitelist (se existir)
   },
 
   // ============================================
   // DASHBOARD API
   // ============================================
   api: {
+    enabled: parseBool(process.env.API_ENABLED, true),
     port: parseNumber(process.env.API_PORT, 4000),
     host: requireEnv('API_HOST', 'localhost'),
     corsOrigin: requireEnv('CORS_ORIGIN', 'http://localhost:3000'),
+    controlToken: process.env.API_CONTROL_TOKEN || null, // sem token = endpoints de controle desativados
+    replaySize: parseNumber(process.env.SOCKET_REPLAY_SIZE, 100), // eventos reenviados ao dashboard ao conectar
   },
 
   // ============================================
-  // SUSHISWAP CONTRACTS
+  // REDES (registro: chainId, moeda nativa, variáveis de RPC, contratos e tokens)
   // ============================================
-  contracts: {
-    arbitrum: {
-      factory: requireEnv('SUSHISWAP_FACTORY_ADDRESS', '0x1af415a1EbA07a4986a52B6f2e7dE7003D82231e'),
-      router: requireEnv('SUSHISWAP_ROUTER_ADDRESS', '0xFB7eF66a7e61224DD6FcD0D7d9C3be5C8B049b9f'),
-      quoter: requireEnv('SUSHISWAP_QUOTER_ADDRESS', '0x64e8802FE490fa7cc61d3463958199161Bb608A7'),
-    },
-    // Base e Polygon usam mesmos contratos (verificar na documentação)
-    base: {
-      factory: '0x1af415a1EbA07a4986a52B6f2e7dE7003D82231e',
-      router: '0xFB7eF66a7e61224DD6FcD0D7d9C3be5C8B049b9f',
-      quoter: '0x64e8802FE490fa7cc61d3463958199161Bb608A7',
-    },
-    polygon: {
-      factory: '0x1af415a1EbA07a4986a52B6f2e7dE7003D82231e',
-      router: '0xFB7eF66a7e61224DD6FcD0D7d9C3be5C8B049b9f',
-      quoter: '0x64e8802FE490fa7cc61d3463958199161Bb608A7',
-    },
-  },
+  chains,
+
+  // ============================================
+  // SUSHISWAP CONTRACTS (factory, router e quoter V3 por rede)
+  // ============================================
+  contracts: byChain((chain, network) => (network === 'arbitrum'
+    ? {
+      // SUSHISWAP_*_ADDRESS sobrescrevem a Arbitrum (compatibilidade com .env anteriores ao registro)
+      factory: requireEnv('SUSHISWAP_FACTORY_ADDRESS', chain.contracts.factory),
+      router: requireEnv('SUSHISWAP_ROUTER_ADDRESS', chain.contracts.router),
+      quoter: requireEnv('SUSHISWAP_QUOTER_ADDRESS', chain.contracts.quoter),
+    }
+    : chain.contracts)),
+
+  // ============================================
+  // TOKENS (mainnet) - endereço e decimais por símbolo
+  // ============================================
+  tokens: byChain(chain => chain.tokens),
 
   // ============================================
   // LOGGING E STORAGE
@@ -228,6 +358,11 @@ const config = {
     logs: requireEnv('LOG_DIR', './logs'),
     data: requireEnv('DATA_DIR', './data'),
     reports: requireEnv('REPORTS_DIR', './data/reports'),
+    backtests: requireEnv('BACKTESTS_DIR', './data/backtests'),
+    backfill: requireEnv('BACKFILL_DIR', './data/backfill'), // checkpoints do backfill histórico
+    pendingTransactions: requireEnv('PENDING_TX_FILE', './data/pending-transactions.json'),
+    spending: requireEnv('SPENDING_FILE', './data/spending.json'), // gastos das últimas 24h (limites de gasto)
+    whitelist: requireEnv('WHITELIST_FILE', './data/whitelist.json'),
   },
 
   retention: {
@@ -242,22 +377,42 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  // Valida wallet
-  if (!config.wallet.privateKey || config.wallet.privateKey === 'your_private_key_here') {
+  // Valida wallet (backend de assinatura)
+  const { signer, keystore, remote } = config.wallet;
+
+  if (signer === 'private_key' && (!config.wallet.privateKey || config.wallet.privateKey === 'your_private_key_here')) {
     errors.push('PRIVATE_KEY não configurada');
+  } else if (signer === 'keystore' && !keystore.file) {
+    errors.push('KEYSTORE_FILE não configurado (SIGNER_TYPE=keystore)');
+  } else if (signer === 'remote' && !remote.url) {
+    errors.push('REMOTE_SIGNER_URL não configurada (SIGNER_TYPE=remote)');
+  } else if (!['private_key', 'keystore', 'remote'].includes(signer)) {
+    errors.push(`SIGNER_TYPE inválido: ${signer} (use private_key, keystore ou remote)`);
   }
 
   if (!config.wallet.address || config.wallet.address === 'your_wallet_address_here') {
     errors.push('WALLET_ADDRESS não configurada');
   }
 
-  // Valida RPC da rede ativa
-  const activeRpc = config.network.isTestnet
-    ? config.network.testnet[config.network.active]
-    : config.network.mainnet[config.network.active];
-
-  if (!activeRpc) {
-    errors.push(`RPC não configurado para rede ${config.network.active} (${config.network.mode})`);
+  // Valida registro de redes (core/networks.json + NETWORKS_FILE)
+  errors.push(...validateNetworkRegistry(config.chains));
+
+  // Valida chainId e RPC de cada rede ativa
+  config.network.networks.forEach(network => {
+    const chain = config.chains[network];
+    const rpc = config.network[config.network.mode]?.[network];
+
+    if (!chain) {
+      errors.push(`Rede não suportada em ACTIVE_NETWORKS: ${network} (adicione em NETWORKS_FILE)`);
+    } else if (!chain.chainId?.[config.network.mode]) {
+      errors.push(`Rede ${network} sem chainId para ${config.network.mode} no registro de redes`);
+    } else if (!rpc) {
+      errors.push(`RPC não configurado para rede ${network} (${config.network.mode}: ${chain.rpcEnv[config.network.mode]})`);
+    }
+  });
+
+  if (new Set(config.network.networks).size !== config.network.networks.length) {
+    errors.push('ACTIVE_NETWORKS contém redes repetidas');
   }
 
   // Valida API keys
@@ -265,6 +420,11 @@ function validateConfig() {
     errors.push('Nenhuma API key configurada (INFURA ou ALCHEMY necessária)');
   }
 
+  // Valida modo de execução
+  if (!['live', 'paper'].includes(config.execution.mode)) {
+    errors.push(`EXECUTION_MODE inválido: ${config.execution.mode} (use live ou paper)`);
+  }
+
   // Valida parâmetros de risco
   if (config.risk.maxDrawdown < config.risk.drawdownLevels[1].percent) {
     errors.push('MAX_DRAWDOWN_PERCENT deve ser >= DRAWDOWN_LEVEL_2');
@@ -274,6 +434,21 @@ function validateConfig() {
     errors.push('MAX_POSITION_PERCENT não pode ser > 20% (risco muito alto)');
   }
 
+  // Permit2 só serve se o router dos swaps puxar tokens pelo Permit2
+  if (config.execution.approvals.policy === 'permit2') {
+    const permit2Spenders = config.execution.approvals.permit2Spenders.map(spender => spender.toLowerCase());
+    config.network.networks
+      .filter(network => config.contracts[network] && !permit2Spenders.includes(config.contracts[network].router.toLowerCase()))
+      .forEach(network => errors.push(`APPROVAL_POLICY=permit2 não funciona com o SwapRouter V3 de ${network} (puxa tokens por transferFrom, não pelo Permit2); use exact, buffered ou infinite`));
+  }
+
+  const { spendingLimits } = config.execution;
+  ['maxTradeUSD', 'maxHourlyUSD', 'maxDailyUSD'].forEach(key => {
+    if (spendingLimits[key] < 0) {
+      errors.push(`Limite de gasto ${key} não pode ser negativo`);
+    }
+  });
+
   if (errors.length > 0) {
     console.error('❌ Erros de configuração encontrados:');
     errors.forEach(err => console.error(`  - ${err}`));
@@ -287,13 +462,18 @@ function validateConfig() {
 function printConfigSummary() {
   console.log('\n📋 Configuração do Bot:');
   console.log(`  Ambiente: ${config.env}`);
-  console.log(`  Rede: ${config.network.active} (${config.network.mode})`);
+  console.log(`  Rede: ${config.network.networks.join(', ')} (${config.network.mode})`);
+  console.log(`  Execução: ${config.execution.mode}${config.execution.isPaper ? ' (simulada)' : ''}`);
+  console.log(`  Signer: ${config.wallet.signer}`);
+  const limits = config.execution.spendingLimits;
+  console.log(`  Limites de gasto: ${limits.enabled ? `$${limits.maxTradeUSD}/trade, $${limits.maxHourlyUSD}/h, $${limits.maxDailyUSD}/dia` : 'desativados'}`);
   console.log(`  Capital Inicial: $${config.bot.initialCapital}`);
   console.log(`  Max Posição: ${config.bot.maxPositionPercent * 100}%`);
   console.log(`  Polling: ${config.bot.pollingInterval}s`);
   console.log(`  Estratégia: ${config.strategies.default}`);
   console.log(`  Stop-Loss: ${config.risk.stopLossTrailing * 100}%`);
   console.log(`  Max Drawdown: ${config.risk.maxDrawdown * 100}%`);
+  console.log(`  API: ${config.api.enabled ? `http://${config.api.host}:${config.api.port}/api` : 'desativada'}`);
   console.log('');
 }
 
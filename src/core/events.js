@@ -44,6 +44,7 @@ const EVENTS = {
   // Market data
   MARKET_DATA_COLLECTED: 'market.data.collected',
   MARKET_DATA_ERROR: 'market.data.error',
+  CANDLE_CLOSED: 'market.candle.closed',
 
   // Strategy
   STRATEGY_SELECTED: 'strategy.selected',
@@ -64,6 +65,7 @@ const EVENTS = {
   DRAWDOWN_LEVEL_1: 'risk.drawdown.level1',
   DRAWDOWN_LEVEL_2: 'risk.drawdown.level2',
   DRAWDOWN_LEVEL_3: 'risk.drawdown.level3',
+  SPENDING_LIMIT_BLOCKED: 'risk.spending_blocked',
 
   // Reporting
   REPORT_GENERATED: 'report.generated',
@@ -73,9 +75,36 @@ const EVENTS = {
   // Gas management
   GAS_TOO_HIGH: 'gas.too_high',
   GAS_ACCEPTABLE: 'gas.acceptable',
+
+  // Wallet (allowances)
+  APPROVAL_UPDATED: 'wallet.approval.updated',
+  APPROVAL_REVOKED: 'wallet.approval.revoked',
+
+  // Transações (nonce manager)
+  TX_SENT: 'tx.sent',
+  TX_CONFIRMED: 'tx.confirmed',
+  TX_FAILED: 'tx.failed',
+  TX_REPLACED: 'tx.replaced',
+  TX_CANCELLED: 'tx.cancelled',
+  TX_DROPPED: 'tx.dropped',
+  TX_STUCK: 'tx.stuck',
+
+  // RPC
+  RPC_FAILOVER: 'rpc.failover',
+
+  // Controle manual (API)
+  CONTROL_COMMAND: 'control.command',
+
+  // Análise semanal
+  WHITELIST_UPDATED: 'analysis.whitelist_updated',
+
+  // Backtesting
+  BACKTEST_STARTED: 'backtest.started',
+  BACKTEST_COMPLETED: 'backtest.completed',
 };
 
 module.exports = {
   botEvents,
+  BotEventEmitter,
   EVENTS,
 };
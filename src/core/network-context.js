@@ -0,0 +1,175 @@
+/**
+ * Network Context - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Pilha de uma rede para operação simultânea em várias redes (ACTIVE_NETWORKS)
+ * - Provider, wallet (nonces e pendentes próprios), gas, allowances, executor, coletor e eventos Swap da rede
+ * - Livro de posições, saídas, estratégias e whitelist próprios; drawdown e storage compartilhados entre as redes
+ * - A rede principal recebe os singletons do bot (API, controle e scripts seguem vendo as mesmas instâncias)
+ */
+
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('../reporting/logger');
+const { systemClock } = require('./clock');
+const { TradingPipeline } = require('./pipeline');
+const { ProviderManager } = require('../blockchain/provider');
+const { NonceManager } = require('../blockchain/nonce');
+const { WalletManager } = require('../blockchain/wallet');
+const { GasManager } = require('../blockchain/gas');
+const { AllowanceManager } = require('../blockchain/allowance');
+const { PositionManager } = require('../risk/position-manager');
+const { ExitManager } = require('../risk/exit-manager');
+const { StrategyManager } = require('../strategies/manager');
+const { TokenUniverse } = require('../analysis/token-universe');
+const { MarketDataCollector } = require('../data/collector');
+const { SwapSubscriber } = require('../data/swap-subscriber');
+const { PriceImpactEstimator } = require('../execution/price-impact');
+const { TransactionWatcher } = require('../execution/tx-watcher');
+const { TradeExecutor } = require('../execution/executor');
+
+/**
+ * Arquivo por rede: data/pending-transactions.json -> data/pending-transactions.base.json
+ */
+function getNetworkFile(file, network) {
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}.${network}${ext}`);
+}
+
+/**
+ * Componentes de uma rede
+ */
+class NetworkContext {
+  /**
+   * @param {String} network - Chave da rede (arbitrum, base, polygon)
+   * @param {Object} options - Componentes prontos (rede principal) ou overrides de teste; ausentes são criados para a rede
+   * @param {Array<String>} options.pairs - Pares operados (padrão: TRADING_PAIRS_<REDE> ou TRADING_PAIRS)
+   * @param {Object} options.portfolio - Patrimônio global (drawdown compartilhado)
+   * @param {Object} options.universe - Whitelist de tokens da rede (padrão: TokenUniverse da rede, arquivo de getListsFile)
+   * @param {Function} options.onTrade - (trade, context) para os Swaps recebidos entre os ticks
+   */
+  constructor(network, options = {}) {
+    this.network = network;
+    this.pairs = options.pairs || config.bot.pairsByNetwork[network] || config.bot.pairs;
+    this.clock = options.clock || systemClock;
+    this.paper = options.paper ?? config.execution.isPaper;
+    this.portfolio = options.portfolio || null;
+    this.onTrade = options.onTrade || null;
+
+    this.providerManager = options.providerManager || new ProviderManager({ network });
+    this.walletManager = options.walletManager || new WalletManager({
+      providerManager: this.providerManager,
+      nonceManager: new NonceManager({ file: getNetworkFile(config.paths.pendingTransactions, network) }),
+    });
+    this.nonceManager = this.walletManager.nonceManager;
+    this.gasManager = options.gasManager || new GasManager({ providerManager: this.providerManager });
+    this.allowanceManager = options.allowanceManager || new AllowanceManager({
+      providerManager: this.providerManager,
+      walletManager: this.walletManager,
+    });
+
+    this.positionManager = options.positionManager || new PositionManager({ clock: this.clock });
+    this.exitManager = options.exitManager || new ExitManager({ clock: this.clock });
+    // Whitelist da própria rede: endereços dos tokens vêm de config.tokens[network]
+    this.universe = options.universe || new TokenUniverse({ network });
+    this.strategyManager = options.strategyManager || new StrategyManager({ clock: this.clock, universe: this.universe });
+
+    this.collector = options.collector || new MarketDataCollector({ providerManager: this.providerManager, network });
+    this.impactEstimator = options.impactEstimator !== undefined
+      ? options.impactEstimator
+      : new PriceImpactEstimator({ providerManager: this.providerManager });
+    this.executor = options.executor || new TradeExecutor({
+      providerManager: this.providerManager,
+      walletManager: this.walletManager,
+      gasManager: this.gasManager,
+      allowanceManager: this.allowanceManager,
+      universe: this.universe,
+      txWatcher: new TransactionWatcher({ nonceManager: this.nonceManager, walletManager: this.walletManager, gasManager: this.gasManager }),
+    });
+    this.swapSubscriber = options.swapSubscriber || new SwapSubscriber({
+      providerManager: this.providerManager,
+      collector: this.collector,
+      onTrade: trade => this.onTrade?.(trade, this),
+    });
+
+    this.pipeline = null;
+  }
+
+  /**
+   * Conecta à rede, carrega a wallet e monta o pipeline
+   */
+  async initialize() {
+    await this.providerManager.initialize();
+    await this.walletManager.initialize();
+
+    this.pipeline = new TradingPipeline({
+      collector: this.collector,
+      executor: this.executor,
+      impactEstimator: this.impactEstimator,
+      pairs: this.pairs,
+      network: this.network,
+      portfolio: this.portfolio,
+      strategyManager: this.strategyManager,
+      positionManager: this.positionManager,
+      exitManager: this.exitManager,
+      clock: this.clock,
+    });
+    await this.pipeline.initialize();
+
+    // Whitelist da rede (recarrega sozinha quando weekly-analysis grava um novo arquivo)
+    this.universe.watch();
+
+    if (this.paper) {
+      return;
+    }
+
+    // Acompanha transações pendentes (confirmação, substituição, drop)
+    this.nonceManager.start();
+
+    // Aprova o router antes dos trades (evita uma transação de approve no caminho da ordem)
+    try {
+      const budgetUSD = this.positionManager.currentCapital * this.positionManager.maxPositionPercent;
+      await this.allowanceManager.prepareForPairs(this.pairs, budgetUSD);
+    } catch (error) {
+      logger.warn(`Aprovação antecipada indisponível (${this.network}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Eventos Swap entre os ticks (sem eles a rede segue só com o polling do loop)
+   */
+  async startSubscription() {
+    try {
+      await this.swapSubscriber.start(this.pairs);
+    } catch (error) {
+      logger.warn(`Assinatura de eventos Swap indisponível (${this.network}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Encerra monitoramentos da rede
+   *
+   * @param {Object} options
+   * @param {Boolean} options.revokeApprovals - Zera allowances concedidas (REVOKE_APPROVALS_ON_SHUTDOWN)
+   */
+  async stop(options = {}) {
+    if (options.revokeApprovals && !this.paper) {
+      try {
+        const revoked = await this.allowanceManager.revokeAll();
+        logger.info(`🔒 ${revoked} aprovação(ões) revogada(s) em ${this.network}`);
+      } catch (error) {
+        logger.error(`Falha ao revogar aprovações (${this.network}): ${error.message}`);
+      }
+    }
+
+    this.universe.unwatch();
+    this.nonceManager.stop();
+    this.providerManager.stop();
+    await this.swapSubscriber.stop();
+  }
+}
+
+module.exports = {
+  NetworkContext,
+  getNetworkFile,
+};
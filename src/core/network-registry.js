@@ -0,0 +1,170 @@
+/**
+ * Network Registry - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Registro das redes suportadas (core/networks.json + NETWORKS_FILE do usuário)
+ * - Por rede: chainId por modo, moeda nativa, variáveis de RPC, contratos SushiSwap V3 e tokens (com o wrapped nativo)
+ * - Redes novas (ex: Optimism, Avalanche) entram pelo arquivo do usuário, sem editar o código
+ * - Carregado pelo config (sem logger: o logger depende do config); validado no startup por validateConfig
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const BUILT_IN_FILE = path.join(__dirname, 'networks.json');
+const MODES = ['mainnet', 'testnet'];
+const CONTRACTS = ['factory', 'router', 'quoter'];
+
+// Chave da rede vira nome de arquivo e sufixo de variável de ambiente
+const KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Sufixo das variáveis de ambiente da rede (avalanche-c -> AVALANCHE_C)
+ */
+function getEnvKey(network) {
+  return network.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Lê um arquivo de registro (.json ou .js exportando o objeto)
+ */
+function readRegistryFile(file) {
+  const resolved = path.resolve(file);
+
+  try {
+    if (resolved.endsWith('.js')) {
+      return require(resolved);
+    }
+
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Registro de redes inválido (${file}): ${error.message}`);
+  }
+}
+
+/**
+ * Completa uma rede com os valores derivados da chave (variáveis de RPC e WebSocket)
+ */
+function normalizeNetwork(network, definition) {
+  const envKey = getEnvKey(network);
+
+  return {
+    ...definition,
+    key: network,
+    envKey,
+    rpcEnv: {
+      mainnet: `${envKey}_RPC_URL`,
+      testnet: `${envKey}_TESTNET_RPC_URL`,
+      ...definition.rpcEnv,
+    },
+    wsEnv: definition.wsEnv || `${envKey}_WS_URL`,
+    tokens: definition.tokens || {},
+  };
+}
+
+/**
+ * Registro embutido + arquivo do usuário (redes novas ou campos sobrescritos por rede)
+ *
+ * @param {String} file - Arquivo do usuário (NETWORKS_FILE); null = só o registro embutido
+ */
+function loadNetworkRegistry(file = null) {
+  const registry = readRegistryFile(BUILT_IN_FILE);
+  const custom = file ? readRegistryFile(file) : {};
+
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error(`Registro de redes inválido (${file}): esperado objeto { rede: definição }`);
+  }
+
+  for (const [network, definition] of Object.entries(custom)) {
+    const current = registry[network] || {};
+
+    registry[network] = {
+      ...current,
+      ...definition,
+      chainId: { ...current.chainId, ...definition?.chainId },
+      contracts: { ...current.contracts, ...definition?.contracts },
+      tokens: { ...current.tokens, ...definition?.tokens },
+    };
+  }
+
+  return Object.fromEntries(Object.entries(registry)
+    .map(([network, definition]) => [network, normalizeNetwork(network, definition)]));
+}
+
+/**
+ * Erros de uma rede do registro (lista vazia = válida)
+ */
+function validateNetwork(network, definition) {
+  const errors = [];
+  const prefix = `Rede ${network}`;
+
+  if (!KEY_PATTERN.test(network)) {
+    errors.push(`${prefix}: chave inválida (use minúsculas, números e hífen)`);
+  }
+
+  if (!definition.name) {
+    errors.push(`${prefix}: name ausente`);
+  }
+
+  const chainIds = MODES.filter(mode => definition.chainId?.[mode] !== undefined);
+  if (chainIds.length === 0) {
+    errors.push(`${prefix}: chainId.mainnet ou chainId.testnet obrigatório`);
+  }
+
+  chainIds
+    .filter(mode => !Number.isInteger(definition.chainId[mode]) || definition.chainId[mode] <= 0)
+    .forEach(mode => errors.push(`${prefix}: chainId.${mode} inválido (${definition.chainId[mode]})`));
+
+  const currency = definition.nativeCurrency;
+  if (!currency?.name || !currency?.symbol || !Number.isInteger(currency?.decimals)) {
+    errors.push(`${prefix}: nativeCurrency precisa de name, symbol e decimals`);
+  }
+
+  CONTRACTS
+    .filter(name => !ethers.isAddress(definition.contracts?.[name]))
+    .forEach(name => errors.push(`${prefix}: contracts.${name} inválido (${definition.contracts?.[name]})`));
+
+  for (const [symbol, token] of Object.entries(definition.tokens || {})) {
+    if (!ethers.isAddress(token?.address) || !Number.isInteger(token?.decimals)) {
+      errors.push(`${prefix}: token ${symbol} precisa de address e decimals`);
+    }
+  }
+
+  if (!definition.wrappedNative || !definition.tokens?.[definition.wrappedNative]) {
+    errors.push(`${prefix}: wrappedNative (${definition.wrappedNative}) precisa estar em tokens`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valida o registro inteiro (campos de cada rede e chainIds repetidos)
+ *
+ * @returns {Array<String>} Erros encontrados
+ */
+function validateNetworkRegistry(registry) {
+  const errors = Object.entries(registry).flatMap(([network, definition]) => validateNetwork(network, definition));
+
+  for (const mode of MODES) {
+    const seen = new Map();
+
+    for (const [network, definition] of Object.entries(registry)) {
+      const chainId = definition.chainId?.[mode];
+      if (chainId === undefined) continue;
+
+      if (seen.has(chainId)) {
+        errors.push(`chainId ${chainId} (${mode}) repetido em ${seen.get(chainId)} e ${network}`);
+      }
+      seen.set(chainId, network);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  loadNetworkRegistry,
+  validateNetworkRegistry,
+  getEnvKey,
+};
@@ -0,0 +1,482 @@
+/**
+ * Trading Pipeline - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Encadeia os módulos de trading a cada tick do loop principal:
+ * coleta de dados → estratégia → risco (posição, saídas, drawdown) → executor
+ */
+
+const { config } = require('./config');
+const { logger, logTrade } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('./events');
+const { systemClock } = require('./clock');
+const { strategyManager: defaultStrategyManager, StrategyManager } = require('../strategies/manager');
+const { positionManager: defaultPositionManager } = require('../risk/position-manager');
+const { exitManager: defaultExitManager } = require('../risk/exit-manager');
+const { drawdownManager: defaultDrawdownManager } = require('../risk/drawdown');
+const { storageManager: defaultStorageManager } = require('../data/storage');
+
+/**
+ * Pipeline de trading (um tick = uma passada por todos os pares)
+ *
+ * Coletor e executor são plugáveis:
+ * - collector.collect(pair) → marketData { price, volume, liquidity, volatility, priceHistory, avgVolume, timestamp }
+ * - executor.execute(order) → fill { success, price, amountToken, amountUSD, gasCostUSD, txHash, error }
+ */
+class TradingPipeline {
+  constructor(options = {}) {
+    this.collector = options.collector || null;
+    this.executor = options.executor || null;
+    this.pairs = options.pairs || config.bot.pairs;
+    this.network = options.network || null; // rede dos trades (várias redes ativas: um pipeline por rede)
+
+    this.strategyManager = options.strategyManager || defaultStrategyManager;
+    this.positionManager = options.positionManager || defaultPositionManager;
+    this.exitManager = options.exitManager || defaultExitManager;
+    this.drawdownManager = options.drawdownManager || defaultDrawdownManager;
+    this.storage = options.storage || defaultStorageManager;
+    this.portfolio = options.portfolio || null; // patrimônio global das redes (drawdown compartilhado)
+    this.impactEstimator = options.impactEstimator || null; // limita compras pelo impacto de preço (Quoter V2)
+    this.clock = options.clock || systemClock;
+    this.events = options.events || botEvents;
+    this.logTrades = options.logTrades ?? true; // trades.log (desligado no backtesting)
+
+    // Cada par tem seu próprio StrategyManager (histórico e posição independentes).
+    // O par principal usa o strategyManager recebido (singleton exposto ao resto do bot).
+    this.createStrategyManager = options.createStrategyManager || (() => new StrategyManager({ clock: this.clock }));
+    this.strategyManagers = new Map();
+    this.pairs.forEach((pair, index) => {
+      this.strategyManagers.set(pair, index === 0 ? this.strategyManager : this.createStrategyManager());
+    });
+
+    this.tickCount = 0;
+    this.warnedMissing = new Set();
+    this.pairLocks = new Map(); // par -> processamento em andamento (tick ou Swap), evita ordens duplicadas
+  }
+
+  /**
+   * Inicializa estratégias de todos os pares
+   */
+  async initialize() {
+    for (const manager of this.strategyManagers.values()) {
+      await manager.initialize();
+    }
+
+    logger.info(`🔗 Pipeline inicializado para ${this.pairs.length} par(es): ${this.pairs.join(', ')}`);
+  }
+
+  /**
+   * Retorna StrategyManager de um par
+   */
+  getStrategyManager(pair) {
+    return this.strategyManagers.get(pair) || this.strategyManager;
+  }
+
+  /**
+   * Executa um tick completo do pipeline
+   */
+  async runCycle() {
+    this.tickCount++;
+
+    if (!this.collector) {
+      this.warnOnce('collector', 'Coletor de dados não configurado - tick ignorado');
+      return { tick: this.tickCount, processed: 0, orders: [] };
+    }
+
+    const orders = [];
+
+    for (const pair of this.pairs) {
+      try {
+        const pairOrders = await this.processPair(pair);
+        orders.push(...pairOrders);
+      } catch (error) {
+        logger.error(`Erro ao processar ${pair}:`, error);
+        this.events.emit(EVENTS.MARKET_DATA_ERROR, { pair, error: error.message });
+      }
+    }
+
+    // Drawdown acompanha o patrimônio (capital + P&L não realizado)
+    this.drawdownManager.updateCapital(this.getEquity());
+
+    return { tick: this.tickCount, processed: this.pairs.length, orders };
+  }
+
+  /**
+   * Processa um par: saídas de risco primeiro, depois sinais da estratégia
+   */
+  async processPair(pair) {
+    return await this.withPairLock(pair, () => this.processPairData(pair));
+  }
+
+  /**
+   * Executa tarefa com o par travado (aguarda processamento anterior do mesmo par)
+   */
+  async withPairLock(pair, task) {
+    while (this.pairLocks.has(pair)) {
+      await this.pairLocks.get(pair);
+    }
+
+    const promise = task().finally(() => this.pairLocks.delete(pair));
+    this.pairLocks.set(pair, promise.catch(() => {}));
+
+    return await promise;
+  }
+
+  /**
+   * Corpo do processPair (coleta → saídas → estratégia → risco → executor)
+   */
+  async processPairData(pair) {
+    const marketData = await this.collector.collect(pair);
+
+    if (!marketData || !marketData.price) {
+      logger.debug(`Sem dados de mercado para ${pair}`);
+      return [];
+    }
+
+    const orders = [];
+
+    // 1. Posição aberta: atualiza P&L e verifica stop-loss / take-profit
+    if (this.positionManager.hasOpenPosition(pair)) {
+      this.positionManager.updatePosition(pair, marketData.price);
+
+      const exitOrders = this.checkExits(pair, marketData);
+      for (const order of exitOrders) {
+        orders.push(await this.executeOrder(order));
+      }
+
+      if (exitOrders.length > 0) {
+        return orders;
+      }
+    }
+
+    // 2. Estratégia
+    const manager = this.getStrategyManager(pair);
+    const signal = await manager.analyze({ ...marketData, pair });
+
+    if (!signal) {
+      return orders;
+    }
+
+    // 3. Aprovação de risco (compra limitada pelo impacto de preço estimado no Quoter)
+    const maxAmountUSD = signal.action === 'buy' ? await this.getImpactCap(pair, marketData) : null;
+    const order = this.approveSignal(pair, signal, marketData, maxAmountUSD);
+
+    if (order) {
+      orders.push(await this.executeOrder(order));
+    }
+
+    return orders;
+  }
+
+  /**
+   * Processa um Swap on-chain entre os ticks (SwapSubscriber)
+   * Alimenta o histórico do Momentum e verifica stop-loss / take-profit no preço do evento
+   */
+  async processTrade(trade) {
+    const { pair, price } = trade;
+
+    if (!this.pairs.includes(pair) || !price) {
+      return [];
+    }
+
+    const momentum = this.getStrategyManager(pair).strategies?.momentum;
+    if (momentum) {
+      momentum.updateHistory({ price, volume: trade.rollingVolume ?? trade.amountQuote });
+    }
+
+    // Par em processamento: o tick (ou Swap) em andamento já verifica as saídas
+    if (!this.positionManager.hasOpenPosition(pair) || this.pairLocks.has(pair)) {
+      return [];
+    }
+
+    return await this.withPairLock(pair, async () => {
+      this.positionManager.updatePosition(pair, price);
+
+      const orders = [];
+      for (const order of this.checkExits(pair, { price })) {
+        orders.push(await this.executeOrder(order));
+      }
+
+      return orders;
+    });
+  }
+
+  /**
+   * Converte resultado do ExitManager em ordens de venda
+   */
+  checkExits(pair, marketData) {
+    const exit = this.exitManager.update(pair, marketData.price);
+
+    if (exit.shouldExit) {
+      return [this.buildSellOrder(pair, 1, marketData.price, exit.reason)];
+    }
+
+    if (exit.partialExit) {
+      // Frações do take-profit são relativas à posição original:
+      // converte para fração do remanescente (níveis do mesmo tick viram uma só ordem)
+      const levels = exit.partialExit.map(level => level.levelIndex);
+      const share = exit.partialExit.reduce((sum, level) => sum + level.amountPercent, 0);
+      const remainingShare = 1 - this.getExecutedTakeProfitShare(pair, levels);
+      const fraction = Math.min(1, share / remainingShare);
+
+      return [this.buildSellOrder(pair, fraction, marketData.price, `take_profit_level_${levels.join('_')}`)];
+    }
+
+    return [];
+  }
+
+  /**
+   * Soma das frações de take-profit já vendidas antes deste tick
+   */
+  getExecutedTakeProfitShare(pair, currentLevels) {
+    const exit = this.exitManager.activeExits.get(pair);
+
+    return exit.takeProfit.executedLevels
+      .filter(level => !currentLevels.includes(level.levelIndex))
+      .reduce((sum, level) => sum + level.amount, 0);
+  }
+
+  /**
+   * Teto da compra para o impacto de preço ficar dentro do SLIPPAGE_TOLERANCE
+   * Sem estimador (ex: backtesting) ou com falha na cotação não há teto
+   */
+  async getImpactCap(pair, marketData) {
+    if (!this.impactEstimator || this.positionManager.hasOpenPosition(pair) || this.drawdownManager.isTradingPaused()) {
+      return null;
+    }
+
+    const { amountUSD } = this.positionManager.calculatePositionSize(marketData.price, marketData.volatility ?? null);
+    if (amountUSD <= 0) {
+      return null;
+    }
+
+    try {
+      return (await this.impactEstimator.getMaxTradeSize(pair, amountUSD)).amountUSD;
+    } catch (error) {
+      logger.warn(`Impacto de preço indisponível para ${pair}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Valida sinal contra regras de risco e monta ordem
+   *
+   * @param {Number} maxAmountUSD - Teto da compra por impacto de preço (opcional)
+   */
+  approveSignal(pair, signal, marketData, maxAmountUSD = null) {
+    if (signal.action === 'buy') {
+      if (this.drawdownManager.isTradingPaused()) {
+        logger.info(`Sinal de compra ignorado (${pair}): trading pausado por drawdown`);
+        return null;
+      }
+
+      if (this.positionManager.hasOpenPosition(pair)) {
+        logger.debug(`Sinal de compra ignorado (${pair}): posição já aberta`);
+        return null;
+      }
+
+      if (!this.positionManager.canOpenPosition()) {
+        return null;
+      }
+
+      const size = this.positionManager.calculatePositionSize(
+        marketData.price,
+        marketData.volatility ?? null,
+        maxAmountUSD,
+      );
+
+      if (size.amountUSD <= 0) {
+        logger.info(`Sinal de compra ignorado (${pair}): impacto de preço acima da tolerância`);
+        return null;
+      }
+
+      const order = {
+        pair,
+        side: 'buy',
+        price: marketData.price,
+        amountUSD: size.amountUSD,
+        amountToken: size.amountToken,
+        reason: signal.reason,
+        cappedByImpact: size.cappedByImpact,
+        strategy: this.getStrategyManager(pair).getCurrentStrategy()?.name || null,
+        signal,
+      };
+
+      this.events.emit(EVENTS.TRADE_SIGNAL_BUY, order);
+      return order;
+    }
+
+    if (signal.action === 'sell') {
+      // Operamos apenas spot: venda só encerra posição existente
+      if (!this.positionManager.hasOpenPosition(pair)) {
+        logger.debug(`Sinal de venda ignorado (${pair}): sem posição aberta`);
+        return null;
+      }
+
+      return this.buildSellOrder(pair, 1, marketData.price, signal.reason, signal);
+    }
+
+    return null;
+  }
+
+  /**
+   * Monta ordem de venda para uma fração da posição
+   */
+  buildSellOrder(pair, fraction, price, reason, signal = null) {
+    const amountToken = this.positionManager.getPosition(pair).tokenAmount * fraction;
+
+    const order = {
+      pair,
+      side: 'sell',
+      price,
+      fraction,
+      amountToken,
+      amountUSD: amountToken * price,
+      reason,
+      strategy: this.getStrategyManager(pair).getCurrentStrategy()?.name || null,
+      signal,
+    };
+
+    this.events.emit(EVENTS.TRADE_SIGNAL_SELL, order);
+    return order;
+  }
+
+  /**
+   * Envia ordem ao executor e aplica o resultado
+   */
+  async executeOrder(order) {
+    if (!this.executor) {
+      this.warnOnce('executor', 'Executor não configurado - sinais não serão executados');
+      return { order, fill: null };
+    }
+
+    const fill = await this.executor.execute(order);
+
+    if (!fill || !fill.success) {
+      logger.warn(`Ordem ${order.side.toUpperCase()} ${order.pair} não executada: ${fill?.error || 'sem resposta'}`);
+      return { order, fill };
+    }
+
+    const trade = this.applyFill(order, fill);
+    return { order, fill, trade };
+  }
+
+  /**
+   * Atualiza posição, saídas, estratégia e storage com o fill
+   */
+  applyFill(order, fill) {
+    const { pair } = order;
+    const manager = this.getStrategyManager(pair);
+    let result = null;
+
+    if (order.side === 'buy') {
+      this.positionManager.openPosition(pair, fill.price, fill.amountUSD, fill.amountToken);
+      this.exitManager.startManaging(pair, fill.price);
+      manager.getCurrentStrategy()?.updatePosition(this.positionManager.getPosition(pair));
+    } else {
+      result = this.positionManager.reducePosition(pair, order.fraction, fill.price);
+
+      if (!this.positionManager.hasOpenPosition(pair)) {
+        this.exitManager.stopManaging(pair);
+        manager.getAllStrategies().forEach(strategy => strategy.clearPosition());
+      }
+    }
+
+    // Custo de gas sai do capital
+    if (fill.gasCostUSD) {
+      this.positionManager.updateCapital(this.positionManager.currentCapital - fill.gasCostUSD);
+    }
+
+    const trade = {
+      timestamp: this.clock.toISOString(),
+      network: this.network,
+      type: order.reason,
+      side: order.side,
+      pair,
+      strategy: order.strategy,
+      price: fill.price,
+      amountToken: fill.amountToken,
+      amountInUSD: order.side === 'buy' ? fill.amountUSD : result?.investedAmount ?? null,
+      amountOutUSD: order.side === 'sell' ? fill.amountUSD : null,
+      gasCostUSD: fill.gasCostUSD || 0,
+      pnl: result ? result.realizedPnL - (fill.gasCostUSD || 0) : null,
+      pnlPercent: result ? result.realizedPnLPercent : null,
+      txHash: fill.txHash || null,
+      simulated: Boolean(fill.simulated),
+    };
+
+    this.storage.addTrade(trade);
+    manager.getCurrentStrategy()?.recordTrade(trade);
+    if (this.logTrades) {
+      logTrade(order.side, trade);
+    }
+
+    return trade;
+  }
+
+  /**
+   * Fecha todas as posições abertas a mercado (intervenção manual)
+   * Preço: coleta atual do par ou, sem dados novos, último preço conhecido da posição
+   */
+  async closeAllPositions(reason = 'manual_close') {
+    const results = [];
+
+    for (const { pair } of this.positionManager.getAllPositions()) {
+      const result = await this.withPairLock(pair, () => this.closePosition(pair, reason));
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Vende a posição inteira do par (chamado com o lock do par: tick/Swap em andamento já terminou)
+   * Posição fechada nesse meio tempo não gera nova venda
+   */
+  async closePosition(pair, reason) {
+    const position = this.positionManager.getPosition(pair);
+    if (!position) {
+      return null;
+    }
+
+    let price = position.currentPrice;
+
+    try {
+      const marketData = this.collector ? await this.collector.collect(pair) : null;
+      if (marketData?.price) {
+        price = marketData.price;
+        this.positionManager.updatePosition(pair, price);
+      }
+    } catch (error) {
+      logger.warn(`Sem preço atual para ${pair}, usando último conhecido ($${price}): ${error.message}`);
+    }
+
+    return await this.executeOrder(this.buildSellOrder(pair, 1, price, reason));
+  }
+
+  /**
+   * Patrimônio atual: capital + P&L não realizado (de todas as redes quando há Portfolio)
+   */
+  getEquity() {
+    if (this.portfolio) {
+      return this.portfolio.getEquity();
+    }
+
+    return this.positionManager.currentCapital + this.positionManager.getTotalUnrealizedPnL().amount;
+  }
+
+  /**
+   * Loga aviso apenas uma vez por chave
+   */
+  warnOnce(key, message) {
+    if (this.warnedMissing.has(key)) return;
+    this.warnedMissing.add(key);
+    logger.warn(`⚠️  ${message}`);
+  }
+}
+
+module.exports = {
+  TradingPipeline,
+};
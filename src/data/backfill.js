@@ -0,0 +1,492 @@
+/**
+ * Backfill Histórico - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Reconstrói dados de mercado passados de um pool SushiSwap V3 para backtesting
+ * - Fonte subgraph (swaps + poolDayData via graphql-request) ou eth_getLogs em faixas de blocos
+ * - Swaps agrupados em intervalos fixos no mesmo formato dos snapshots do coletor
+ *   ({ timestamp, price, volume móvel 24h, liquidity }) e gravados no JSONL lido por loadMarketData
+ * - Retomável: checkpoint (cursor da fonte + estado do volume) salvo após cada chunk gravado
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { GraphQLClient, gql } = require('graphql-request');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { storageManager } = require('./storage');
+const { MarketDataCollector } = require('./collector');
+const sushiswap = require('../blockchain/sushiswap');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWAP_TOPIC = sushiswap.poolInterface.getEvent('Swap').topicHash;
+const ERC20 = new ethers.Interface(sushiswap.ERC20_ABI);
+
+const POOL_QUERY = gql`
+  query Pool($token0: String!, $token1: String!, $fee: BigInt!) {
+    pools(where: { token0: $token0, token1: $token1, feeTier: $fee }) {
+      id
+    }
+  }
+`;
+
+const SWAPS_QUERY = gql`
+  query Swaps($pool: String!, $from: BigInt!, $to: BigInt!, $first: Int!) {
+    swaps(
+      first: $first
+      orderBy: timestamp
+      orderDirection: asc
+      where: { pool: $pool, timestamp_gte: $from, timestamp_lt: $to }
+    ) {
+      id
+      timestamp
+      amount0
+      amount1
+      sqrtPriceX96
+    }
+  }
+`;
+
+const DAY_DATA_QUERY = gql`
+  query PoolDayData($pool: String!, $date: Int!) {
+    poolDayDatas(where: { pool: $pool, date: $date }) {
+      date
+      tvlUSD
+    }
+  }
+`;
+
+/**
+ * Converte data (YYYY-MM-DD, ISO ou ms) em ms UTC
+ */
+function toTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+
+  if (isNaN(time)) {
+    throw new Error(`Data inválida: ${value}`);
+  }
+
+  return time;
+}
+
+/**
+ * Tokens do pool na ordem do contrato
+ */
+function poolTokens(pair, network) {
+  const { base, quote, fee } = sushiswap.resolvePair(pair, network);
+  const baseIsToken0 = sushiswap.isToken0(base.address, quote.address);
+
+  return { base, quote, fee, baseIsToken0 };
+}
+
+/**
+ * Fonte subgraph SushiSwap V3 (schema Uniswap V3)
+ * Cursor = início da próxima janela (segundos)
+ */
+class SubgraphBackfillSource {
+  /**
+   * @param {Object} options
+   * @param {String} options.url - Endpoint GraphQL (padrão: SUBGRAPH_URL_<REDE>)
+   * @param {Object} options.client - Cliente com request(query, variables) (padrão: GraphQLClient)
+   * @param {Number} options.chunkSeconds - Janela por chunk/checkpoint (padrão 1h)
+   * @param {Number} options.pageSize - Swaps por página da consulta
+   */
+  constructor(options = {}) {
+    this.name = 'subgraph';
+    this.url = options.url;
+    this.client = options.client || null;
+    this.chunkSeconds = options.chunkSeconds || 3600;
+    this.pageSize = options.pageSize || 1000;
+
+    this.pool = null;
+    this.tvlByDay = new Map();
+  }
+
+  /**
+   * Localiza o pool do par no subgraph
+   */
+  async init({ network, pair, from, to }) {
+    this.url = this.url || config.analysis.subgraphUrls[network];
+
+    if (!this.url && !this.client) {
+      throw new Error('URL do subgraph não configurada (SUBGRAPH_URL_<REDE> ou --subgraph)');
+    }
+
+    this.client = this.client || new GraphQLClient(this.url);
+
+    const tokens = poolTokens(pair, network);
+    const [token0, token1] = tokens.baseIsToken0 ? [tokens.base, tokens.quote] : [tokens.quote, tokens.base];
+
+    const data = await this.client.request(POOL_QUERY, {
+      token0: token0.address.toLowerCase(),
+      token1: token1.address.toLowerCase(),
+      fee: String(tokens.fee),
+    });
+
+    if (!data.pools || data.pools.length === 0) {
+      throw new Error(`Pool ${pair} (fee ${tokens.fee}) não encontrado no subgraph de ${network}`);
+    }
+
+    this.pool = { address: data.pools[0].id, token0, token1, ...tokens };
+    this.from = Math.floor(from / 1000);
+    this.to = Math.floor(to / 1000);
+
+    return this.pool.address;
+  }
+
+  /**
+   * Swaps da próxima janela (paginação por timestamp, ids repetidos descartados)
+   */
+  async fetchChunk(cursor) {
+    const start = cursor ?? this.from;
+    const end = Math.min(this.to, start + this.chunkSeconds);
+    const seen = new Set();
+    const swaps = [];
+    let from = start;
+
+    for (;;) {
+      const data = await this.client.request(SWAPS_QUERY, {
+        pool: this.pool.address,
+        from: String(from),
+        to: String(end),
+        first: this.pageSize,
+      });
+
+      const page = (data.swaps || []).filter(swap => !seen.has(swap.id));
+      page.forEach(swap => {
+        seen.add(swap.id);
+        swaps.push(this.toSwap(swap));
+      });
+
+      if (page.length === 0 || (data.swaps || []).length < this.pageSize) break;
+      from = Number(data.swaps[data.swaps.length - 1].timestamp);
+    }
+
+    return {
+      swaps,
+      liquidity: await this.fetchTvl(start),
+      until: end * 1000,
+      cursor: end,
+      done: end >= this.to,
+    };
+  }
+
+  /**
+   * Swap do subgraph (amounts já em unidades do token)
+   */
+  toSwap(swap) {
+    const { token0, token1, baseIsToken0 } = this.pool;
+
+    return {
+      time: Number(swap.timestamp) * 1000,
+      price: sushiswap.sqrtPriceX96ToPrice(BigInt(swap.sqrtPriceX96), token0.decimals, token1.decimals, !baseIsToken0),
+      amountQuote: Math.abs(parseFloat(baseIsToken0 ? swap.amount1 : swap.amount0)),
+    };
+  }
+
+  /**
+   * TVL do dia (poolDayData), em cache por dia
+   */
+  async fetchTvl(timestamp) {
+    const date = Math.floor(timestamp / 86400) * 86400;
+
+    if (!this.tvlByDay.has(date)) {
+      const data = await this.client.request(DAY_DATA_QUERY, { pool: this.pool.address, date });
+      const day = (data.poolDayDatas || [])[0];
+      this.tvlByDay.set(date, day ? parseFloat(day.tvlUSD) || null : null);
+    }
+
+    return this.tvlByDay.get(date);
+  }
+}
+
+/**
+ * Fonte eth_getLogs (nó archive para a liquidez histórica)
+ * Cursor = próximo bloco; horário dos swaps interpolado entre os blocos da faixa
+ */
+class LogBackfillSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - Provider da rede do backfill
+   * @param {Object} options.collector - Resolve o pool do par (padrão: MarketDataCollector sem storage)
+   * @param {Number} options.maxBlockRange - Blocos por consulta eth_getLogs
+   */
+  constructor(options = {}) {
+    this.name = 'logs';
+    this.provider = options.provider;
+    this.collector = options.collector || new MarketDataCollector({ storage: null });
+    this.maxBlockRange = options.maxBlockRange || 2000;
+
+    if (!this.provider) {
+      throw new Error('Provider obrigatório para backfill via eth_getLogs');
+    }
+
+    this.pool = null;
+  }
+
+  /**
+   * Resolve o pool e converte o período em faixa de blocos
+   */
+  async init({ network, pair, from, to }) {
+    this.pool = await this.collector.resolvePool(pair, network, this.provider);
+
+    const latest = await this.provider.getBlockNumber();
+    this.fromBlock = await this.findBlockByTimestamp(from, latest);
+    this.toBlock = Math.min(latest, (await this.findBlockByTimestamp(to, latest)) - 1);
+
+    logger.info(`Backfill via logs: blocos ${this.fromBlock} → ${this.toBlock}`);
+    return this.pool.address;
+  }
+
+  /**
+   * Primeiro bloco com timestamp >= time (busca binária; latest + 1 se não houver)
+   */
+  async findBlockByTimestamp(time, latest) {
+    let low = 0;
+    let high = latest + 1;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const block = await this.provider.getBlock(middle);
+
+      if (block.timestamp * 1000 >= time) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Swaps da próxima faixa de blocos + liquidez no último bloco da faixa
+   */
+  async fetchChunk(cursor) {
+    const fromBlock = cursor ?? this.fromBlock;
+    const toBlock = Math.min(this.toBlock, fromBlock + this.maxBlockRange - 1);
+
+    if (fromBlock > toBlock) {
+      return { swaps: [], liquidity: null, until: null, cursor: fromBlock, done: true };
+    }
+
+    const [startBlock, endBlock, logs] = await Promise.all([
+      this.provider.getBlock(fromBlock),
+      this.provider.getBlock(toBlock),
+      this.provider.getLogs({ address: this.pool.address, topics: [SWAP_TOPIC], fromBlock, toBlock }),
+    ]);
+
+    const start = startBlock.timestamp * 1000;
+    const end = endBlock.timestamp * 1000;
+    const timeOf = blockNumber => (toBlock === fromBlock
+      ? end
+      : Math.round(start + (end - start) * (blockNumber - fromBlock) / (toBlock - fromBlock)));
+
+    const swaps = logs
+      .sort((a, b) => a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex))
+      .map(log => this.toSwap(log, timeOf(log.blockNumber)));
+
+    const lastPrice = swaps.length > 0 ? swaps[swaps.length - 1].price : null;
+
+    return {
+      swaps,
+      liquidity: lastPrice ? await this.fetchLiquidity(toBlock, lastPrice) : null,
+      until: end,
+      cursor: toBlock + 1,
+      done: toBlock >= this.toBlock,
+    };
+  }
+
+  /**
+   * Swap a partir do log (preço do sqrtPriceX96 do evento)
+   */
+  toSwap(log, time) {
+    const { base, quote, baseIsToken0 } = this.pool;
+    const { args } = sushiswap.poolInterface.parseLog({ topics: log.topics, data: log.data });
+    const [token0, token1] = baseIsToken0 ? [base, quote] : [quote, base];
+    const quoteAmount = baseIsToken0 ? args.amount1 : args.amount0;
+
+    return {
+      time,
+      price: sushiswap.sqrtPriceX96ToPrice(args.sqrtPriceX96, token0.decimals, token1.decimals, !baseIsToken0),
+      amountQuote: parseFloat(ethers.formatUnits(quoteAmount < 0n ? -quoteAmount : quoteAmount, quote.decimals)),
+    };
+  }
+
+  /**
+   * Liquidez em USD (saldos do pool no bloco); null se o nó não tiver o estado histórico
+   */
+  async fetchLiquidity(blockTag, price) {
+    const balanceOf = token => this.provider.call({
+      to: token.address,
+      data: ERC20.encodeFunctionData('balanceOf', [this.pool.address]),
+      blockTag,
+    }).then(data => ERC20.decodeFunctionResult('balanceOf', data)[0]);
+
+    try {
+      const [baseBalance, quoteBalance] = await Promise.all([balanceOf(this.pool.base), balanceOf(this.pool.quote)]);
+
+      return parseFloat(ethers.formatUnits(baseBalance, this.pool.base.decimals)) * price +
+        parseFloat(ethers.formatUnits(quoteBalance, this.pool.quote.decimals));
+    } catch (error) {
+      logger.debug(`Liquidez histórica indisponível no bloco ${blockTag}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Executa o backfill de uma fonte e grava os registros
+ */
+class Backfiller {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Destino dos registros (padrão: storageManager)
+   * @param {String} options.checkpointDir - Diretório dos checkpoints (padrão: BACKFILL_DIR)
+   * @param {Number} options.interval - Intervalo de cada registro (ms, padrão 5 min)
+   * @param {Number} options.volumeWindow - Janela do volume móvel (ms, padrão 24h)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.checkpointDir = options.checkpointDir || config.paths.backfill;
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.volumeWindow = options.volumeWindow || DAY_MS;
+  }
+
+  /**
+   * Arquivo de checkpoint do par/fonte
+   */
+  getCheckpointFile(network, pair, source) {
+    return path.join(this.checkpointDir, `${network}-${pair.replace('/', '-')}-${source}.json`);
+  }
+
+  loadCheckpoint(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  saveCheckpoint(file, checkpoint) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(checkpoint, null, 2), 'utf8');
+  }
+
+  /**
+   * Roda (ou retoma) o backfill
+   *
+   * @param {Object} params
+   * @param {Object} params.source - SubgraphBackfillSource, LogBackfillSource ou { name, init, fetchChunk }
+   * @param {String} params.from - Primeiro dia (YYYY-MM-DD, inclusivo)
+   * @param {String} params.to - Último dia (YYYY-MM-DD, inclusivo)
+   * @param {Boolean} params.reset - Ignora checkpoint existente
+   * @returns {Object} - Checkpoint final
+   */
+  async run({ source, network = config.network.active, pair, from, to, reset = false }) {
+    const range = { from: toTime(from), to: toTime(to) + DAY_MS };
+
+    if (range.to <= range.from) {
+      throw new Error(`Período inválido: ${from} → ${to}`);
+    }
+
+    const file = this.getCheckpointFile(network, pair, source.name);
+    let checkpoint = reset ? null : this.loadCheckpoint(file);
+
+    if (checkpoint && (checkpoint.from !== range.from || checkpoint.to !== range.to)) {
+      throw new Error(`Checkpoint de outro período em ${file} (use --reset para recomeçar)`);
+    }
+
+    if (checkpoint?.done) {
+      logger.info(`Backfill ${pair} (${network}) já concluído: ${checkpoint.written} registros`);
+      return checkpoint;
+    }
+
+    checkpoint = checkpoint || {
+      network,
+      pair,
+      source: source.name,
+      from: range.from,
+      to: range.to,
+      cursor: null,
+      pending: [], // swaps do intervalo ainda aberto
+      volumes: [], // { time, volume } por intervalo na janela do volume móvel
+      liquidity: null,
+      written: 0,
+      done: false,
+    };
+
+    const pool = await source.init({ network, pair, ...range });
+    logger.info(`📥 Backfill ${pair} (${network}) via ${source.name}: ${from} → ${to} (pool ${pool})${checkpoint.cursor !== null ? ' [retomando]' : ''}`);
+
+    while (!checkpoint.done) {
+      const chunk = await source.fetchChunk(checkpoint.cursor);
+
+      checkpoint.pending.push(...chunk.swaps.filter(swap => swap.time >= range.from && swap.time < range.to));
+      checkpoint.liquidity = chunk.liquidity ?? checkpoint.liquidity;
+
+      const records = this.buildRecords(checkpoint, pair, chunk.done ? Infinity : chunk.until);
+      if (records.length > 0) {
+        this.storage.appendMarketData(network, pair, records);
+      }
+
+      checkpoint.written += records.length;
+      checkpoint.cursor = chunk.cursor;
+      checkpoint.done = chunk.done;
+      this.saveCheckpoint(file, checkpoint);
+
+      logger.debug(`Backfill ${pair}: cursor ${chunk.cursor}, ${checkpoint.written} registros`);
+    }
+
+    logger.info(`✅ Backfill ${pair} (${network}) concluído: ${checkpoint.written} registros`);
+    return checkpoint;
+  }
+
+  /**
+   * Fecha intervalos encerrados até `until` em registros de mercado
+   * (mesmos campos dos snapshots do coletor; volume = soma móvel do lado quote)
+   * Registro datado pelo fechamento do intervalo, como o snapshot do coletor: preço e volume já
+   * conhecidos naquele instante (o replay não vê o fechamento antes da hora)
+   */
+  buildRecords(checkpoint, pair, until) {
+    const buckets = new Map();
+    const remaining = [];
+
+    for (const swap of checkpoint.pending) {
+      const start = Math.floor(swap.time / this.interval) * this.interval;
+
+      if (start + this.interval > until) {
+        remaining.push(swap);
+        continue;
+      }
+
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(swap);
+    }
+
+    checkpoint.pending = remaining;
+
+    return Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([start, swaps]) => {
+        const bucketVolume = swaps.reduce((sum, swap) => sum + swap.amountQuote, 0);
+        const end = start + this.interval;
+
+        checkpoint.volumes.push({ time: start, volume: bucketVolume });
+        checkpoint.volumes = checkpoint.volumes.filter(entry => entry.time > end - this.volumeWindow);
+
+        return {
+          timestamp: new Date(end).toISOString(),
+          pair,
+          price: swaps[swaps.length - 1].price,
+          volume: checkpoint.volumes.reduce((sum, entry) => sum + entry.volume, 0),
+          liquidity: checkpoint.liquidity,
+          swaps: swaps.length,
+          source: 'backfill',
+        };
+      });
+  }
+}
+
+module.exports = {
+  Backfiller,
+  SubgraphBackfillSource,
+  LogBackfillSource,
+};
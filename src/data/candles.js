@@ -0,0 +1,285 @@
+/**
+ * Candles OHLCV - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Agrega ticks (Swaps e snapshots do coletor) em candles de tempo fixo (1m/5m/15m/1h)
+ * - Candle fechado quando chega tick de um período posterior (ou no flush)
+ * - Fechados são persistidos via storageManager.saveCandle ao lado dos dados de mercado
+ * - getCandles(network, pair, timeframe, from, to) = persistidos + candle em formação
+ *
+ * Volume: soma do volume dos ticks (Swaps informam o valor negociado; snapshots
+ * do coletor trazem volume móvel de 24h e entram só com o preço)
+ */
+
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { storageManager } = require('./storage');
+
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+};
+
+/**
+ * Duração do timeframe em ms
+ */
+function getTimeframeMs(timeframe) {
+  const ms = TIMEFRAMES[timeframe];
+
+  if (!ms) {
+    throw new Error(`Timeframe inválido: ${timeframe} (use ${Object.keys(TIMEFRAMES).join(', ')})`);
+  }
+
+  return ms;
+}
+
+/**
+ * Abertura do período que contém o instante
+ */
+function getBucketStart(time, timeframe) {
+  const ms = getTimeframeMs(timeframe);
+  return Math.floor(time / ms) * ms;
+}
+
+/**
+ * Novo candle a partir do primeiro tick do período
+ */
+function createCandle(time, timeframe, price, volume = 0) {
+  return {
+    time,
+    timestamp: new Date(time).toISOString(),
+    timeframe,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume,
+    ticks: 1,
+  };
+}
+
+/**
+ * Aplica tick em candle aberto
+ */
+function updateCandle(candle, price, volume = 0) {
+  candle.high = Math.max(candle.high, price);
+  candle.low = Math.min(candle.low, price);
+  candle.close = price;
+  candle.volume += volume;
+  candle.ticks++;
+  return candle;
+}
+
+/**
+ * Agrega ticks em candles (uso offline: backtesting, dados históricos)
+ *
+ * @param {Array} ticks - [{ time (ms) ou timestamp (ISO), price, volume? }]
+ * @returns {Array} - Candles ordenados por abertura
+ */
+function aggregateTicks(ticks, timeframe) {
+  const candles = new Map();
+
+  ticks
+    .map(tick => ({ ...tick, time: tick.time ?? new Date(tick.timestamp).getTime() }))
+    .filter(tick => tick.price > 0 && !isNaN(tick.time))
+    .sort((a, b) => a.time - b.time)
+    .forEach(tick => {
+      const start = getBucketStart(tick.time, timeframe);
+      const candle = candles.get(start);
+
+      if (candle) {
+        updateCandle(candle, tick.price, tick.volume || 0);
+      } else {
+        candles.set(start, createCandle(start, timeframe, tick.price, tick.volume || 0));
+      }
+    });
+
+  return Array.from(candles.values());
+}
+
+/**
+ * Reagrupa candles em timeframe maior (ex: 1m → 15m)
+ */
+function resampleCandles(candles, timeframe) {
+  const resampled = new Map();
+
+  [...candles].sort((a, b) => a.time - b.time).forEach(candle => {
+    const start = getBucketStart(candle.time, timeframe);
+    const current = resampled.get(start);
+
+    if (!current) {
+      resampled.set(start, { ...candle, time: start, timestamp: new Date(start).toISOString(), timeframe });
+      return;
+    }
+
+    current.high = Math.max(current.high, candle.high);
+    current.low = Math.min(current.low, candle.low);
+    current.close = candle.close;
+    current.volume += candle.volume;
+    current.ticks += candle.ticks;
+  });
+
+  return Array.from(resampled.values());
+}
+
+/**
+ * Preços de fechamento (entrada dos indicadores: RSI, EMA, volatilidade)
+ */
+function getCloses(candles) {
+  return candles.map(candle => candle.close);
+}
+
+/**
+ * Construtor de candles em tempo real
+ */
+class CandleBuilder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Persistência (padrão: storageManager, null mantém só em memória)
+   * @param {Array} options.timeframes - Timeframes gerados (padrão: CANDLE_TIMEFRAMES)
+   * @param {String} options.network - Rede padrão dos ticks (padrão: ACTIVE_NETWORK)
+   * @param {Number} options.memorySize - Candles fechados mantidos em memória por par/timeframe
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : storageManager;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+    this.network = options.network || config.network.active;
+    this.timeframes = options.timeframes || config.bot.candleTimeframes;
+    this.memorySize = options.memorySize || 500;
+
+    this.timeframes.forEach(getTimeframeMs); // valida
+
+    this.open = new Map(); // `${rede}:${par}:${tf}` -> candle em formação
+    this.closed = new Map(); // `${rede}:${par}:${tf}` -> últimos candles fechados (sem storage)
+    this.lastTick = new Map(); // `${rede}:${par}` -> instante do último tick aceito
+    this.onMarketData = this.onMarketData.bind(this);
+  }
+
+  /**
+   * Adiciona tick a todos os timeframes do par
+   *
+   * @param {Object} tick - { price, volume?, time? (ms, padrão: agora) }
+   */
+  addTick(pair, tick, network = this.network) {
+    const time = tick.time ?? this.clock.now();
+    const volume = tick.volume || 0;
+
+    if (!tick.price || tick.price <= 0) return;
+
+    // Tick fora de ordem alteraria o close de candles já formados
+    if (time < (this.lastTick.get(`${network}:${pair}`) ?? -Infinity)) {
+      logger.debug(`Tick atrasado ignorado em ${pair}`);
+      return;
+    }
+    this.lastTick.set(`${network}:${pair}`, time);
+
+    for (const timeframe of this.timeframes) {
+      const key = `${network}:${pair}:${timeframe}`;
+      const start = getBucketStart(time, timeframe);
+      const current = this.open.get(key);
+
+      if (current && start === current.time) {
+        updateCandle(current, tick.price, volume);
+        continue;
+      }
+
+      if (current) {
+        this.closeCandle(network, pair, timeframe, current);
+      }
+
+      this.open.set(key, createCandle(start, timeframe, tick.price, volume));
+    }
+  }
+
+  /**
+   * Fecha candle: persiste e emite CANDLE_CLOSED
+   */
+  closeCandle(network, pair, timeframe, candle) {
+    const key = `${network}:${pair}:${timeframe}`;
+
+    if (this.storage) {
+      this.storage.saveCandle(network, pair, timeframe, candle);
+    } else {
+      const closed = this.closed.get(key) || [];
+      closed.push(candle);
+      if (closed.length > this.memorySize) closed.shift();
+      this.closed.set(key, closed);
+    }
+
+    this.events.emit(EVENTS.CANDLE_CLOSED, { network, pair, timeframe, candle });
+  }
+
+  /**
+   * Fecha todos os candles em formação (ex: ao parar o bot)
+   */
+  flush() {
+    for (const [key, candle] of this.open) {
+      const [network, pair, timeframe] = key.split(':');
+      this.closeCandle(network, pair, timeframe, candle);
+    }
+
+    this.open.clear();
+  }
+
+  /**
+   * Consulta candles de um período (fechados + candle em formação)
+   *
+   * @param {Number} from - Abertura mínima (ms, opcional)
+   * @param {Number} to - Abertura máxima (ms, opcional)
+   */
+  getCandles(network, pair, timeframe, from = null, to = null) {
+    getTimeframeMs(timeframe);
+    const key = `${network}:${pair}:${timeframe}`;
+    const inRange = candle => (from === null || candle.time >= from) && (to === null || candle.time <= to);
+
+    const candles = this.storage
+      ? this.storage.loadCandles(network, pair, timeframe, from, to)
+      : (this.closed.get(key) || []).filter(inRange);
+
+    const current = this.open.get(key);
+    if (current && inRange(current)) {
+      candles.push({ ...current });
+    }
+
+    return candles;
+  }
+
+  /**
+   * Snapshots do coletor (MARKET_DATA_COLLECTED) viram ticks de preço
+   */
+  onMarketData(data) {
+    this.addTick(data.pair, { price: data.price }, data.network || this.network);
+  }
+
+  /**
+   * Passa a ouvir snapshots do coletor
+   */
+  attach() {
+    this.events.on(EVENTS.MARKET_DATA_COLLECTED, this.onMarketData);
+  }
+
+  /**
+   * Para de ouvir snapshots
+   */
+  detach() {
+    this.events.off(EVENTS.MARKET_DATA_COLLECTED, this.onMarketData);
+  }
+}
+
+const candleBuilder = new CandleBuilder();
+
+module.exports = {
+  candleBuilder,
+  CandleBuilder,
+  TIMEFRAMES,
+  getTimeframeMs,
+  getBucketStart,
+  aggregateTicks,
+  resampleCandles,
+  getCloses,
+};
@@ -0,0 +1,301 @@
+/**
+ * Market Data Collector - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Coleta dados de mercado on-chain dos pools SushiSwap V3 (implementa collector.collect(pair))
+ * - Preço a partir do slot0 (sqrtPriceX96) com os decimais corretos de cada token
+ * - Liquidez em USD (saldos do pool valorizados no token quote) + liquidity ativa do pool
+ * - Volume em janela móvel somando eventos Swap desde a última coleta
+ *   (primeira coleta abre a janela inteira, buscada aos poucos em VOLUME_BACKFILL_CHUNKS consultas por coleta;
+ *   até cobrir a janela o volume sai com volumeReady=false e fica fora do avgVolume)
+ * - Volatilidade = desvio padrão dos retornos do histórico de preços, em escala diária
+ * - Snapshots persistidos via storageManager.saveMarketData (data/market/<rede>/<dia>/)
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { providerManager: defaultProviderManager } = require('../blockchain/provider');
+const { storageManager } = require('./storage');
+const { calculateDailyReturnsVolatility } = require('../indicators/volatility');
+const sushiswap = require('../blockchain/sushiswap');
+
+const ERC20 = new ethers.Interface(sushiswap.ERC20_ABI);
+
+/**
+ * Coletor de dados de mercado on-chain
+ */
+class MarketDataCollector {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerManager - Provider da rede (padrão: providerManager)
+   * @param {Object} options.storage - Persistência de snapshots (padrão: storageManager, null desativa)
+   * @param {Object} options.clock - Fonte de tempo (padrão: relógio do sistema)
+   * @param {Number} options.historySize - Preços mantidos em priceHistory
+   * @param {Number} options.volatilityWindow - Preços usados na volatilidade
+   * @param {Number} options.volumeWindow - Janela do volume móvel (ms, padrão 24h)
+   * @param {Number} options.maxBlockRange - Blocos por consulta de logs (e amostra do tempo de bloco)
+   * @param {Number} options.maxChunksPerCollect - Consultas de logs por coleta (padrão: VOLUME_BACKFILL_CHUNKS)
+   */
+  constructor(options = {}) {
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.storage = options.storage !== undefined ? options.storage : storageManager;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+    this.network = options.network || null;
+
+    this.historySize = options.historySize || 100;
+    this.volatilityWindow = options.volatilityWindow || 20;
+    this.volumeWindow = options.volumeWindow || 24 * 60 * 60 * 1000;
+    this.maxBlockRange = options.maxBlockRange || 2000;
+    this.maxChunksPerCollect = options.maxChunksPerCollect || config.bot.volumeBackfillChunks;
+
+    this.pools = new Map(); // `${rede}:${par}` -> { address, contract, base, quote, baseIsToken0 }
+    this.series = new Map(); // `${rede}:${par}` -> { prices, volumes, times, buckets, lastBlock, msPerBlock }
+  }
+
+  /**
+   * Rede coletada (segue a rede atual do provider)
+   */
+  getNetwork() {
+    return this.network || this.providerManager.currentNetwork || config.network.active;
+  }
+
+  /**
+   * Coleta dado de mercado do par
+   * Erros são emitidos em MARKET_DATA_ERROR e o tick segue sem dados (null)
+   *
+   * @returns {Object} - { price, volume, volumeReady, liquidity, volatility, priceHistory, avgVolume, timestamp, ... } ou null
+   */
+  async collect(pair) {
+    const network = this.getNetwork();
+
+    try {
+      const provider = this.providerManager.getProvider();
+      const pool = await this.resolvePool(pair, network, provider);
+      const series = this.getSeries(network, pair);
+
+      const state = await this.readPoolState(pool, provider);
+      const now = this.clock.now();
+
+      // Falha nos logs não derruba a coleta: preço segue para as saídas e o volume continua de onde parou
+      let volumeReady = false;
+      try {
+        volumeReady = await this.fetchSwapVolume(pool, provider, series, state.blockNumber, now);
+      } catch (error) {
+        logger.warn(`Volume de ${pair} (${network}) incompleto: ${error.message}`);
+      }
+
+      // Volume móvel: descarta baldes mais antigos que a janela
+      series.buckets = series.buckets.filter(bucket => bucket.time > now - this.volumeWindow);
+      const volume = series.buckets.reduce((sum, bucket) => sum + bucket.volume, 0);
+
+      series.prices.push(state.price);
+      series.times.push(now);
+      if (series.prices.length > this.historySize) {
+        series.prices.shift();
+        series.times.shift();
+      }
+
+      // Volume parcial (janela ainda sendo buscada) fica fora da média
+      if (volumeReady) {
+        series.volumes.push(volume);
+        if (series.volumes.length > this.historySize) {
+          series.volumes.shift();
+        }
+      }
+
+      const marketData = {
+        pair,
+        price: state.price,
+        volume,
+        volumeReady,
+        liquidity: state.liquidityUSD,
+        volatility: calculateDailyReturnsVolatility(series.prices.slice(-this.volatilityWindow), series.times.slice(-this.volatilityWindow)),
+        priceHistory: [...series.prices],
+        avgVolume: series.volumes.length > 0
+          ? series.volumes.reduce((sum, v) => sum + v, 0) / series.volumes.length
+          : volume,
+        timestamp: new Date(now).toISOString(),
+        pool: pool.address,
+        tick: state.tick,
+        sqrtPriceX96: state.sqrtPriceX96.toString(),
+        activeLiquidity: state.liquidity.toString(),
+        blockNumber: state.blockNumber,
+      };
+
+      if (this.storage) {
+        // priceHistory fica fora do JSONL (reconstruído no replay)
+        const snapshot = { ...marketData };
+        delete snapshot.priceHistory;
+        this.storage.saveMarketData(network, pair, snapshot);
+      }
+
+      this.events.emit(EVENTS.MARKET_DATA_COLLECTED, { network, pair, price: marketData.price, volume, liquidity: marketData.liquidity, volatility: marketData.volatility });
+
+      return marketData;
+    } catch (error) {
+      logger.error(`Erro ao coletar dados de ${pair} (${network}): ${error.message}`);
+      this.events.emit(EVENTS.MARKET_DATA_ERROR, { network, pair, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve e guarda em cache o pool do par (factory.getPool com POOL_FEE)
+   */
+  async resolvePool(pair, network, provider) {
+    const key = `${network}:${pair}`;
+
+    if (this.pools.has(key)) {
+      return this.pools.get(key);
+    }
+
+    const { base, quote, fee } = sushiswap.resolvePair(pair, network);
+    const factory = sushiswap.getFactoryContract(provider, network);
+    const address = await factory.getPool(base.address, quote.address, fee);
+
+    if (!address || address === ethers.ZeroAddress) {
+      throw new Error(`Pool SushiSwap V3 inexistente para ${pair} (fee ${fee}) em ${network}`);
+    }
+
+    const pool = {
+      address,
+      contract: sushiswap.getPoolContract(address, provider),
+      base,
+      quote,
+      fee,
+      baseIsToken0: sushiswap.isToken0(base.address, quote.address),
+    };
+
+    this.pools.set(key, pool);
+    logger.info(`🏊 Pool ${pair} (${fee / 10000}%) em ${network}: ${address}`);
+
+    return pool;
+  }
+
+  /**
+   * Histórico do par
+   */
+  getSeries(network, pair) {
+    const key = `${network}:${pair}`;
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { prices: [], volumes: [], times: [], buckets: [], lastBlock: null, msPerBlock: null });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Lê slot0, liquidity e saldos do pool no bloco atual
+   */
+  async readPoolState(pool, provider) {
+    const balanceOf = token => provider.call({
+      to: token.address,
+      data: ERC20.encodeFunctionData('balanceOf', [pool.address]),
+    }).then(data => ERC20.decodeFunctionResult('balanceOf', data)[0]);
+
+    const [slot0, liquidity, baseBalance, quoteBalance, blockNumber] = await Promise.all([
+      pool.contract.slot0(),
+      pool.contract.liquidity(),
+      balanceOf(pool.base),
+      balanceOf(pool.quote),
+      provider.getBlockNumber(),
+    ]);
+
+    const [token0, token1] = pool.baseIsToken0 ? [pool.base, pool.quote] : [pool.quote, pool.base];
+
+    // Preço do base cotado no quote
+    const price = sushiswap.sqrtPriceX96ToPrice(slot0.sqrtPriceX96, token0.decimals, token1.decimals, !pool.baseIsToken0);
+
+    if (!price || !isFinite(price)) {
+      throw new Error(`Preço inválido no pool ${pool.address}`);
+    }
+
+    const liquidityUSD =
+      parseFloat(ethers.formatUnits(baseBalance, pool.base.decimals)) * price +
+      parseFloat(ethers.formatUnits(quoteBalance, pool.quote.decimals));
+
+    return {
+      price,
+      tick: Number(slot0.tick),
+      sqrtPriceX96: slot0.sqrtPriceX96,
+      liquidity,
+      liquidityUSD,
+      blockNumber,
+    };
+  }
+
+  /**
+   * Soma o volume (lado quote, em módulo) dos eventos Swap desde series.lastBlock em baldes { time, volume }
+   * Primeira coleta abre a janela inteira (volumeWindow); cada coleta faz no máximo maxChunksPerCollect
+   * consultas e cada trecho lido entra nos baldes e avança lastBlock na hora (falha não perde o que já foi lido)
+   *
+   * @returns {Boolean} - true quando o volume cobre a janela até toBlock
+   */
+  async fetchSwapVolume(pool, provider, series, toBlock, now) {
+    if (series.lastBlock === null) {
+      series.msPerBlock = await this.estimateBlockTime(provider, toBlock);
+      series.lastBlock = Math.max(0, toBlock - Math.ceil(this.volumeWindow / series.msPerBlock) + 1) - 1;
+      logger.debug(`Volume ${pool.base.symbol}/${pool.quote.symbol}: buscando ${toBlock - series.lastBlock} blocos da janela`);
+    }
+
+    const topic = sushiswap.poolInterface.getEvent('Swap').topicHash;
+
+    for (let chunks = 0; series.lastBlock < toBlock && chunks < this.maxChunksPerCollect; chunks++) {
+      const fromBlock = series.lastBlock + 1;
+      const chunkEnd = Math.min(toBlock, fromBlock + this.maxBlockRange - 1);
+      const logs = await provider.getLogs({ address: pool.address, topics: [topic], fromBlock, toBlock: chunkEnd });
+      let volume = 0;
+
+      for (const log of logs) {
+        const { args } = sushiswap.poolInterface.parseLog({ topics: log.topics, data: log.data });
+        const quoteAmount = pool.baseIsToken0 ? args.amount1 : args.amount0;
+        volume += parseFloat(ethers.formatUnits(quoteAmount < 0n ? -quoteAmount : quoteAmount, pool.quote.decimals));
+      }
+
+      // Trecho datado pelo tempo de bloco (o último, no bloco atual, pela coleta)
+      series.buckets.push({ time: now - (toBlock - chunkEnd) * series.msPerBlock, volume });
+      series.lastBlock = chunkEnd;
+    }
+
+    if (series.lastBlock < toBlock) {
+      logger.debug(`Volume ${pool.base.symbol}/${pool.quote.symbol}: faltam ${toBlock - series.lastBlock} blocos da janela`);
+    }
+
+    return series.lastBlock >= toBlock;
+  }
+
+  /**
+   * Tempo médio de bloco (ms) nos últimos maxBlockRange blocos
+   */
+  async estimateBlockTime(provider, toBlock) {
+    const sample = Math.min(this.maxBlockRange, toBlock);
+    const [latest, earlier] = await Promise.all([provider.getBlock(toBlock), provider.getBlock(toBlock - sample)]);
+    const msPerBlock = ((latest?.timestamp ?? 0) - (earlier?.timestamp ?? 0)) * 1000 / sample;
+
+    if (!(msPerBlock > 0)) {
+      throw new Error(`Tempo de bloco indisponível (blocos ${toBlock - sample}..${toBlock})`);
+    }
+
+    return msPerBlock;
+  }
+
+  /**
+   * Limpa cache de pools e históricos (ex: após troca de rede)
+   */
+  reset() {
+    this.pools.clear();
+    this.series.clear();
+  }
+}
+
+const marketDataCollector = new MarketDataCollector();
+
+module.exports = {
+  marketDataCollector,
+  MarketDataCollector,
+};
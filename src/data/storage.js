@@ -6,21 +6,35 @@
  * - Ciclos de trading
  * - Trades executados
  * - Métricas de performance
+ * - Dados de mercado e candles OHLCV (data/market/<rede>/<dia>/)
  */
 
 const fs = require('fs');
 const path = require('path');
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
+const { systemClock } = require('../core/clock');
 
 /**
  * Classe para gerenciar storage
  */
 class StorageManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {String} options.cyclesDir - Diretório dos ciclos (padrão: data/cycles)
+   * @param {Number} options.initialCapital - Capital inicial dos ciclos (padrão: config)
+   * @param {Object} options.clock - Fonte de tempo (padrão: relógio do sistema)
+   * @param {Boolean} options.persist - Grava ciclos em disco (padrão: true)
+   * @param {String} options.marketDir - Diretório dos dados de mercado (padrão: data/market)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.initialCapital = options.initialCapital ?? config.bot.initialCapital;
+    this.persist = options.persist ?? true;
+
     this.dataDir = config.paths.data;
-    this.cyclesDir = path.join(this.dataDir, 'cycles');
-    this.marketDir = path.join(this.dataDir, 'market');
+    this.cyclesDir = options.cyclesDir || path.join(this.dataDir, 'cycles');
+    this.marketDir = options.marketDir || path.join(this.dataDir, 'market');
     this.reportsDir = config.paths.reports;
 
     this.currentCycle = null;
@@ -50,10 +64,17 @@ class StorageManager {
 
   /**
    * Inicia novo ciclo
+   *
+   * @param {Object} options
+   * @param {boolean} options.simulated - Ciclo com trades simulados (paper/backtest)
+   * @param {String} options.executionMode - live | paper | backtest
+   * @param {String} options.cycleId - ID customizado (padrão: cycle-YYYY-MM-DD-HHMMSS)
+   * @param {Array<String>} options.networks - Redes operadas no ciclo (padrão: [network])
    */
-  startNewCycle(network, strategy) {
-    const timestamp = new Date();
-    const cycleId = this.generateCycleId(timestamp);
+  startNewCycle(network, strategy, options = {}) {
+    const timestamp = new Date(this.clock.now());
+    const cycleId = options.cycleId || this.generateCycleId(timestamp);
+    const simulated = options.simulated ?? config.execution.isPaper;
 
     this.currentCycle = {
       cycleId,
@@ -61,8 +82,11 @@ class StorageManager {
       endTime: null,
       durationSeconds: null,
       network,
+      networks: options.networks || [network],
       strategy,
-      initialCapital: config.bot.initialCapital,
+      executionMode: options.executionMode || (simulated ? 'paper' : 'live'),
+      simulated,
+      initialCapital: this.initialCapital,
       finalCapital: null,
       pnl: null,
       pnlPercent: null,
@@ -82,13 +106,14 @@ class StorageManager {
         maxConsecutiveWins: 0,
         maxConsecutiveLosses: 0,
       },
+      byNetwork: {},
     };
 
     this.currentCycleFile = path.join(this.cyclesDir, `${cycleId}.json`);
 
     this.saveCycle();
 
-    logger.info(`📊 Novo ciclo iniciado: ${cycleId}`);
+    logger.info(`📊 Novo ciclo iniciado: ${cycleId}${simulated ? ` [${this.currentCycle.executionMode.toUpperCase()}]` : ''}`);
 
     return this.currentCycle;
   }
@@ -143,7 +168,7 @@ class StorageManager {
     }
 
     this.currentCycle.events.push({
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock.toISOString(),
       type: eventType,
       data,
     });
@@ -160,7 +185,7 @@ class StorageManager {
       return null;
     }
 
-    const endTime = new Date();
+    const endTime = new Date(this.clock.now());
     const startTime = new Date(this.currentCycle.startTime);
 
     // Atualiza dados finais
@@ -183,6 +208,7 @@ class StorageManager {
 
     // Calcula métricas
     this.calculateMetrics();
+    this.currentCycle.byNetwork = this.summarizeByNetwork();
 
     // Salva ciclo final
     this.saveCycle();
@@ -260,11 +286,37 @@ class StorageManager {
     this.currentCycle.metrics.maxConsecutiveLosses = maxLosses;
   }
 
+  /**
+   * Trades e P&L realizado por rede (trades sem rede contam na rede principal do ciclo)
+   */
+  summarizeByNetwork() {
+    const summary = {};
+    const entryFor = network => {
+      summary[network] = summary[network] || { totalTrades: 0, winningTrades: 0, losingTrades: 0, pnl: 0, gasCostUSD: 0 };
+      return summary[network];
+    };
+
+    (this.currentCycle.networks || [this.currentCycle.network]).forEach(entryFor);
+
+    for (const trade of this.currentCycle.trades) {
+      const entry = entryFor(trade.network || this.currentCycle.network);
+
+      entry.totalTrades++;
+      entry.gasCostUSD += trade.gasCostUSD || 0;
+
+      if (trade.pnl > 0) entry.winningTrades++;
+      if (trade.pnl < 0) entry.losingTrades++;
+      if (trade.pnl !== null && trade.pnl !== undefined) entry.pnl += trade.pnl;
+    }
+
+    return summary;
+  }
+
   /**
    * Salva ciclo atual no arquivo
    */
   saveCycle() {
-    if (!this.currentCycle || !this.currentCycleFile) {
+    if (!this.persist || !this.currentCycle || !this.currentCycleFile) {
       return;
     }
 
@@ -321,7 +373,9 @@ class StorageManager {
             cycleId,
             startTime: data.startTime,
             endTime: data.endTime,
+            networks: data.networks || [data.network],
             pnl: data.pnl,
+            simulated: Boolean(data.simulated),
             totalTrades: data.totalTrades,
             winRate: data.winRate,
             fileSize: stats.size,
@@ -371,43 +425,59 @@ class StorageManager {
 
   /**
    * Salva dados de mercado (preços, liquidez, etc)
+   * Usa data.timestamp quando informado (dia do arquivo = dia do registro)
    */
   saveMarketData(network, pair, data) {
     try {
-      const date = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-      const networkDir = path.join(this.marketDir, network);
-      const dateDir = path.join(networkDir, date);
+      const timestamp = data.timestamp || new Date().toISOString();
+
+      this.appendMarketData(network, pair, [{ ...data, timestamp }]);
+
+      logger.debug(`Dados de mercado salvos: ${network}/${pair}`);
+    } catch (error) {
+      logger.error('Erro ao salvar dados de mercado:', error);
+    }
+  }
+
+  /**
+   * Grava lote de registros (JSONL, um append por dia)
+   * Registros precisam de timestamp ISO; usado pelo coletor e pelo backfill histórico
+   *
+   * @returns {Number} - Registros gravados
+   */
+  appendMarketData(network, pair, records) {
+    const byDate = new Map();
+
+    for (const record of records) {
+      const date = record.timestamp.slice(0, 10); // YYYY-MM-DD
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push(JSON.stringify(record));
+    }
+
+    for (const [date, lines] of byDate) {
+      const dateDir = path.join(this.marketDir, network, date);
 
       // Cria diretórios se não existirem
       if (!fs.existsSync(dateDir)) {
         fs.mkdirSync(dateDir, { recursive: true });
       }
 
-      const filename = `${pair.replace('/', '-')}.jsonl`;
-      const filePath = path.join(dateDir, filename);
-
-      // Adiciona timestamp
-      const record = {
-        timestamp: new Date().toISOString(),
-        ...data,
-      };
-
-      // Append JSONL (um JSON por linha)
-      fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf8');
-
-      logger.debug(`Dados de mercado salvos: ${network}/${pair}`);
-    } catch (error) {
-      logger.error('Erro ao salvar dados de mercado:', error);
+      const filePath = path.join(dateDir, `${pair.replace('/', '-')}.jsonl`);
+      fs.appendFileSync(filePath, lines.join('\n') + '\n', 'utf8');
     }
+
+    return records.length;
   }
 
   /**
    * Lê dados de mercado de um dia específico
+   *
+   * @param {String} baseDir - Raiz dos dados (padrão: data/market; coletor usa data/)
    */
-  loadMarketData(network, pair, date) {
+  loadMarketData(network, pair, date, baseDir = this.marketDir) {
     try {
       const filename = `${pair.replace('/', '-')}.jsonl`;
-      const filePath = path.join(this.marketDir, network, date, filename);
+      const filePath = path.join(baseDir, network, date, filename);
 
       if (!fs.existsSync(filePath)) {
         return [];
@@ -422,6 +492,97 @@ class StorageManager {
       return [];
     }
   }
+
+  /**
+   * Salva candle fechado (data/market/<rede>/<dia>/<PAR>.<timeframe>.jsonl)
+   * O dia é o da abertura do candle
+   */
+  saveCandle(network, pair, timeframe, candle) {
+    try {
+      const date = new Date(candle.time).toISOString().slice(0, 10);
+      const dateDir = path.join(this.marketDir, network, date);
+
+      if (!fs.existsSync(dateDir)) {
+        fs.mkdirSync(dateDir, { recursive: true });
+      }
+
+      const filePath = path.join(dateDir, `${pair.replace('/', '-')}.${timeframe}.jsonl`);
+      fs.appendFileSync(filePath, JSON.stringify(candle) + '\n', 'utf8');
+    } catch (error) {
+      logger.error('Erro ao salvar candle:', error);
+    }
+  }
+
+  /**
+   * Lê candles de um período (ordenados por abertura)
+   *
+   * @param {Number} from - Abertura mínima (ms, inclusivo, opcional)
+   * @param {Number} to - Abertura máxima (ms, inclusivo, opcional)
+   */
+  loadCandles(network, pair, timeframe, from = null, to = null) {
+    const networkDir = path.join(this.marketDir, network);
+
+    if (!fs.existsSync(networkDir)) {
+      return [];
+    }
+
+    const fromDate = from !== null ? new Date(from).toISOString().slice(0, 10) : null;
+    const toDate = to !== null ? new Date(to).toISOString().slice(0, 10) : null;
+    const filename = `${pair.replace('/', '-')}.${timeframe}.jsonl`;
+    const candles = [];
+
+    fs.readdirSync(networkDir)
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+      .filter(date => (!fromDate || date >= fromDate) && (!toDate || date <= toDate))
+      .forEach(date => {
+        const filePath = path.join(networkDir, date, filename);
+
+        if (!fs.existsSync(filePath)) return;
+
+        try {
+          fs.readFileSync(filePath, 'utf8').trim().split('\n')
+            .filter(Boolean)
+            .forEach(line => candles.push(JSON.parse(line)));
+        } catch (error) {
+          logger.error(`Erro ao carregar candles ${network}/${pair} (${date}):`, error);
+        }
+      });
+
+    return candles
+      .filter(candle => (from === null || candle.time >= from) && (to === null || candle.time <= to))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Lê histórico de mercado de um período (ordenado por timestamp)
+   * Combina data/market/<network>/<dia>/ e o formato do coletor data/<network>/<dia>/
+   *
+   * @param {Object} range - { from, to } no formato YYYY-MM-DD (inclusivos, opcionais)
+   */
+  loadMarketHistory(network, pair, range = {}) {
+    const baseDirs = [this.marketDir, this.dataDir];
+    const records = [];
+
+    for (const baseDir of baseDirs) {
+      const networkDir = path.join(baseDir, network);
+
+      if (!fs.existsSync(networkDir)) {
+        continue;
+      }
+
+      const dates = fs.readdirSync(networkDir)
+        .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+        .filter(date => (!range.from || date >= range.from) && (!range.to || date <= range.to));
+
+      dates.forEach(date => {
+        records.push(...this.loadMarketData(network, pair, date, baseDir));
+      });
+    }
+
+    return records
+      .filter(record => record.timestamp)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,331 @@
+/**
+ * Swap Subscriber - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Ingestão de eventos Swap dos pools SushiSwap V3 entre os ticks do loop principal
+ * - WebSocket (provider.on com filtro de logs) quando há URL configurada
+ * - Fallback automático para polling de eth_getLogs por faixa de blocos (HTTP)
+ * - Histórico de trades por par (preço do sqrtPriceX96 do evento) + volume móvel
+ * - Cada trade é entregue ao callback onTrade assim que chega
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { systemClock } = require('../core/clock');
+const { providerManager: defaultProviderManager } = require('../blockchain/provider');
+const { marketDataCollector } = require('./collector');
+const sushiswap = require('../blockchain/sushiswap');
+
+const SWAP_TOPIC = sushiswap.poolInterface.getEvent('Swap').topicHash;
+
+/**
+ * Subscriber de eventos Swap
+ */
+class SwapSubscriber {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onTrade - Callback (trade) chamado a cada Swap
+   * @param {Object} options.collector - Resolve pools dos pares (padrão: marketDataCollector)
+   * @param {String} options.wsUrl - URL WebSocket (padrão: config.network.websocket[rede]; null força polling)
+   * @param {Function} options.createWebSocketProvider - Fábrica do provider WebSocket (url → provider)
+   * @param {Number} options.pollInterval - Intervalo do polling HTTP (ms, padrão LOG_POLL_INTERVAL)
+   * @param {Number} options.maxBlockRange - Blocos por consulta eth_getLogs
+   * @param {Number} options.historySize - Trades mantidos por par
+   * @param {Number} options.volumeWindow - Janela do volume móvel (ms, padrão 24h)
+   */
+  constructor(options = {}) {
+    this.onTrade = options.onTrade || null;
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.collector = options.collector || marketDataCollector;
+    this.clock = options.clock || systemClock;
+    this.wsUrl = options.wsUrl;
+    this.createWebSocketProvider = options.createWebSocketProvider || (url => new ethers.WebSocketProvider(url));
+    this.connectTimeout = options.connectTimeout || 10000;
+
+    this.pollInterval = options.pollInterval ?? config.bot.logPollInterval * 1000;
+    this.maxBlockRange = options.maxBlockRange || 2000;
+    this.historySize = options.historySize || 500;
+    this.volumeWindow = options.volumeWindow || 24 * 60 * 60 * 1000;
+
+    this.mode = null; // 'websocket' | 'polling'
+    this.running = false;
+    this.pools = new Map(); // endereço do pool (lowercase) -> { pair, pool }
+    this.history = new Map(); // par -> { trades, volumes }
+    this.seen = new Set(); // txHash:logIndex (evita duplicar no fallback)
+    this.lastBlock = null;
+    this.pollTimer = null;
+    this.wsProvider = null;
+  }
+
+  /**
+   * Resolve pools dos pares e inicia a assinatura (WebSocket ou polling)
+   *
+   * @returns {String} - Modo ativo ('websocket' | 'polling')
+   */
+  async start(pairs = config.bot.pairs) {
+    const network = this.providerManager.currentNetwork || config.network.active;
+    const provider = this.providerManager.getProvider();
+
+    for (const pair of pairs) {
+      const pool = await this.collector.resolvePool(pair, network, provider);
+      this.pools.set(pool.address.toLowerCase(), { pair, pool });
+    }
+
+    this.running = true;
+
+    const wsUrl = this.wsUrl !== undefined ? this.wsUrl : config.network.websocket?.[network];
+
+    if (wsUrl) {
+      try {
+        await this.startWebSocket(wsUrl);
+        return this.mode;
+      } catch (error) {
+        logger.warn(`WebSocket indisponível (${error.message}), usando polling de eth_getLogs`);
+        await this.closeWebSocket();
+      }
+    }
+
+    await this.startPolling();
+    return this.mode;
+  }
+
+  /**
+   * Assina eventos Swap via WebSocket
+   */
+  async startWebSocket(url) {
+    const wsProvider = this.createWebSocketProvider(url);
+    this.wsProvider = wsProvider;
+
+    // Valida conexão antes de assinar (URL inválida não pode travar o start)
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('timeout na conexão')), this.connectTimeout);
+    });
+
+    try {
+      const blockNumber = await Promise.race([wsProvider.getBlockNumber(), timeout]);
+      this.lastBlock = this.lastBlock ?? blockNumber;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await wsProvider.on({ address: this.getPoolAddresses(), topics: [SWAP_TOPIC] }, log => this.handleLog(log));
+
+    // Queda do socket → polling HTTP
+    const socket = wsProvider.websocket;
+    if (socket && typeof socket.addEventListener === 'function') {
+      socket.addEventListener('close', () => this.fallbackToPolling('conexão WebSocket encerrada'));
+    }
+    await wsProvider.on('error', error => this.fallbackToPolling(error?.message || 'erro no WebSocket'));
+
+    this.mode = 'websocket';
+    logger.info(`📡 Eventos Swap via WebSocket (${this.pools.size} pool(s))`);
+  }
+
+  /**
+   * Troca para polling HTTP mantendo o último bloco processado
+   */
+  async fallbackToPolling(reason) {
+    if (!this.running || this.mode === 'polling') return;
+
+    logger.warn(`⚠️  WebSocket caiu (${reason}), alternando para polling de eth_getLogs`);
+    await this.closeWebSocket();
+
+    // Reprocessa o último bloco visto (logs restantes do bloco; duplicados são descartados)
+    if (this.lastBlock !== null) {
+      this.lastBlock -= 1;
+    }
+    await this.startPolling();
+  }
+
+  /**
+   * Inicia polling de eth_getLogs a partir do último bloco visto
+   */
+  async startPolling() {
+    this.mode = 'polling';
+
+    if (this.lastBlock === null) {
+      this.lastBlock = await this.providerManager.getProvider().getBlockNumber();
+    }
+
+    logger.info(`📡 Eventos Swap via polling (${this.pools.size} pool(s), a cada ${this.pollInterval / 1000}s)`);
+    this.schedulePoll();
+  }
+
+  /**
+   * Agenda próxima consulta (sem sobreposição de polls)
+   */
+  schedulePoll() {
+    this.pollTimer = this.clock.setTimeout(async () => {
+      this.pollTimer = null;
+      await this.poll();
+
+      if (this.running && this.mode === 'polling') {
+        this.schedulePoll();
+      }
+    }, this.pollInterval);
+  }
+
+  /**
+   * Busca logs Swap dos blocos novos em faixas de maxBlockRange
+   */
+  async poll() {
+    try {
+      const provider = this.providerManager.getProvider();
+      const latest = await provider.getBlockNumber();
+      let fromBlock = this.lastBlock + 1;
+      let delivered = 0;
+
+      while (fromBlock <= latest) {
+        const toBlock = Math.min(latest, fromBlock + this.maxBlockRange - 1);
+        const logs = await provider.getLogs({ address: this.getPoolAddresses(), topics: [SWAP_TOPIC], fromBlock, toBlock });
+
+        for (const log of logs) {
+          if (this.handleLog(log)) delivered++;
+        }
+
+        this.lastBlock = toBlock;
+        fromBlock = toBlock + 1;
+      }
+
+      return delivered;
+    } catch (error) {
+      logger.warn(`Falha no polling de eventos Swap: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Converte log em trade, registra no histórico e entrega ao callback
+   *
+   * @returns {Object} - trade ou null (log de outro pool ou duplicado)
+   */
+  handleLog(log) {
+    const entry = this.pools.get(String(log.address).toLowerCase());
+    if (!entry) return null;
+
+    const logIndex = log.index ?? log.logIndex;
+    const key = `${log.transactionHash}:${logIndex}`;
+    if (this.seen.has(key)) return null;
+
+    this.seen.add(key);
+    if (this.seen.size > this.historySize * 10) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+
+    const { args } = sushiswap.poolInterface.parseLog({ topics: log.topics, data: log.data });
+    const trade = this.toTrade(entry.pair, entry.pool, args, log, logIndex);
+    this.record(trade);
+
+    if (log.blockNumber > (this.lastBlock ?? -1)) {
+      this.lastBlock = log.blockNumber;
+    }
+
+    if (this.onTrade) {
+      Promise.resolve()
+        .then(() => this.onTrade(trade))
+        .catch(error => logger.error(`Erro ao processar Swap de ${trade.pair}:`, error));
+    }
+
+    return trade;
+  }
+
+  /**
+   * Trade a partir dos argumentos do evento Swap
+   * Delta do pool negativo = token saiu do pool (base saindo = compra do base)
+   */
+  toTrade(pair, pool, args, log, logIndex) {
+    const [token0, token1] = pool.baseIsToken0 ? [pool.base, pool.quote] : [pool.quote, pool.base];
+    const baseAmount = pool.baseIsToken0 ? args.amount0 : args.amount1;
+    const quoteAmount = pool.baseIsToken0 ? args.amount1 : args.amount0;
+    const abs = value => (value < 0n ? -value : value);
+
+    return {
+      pair,
+      price: sushiswap.sqrtPriceX96ToPrice(args.sqrtPriceX96, token0.decimals, token1.decimals, !pool.baseIsToken0),
+      side: baseAmount < 0n ? 'buy' : 'sell',
+      amountBase: parseFloat(ethers.formatUnits(abs(baseAmount), pool.base.decimals)),
+      amountQuote: parseFloat(ethers.formatUnits(abs(quoteAmount), pool.quote.decimals)),
+      tick: Number(args.tick),
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex,
+      timestamp: new Date(this.clock.now()).toISOString(),
+    };
+  }
+
+  /**
+   * Guarda trade no histórico do par e calcula volume móvel (lado quote)
+   */
+  record(trade) {
+    if (!this.history.has(trade.pair)) {
+      this.history.set(trade.pair, { trades: [], volumes: [] });
+    }
+
+    const series = this.history.get(trade.pair);
+    const now = this.clock.now();
+
+    series.trades.push(trade);
+    if (series.trades.length > this.historySize) {
+      series.trades.shift();
+    }
+
+    series.volumes.push({ time: now, amount: trade.amountQuote });
+    series.volumes = series.volumes.filter(volume => volume.time > now - this.volumeWindow);
+
+    trade.rollingVolume = series.volumes.reduce((sum, volume) => sum + volume.amount, 0);
+  }
+
+  /**
+   * Últimos trades do par (mais recente no final)
+   */
+  getHistory(pair, limit = this.historySize) {
+    const series = this.history.get(pair);
+    return series ? series.trades.slice(-limit) : [];
+  }
+
+  /**
+   * Endereços dos pools assinados
+   */
+  getPoolAddresses() {
+    return Array.from(this.pools.values()).map(({ pool }) => pool.address);
+  }
+
+  /**
+   * Encerra WebSocket (se houver)
+   */
+  async closeWebSocket() {
+    if (!this.wsProvider) return;
+
+    const wsProvider = this.wsProvider;
+    this.wsProvider = null;
+
+    try {
+      await wsProvider.removeAllListeners();
+      await wsProvider.destroy();
+    } catch (error) {
+      logger.debug(`Erro ao fechar WebSocket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Para a assinatura
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.pollTimer) {
+      this.clock.clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    await this.closeWebSocket();
+    this.mode = null;
+  }
+}
+
+module.exports = {
+  SwapSubscriber,
+  SWAP_TOPIC,
+};
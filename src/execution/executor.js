@@ -0,0 +1,538 @@
+/**
+ * Trade Executor - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Executa ordens no SushiSwap V3 (exactInputSingle / exactInput)
+ * - amountOutMinimum calculado a partir da cotação do Quoter + slippage
+ * - Gas otimizado via GasManager (cancela quando gas está alto)
+ * - Timeout de ordem (deadline do router + espera do receipt)
+ * - amountOut real extraído do evento Swap
+ * - Modo paper: simula fills com cotação do Quoter + slippage + gas estimado
+ * - Compras de tokens na blacklist semanal são canceladas
+ * - Sem rota na ordem, usa a melhor rota entre fee tiers/tokens intermediários (RouteFinder)
+ * - Allowance do router via AllowanceManager (cache + política de aprovação)
+ * - Swap parado após o timeout: TransactionWatcher reenvia com prioridade maior ou cancela
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { providerManager: defaultProviderManager } = require('../blockchain/provider');
+const { walletManager: defaultWalletManager } = require('../blockchain/wallet');
+const { gasManager: defaultGasManager } = require('../blockchain/gas');
+const sushiswap = require('../blockchain/sushiswap');
+const { tokenUniverse } = require('../analysis/token-universe');
+const { routeFinder: defaultRouteFinder } = require('./route-finder');
+const { allowanceManager: defaultAllowanceManager } = require('../blockchain/allowance');
+const { transactionWatcher: defaultTransactionWatcher } = require('./tx-watcher');
+
+const { toUnits } = sushiswap;
+
+/**
+ * Converte unidades do token (bigint) em número decimal
+ */
+function fromUnits(value, decimals) {
+  return parseFloat(ethers.formatUnits(value, decimals));
+}
+
+/**
+ * Classe para executar trades
+ */
+class TradeExecutor {
+  constructor(options = {}) {
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.walletManager = options.walletManager || defaultWalletManager;
+    this.gasManager = options.gasManager || defaultGasManager;
+    this.allowanceManager = options.allowanceManager || defaultAllowanceManager;
+    this.txWatcher = options.txWatcher !== undefined ? options.txWatcher : defaultTransactionWatcher;
+    this.universe = options.universe || tokenUniverse;
+    this.routeFinder = options.routeFinder !== undefined
+      ? options.routeFinder
+      : (config.execution.routing.enabled ? defaultRouteFinder : null);
+
+    this.mode = options.mode || config.execution.mode;
+    this.slippageTolerance = options.slippageTolerance ?? config.risk.slippageTolerance;
+    this.orderTimeout = options.orderTimeout ?? config.risk.orderTimeout;
+    this.gasLimitBuffer = 1.2; // +20% sobre a estimativa
+
+    this.nativePrice = { value: null, timestamp: 0 };
+    this.nativePriceTTL = 60000; // 1 minuto
+
+    this.stats = {
+      executed: 0,
+      failed: 0,
+      cancelled: 0,
+    };
+  }
+
+  /**
+   * Executa uma ordem do pipeline
+   *
+   * @param {Object} order - { pair, side: 'buy'|'sell', price, amountUSD, amountToken, route?, priority? }
+   * @returns {Object} - fill { success, price, amountToken, amountUSD, gasCostUSD, txHash, receipt, simulated } ou { success: false, error }
+   */
+  async execute(order) {
+    const networkKey = this.providerManager.currentNetwork || config.network.active;
+
+    // Nunca compra token reprovado na análise semanal (venda continua liberada para sair da posição)
+    if (order.side === 'buy' && this.universe.isBlacklisted(order.pair)) {
+      return this.cancel(order, 'token_blacklisted');
+    }
+
+    try {
+      if (this.isPaper()) {
+        return await this.simulate(order, networkKey);
+      }
+
+      logger.info(`⚙️  Executando ${order.side.toUpperCase()} ${order.pair} (~$${order.amountUSD.toFixed(2)})`);
+
+      const swap = await this.buildSwap(order, networkKey);
+      const nativePriceUSD = await this.getNativePriceUSD(order, networkKey);
+
+      // Gas pelo gasEstimate do Quoter antes de aprovar: ordem cancelada por gas alto não paga approve
+      const maxGas = this.gasManager.calculateMaxGas(order.amountUSD, nativePriceUSD);
+      const quotedGas = await this.estimateQuoterGas(swap);
+      if (quotedGas.totalCostETH > maxGas) {
+        return this.cancel(order, 'gas_too_high', { estimatedGas: quotedGas.totalCostETH, maxGas, source: 'quoter' });
+      }
+
+      // Allowance do router (estimativa de gas falha sem aprovação)
+      await this.allowanceManager.ensureAllowance(swap.tokenIn.address, swap.router, swap.amountIn);
+
+      // Cancela se gas está alto demais para o tamanho do trade
+      const gasCheck = await this.gasManager.isGasAcceptable(order.amountUSD, nativePriceUSD, swap.tx);
+      if (!gasCheck.acceptable) {
+        return this.cancel(order, 'gas_too_high', { estimatedGas: gasCheck.estimatedGas, maxGas: gasCheck.maxGas });
+      }
+
+      const tx = await this.gasManager.optimizeGasSettings(swap.tx, order.priority || 'medium');
+      tx.gasLimit = (BigInt(gasCheck.details.gasLimit) * BigInt(Math.round(this.gasLimitBuffer * 100))) / 100n;
+
+      const txResponse = await this.walletManager.sendTransaction(tx, { label: `${order.side} ${order.pair}` });
+
+      let receipt;
+      let minedSwap = swap;
+      try {
+        receipt = await this.providerManager.waitForTransaction(txResponse.hash, 1, this.orderTimeout);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') {
+          throw error;
+        }
+
+        const outcome = await this.handleStuck(order, swap, txResponse, nativePriceUSD, networkKey);
+        if (!outcome.receipt) {
+          return this.cancel(order, outcome.reason || 'timeout', {
+            txHash: outcome.hash || txResponse.hash,
+            nonce: txResponse.nonce,
+            txStatus: outcome.status,
+            replacements: outcome.replacements,
+          });
+        }
+
+        receipt = outcome.receipt;
+        minedSwap = outcome.swap || swap;
+      }
+
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`Transação revertida: ${receipt?.hash || txResponse.hash}`);
+      }
+
+      const fill = this.parseFill(order, minedSwap, receipt, nativePriceUSD);
+      this.allowanceManager.consume(minedSwap.tokenIn.address, minedSwap.router, minedSwap.amountIn);
+
+      this.stats.executed++;
+      logger.info(`✅ ${order.side.toUpperCase()} ${order.pair} executado @ $${fill.price.toFixed(4)} (gas $${fill.gasCostUSD.toFixed(4)})`);
+      botEvents.emit(EVENTS.TRADE_EXECUTED, this.toEventData(order, fill));
+
+      return fill;
+    } catch (error) {
+      return this.fail(order, error);
+    }
+  }
+
+  /**
+   * Swap não minerou no timeout: escala prioridade ou cancela (TransactionWatcher)
+   * Sem watcher (ou se ele falhar) a ordem é cancelada como timeout; a transação segue no NonceManager
+   */
+  async handleStuck(order, swap, txResponse, nativePriceUSD, networkKey) {
+    if (!this.txWatcher) {
+      return { status: 'pending', receipt: null, hash: txResponse.hash, replacements: 0, reason: 'timeout' };
+    }
+
+    try {
+      return await this.txWatcher.handleStuck({
+        order,
+        swap,
+        txResponse,
+        nativePriceUSD,
+        rebuild: () => this.buildSwap(order, networkKey),
+      });
+    } catch (error) {
+      logger.error(`Falha ao tratar swap parado ${order.pair}: ${error.message}`);
+      return { status: 'pending', receipt: null, hash: txResponse.hash, replacements: 0, reason: 'timeout' };
+    }
+  }
+
+  /**
+   * Verifica se executor está em modo paper
+   */
+  isPaper() {
+    return this.mode === 'paper';
+  }
+
+  /**
+   * Simula ordem sem enviar transação (modo paper)
+   * Fill = cotação do Quoter com slippage máximo aplicado; gas via estimateGasCost
+   */
+  async simulate(order, networkKey) {
+    logger.info(`📝 [PAPER] Simulando ${order.side.toUpperCase()} ${order.pair} (~$${order.amountUSD.toFixed(2)})`);
+
+    const swap = await this.buildSwap(order, networkKey);
+    const nativePriceUSD = await this.getNativePriceUSD(order, networkKey);
+    const gas = await this.estimatePaperGas(swap);
+
+    // Mesma regra de gas de um trade real
+    const maxGas = this.gasManager.calculateMaxGas(order.amountUSD, nativePriceUSD);
+    if (gas.totalCostETH > maxGas) {
+      return this.cancel(order, 'gas_too_high', { estimatedGas: gas.totalCostETH, maxGas, simulated: true });
+    }
+
+    const amountInFloat = fromUnits(swap.amountIn, swap.tokenIn.decimals);
+    const amountOutFloat = fromUnits(swap.amountOutMinimum, swap.tokenOut.decimals);
+
+    const amountUSD = order.side === 'buy' ? amountInFloat : amountOutFloat;
+    const amountToken = order.side === 'buy' ? amountOutFloat : amountInFloat;
+
+    const fill = {
+      success: true,
+      simulated: true,
+      pair: order.pair,
+      side: order.side,
+      price: amountUSD / amountToken,
+      amountToken,
+      amountUSD,
+      amountIn: swap.amountIn.toString(),
+      amountOut: swap.amountOutMinimum.toString(),
+      expectedAmountOut: swap.expectedOut.toString(),
+      amountOutMinimum: swap.amountOutMinimum.toString(),
+      route: swap.route,
+      gasCostETH: gas.totalCostETH,
+      gasCostUSD: gas.totalCostETH * nativePriceUSD,
+      txHash: null,
+      receipt: {
+        gasUsed: gas.gasLimit,
+        gasSource: gas.source,
+        amountOutSource: 'quote',
+      },
+    };
+
+    this.stats.executed++;
+    logger.info(`📝 [PAPER] ${order.side.toUpperCase()} ${order.pair} simulado @ $${fill.price.toFixed(4)} (gas $${fill.gasCostUSD.toFixed(4)})`);
+    botEvents.emit(EVENTS.TRADE_EXECUTED, this.toEventData(order, fill));
+
+    return fill;
+  }
+
+  /**
+   * Estima gas do swap simulado
+   * A wallet pode não ter saldo/allowance (estimateGas reverte): usa gasEstimate do Quoter
+   */
+  async estimatePaperGas(swap) {
+    try {
+      const gasCost = await this.gasManager.estimateGasCost(swap.tx);
+      return { ...gasCost, source: 'estimate' };
+    } catch (error) {
+      logger.debug(`estimateGas falhou no modo paper, usando gasEstimate do Quoter: ${error.message}`);
+    }
+
+    return this.estimateQuoterGas(swap);
+  }
+
+  /**
+   * Custo do swap pelo gasEstimate do Quoter × fee atual (não depende de allowance nem saldo)
+   */
+  async estimateQuoterGas(swap) {
+    const feeData = await this.providerManager.getProvider().getFeeData();
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+    const gasCostWei = swap.gasEstimate * gasPrice;
+
+    return {
+      gasLimit: swap.gasEstimate.toString(),
+      totalCostETH: parseFloat(ethers.formatEther(gasCostWei)),
+      totalCostWei: gasCostWei.toString(),
+      source: 'quoter',
+    };
+  }
+
+  /**
+   * Monta chamada ao router (single-pool ou multi-hop)
+   */
+  async buildSwap(order, networkKey) {
+    const { base, quote, fee } = sushiswap.resolvePair(order.pair, networkKey);
+    const provider = this.providerManager.getProvider();
+    const recipient = this.walletManager.getAddress();
+    const routerAddress = sushiswap.getContracts(networkKey).router;
+
+    // Compra: quote (USD) → base | Venda: base → quote
+    const tokenIn = order.side === 'buy' ? quote : base;
+    const tokenOut = order.side === 'buy' ? base : quote;
+    let amountIn = order.side === 'buy'
+      ? toUnits(order.amountUSD, quote.decimals)
+      : toUnits(order.amountToken, base.decimals);
+
+    // Venda nunca excede o saldo real da wallet (no paper a posição é virtual)
+    if (order.side === 'sell' && !this.isPaper()) {
+      const balance = await this.walletManager.getTokenBalance(base.address);
+      const raw = BigInt(balance.raw);
+      if (amountIn > raw) {
+        amountIn = raw;
+      }
+    }
+
+    if (amountIn <= 0n) {
+      throw new Error(`Quantidade inválida para ${order.side} ${order.pair}`);
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + Math.ceil(this.orderTimeout / 1000);
+    const slippage = order.slippageTolerance ?? this.slippageTolerance;
+    const router = sushiswap.getRouterContract(provider, networkKey);
+
+    // Cotação no Quoter → amountOutMinimum
+    let path = null;
+    let route = order.route || null;
+    let expectedOut;
+    let gasEstimate;
+
+    // Sem rota na ordem: melhor rota líquida de gas (só troca o pool padrão se outra rota render mais)
+    const best = route ? null : await this.findRoute(tokenIn, tokenOut, amountIn, networkKey, provider);
+
+    if (best && (best.hops > 1 || best.fees[0] !== fee)) {
+      route = { tokens: best.tokens, fees: best.fees };
+      path = best.path;
+      expectedOut = best.amountOut;
+      gasEstimate = best.gasEstimate;
+      logger.info(`🧭 Rota ${order.pair}: ${best.symbols.join(' → ')} (fees ${best.fees.join('/')})`);
+    } else if (route) {
+      // Multi-hop: route = { tokens: [addr...], fees: [fee...] }
+      path = sushiswap.encodePath(route.tokens, route.fees);
+      const quoter = sushiswap.getQuoterContract(provider, networkKey);
+      [expectedOut, , , gasEstimate] = await quoter.quoteExactInput.staticCall(path, amountIn);
+    } else {
+      const quoteResult = await sushiswap.quoteExactInputSingle(provider, {
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        amountIn,
+        fee,
+      }, networkKey);
+      expectedOut = quoteResult.amountOut;
+      gasEstimate = quoteResult.gasEstimate;
+    }
+
+    const amountOutMinimum = sushiswap.applySlippage(expectedOut, slippage);
+
+    const populated = path
+      ? await router.exactInput.populateTransaction({
+        path,
+        recipient,
+        deadline,
+        amountIn,
+        amountOutMinimum,
+      })
+      : await router.exactInputSingle.populateTransaction({
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        fee,
+        recipient,
+        deadline,
+        amountIn,
+        amountOutMinimum,
+        sqrtPriceLimitX96: 0,
+      });
+
+    logger.debug(`Swap montado ${order.pair}: in ${amountIn} → out esperado ${expectedOut} (mín ${amountOutMinimum})`);
+
+    return {
+      base,
+      quote,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      expectedOut,
+      amountOutMinimum,
+      gasEstimate,
+      route,
+      recipient,
+      router: routerAddress,
+      deadline,
+      tx: { ...populated, from: recipient },
+    };
+  }
+
+  /**
+   * Melhor rota via RouteFinder (falha na busca mantém o pool padrão)
+   */
+  async findRoute(tokenIn, tokenOut, amountIn, networkKey, provider) {
+    if (!this.routeFinder) return null;
+
+    try {
+      return await this.routeFinder.findBestRoute({ tokenIn, tokenOut, amountIn, network: networkKey, provider });
+    } catch (error) {
+      logger.warn(`Busca de rota falhou, usando pool padrão: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Converte receipt em fill para o pipeline
+   */
+  parseFill(order, swap, receipt, nativePriceUSD) {
+    const parsed = sushiswap.parseSwapAmountOut(receipt, swap.recipient);
+
+    let amountOut = parsed ? parsed.amountOut : null;
+    if (amountOut === null) {
+      logger.warn(`Evento Swap não encontrado em ${receipt.hash}, usando cotação do Quoter`);
+      amountOut = swap.expectedOut;
+    }
+
+    const amountInFloat = fromUnits(swap.amountIn, swap.tokenIn.decimals);
+    const amountOutFloat = fromUnits(amountOut, swap.tokenOut.decimals);
+
+    const amountUSD = order.side === 'buy' ? amountInFloat : amountOutFloat;
+    const amountToken = order.side === 'buy' ? amountOutFloat : amountInFloat;
+
+    const gasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+    const gasCostWei = receipt.gasUsed * gasPrice;
+    const gasCostETH = parseFloat(ethers.formatEther(gasCostWei));
+
+    return {
+      success: true,
+      pair: order.pair,
+      side: order.side,
+      price: amountUSD / amountToken,
+      amountToken,
+      amountUSD,
+      amountIn: swap.amountIn.toString(),
+      amountOut: amountOut.toString(),
+      expectedAmountOut: swap.expectedOut.toString(),
+      amountOutMinimum: swap.amountOutMinimum.toString(),
+      route: swap.route,
+      gasCostETH,
+      gasCostUSD: gasCostETH * nativePriceUSD,
+      txHash: receipt.hash,
+      receipt: {
+        blockNumber: receipt.blockNumber,
+        status: receipt.status,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: gasPrice.toString(),
+        amountOutSource: parsed ? 'swap_event' : 'quote',
+        sqrtPriceX96: parsed ? parsed.sqrtPriceX96.toString() : null,
+        tick: parsed ? parsed.tick : null,
+      },
+    };
+  }
+
+  /**
+   * Preço da moeda nativa em USD (para custo de gas)
+   * Usa o próprio par quando a base é o wrapped native; senão cota no Quoter
+   */
+  async getNativePriceUSD(order, networkKey) {
+    const networkInfo = this.providerManager.getNetworkInfo();
+    const wrappedSymbol = networkInfo?.wrappedNative;
+    const [baseSymbol, quoteSymbol] = order.pair.split('/');
+
+    if (baseSymbol === wrappedSymbol && order.price) {
+      this.nativePrice = { value: order.price, timestamp: Date.now() };
+      return order.price;
+    }
+
+    if (this.nativePrice.value && Date.now() - this.nativePrice.timestamp < this.nativePriceTTL) {
+      return this.nativePrice.value;
+    }
+
+    const wrapped = sushiswap.getToken(wrappedSymbol, networkKey);
+    const usd = sushiswap.getToken(quoteSymbol, networkKey);
+    const { amountOut } = await sushiswap.quoteExactInputSingle(this.providerManager.getProvider(), {
+      tokenIn: wrapped.address,
+      tokenOut: usd.address,
+      amountIn: toUnits(1, wrapped.decimals),
+      fee: config.bot.poolFee,
+    }, networkKey);
+
+    const value = fromUnits(amountOut, usd.decimals);
+    this.nativePrice = { value, timestamp: Date.now() };
+
+    return value;
+  }
+
+  /**
+   * Cancela ordem (gas alto, timeout)
+   */
+  cancel(order, reason, details = {}) {
+    this.stats.cancelled++;
+    logger.warn(`⏹️  Ordem ${order.side.toUpperCase()} ${order.pair} cancelada: ${reason}`);
+
+    botEvents.emit(EVENTS.TRADE_CANCELLED, {
+      pair: order.pair,
+      side: order.side,
+      amountUSD: order.amountUSD,
+      reason,
+      ...details,
+    });
+
+    return { success: false, cancelled: true, error: reason, ...details };
+  }
+
+  /**
+   * Registra falha de execução
+   */
+  fail(order, error) {
+    this.stats.failed++;
+    logger.error(`❌ Falha ao executar ${order.side.toUpperCase()} ${order.pair}:`, error);
+
+    botEvents.emit(EVENTS.TRADE_FAILED, {
+      pair: order.pair,
+      side: order.side,
+      amountUSD: order.amountUSD,
+      error: error.message,
+    });
+
+    return { success: false, error: error.message };
+  }
+
+  /**
+   * Dados serializáveis do trade para eventos
+   */
+  toEventData(order, fill) {
+    return {
+      pair: order.pair,
+      side: order.side,
+      reason: order.reason,
+      strategy: order.strategy,
+      price: fill.price,
+      amountToken: fill.amountToken,
+      amountUSD: fill.amountUSD,
+      gasCostUSD: fill.gasCostUSD,
+      txHash: fill.txHash,
+      receipt: fill.receipt,
+      simulated: Boolean(fill.simulated),
+    };
+  }
+
+  /**
+   * Retorna estatísticas do executor
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Singleton instance
+const tradeExecutor = new TradeExecutor();
+
+module.exports = {
+  tradeExecutor,
+  TradeExecutor,
+  toUnits,
+  fromUnits,
+};
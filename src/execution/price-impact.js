@@ -0,0 +1,140 @@
+/**
+ * Price Impact Estimator - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Estima saída esperada, impacto de preço e ticks cruzados de um swap via Quoter V2
+ * - quoteExactInputSingle / quoteExactInput (static call em config.contracts.<rede>.quoter)
+ * - Impacto = perda de preço do tamanho real frente a uma cotação de referência mínima
+ *   (mesmo caminho e fee, então a taxa do pool não entra no impacto)
+ * - getMaxTradeSize: maior compra cujo impacto fica dentro de SLIPPAGE_TOLERANCE
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { providerManager: defaultProviderManager } = require('../blockchain/provider');
+const sushiswap = require('../blockchain/sushiswap');
+
+const { toUnits } = sushiswap;
+
+/**
+ * Unidades do token (bigint) → número decimal
+ */
+function fromUnits(value, decimals) {
+  return parseFloat(ethers.formatUnits(value, decimals));
+}
+
+/**
+ * Estimador de impacto de preço
+ */
+class PriceImpactEstimator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerManager - Provider da rede (padrão: providerManager)
+   * @param {Number} options.maxPriceImpact - Impacto máximo aceito (padrão: SLIPPAGE_TOLERANCE)
+   * @param {BigInt} options.referenceDivisor - Cotação de referência = amountIn / divisor
+   * @param {Number} options.searchSteps - Iterações da busca binária do tamanho máximo
+   */
+  constructor(options = {}) {
+    this.providerManager = options.providerManager || defaultProviderManager;
+    this.maxPriceImpact = options.maxPriceImpact ?? config.risk.slippageTolerance;
+    this.referenceDivisor = options.referenceDivisor || 10000n;
+    this.searchSteps = options.searchSteps || 6;
+  }
+
+  /**
+   * Rede das cotações (segue a rede atual do provider)
+   */
+  getNetwork() {
+    return this.providerManager.currentNetwork || config.network.active;
+  }
+
+  /**
+   * Cota um swap exact input (single-hop ou multi-hop)
+   *
+   * @param {Object} params
+   * @param {Object} params.tokenIn - { address, decimals }
+   * @param {Object} params.tokenOut - { address, decimals }
+   * @param {BigInt} params.amountIn - Entrada em unidades do token
+   * @param {Number} params.fee - Fee tier (single-hop)
+   * @param {Object} params.route - { tokens: [addr...], fees: [fee...] } (multi-hop, opcional)
+   * @returns {Object} - { amountOut, expectedOut, executionPrice, priceImpact, ticksCrossed, gasEstimate }
+   */
+  async quote({ tokenIn, tokenOut, amountIn, fee = config.bot.poolFee, route = null }) {
+    const provider = this.providerManager.getProvider();
+    const network = this.getNetwork();
+
+    const callQuoter = amount => (route
+      ? sushiswap.quoteExactInput(provider, sushiswap.encodePath(route.tokens, route.fees), amount, network)
+      : sushiswap.quoteExactInputSingle(provider, { tokenIn: tokenIn.address, tokenOut: tokenOut.address, amountIn: amount, fee }, network));
+
+    const referenceIn = amountIn / this.referenceDivisor > 0n ? amountIn / this.referenceDivisor : 1n;
+    const [result, reference] = await Promise.all([callQuoter(amountIn), callQuoter(referenceIn)]);
+
+    // Preços em tokenOut por tokenIn
+    const rate = fromUnits(result.amountOut, tokenOut.decimals) / fromUnits(amountIn, tokenIn.decimals);
+    const referenceRate = fromUnits(reference.amountOut, tokenOut.decimals) / fromUnits(referenceIn, tokenIn.decimals);
+
+    return {
+      amountOut: result.amountOut,
+      expectedOut: fromUnits(result.amountOut, tokenOut.decimals),
+      executionPrice: rate,
+      priceImpact: referenceRate > 0 ? Math.max(0, 1 - rate / referenceRate) : 1,
+      ticksCrossed: result.ticksCrossed,
+      gasEstimate: result.gasEstimate,
+    };
+  }
+
+  /**
+   * Estima um trade do par
+   *
+   * @param {String} side - 'buy' (amount em quote/USD) ou 'sell' (amount em tokens do base)
+   */
+  async estimate(pair, side, amount, route = null) {
+    const { base, quote, fee } = sushiswap.resolvePair(pair, this.getNetwork());
+    const [tokenIn, tokenOut] = side === 'buy' ? [quote, base] : [base, quote];
+
+    return this.quote({ tokenIn, tokenOut, amountIn: toUnits(amount, tokenIn.decimals), fee, route });
+  }
+
+  /**
+   * Maior compra (USD) até amountUSD com impacto <= maxPriceImpact
+   * Busca binária sobre o tamanho (searchSteps cotações além da primeira)
+   *
+   * @returns {Object} - { amountUSD, priceImpact, ticksCrossed, capped }
+   */
+  async getMaxTradeSize(pair, amountUSD, maxPriceImpact = this.maxPriceImpact) {
+    const full = await this.estimate(pair, 'buy', amountUSD);
+
+    if (full.priceImpact <= maxPriceImpact) {
+      return { amountUSD, priceImpact: full.priceImpact, ticksCrossed: full.ticksCrossed, capped: false };
+    }
+
+    let low = 0;
+    let high = amountUSD;
+    let best = { priceImpact: 0, ticksCrossed: 0 };
+
+    for (let step = 0; step < this.searchSteps; step++) {
+      const middle = (low + high) / 2;
+      const estimate = await this.estimate(pair, 'buy', middle);
+
+      if (estimate.priceImpact <= maxPriceImpact) {
+        low = middle;
+        best = estimate;
+      } else {
+        high = middle;
+      }
+    }
+
+    logger.info(`📉 Compra ${pair} limitada pelo impacto de preço: $${amountUSD.toFixed(2)} → $${low.toFixed(2)} (impacto ${(full.priceImpact * 100).toFixed(2)}% > ${(maxPriceImpact * 100).toFixed(2)}%)`);
+
+    return { amountUSD: low, priceImpact: best.priceImpact, ticksCrossed: best.ticksCrossed, capped: true };
+  }
+}
+
+const priceImpactEstimator = new PriceImpactEstimator();
+
+module.exports = {
+  priceImpactEstimator,
+  PriceImpactEstimator,
+};
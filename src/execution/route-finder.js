@@ -0,0 +1,260 @@
+/**
+ * Route Finder - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Busca a melhor rota SushiSwap V3 entre fee tiers e tokens intermediários
+ * - Pools descobertos via factory.getPool para cada fee tier (100/500/3000/10000), em cache
+ *   (só quando todos os tiers responderam: falha de RPC não esconde pool para sempre)
+ * - Caminhos de até 3 hops passando pelos tokens base configurados (WETH, USDC, USDT)
+ * - Cada rota cotada no Quoter V2; escolhida a de maior saída líquida do custo de gas
+ * - Rota pronta para exactInput: { tokens, fees, path (bytes V3) }
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { NETWORKS } = require('../blockchain/provider');
+const sushiswap = require('../blockchain/sushiswap');
+
+/**
+ * Unidades do token (bigint) → número decimal
+ */
+function fromUnits(value, decimals) {
+  return parseFloat(ethers.formatUnits(value, decimals));
+}
+
+/**
+ * Combinações de fee por hop (produto cartesiano)
+ */
+function combineFees(feesPerHop) {
+  return feesPerHop.reduce(
+    (combinations, fees) => combinations.flatMap(prefix => fees.map(fee => [...prefix, fee])),
+    [[]],
+  );
+}
+
+/**
+ * Roteador multi-hop
+ */
+class RouteFinder {
+  /**
+   * @param {Object} options
+   * @param {Array} options.feeTiers - Fee tiers consultados (padrão: ROUTE_FEE_TIERS)
+   * @param {Array} options.baseTokens - Símbolos dos tokens intermediários (padrão: ROUTE_BASE_TOKENS)
+   * @param {Number} options.maxHops - Máximo de pools por rota (1 a 3)
+   */
+  constructor(options = {}) {
+    const routing = config.execution.routing;
+
+    this.feeTiers = options.feeTiers || routing.feeTiers;
+    this.baseTokens = options.baseTokens || routing.baseTokens;
+    this.maxHops = Math.min(3, Math.max(1, options.maxHops || routing.maxHops));
+
+    this.pools = new Map(); // `${rede}:${tokenA}:${tokenB}` -> fees com pool existente
+  }
+
+  /**
+   * Fee tiers com pool existente entre dois tokens (cache por rede)
+   */
+  async getPoolFees(tokenA, tokenB, network, provider) {
+    const [a, b] = [tokenA.address.toLowerCase(), tokenB.address.toLowerCase()].sort();
+    const key = `${network}:${a}:${b}`;
+
+    if (this.pools.has(key)) {
+      return this.pools.get(key);
+    }
+
+    const factory = sushiswap.getFactoryContract(provider, network);
+    const fees = [];
+    let complete = true;
+
+    for (const fee of this.feeTiers) {
+      try {
+        const address = await factory.getPool(tokenA.address, tokenB.address, fee);
+        if (address && address !== ethers.ZeroAddress) {
+          fees.push(fee);
+        }
+      } catch (error) {
+        complete = false;
+        logger.warn(`getPool falhou (${tokenA.symbol}/${tokenB.symbol} fee ${fee}): ${error.message}`);
+      }
+    }
+
+    // Resultado parcial vale só para esta busca; próxima consulta tenta de novo os tiers que falharam
+    if (complete) {
+      this.pools.set(key, fees);
+    }
+
+    return fees;
+  }
+
+  /**
+   * Tokens intermediários configurados na rede (exceto entrada e saída)
+   */
+  getIntermediates(tokenIn, tokenOut, network) {
+    const excluded = [tokenIn.address.toLowerCase(), tokenOut.address.toLowerCase()];
+
+    return this.baseTokens
+      .filter(symbol => config.tokens[network]?.[symbol])
+      .map(symbol => sushiswap.getToken(symbol, network))
+      .filter(token => !excluded.includes(token.address.toLowerCase()));
+  }
+
+  /**
+   * Enumera rotas possíveis (direta, 1 e 2 intermediários) com pools existentes
+   *
+   * @returns {Array} - [{ tokens: [token...], fees: [fee...] }]
+   */
+  async enumerateRoutes(tokenIn, tokenOut, network, provider) {
+    const intermediates = this.getIntermediates(tokenIn, tokenOut, network);
+    const tokenPaths = [[tokenIn, tokenOut]];
+
+    if (this.maxHops >= 2) {
+      intermediates.forEach(middle => tokenPaths.push([tokenIn, middle, tokenOut]));
+    }
+
+    if (this.maxHops >= 3) {
+      intermediates.forEach(first => intermediates
+        .filter(second => second.address !== first.address)
+        .forEach(second => tokenPaths.push([tokenIn, first, second, tokenOut])));
+    }
+
+    const routes = [];
+
+    for (const tokens of tokenPaths) {
+      const feesPerHop = [];
+
+      for (let i = 0; i < tokens.length - 1; i++) {
+        feesPerHop.push(await this.getPoolFees(tokens[i], tokens[i + 1], network, provider));
+      }
+
+      if (feesPerHop.every(fees => fees.length > 0)) {
+        combineFees(feesPerHop).forEach(fees => routes.push({ tokens, fees }));
+      }
+    }
+
+    return routes;
+  }
+
+  /**
+   * Cota rota no Quoter (single-hop ou exactInput com path)
+   */
+  async quoteRoute(route, amountIn, network, provider) {
+    if (route.fees.length === 1) {
+      return sushiswap.quoteExactInputSingle(provider, {
+        tokenIn: route.tokens[0].address,
+        tokenOut: route.tokens[1].address,
+        amountIn,
+        fee: route.fees[0],
+      }, network);
+    }
+
+    const path = sushiswap.encodePath(route.tokens.map(token => token.address), route.fees);
+    return sushiswap.quoteExactInput(provider, path, amountIn, network);
+  }
+
+  /**
+   * Valor de 1 wrapped native em unidades de tokenOut (custo de gas na moeda de saída)
+   * null quando não há pool direto para converter
+   */
+  async getNativeValue(tokenOut, network, provider) {
+    const wrappedSymbol = NETWORKS[network]?.wrappedNative;
+    const wrapped = wrappedSymbol && config.tokens[network]?.[wrappedSymbol]
+      ? sushiswap.getToken(wrappedSymbol, network)
+      : null;
+
+    if (!wrapped) return null;
+    if (wrapped.address.toLowerCase() === tokenOut.address.toLowerCase()) return 1;
+
+    const amountIn = 10n ** BigInt(wrapped.decimals);
+    let best = null;
+
+    for (const fee of await this.getPoolFees(wrapped, tokenOut, network, provider)) {
+      try {
+        const { amountOut } = await this.quoteRoute({ tokens: [wrapped, tokenOut], fees: [fee] }, amountIn, network, provider);
+        const value = fromUnits(amountOut, tokenOut.decimals);
+        best = best === null ? value : Math.max(best, value);
+      } catch (error) {
+        logger.debug(`Cotação do wrapped native falhou (fee ${fee}): ${error.message}`);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Melhor rota para vender amountIn de tokenIn por tokenOut
+   *
+   * @param {Object} params
+   * @param {Object} params.tokenIn - { symbol, address, decimals }
+   * @param {Object} params.tokenOut - { symbol, address, decimals }
+   * @param {BigInt} params.amountIn - Entrada em unidades do token
+   * @param {BigInt} params.gasPrice - Preço do gas em wei (padrão: provider.getFeeData)
+   * @returns {Object} - { tokens, symbols, fees, hops, path, amountOut, expectedOut, gasEstimate, gasCostOut, netOut } ou null
+   */
+  async findBestRoute({ tokenIn, tokenOut, amountIn, network = config.network.active, provider, gasPrice = null }) {
+    const routes = await this.enumerateRoutes(tokenIn, tokenOut, network, provider);
+
+    if (routes.length === 0) {
+      logger.debug(`Nenhuma rota ${tokenIn.symbol} → ${tokenOut.symbol} em ${network}`);
+      return null;
+    }
+
+    if (gasPrice === null) {
+      const feeData = await provider.getFeeData().catch(() => ({}));
+      gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+    }
+
+    const nativeValue = gasPrice > 0n ? await this.getNativeValue(tokenOut, network, provider) : 0;
+    let best = null;
+
+    for (const route of routes) {
+      let quote;
+      try {
+        quote = await this.quoteRoute(route, amountIn, network, provider);
+      } catch (error) {
+        logger.debug(`Rota ${route.tokens.map(t => t.symbol).join(' → ')} sem cotação: ${error.message}`);
+        continue;
+      }
+
+      const expectedOut = fromUnits(quote.amountOut, tokenOut.decimals);
+      const gasCostOut = nativeValue ? parseFloat(ethers.formatEther(quote.gasEstimate * gasPrice)) * nativeValue : 0;
+      const netOut = expectedOut - gasCostOut;
+
+      if (!best || netOut > best.netOut) {
+        best = {
+          tokens: route.tokens.map(token => token.address),
+          symbols: route.tokens.map(token => token.symbol),
+          fees: route.fees,
+          hops: route.fees.length,
+          path: sushiswap.encodePath(route.tokens.map(token => token.address), route.fees),
+          amountOut: quote.amountOut,
+          expectedOut,
+          gasEstimate: quote.gasEstimate,
+          gasCostOut,
+          netOut,
+        };
+      }
+    }
+
+    if (best) {
+      logger.debug(`Melhor rota ${best.symbols.join(' → ')} (fees ${best.fees.join('/')}): ${best.netOut.toFixed(6)} ${tokenOut.symbol} líquido de gas (${routes.length} rotas)`);
+    }
+
+    return best;
+  }
+
+  /**
+   * Limpa cache de pools (ex: após troca de rede)
+   */
+  reset() {
+    this.pools.clear();
+  }
+}
+
+const routeFinder = new RouteFinder();
+
+module.exports = {
+  routeFinder,
+  RouteFinder,
+};
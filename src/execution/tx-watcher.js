@@ -0,0 +1,236 @@
+/**
+ * Transaction Watcher - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Reage a swaps parados no mempool após ORDER_TIMEOUT
+ * - Reenvia no mesmo nonce subindo a prioridade do GasManager (medium → high → urgent)
+ * - Tendência do gas: em alta pula direto um nível; em queda aguarda mais um intervalo antes de subir
+ * - Swap remontado a cada reenvio (deadline e cotação novos; o original expira com o deadline)
+ * - Cancela (0 para a própria wallet no mesmo nonce) quando a vantagem do trade sumiu:
+ *   cotação abaixo do amountOutMinimum original ou gas novo acima da vantagem esperada
+ * - Substituições enviadas pelo WalletManager: swap remontado passa pelo SpendingGuard (bloqueado → cancela)
+ */
+
+const { ethers } = require('ethers');
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { nonceManager: defaultNonceManager, TX_STATUS } = require('../blockchain/nonce');
+const { walletManager: defaultWalletManager } = require('../blockchain/wallet');
+const { gasManager: defaultGasManager } = require('../blockchain/gas');
+
+const PRIORITY_LEVELS = ['medium', 'high', 'urgent'];
+
+/**
+ * Observador de transações paradas
+ */
+class TransactionWatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.nonceManager - Estado das pendentes (padrão: nonceManager)
+   * @param {Object} options.walletManager - Envio das substituições pelo SpendingGuard (padrão: walletManager)
+   * @param {Object} options.gasManager - Tendência e fees por prioridade (padrão: gasManager)
+   * @param {Number} options.timeout - Espera por nível antes de escalar (padrão: ORDER_TIMEOUT)
+   * @param {Number} options.pollInterval - Intervalo entre verificações da pendente (ms)
+   */
+  constructor(options = {}) {
+    this.nonceManager = options.nonceManager || defaultNonceManager;
+    this.walletManager = options.walletManager || defaultWalletManager;
+    this.gasManager = options.gasManager || defaultGasManager;
+    this.events = options.events || botEvents;
+    this.clock = options.clock || systemClock;
+
+    this.timeout = options.timeout ?? config.risk.orderTimeout;
+    this.pollInterval = options.pollInterval ?? 3000;
+  }
+
+  /**
+   * Próximo nível de prioridade conforme a tendência do gas
+   * null = aguardar mais um intervalo no nível atual
+   */
+  getNextLevel(level, trend, waited) {
+    const index = Math.max(0, PRIORITY_LEVELS.indexOf(level));
+
+    if (trend === 'falling' && !waited) {
+      return null;
+    }
+
+    const step = trend === 'rising' ? 2 : 1;
+    return PRIORITY_LEVELS[Math.min(PRIORITY_LEVELS.length - 1, index + step)];
+  }
+
+  /**
+   * Vale a pena reenviar? Cotação ainda dentro do mínimo original e gas novo dentro da vantagem
+   *
+   * @returns {Object} - { worthIt, reason, gasCostUSD, edgeUSD }
+   */
+  evaluate(order, originalSwap, rebuiltSwap, fees, gasLimit, nativePriceUSD) {
+    const feePerGas = fees.maxFeePerGas ?? fees.gasPrice ?? 0n;
+    const gasCostUSD = parseFloat(ethers.formatEther(BigInt(gasLimit) * feePerGas)) * nativePriceUSD;
+
+    // Vantagem: informada pela estratégia ou o orçamento de gas do trade (mesma regra do envio)
+    const edgeUSD = order.expectedEdgeUSD
+      ?? this.gasManager.calculateMaxGas(order.amountUSD, nativePriceUSD) * nativePriceUSD;
+
+    if (rebuiltSwap.expectedOut < originalSwap.amountOutMinimum) {
+      return { worthIt: false, reason: 'price_moved', gasCostUSD, edgeUSD };
+    }
+
+    if (gasCostUSD > edgeUSD) {
+      return { worthIt: false, reason: 'gas_exceeds_edge', gasCostUSD, edgeUSD };
+    }
+
+    return { worthIt: true, reason: null, gasCostUSD, edgeUSD };
+  }
+
+  /**
+   * Trata um swap que não minerou dentro do timeout
+   *
+   * @param {Object} params
+   * @param {Object} params.order - Ordem do pipeline
+   * @param {Object} params.swap - Swap enviado (buildSwap)
+   * @param {Object} params.txResponse - { hash, nonce, chainId }
+   * @param {Number} params.nativePriceUSD - Preço da moeda nativa (custo de gas)
+   * @param {Function} params.rebuild - Remonta o swap (deadline/cotação novos)
+   * @returns {Object} - { status, receipt, swap, level, replacements, reason }
+   */
+  async handleStuck({ order, swap, txResponse, nativePriceUSD, rebuild }) {
+    const { nonce } = txResponse;
+    const chainId = txResponse.chainId ?? null;
+    const swaps = new Map([[txResponse.hash, swap]]); // hash -> swap enviado nele
+    let level = order.priority || 'medium';
+    let waited = false;
+    let replacements = 0;
+
+    for (;;) {
+      const record = await this.refresh(nonce, chainId);
+      if (!record || record.status !== TX_STATUS.PENDING) {
+        return await this.toOutcome(record, swaps, level, replacements);
+      }
+
+      const trend = this.gasManager.getGasTrend();
+      const next = level === 'urgent' ? null : this.getNextLevel(level, trend, waited);
+
+      logger.warn(`⏳ Swap ${order.pair} parado (nonce ${nonce}, prioridade ${level}, gas ${trend})`);
+      this.events.emit(EVENTS.TX_STUCK, { pair: order.pair, nonce, hash: record.hash, level, trend });
+
+      // Gas em queda: aguarda mais um intervalo antes de pagar mais
+      if (next === null && level !== 'urgent') {
+        waited = true;
+        const settled = await this.waitForFinal(nonce, chainId);
+        if (settled) return await this.toOutcome(settled, swaps, level, replacements);
+        continue;
+      }
+
+      // Já em urgent: desiste do trade
+      if (next === null) {
+        return await this.cancel(order, nonce, chainId, swaps, level, replacements, 'max_priority');
+      }
+
+      const fees = await this.gasManager.optimizeGasSettings({}, next);
+      const rebuilt = await rebuild();
+      const evaluation = this.evaluate(order, swap, rebuilt, fees, record.gasLimit, nativePriceUSD);
+
+      if (!evaluation.worthIt) {
+        logger.warn(`Vantagem do swap ${order.pair} sumiu (${evaluation.reason}: gas $${evaluation.gasCostUSD.toFixed(4)} / vantagem $${evaluation.edgeUSD.toFixed(4)})`);
+        return await this.cancel(order, nonce, chainId, swaps, level, replacements, evaluation.reason);
+      }
+
+      let replaced;
+      try {
+        replaced = await this.walletManager.speedUpTransaction(nonce, { chainId, fees, data: rebuilt.tx.data, label: `${order.side} ${order.pair}` });
+      } catch (error) {
+        if (error.code !== 'SPENDING_BLOCKED') throw error;
+        return await this.cancel(order, nonce, chainId, swaps, level, replacements, 'spending_blocked');
+      }
+
+      swaps.set(replaced.hash, rebuilt);
+      level = next;
+      waited = false;
+      replacements++;
+
+      logger.info(`⏩ Swap ${order.pair} reenviado com prioridade ${level} (gas ~$${evaluation.gasCostUSD.toFixed(4)})`);
+
+      const settled = await this.waitForFinal(nonce, chainId);
+      if (settled) return await this.toOutcome(settled, swaps, level, replacements);
+    }
+  }
+
+  /**
+   * Envia cancelamento e aguarda o nonce fechar (o swap ainda pode minerar antes)
+   */
+  async cancel(order, nonce, chainId, swaps, level, replacements, reason) {
+    try {
+      const fees = await this.gasManager.optimizeGasSettings({}, 'urgent');
+      await this.walletManager.cancelTransaction(nonce, { chainId, fees });
+    } catch (error) {
+      logger.error(`Falha ao cancelar nonce ${nonce} (${order.pair}): ${error.message}`);
+    }
+
+    const settled = await this.waitForFinal(nonce, chainId);
+    const record = settled || this.nonceManager.getTransaction(nonce, chainId ?? await this.nonceManager.getChainId());
+    const outcome = await this.toOutcome(record, swaps, level, replacements);
+
+    return { ...outcome, reason };
+  }
+
+  /**
+   * Atualiza pendentes e retorna o registro do nonce
+   */
+  async refresh(nonce, chainId) {
+    await this.nonceManager.check();
+    const id = chainId ?? (await this.nonceManager.getChainId());
+    return this.nonceManager.getTransaction(nonce, id);
+  }
+
+  /**
+   * Verifica o nonce até finalizar ou esgotar o timeout
+   *
+   * @returns {Object} - registro finalizado ou null (ainda pendente)
+   */
+  async waitForFinal(nonce, chainId) {
+    const deadline = this.clock.now() + this.timeout;
+
+    do {
+      await this.sleep(Math.min(this.pollInterval, Math.max(0, deadline - this.clock.now())));
+
+      const record = await this.refresh(nonce, chainId);
+      if (!record || record.status !== TX_STATUS.PENDING) {
+        return record;
+      }
+    } while (this.clock.now() < deadline);
+
+    return null;
+  }
+
+  /**
+   * Resultado para o executor (receipt e swap do hash que minerou)
+   */
+  async toOutcome(record, swaps, level, replacements) {
+    const status = record ? record.status : TX_STATUS.PENDING;
+    const mined = [TX_STATUS.CONFIRMED, TX_STATUS.FAILED].includes(status);
+
+    return {
+      status,
+      hash: record?.hash || null,
+      swap: record ? swaps.get(record.hash) || null : null,
+      receipt: mined ? await this.nonceManager.getProvider().getTransactionReceipt(record.hash) : null,
+      level,
+      replacements,
+      reason: null,
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.clock.setTimeout(resolve, ms));
+  }
+}
+
+const transactionWatcher = new TransactionWatcher();
+
+module.exports = {
+  transactionWatcher,
+  TransactionWatcher,
+  PRIORITY_LEVELS,
+};
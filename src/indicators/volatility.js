@@ -0,0 +1,52 @@
+/**
+ * Volatilidade - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Desvio padrão dos retornos entre preços consecutivos
+ * Usado pelo coletor on-chain e pelo replay de backtesting
+ * Estratégias esperam volatilidade diária (momentum < 5% não opera, seleção automática > 15%):
+ * retornos por coleta são escalados por √(coletas por dia)
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Calcula volatilidade dos retornos
+ *
+ * @param {Array<Number>} prices - Array de preços (mais recente no final)
+ * @returns {Number} - Desvio padrão dos retornos (0 com menos de 3 preços)
+ */
+function calculateReturnsVolatility(prices) {
+  if (!prices || prices.length < 3) return 0;
+
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Volatilidade dos retornos em escala diária
+ *
+ * @param {Array<Number>} prices - Array de preços (mais recente no final)
+ * @param {Array<Number>} times - Instante (ms) de cada preço
+ * @returns {Number} - Desvio padrão por coleta × √(dia / intervalo médio entre coletas)
+ */
+function calculateDailyReturnsVolatility(prices, times) {
+  const volatility = calculateReturnsVolatility(prices);
+
+  if (!volatility || !times || times.length !== prices.length) return volatility;
+
+  const interval = (times[times.length - 1] - times[0]) / (times.length - 1);
+  return interval > 0 ? volatility * Math.sqrt(DAY / interval) : volatility;
+}
+
+module.exports = {
+  calculateReturnsVolatility,
+  calculateDailyReturnsVolatility,
+};
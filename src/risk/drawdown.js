@@ -11,13 +11,23 @@
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
 const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
 
 /**
  * Gerencia drawdown e circuit breaker
  */
 class DrawdownManager {
-  constructor() {
-    this.initialCapital = config.bot.initialCapital;
+  /**
+   * @param {Object} options
+   * @param {Object} options.clock - Fonte de tempo (pausas usam timers do relógio)
+   * @param {Object} options.events - Emitter dos eventos de drawdown (padrão: botEvents)
+   * @param {Number} options.initialCapital - Capital inicial (padrão: config)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.events = options.events || botEvents;
+
+    this.initialCapital = options.initialCapital ?? config.bot.initialCapital;
     this.peakCapital = this.initialCapital;
     this.currentCapital = this.initialCapital;
     this.currentDrawdown = 0;
@@ -63,7 +73,8 @@ class DrawdownManager {
       const level = this.levels[i];
 
       // Se drawdown atingiu esse nível e ainda não foi triggered
-      if (this.currentDrawdown <= level.percent && !this.triggeredLevels.includes(i)) {
+      // (drawdown é negativo, níveis são configurados como percentual positivo)
+      if (this.currentDrawdown <= -level.percent && !this.triggeredLevels.includes(i)) {
         this.triggerLevel(i, level);
       }
     }
@@ -89,7 +100,7 @@ class DrawdownManager {
       2: EVENTS.DRAWDOWN_LEVEL_3,
     }[levelIndex];
 
-    botEvents.emit(eventName, {
+    this.events.emit(eventName, {
       level: levelIndex + 1,
       drawdownPercent,
       peakCapital: this.peakCapital,
@@ -129,14 +140,14 @@ class DrawdownManager {
     if (!durationSeconds) return;
 
     this.isPaused = true;
-    this.pauseUntil = Date.now() + (durationSeconds * 1000);
+    this.pauseUntil = this.clock.now() + (durationSeconds * 1000);
 
     const minutes = Math.floor(durationSeconds / 60);
 
     logger.warn(`⏸️  Trading pausado por ${minutes} minutos`);
 
     // Agenda retomada automática
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       this.resumeTrading();
     }, durationSeconds * 1000);
   }
@@ -152,7 +163,7 @@ class DrawdownManager {
 
     logger.info(`▶️  Trading retomado após pausa de drawdown`);
 
-    botEvents.emit(EVENTS.BOT_RESUMED, {
+    this.events.emit(EVENTS.BOT_RESUMED, {
       reason: 'drawdown_pause_ended',
     });
   }
@@ -167,7 +178,7 @@ class DrawdownManager {
     logger.warn(`  - Mudando para estratégia Grid (mais conservadora)`);
 
     // Emite evento para o bot ajustar parâmetros
-    botEvents.emit(EVENTS.STRATEGY_CHANGED, {
+    this.events.emit(EVENTS.STRATEGY_CHANGED, {
       reason: 'drawdown_reset',
       newStrategy: 'grid',
       conservative: true,
@@ -181,7 +192,7 @@ class DrawdownManager {
     logger.error(`🛑 BOT PARADO COMPLETAMENTE por drawdown máximo`);
     logger.error(`  Intervenção manual necessária!`);
 
-    botEvents.emit(EVENTS.BOT_STOPPED, {
+    this.events.emit(EVENTS.BOT_STOPPED, {
       reason: 'max_drawdown',
       drawdown: this.currentDrawdown * 100,
     });
@@ -194,7 +205,7 @@ class DrawdownManager {
     if (!this.isPaused) return false;
 
     // Se tempo de pausa expirou, retoma automaticamente
-    if (Date.now() >= this.pauseUntil) {
+    if (this.clock.now() >= this.pauseUntil) {
       this.resumeTrading();
       return false;
     }
@@ -208,7 +219,7 @@ class DrawdownManager {
   getRemainingPauseTime() {
     if (!this.isPaused || !this.pauseUntil) return 0;
 
-    const remaining = Math.max(0, this.pauseUntil - Date.now());
+    const remaining = Math.max(0, this.pauseUntil - this.clock.now());
     return Math.floor(remaining / 1000);
   }
 
@@ -231,9 +242,11 @@ class DrawdownManager {
 
   /**
    * Reseta drawdown manager
+   *
+   * @param {Number} baselineCapital - Novo capital de referência (ex: patrimônio atual após revisão manual)
    */
-  reset() {
-    this.initialCapital = config.bot.initialCapital;
+  reset(baselineCapital = null) {
+    this.initialCapital = baselineCapital ?? config.bot.initialCapital;
     this.peakCapital = this.initialCapital;
     this.currentCapital = this.initialCapital;
     this.currentDrawdown = 0;
@@ -10,6 +10,7 @@
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
 const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
 
 /**
  * Gerencia stop-loss trailing para uma posição
@@ -76,7 +77,7 @@ class TrailingStopLoss {
 class TakeProfitLevels {
   constructor(entryPrice, levels = null) {
     this.entryPrice = entryPrice;
-    this.levels = levels || config.risk.takeProfitLevels.map((level, index) => ({
+    this.levels = (levels || config.risk.takeProfitLevels).map((level, index) => ({
       ...level,
       targetPrice: entryPrice * (1 + level.percent),
       isTriggered: false,
@@ -155,7 +156,16 @@ class TakeProfitLevels {
  * Gerenciador completo de exits (combina stop-loss + take-profit)
  */
 class ExitManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.clock - Fonte de tempo
+   * @param {Number} options.stopLossTrailing - Trailing do stop (padrão: STOP_LOSS_TRAILING_PERCENT)
+   * @param {Array} options.takeProfitLevels - Níveis [{ percent, amount }] (padrão: config.risk)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.stopLossTrailing = options.stopLossTrailing || null;
+    this.takeProfitLevels = options.takeProfitLevels || null;
     this.activeExits = new Map(); // pair -> { stopLoss, takeProfit }
   }
 
@@ -163,14 +173,14 @@ class ExitManager {
    * Inicia gerenciamento de exit para uma posição
    */
   startManaging(pair, entryPrice) {
-    const stopLoss = new TrailingStopLoss(entryPrice);
-    const takeProfit = new TakeProfitLevels(entryPrice);
+    const stopLoss = new TrailingStopLoss(entryPrice, this.stopLossTrailing);
+    const takeProfit = new TakeProfitLevels(entryPrice, this.takeProfitLevels);
 
     this.activeExits.set(pair, {
       stopLoss,
       takeProfit,
       entryPrice,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
     });
 
     logger.info(`🎯 Exit management iniciado para ${pair} @ $${entryPrice.toFixed(2)}`);
@@ -259,7 +269,7 @@ class ExitManager {
     return {
       pair,
       entryPrice: exit.entryPrice,
-      elapsedTime: Math.floor((Date.now() - exit.startTime) / 1000),
+      elapsedTime: Math.floor((this.clock.now() - exit.startTime) / 1000),
       stopLoss: exit.stopLoss.getState(),
       takeProfit: exit.takeProfit.getState(),
     };
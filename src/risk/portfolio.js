@@ -0,0 +1,136 @@
+/**
+ * Portfolio - Jason Bot Trader
+ * Versão: 0.3.0
+ *
+ * Visão global do capital com várias redes ativas (ACTIVE_NETWORKS)
+ * - Cada rede tem seu livro de posições (PositionManager); o capital inicial é dividido por CAPITAL_ALLOCATION
+ * - Patrimônio global (capital + P&L não realizado de todas as redes) alimenta o drawdown compartilhado
+ */
+
+const { config } = require('../core/config');
+const { logger } = require('../reporting/logger');
+
+/**
+ * Carteira global: soma dos livros de posições de cada rede
+ */
+class Portfolio {
+  /**
+   * @param {Object} options
+   * @param {Number} options.initialCapital - Capital global (padrão: INITIAL_CAPITAL)
+   * @param {Object} options.allocation - Peso por rede (padrão: CAPITAL_ALLOCATION; vazio = partes iguais)
+   */
+  constructor(options = {}) {
+    this.initialCapital = options.initialCapital ?? config.bot.initialCapital;
+    this.allocation = options.allocation || config.bot.capitalAllocation;
+    this.books = new Map(); // rede -> PositionManager
+  }
+
+  /**
+   * Registra o livro de posições de uma rede
+   */
+  addBook(network, positionManager) {
+    this.books.set(network, positionManager);
+  }
+
+  removeBook(network) {
+    this.books.delete(network);
+  }
+
+  getBook(network) {
+    return this.books.get(network) || null;
+  }
+
+  /**
+   * Fração do capital de cada rede registrada
+   * Com CAPITAL_ALLOCATION, redes sem peso ficam sem capital
+   */
+  getShares() {
+    const networks = Array.from(this.books.keys());
+    const weighted = Object.keys(this.allocation).length > 0;
+    const weights = networks.map(network => (weighted ? Math.max(0, this.allocation[network] || 0) : 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return Object.fromEntries(networks.map((network, index) => [network, total > 0 ? weights[index] / total : 0]));
+  }
+
+  /**
+   * Divide o capital inicial entre os livros (antes do primeiro trade)
+   */
+  allocate() {
+    const shares = this.getShares();
+
+    for (const [network, book] of this.books) {
+      book.currentCapital = this.initialCapital * shares[network];
+
+      if (shares[network] === 0) {
+        logger.warn(`⚠️  Rede ${network} sem capital (ausente de CAPITAL_ALLOCATION)`);
+      }
+    }
+
+    logger.info(`💼 Capital por rede: ${Object.entries(shares).map(([network, share]) => `${network} ${(share * 100).toFixed(0)}%`).join(', ')}`);
+    return shares;
+  }
+
+  /**
+   * Capital somado das redes (sem P&L não realizado)
+   */
+  getCapital() {
+    return Array.from(this.books.values()).reduce((sum, book) => sum + book.currentCapital, 0);
+  }
+
+  /**
+   * Patrimônio global: capital + P&L não realizado de todas as redes
+   */
+  getEquity() {
+    return Array.from(this.books.values())
+      .reduce((sum, book) => sum + book.currentCapital + book.getTotalUnrealizedPnL().amount, 0);
+  }
+
+  /**
+   * Posições abertas de todas as redes (com a rede)
+   */
+  getAllPositions() {
+    return Array.from(this.books.entries())
+      .flatMap(([network, book]) => book.getAllPositions().map(position => ({ network, ...position })));
+  }
+
+  /**
+   * Resumo global e por rede
+   */
+  getSummary() {
+    const shares = this.getShares();
+    const equity = this.getEquity();
+    const networks = {};
+
+    for (const [network, book] of this.books) {
+      const unrealized = book.getTotalUnrealizedPnL().amount;
+
+      networks[network] = {
+        share: shares[network],
+        capital: book.currentCapital,
+        equity: book.currentCapital + unrealized,
+        unrealizedPnL: unrealized,
+        openPositions: book.openPositions.size,
+        invested: book.getTotalExposure().totalInvested,
+      };
+    }
+
+    return {
+      initialCapital: this.initialCapital,
+      capital: this.getCapital(),
+      equity,
+      pnl: equity - this.initialCapital,
+      pnlPercent: this.initialCapital > 0 ? ((equity - this.initialCapital) / this.initialCapital) * 100 : 0,
+      openPositions: Array.from(this.books.values()).reduce((sum, book) => sum + book.openPositions.size, 0),
+      networks,
+    };
+  }
+}
+
+// Singleton: a rede principal é registrada pelo bot; API e controle leem daqui
+const portfolio = new Portfolio();
+
+module.exports = {
+  portfolio,
+  Portfolio,
+};
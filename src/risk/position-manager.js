@@ -8,14 +8,16 @@
 
 const { config } = require('../core/config');
 const { logger } = require('../reporting/logger');
+const { systemClock } = require('../core/clock');
 
 /**
  * Classe para gerenciar tamanho de posições
  */
 class PositionManager {
-  constructor() {
-    this.maxPositionPercent = config.bot.maxPositionPercent;
-    this.currentCapital = config.bot.initialCapital;
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.maxPositionPercent = options.maxPositionPercent ?? config.bot.maxPositionPercent;
+    this.currentCapital = options.initialCapital ?? config.bot.initialCapital;
     this.openPositions = new Map(); // pair -> position
   }
 
@@ -49,9 +51,10 @@ class PositionManager {
    *
    * @param {Number} currentPrice - Preço atual do ativo
    * @param {Number} volatility - Volatilidade do ativo (opcional)
-   * @returns {Object} - { amountUSD, amountToken, percent }
+   * @param {Number} maxAmountUSD - Teto por impacto de preço (PriceImpactEstimator.getMaxTradeSize, opcional)
+   * @returns {Object} - { amountUSD, amountToken, percent, cappedByImpact }
    */
-  calculatePositionSize(currentPrice, volatility = null) {
+  calculatePositionSize(currentPrice, volatility = null, maxAmountUSD = null) {
     const availableCapital = this.getAvailableCapital();
 
     // Tamanho base: % do capital disponível
@@ -67,6 +70,13 @@ class PositionManager {
       logger.debug(`Ajuste por volatilidade: ${(volatilityAdjustment * 100).toFixed(0)}%`);
     }
 
+    // Limita pelo impacto de preço no pool
+    const cappedByImpact = maxAmountUSD !== null && maxAmountUSD < baseAmount;
+    if (cappedByImpact) {
+      baseAmount = Math.max(0, maxAmountUSD);
+      logger.debug(`Posição limitada pelo impacto de preço: $${baseAmount.toFixed(2)}`);
+    }
+
     // Calcula quantidade de tokens
     const amountToken = baseAmount / currentPrice;
 
@@ -74,6 +84,7 @@ class PositionManager {
       amountUSD: baseAmount,
       amountToken: amountToken,
       percent: (baseAmount / this.currentCapital) * 100,
+      cappedByImpact,
     };
   }
 
@@ -89,7 +100,7 @@ class PositionManager {
     const position = {
       pair,
       entryPrice,
-      entryTime: new Date().toISOString(),
+      entryTime: this.clock.toISOString(),
       investedAmount: amountUSD,
       tokenAmount: amountToken,
       currentPrice: entryPrice,
@@ -158,7 +169,7 @@ class PositionManager {
       entryPrice: position.entryPrice,
       exitPrice,
       entryTime: position.entryTime,
-      exitTime: new Date().toISOString(),
+      exitTime: this.clock.toISOString(),
       investedAmount: position.investedAmount,
       tokenAmount: position.tokenAmount,
       realizedPnL,
@@ -166,6 +177,54 @@ class PositionManager {
     };
   }
 
+  /**
+   * Reduz posição (saída parcial, ex: take-profit em níveis)
+   *
+   * @param {String} pair - Par da posição
+   * @param {Number} fraction - Fração da posição a vender (0-1)
+   * @param {Number} exitPrice - Preço de saída
+   * @returns {Object|null} - Resultado da parte vendida (mesmo formato de closePosition)
+   */
+  reducePosition(pair, fraction, exitPrice) {
+    const position = this.openPositions.get(pair);
+
+    if (!position) {
+      logger.warn(`⚠️  Posição não encontrada: ${pair}`);
+      return null;
+    }
+
+    if (fraction >= 1) {
+      return this.closePosition(pair, exitPrice);
+    }
+
+    // Parte vendida
+    const soldTokens = position.tokenAmount * fraction;
+    const soldInvested = position.investedAmount * fraction;
+    const realizedPnL = soldTokens * exitPrice - soldInvested;
+    const realizedPnLPercent = (realizedPnL / soldInvested) * 100;
+
+    // Atualiza capital e posição remanescente
+    this.updateCapital(this.currentCapital + realizedPnL);
+    position.tokenAmount -= soldTokens;
+    position.investedAmount -= soldInvested;
+    this.updatePosition(pair, exitPrice);
+
+    logger.info(`📉 Posição REDUZIDA: ${pair} ${(fraction * 100).toFixed(0)}% @ $${exitPrice.toFixed(2)} (P&L: $${realizedPnL.toFixed(2)})`);
+
+    return {
+      pair,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      entryTime: position.entryTime,
+      exitTime: this.clock.toISOString(),
+      investedAmount: soldInvested,
+      tokenAmount: soldTokens,
+      realizedPnL,
+      realizedPnLPercent,
+      partial: true,
+    };
+  }
+
   /**
    * Verifica se tem posição aberta para um par
    */
@@ -225,7 +284,7 @@ class PositionManager {
    */
   calculateDuration(entryTime) {
     const start = new Date(entryTime);
-    const end = new Date();
+    const end = new Date(this.clock.now());
     const durationMs = end - start;
 
     const hours = Math.floor(durationMs / (1000 * 60 * 60));
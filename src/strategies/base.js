@@ -8,6 +8,7 @@
 
 const { logger } = require('../reporting/logger');
 const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
 
 /**
  * Classe base abstrata para estratégias
@@ -20,6 +21,7 @@ class BaseStrategy {
 
     this.name = name;
     this.config = config;
+    this.clock = systemClock;
     this.isActive = false;
     this.currentPosition = null;
     this.trades = [];
@@ -71,6 +73,13 @@ class BaseStrategy {
     logger.info(`🛑 Estratégia ${this.name} desativada`);
   }
 
+  /**
+   * Define fonte de tempo (relógio virtual no backtesting)
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
   /**
    * Verifica se estratégia está ativa
    */
@@ -93,7 +102,7 @@ class BaseStrategy {
     this.trades.push({
       ...trade,
       strategy: this.name,
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock.toISOString(),
     });
     this.metrics.executedTrades++;
 
@@ -41,7 +41,7 @@ class GridTradingStrategy extends BaseStrategy {
   initialize(basePrice) {
     this.basePrice = basePrice;
     this.gridLevels = this.calculateGridLevels(basePrice);
-    this.lastRebalance = Date.now();
+    this.lastRebalance = this.clock.now();
 
     logger.info(`🔲 Grid inicializado com preço base $${basePrice.toFixed(2)}`);
     logger.info(`Níveis: ${this.gridLevels.length} níveis de ${this.config.rangeMin * 100}% a ${this.config.rangeMax * 100}%`);
@@ -177,7 +177,7 @@ class GridTradingStrategy extends BaseStrategy {
       return false;
     }
 
-    const timeSinceRebalance = Date.now() - this.lastRebalance;
+    const timeSinceRebalance = this.clock.now() - this.lastRebalance;
     const rebalanceInterval = this.config.rebalanceInterval * 1000; // converte para ms
 
     return timeSinceRebalance >= rebalanceInterval;
@@ -204,7 +204,7 @@ class GridTradingStrategy extends BaseStrategy {
     // Recalcula níveis
     this.gridLevels = this.calculateGridLevels(newBasePrice);
     this.basePrice = newBasePrice;
-    this.lastRebalance = Date.now();
+    this.lastRebalance = this.clock.now();
   }
 
   /**
@@ -12,19 +12,33 @@ const MomentumStrategy = require('./momentum');
 const { logger } = require('../reporting/logger');
 const { config } = require('../core/config');
 const { botEvents, EVENTS } = require('../core/events');
+const { systemClock } = require('../core/clock');
+const { tokenUniverse } = require('../analysis/token-universe');
 
 /**
  * Gerenciador de estratégias
  */
 class StrategyManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.clock - Fonte de tempo (padrão: relógio do sistema)
+   * @param {Object} options.strategyConfig - Overrides de config por estratégia ({ grid: {...}, momentum: {...} })
+   * @param {Object} options.universe - Whitelist de tokens (padrão: tokenUniverse)
+   */
+  constructor(options = {}) {
+    const strategyConfig = options.strategyConfig || {};
+
     this.strategies = {
-      grid: new GridTradingStrategy(),
-      momentum: new MomentumStrategy(),
+      grid: new GridTradingStrategy(strategyConfig.grid),
+      momentum: new MomentumStrategy(strategyConfig.momentum),
     };
 
+    this.clock = options.clock || systemClock;
+    this.universe = options.universe || tokenUniverse;
+    Object.values(this.strategies).forEach(strategy => strategy.setClock(this.clock));
+
     this.currentStrategy = null;
-    this.defaultStrategy = config.strategies.default;
+    this.defaultStrategy = options.defaultStrategy || config.strategies.default;
     this.lastSwitch = null;
     this.switchCooldown = 300000; // 5 minutos entre trocas
   }
@@ -80,7 +94,7 @@ class StrategyManager {
    */
   selectStrategy(strategyName, metadata = {}) {
     // Verifica cooldown
-    if (this.lastSwitch && (Date.now() - this.lastSwitch < this.switchCooldown)) {
+    if (this.lastSwitch && (this.clock.now() - this.lastSwitch < this.switchCooldown)) {
       logger.debug('Strategy switch em cooldown');
       return false;
     }
@@ -100,7 +114,7 @@ class StrategyManager {
     // Ativa nova estratégia
     this.currentStrategy = strategy;
     this.currentStrategy.activate();
-    this.lastSwitch = Date.now();
+    this.lastSwitch = this.clock.now();
 
     logger.info(`✅ Estratégia selecionada: ${this.currentStrategy.name}`);
     if (metadata.reason) {
@@ -119,6 +133,12 @@ class StrategyManager {
    * Analisa mercado com estratégia atual
    */
   async analyze(marketData) {
+    // Pares fora da whitelist não abrem novas posições (posição aberta continua sendo gerida)
+    if (marketData.pair && !this.universe.isPairAllowed(marketData.pair) && !this.currentStrategy?.hasOpenPosition()) {
+      logger.debug(`Par ${marketData.pair} fora da whitelist, análise ignorada`);
+      return null;
+    }
+
     // Se em modo auto, seleciona estratégia dinamicamente
     if (this.defaultStrategy === 'auto') {
       await this.autoSelectStrategy(marketData);
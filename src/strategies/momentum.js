@@ -40,7 +40,11 @@ class MomentumStrategy extends BaseStrategy {
    */
   updateHistory(marketData) {
     this.priceHistory.push(marketData.price);
-    this.volumeHistory.push(marketData.volume);
+
+    // Volume parcial (coletor ainda buscando a janela de 24h) puxaria a média para baixo
+    if (marketData.volumeReady !== false) {
+      this.volumeHistory.push(marketData.volume);
+    }
 
     // Limita histórico ao lookback period
     const maxHistory = this.config.lookbackPeriod + 10;
@@ -0,0 +1,161 @@
+/**
+ * Testes de Integração - API do Dashboard
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ApiServer } = require('../../src/api/server');
+const { PositionManager } = require('../../src/risk/position-manager');
+const { ExitManager } = require('../../src/risk/exit-manager');
+const { Portfolio } = require('../../src/risk/portfolio');
+const { DrawdownManager } = require('../../src/risk/drawdown');
+const { StrategyManager } = require('../../src/strategies/manager');
+const { GasManager } = require('../../src/blockchain/gas');
+const { StorageManager } = require('../../src/data/storage');
+
+describe('API do Dashboard', () => {
+  let dir;
+  let api;
+  let positionManager;
+  let exitManager;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-api-'));
+
+    positionManager = new PositionManager({ initialCapital: 100 });
+    exitManager = new ExitManager();
+    storage = new StorageManager({ cyclesDir: dir, persist: false });
+
+    const gasManager = new GasManager();
+    gasManager.gasPriceHistory = [
+      { timestamp: 1, gasPrice: '0.1', maxFeePerGas: null },
+      { timestamp: 2, gasPrice: '0.3', maxFeePerGas: null },
+    ];
+
+    api = new ApiServer({
+      positionManager,
+      exitManager,
+      drawdownManager: new DrawdownManager({ initialCapital: 100 }),
+      strategyManager: new StrategyManager(),
+      gasManager,
+      storage,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('GET /api/status sem bot', async () => {
+    const res = await request(api.app).get('/api/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body.running).toBe(false);
+    expect(res.body.cycleId).toBeNull();
+  });
+
+  test('GET /api/drawdown retorna estado do circuit breaker', async () => {
+    const res = await request(api.app).get('/api/drawdown');
+
+    expect(res.status).toBe(200);
+    expect(res.body.initialCapital).toBe(100);
+    expect(res.body.triggeredLevels).toEqual([]);
+  });
+
+  test('GET /api/positions e /api/exits refletem posições abertas', async () => {
+    positionManager.openPosition('WETH/USDC', 100, 10, 0.1);
+    exitManager.startManaging('WETH/USDC', 100);
+
+    const positions = await request(api.app).get('/api/positions');
+    const exits = await request(api.app).get('/api/exits');
+
+    expect(positions.body.summary.openPositions).toBe(1);
+    expect(positions.body.positions[0].pair).toBe('WETH/USDC');
+    expect(exits.body).toHaveLength(1);
+    expect(exits.body[0].entryPrice).toBe(100);
+  });
+
+  test('GET /api/strategies e /api/gas', async () => {
+    const strategies = await request(api.app).get('/api/strategies');
+    const gas = await request(api.app).get('/api/gas?limit=1');
+
+    expect(Object.values(strategies.body.pairs)[0].availableStrategies).toEqual(['grid', 'momentum']);
+    expect(gas.body.history).toEqual([{ timestamp: 2, gasPrice: '0.3', maxFeePerGas: null }]);
+    expect(gas.body.averageGasPrice).toBeCloseTo(0.3);
+  });
+
+  test('GET /api/approvals lista allowances em aberto', async () => {
+    const outstanding = { policy: 'exact', revokeOnShutdown: false, approvals: [{ symbol: 'USDC', spenderName: 'router', amount: '10000000' }] };
+    api = new ApiServer({ storage, allowanceManager: { getOutstanding: () => outstanding } });
+
+    const res = await request(api.app).get('/api/approvals');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(outstanding);
+  });
+
+  test('GET /api/rpc expõe métricas dos endpoints', async () => {
+    const metrics = [{ key: 'arbitrum-mainnet', current: true, active: 'rpc-a.example', endpoints: [{ label: 'rpc-a.example', score: 97, blockLag: 0 }] }];
+    api = new ApiServer({ storage, providerManager: { getMetrics: () => metrics } });
+
+    const res = await request(api.app).get('/api/rpc');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(metrics);
+  });
+
+  test('GET /api/portfolio expõe capital global e por rede', async () => {
+    const portfolio = new Portfolio({ initialCapital: 100, allocation: {} });
+    portfolio.addBook('arbitrum', new PositionManager({ initialCapital: 100 }));
+    portfolio.addBook('base', new PositionManager({ initialCapital: 100 }));
+    portfolio.allocate();
+    portfolio.getBook('base').openPosition('WETH/USDC', 2000, 10, 0.005);
+
+    api = new ApiServer({ storage, portfolio });
+    const res = await request(api.app).get('/api/portfolio');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ initialCapital: 100, equity: 100, openPositions: 1 });
+    expect(res.body.networks.base).toMatchObject({ share: 0.5, capital: 50, invested: 10 });
+    expect(res.body.positions).toEqual([expect.objectContaining({ network: 'base', pair: 'WETH/USDC' })]);
+  });
+
+  test('lista e carrega ciclos salvos', async () => {
+    const cycle = { cycleId: 'cycle-2025-11-05-120000', startTime: '2025-11-05T12:00:00.000Z', pnl: 1.5, totalTrades: 3 };
+    fs.writeFileSync(path.join(dir, `${cycle.cycleId}.json`), JSON.stringify(cycle));
+
+    const list = await request(api.app).get('/api/cycles');
+    const loaded = await request(api.app).get(`/api/cycles/${cycle.cycleId}`);
+    const missing = await request(api.app).get('/api/cycles/cycle-inexistente');
+    const invalid = await request(api.app).get('/api/cycles/..%2F..%2Fpackage');
+
+    expect(list.body.map(c => c.cycleId)).toEqual([cycle.cycleId]);
+    expect(loaded.body.pnl).toBe(1.5);
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+
+  test('GET /api/cycles/current retorna ciclo ativo', async () => {
+    expect((await request(api.app).get('/api/cycles/current')).status).toBe(404);
+
+    storage.startNewCycle('arbitrum', 'grid');
+    const res = await request(api.app).get('/api/cycles/current');
+
+    expect(res.status).toBe(200);
+    expect(res.body.network).toBe('arbitrum');
+  });
+
+  test('sobe e encerra servidor HTTP', async () => {
+    api.port = 0;
+    const server = await api.start();
+
+    const res = await request(server).get('/api/health');
+    expect(res.body.status).toBe('ok');
+
+    await api.stop();
+    expect(api.server).toBeNull();
+  });
+});
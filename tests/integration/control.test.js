@@ -0,0 +1,170 @@
+/**
+ * Testes de Integração - Endpoints de Controle
+ */
+
+const request = require('supertest');
+const { ApiServer } = require('../../src/api/server');
+const { BotController } = require('../../src/api/control');
+const { TradingPipeline } = require('../../src/core/pipeline');
+const { BotEventEmitter, EVENTS } = require('../../src/core/events');
+const { VirtualClock } = require('../../src/core/clock');
+const { PositionManager } = require('../../src/risk/position-manager');
+const { ExitManager } = require('../../src/risk/exit-manager');
+const { DrawdownManager } = require('../../src/risk/drawdown');
+const { StrategyManager } = require('../../src/strategies/manager');
+
+const TOKEN = 'token-de-teste';
+
+describe('Endpoints de Controle', () => {
+  let api;
+  let bot;
+  let events;
+  let storage;
+  let positionManager;
+  let drawdownManager;
+  let executor;
+
+  const post = (path, body = {}) => request(api.app)
+    .post(`/api/control${path}`)
+    .set('Authorization', `Bearer ${TOKEN}`)
+    .send(body);
+
+  beforeEach(() => {
+    events = new BotEventEmitter();
+    storage = { addEvent: jest.fn(), addTrade: jest.fn(), currentCycle: null };
+    positionManager = new PositionManager({ initialCapital: 100 });
+    // Relógio virtual: pausas de drawdown não deixam timers reais pendentes
+    drawdownManager = new DrawdownManager({ initialCapital: 100, events, clock: new VirtualClock() });
+    executor = {
+      execute: jest.fn(async order => ({
+        success: true,
+        price: order.price,
+        amountToken: order.amountToken,
+        amountUSD: order.amountToken * order.price,
+        gasCostUSD: 0,
+      })),
+    };
+
+    const strategyManager = new StrategyManager();
+    const pipeline = new TradingPipeline({
+      pairs: ['WETH/USDC', 'ARB/USDC'],
+      collector: { collect: jest.fn(async () => ({ price: 110 })) },
+      executor,
+      strategyManager,
+      positionManager,
+      exitManager: new ExitManager(),
+      drawdownManager,
+      storage,
+      events,
+      logTrades: false,
+    });
+
+    bot = {
+      isRunning: true,
+      isPaused: false,
+      pipeline,
+      getUptime: () => 10,
+      pause: jest.fn(() => { bot.isPaused = true; }),
+      resume: jest.fn(() => { bot.isPaused = false; }),
+      stop: jest.fn(),
+    };
+
+    const controller = new BotController({
+      bot,
+      token: TOKEN,
+      events,
+      drawdownManager,
+      positionManager,
+      strategyManager,
+      storage,
+    });
+
+    api = new ApiServer({ bot, controller, drawdownManager, positionManager, strategyManager, storage });
+  });
+
+  test('exige token válido', async () => {
+    const missing = await request(api.app).post('/api/control/pause');
+    const wrong = await request(api.app).post('/api/control/pause').set('Authorization', 'Bearer errado');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(bot.pause).not.toHaveBeenCalled();
+  });
+
+  test('controle desativado sem API_CONTROL_TOKEN', async () => {
+    const disabled = new ApiServer({ bot, controller: new BotController({ bot, token: null, storage }), storage });
+
+    const res = await request(disabled.app).post('/api/control/pause').set('Authorization', 'Bearer qualquer');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('pausa e retoma com auditoria no ciclo e no stream', async () => {
+    const audited = [];
+    events.on(EVENTS.CONTROL_COMMAND, entry => audited.push(entry));
+
+    expect((await post('/pause', { duration: 600 })).status).toBe(200);
+    expect(bot.pause).toHaveBeenCalledWith(600);
+
+    expect((await post('/resume')).status).toBe(200);
+    expect(bot.resume).toHaveBeenCalled();
+
+    expect(storage.addEvent).toHaveBeenCalledWith(EVENTS.CONTROL_COMMAND, expect.objectContaining({ action: 'pause', success: true }));
+    expect(audited.map(entry => entry.action)).toEqual(['pause', 'resume']);
+    expect((await post('/pause', { duration: -1 })).status).toBe(400);
+  });
+
+  test('stop responde antes de encerrar o bot', async () => {
+    const res = await post('/stop');
+
+    expect(res.status).toBe(200);
+    expect(res.body.stopping).toBe(true);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(bot.stop).toHaveBeenCalled();
+  });
+
+  test('força estratégia em todos os pares ou em um par', async () => {
+    const all = await post('/strategy', { strategy: 'momentum' });
+    expect(all.status).toBe(200);
+    expect(all.body.pairs).toEqual({ 'WETH/USDC': true, 'ARB/USDC': true });
+
+    const one = await post('/strategy', { strategy: 'grid', pair: 'ARB/USDC' });
+    expect(Object.keys(one.body.pairs)).toEqual(['ARB/USDC']);
+    expect(bot.pipeline.getStrategyManager('ARB/USDC').getCurrentStrategy()).toBe(bot.pipeline.getStrategyManager('ARB/USDC').strategies.grid);
+
+    expect((await post('/strategy', { strategy: 'martingale' })).status).toBe(400);
+    expect((await post('/strategy', { strategy: 'grid', pair: 'DOGE/USDC' })).status).toBe(404);
+  });
+
+  test('fecha todas as posições e pausa o bot', async () => {
+    positionManager.openPosition('WETH/USDC', 100, 10, 0.1);
+    positionManager.openPosition('ARB/USDC', 1, 5, 5);
+
+    const res = await post('/positions/close');
+
+    expect(res.status).toBe(200);
+    expect(bot.pause).toHaveBeenCalled();
+    expect(res.body.closed).toHaveLength(2);
+    expect(res.body.closed[0].type).toBe('manual_close');
+    expect(positionManager.getAllPositions()).toHaveLength(0);
+    expect(storage.addTrade).toHaveBeenCalledTimes(2);
+  });
+
+  test('drawdown nível 3 bloqueia resume até reset manual', async () => {
+    drawdownManager.updateCapital(80); // -20%: dispara os 3 níveis
+    expect(drawdownManager.currentLevel).toBe(3);
+
+    const blocked = await post('/resume');
+    expect(blocked.status).toBe(409);
+    expect(bot.resume).not.toHaveBeenCalled();
+
+    const reset = await post('/drawdown/reset');
+    expect(reset.status).toBe(200);
+    expect(reset.body.previousLevel).toBe(3);
+    expect(drawdownManager.getState().peakCapital).toBe(reset.body.baselineCapital);
+    expect(drawdownManager.currentLevel).toBeNull();
+
+    expect((await post('/resume')).status).toBe(200);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Testes Unitários - Allowance Manager (políticas de aprovação)
+ */
+
+const { ethers } = require('ethers');
+const { AllowanceManager } = require('../../src/blockchain/allowance');
+const { VirtualClock } = require('../../src/core/clock');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const erc20 = new ethers.Interface(sushiswap.ERC20_ABI);
+const permit2Interface = new ethers.Interface([
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+  'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+]);
+
+const WALLET = '0x' + 'a'.repeat(40);
+const PERMIT2 = config.execution.approvals.permit2;
+const { USDC, USDT } = config.tokens.arbitrum;
+const { router: ROUTER } = config.contracts.arbitrum;
+
+describe('AllowanceManager', () => {
+  let chain;
+  let provider;
+  let walletManager;
+  let providerManager;
+  let events;
+  let clock;
+
+  beforeEach(() => {
+    // Estado on-chain: `${token}:${spender}` -> allowance ERC20; `${token}:${spender}` -> { amount, expiration } no Permit2
+    chain = { erc20: new Map(), permit2: new Map() };
+    clock = new VirtualClock(Date.parse('2026-01-01T00:00:00Z'));
+
+    provider = {
+      call: jest.fn(async tx => {
+        if (tx.to === PERMIT2) {
+          const [, token, spender] = permit2Interface.decodeFunctionData('allowance', tx.data);
+          const permit = chain.permit2.get(`${token}:${spender}`) || { amount: 0n, expiration: 0 };
+          return permit2Interface.encodeFunctionResult('allowance', [permit.amount, permit.expiration, 0]);
+        }
+
+        const [, spender] = erc20.decodeFunctionData('allowance', tx.data);
+        return erc20.encodeFunctionResult('allowance', [chain.erc20.get(`${tx.to}:${spender}`) || 0n]);
+      }),
+    };
+
+    walletManager = {
+      getAddress: () => WALLET,
+      sendTransaction: jest.fn(async tx => {
+        if (tx.to === PERMIT2) {
+          const [token, spender, amount, expiration] = permit2Interface.decodeFunctionData('approve', tx.data);
+          chain.permit2.set(`${token}:${spender}`, { amount, expiration: Number(expiration) });
+        } else {
+          const [spender, amount] = erc20.decodeFunctionData('approve', tx.data);
+          chain.erc20.set(`${tx.to}:${spender}`, amount);
+        }
+        return { hash: '0x' + walletManager.sendTransaction.mock.calls.length.toString(16).padStart(64, '0') };
+      }),
+    };
+
+    providerManager = {
+      currentNetwork: 'arbitrum',
+      getProvider: () => provider,
+      waitForTransaction: jest.fn(async hash => ({ hash, status: 1 })),
+    };
+
+    events = { emit: jest.fn() };
+  });
+
+  const createManager = (options = {}) => new AllowanceManager({
+    providerManager,
+    walletManager,
+    events,
+    clock,
+    policy: 'exact',
+    bufferMultiplier: 2,
+    ...options,
+  });
+
+  const approvals = () => walletManager.sendTransaction.mock.calls.map(([tx]) => tx);
+
+  test('aprova conforme a política e usa o cache sem nova chamada RPC', async () => {
+    const amount = ethers.parseUnits('10', 6);
+
+    const exact = createManager();
+    await exact.ensureAllowance(USDC.address, ROUTER, amount);
+    expect(chain.erc20.get(`${USDC.address}:${ROUTER}`)).toBe(amount);
+
+    const buffered = createManager({ policy: 'buffered', bufferMultiplier: 2.5 });
+    await buffered.ensureAllowance(USDT.address, ROUTER, amount);
+    expect(chain.erc20.get(`${USDT.address}:${ROUTER}`)).toBe(ethers.parseUnits('25', 6));
+
+    // Cache cobre os próximos trades: nenhuma leitura nem transação
+    const calls = provider.call.mock.calls.length;
+    expect(await buffered.ensureAllowance(USDT.address, ROUTER, ethers.parseUnits('12', 6))).toBeNull();
+    expect(provider.call.mock.calls.length).toBe(calls);
+    expect(approvals()).toHaveLength(2);
+
+    // Trades consomem o cache; quando não cobre mais, relê a chain antes de aprovar
+    buffered.consume(USDT.address, ROUTER, ethers.parseUnits('20', 6));
+    chain.erc20.set(`${USDT.address}:${ROUTER}`, ethers.parseUnits('100', 6)); // aprovação externa
+    expect(await buffered.ensureAllowance(USDT.address, ROUTER, amount)).toBeNull();
+    expect(approvals()).toHaveLength(2);
+
+    const infinite = createManager({ policy: 'infinite' });
+    await infinite.ensureAllowance(USDC.address, ROUTER, ethers.parseUnits('11', 6));
+    expect(chain.erc20.get(`${USDC.address}:${ROUTER}`)).toBe(ethers.MaxUint256);
+
+    expect(() => createManager({ policy: 'unlimited' })).toThrow('Política de aprovação inválida');
+  });
+
+  test('permit2 aprova o token ao Permit2 uma vez e o spender com expiração', async () => {
+    // Spender que puxa tokens pelo Permit2 (ex: Universal Router)
+    const UNIVERSAL_ROUTER = '0x' + 'e'.repeat(40);
+    const manager = createManager({ policy: 'permit2', bufferMultiplier: 1, permit2Expiration: 3600, permit2Spenders: [UNIVERSAL_ROUTER] });
+    const amount = ethers.parseUnits('10', 6);
+
+    const entry = await manager.ensureAllowance(USDC.address, UNIVERSAL_ROUTER, amount);
+
+    expect(approvals().map(tx => tx.to)).toEqual([USDC.address, PERMIT2]);
+    expect(chain.erc20.get(`${USDC.address}:${PERMIT2}`)).toBe(ethers.MaxUint256);
+    expect(chain.permit2.get(`${USDC.address}:${ethers.getAddress(UNIVERSAL_ROUTER)}`)).toEqual({ amount, expiration: clock.now() / 1000 + 3600 });
+    expect(entry).toMatchObject({ via: 'permit2', amount });
+
+    // Segunda aprovação reaproveita a allowance ao Permit2
+    await manager.ensureAllowance(USDC.address, UNIVERSAL_ROUTER, amount * 2n);
+    expect(approvals().map(tx => tx.to)).toEqual([USDC.address, PERMIT2, PERMIT2]);
+
+    // Expirada no Permit2: precisa renovar
+    clock.advance(3601 * 1000);
+    expect(await manager.getAllowance(USDC.address, UNIVERSAL_ROUTER)).toBe(0n);
+  });
+
+  test('permit2 recusa o SwapRouter V3 (transferFrom direto) sem enviar aprovação', async () => {
+    const manager = createManager({ policy: 'permit2', permit2Spenders: [] });
+
+    await expect(manager.ensureAllowance(USDC.address, ROUTER, ethers.parseUnits('10', 6)))
+      .rejects.toThrow('router não puxa tokens pelo Permit2');
+    expect(walletManager.sendTransaction).not.toHaveBeenCalled();
+    expect(provider.call).not.toHaveBeenCalled();
+  });
+
+  test('prepara em lote, revoga no shutdown e lista aprovações em aberto', async () => {
+    const manager = createManager({ policy: 'infinite', revokeOnShutdown: true });
+
+    const results = await manager.prepareForPairs(['WETH/USDC', 'USDT/USDC', 'WETH/USDT'], 5);
+    expect(results).toEqual([
+      { token: USDC.address, spender: ROUTER, approved: true },
+      { token: USDT.address, spender: ROUTER, approved: true },
+    ]);
+    expect(events.emit).toHaveBeenCalledWith('wallet.approval.updated', expect.objectContaining({ symbol: 'USDC', spenderName: 'router', infinite: true }));
+
+    const outstanding = manager.getOutstanding();
+    expect(outstanding).toMatchObject({ policy: 'infinite', revokeOnShutdown: true });
+    expect(outstanding.approvals.map(approval => approval.symbol)).toEqual(['USDC', 'USDT']);
+    expect(outstanding.approvals[0]).toMatchObject({ amount: ethers.MaxUint256.toString(), grantedByBot: true });
+
+    // Falha isolada não interrompe o lote
+    walletManager.sendTransaction.mockRejectedValueOnce(new Error('nonce too low'));
+    const failed = await createManager().prepare([{ token: USDC.address, spender: WALLET, amount: 1n }]);
+    expect(failed[0]).toMatchObject({ approved: false, error: 'nonce too low' });
+
+    expect(await manager.revokeAll()).toBe(2);
+    expect(chain.erc20.get(`${USDC.address}:${ROUTER}`)).toBe(0n);
+    expect(chain.erc20.get(`${USDT.address}:${ROUTER}`)).toBe(0n);
+    expect(events.emit).toHaveBeenCalledWith('wallet.approval.revoked', expect.objectContaining({ symbol: 'USDT', amount: '0' }));
+    expect(manager.getOutstanding().approvals).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Testes Unitários - Backfill Histórico
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const { Backfiller, SubgraphBackfillSource, LogBackfillSource } = require('../../src/data/backfill');
+const { StorageManager } = require('../../src/data/storage');
+const { MarketReplay } = require('../../src/backtesting/simulator');
+const { VirtualClock } = require('../../src/core/clock');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const DAY_START = Date.parse('2025-11-01T00:00:00.000Z') / 1000;
+const POOL = ethers.getAddress('0x' + 'c3'.repeat(20));
+const { WETH, USDC } = config.tokens.arbitrum;
+
+// WETH é token0 no Arbitrum (preço = USDC por WETH)
+const sqrtPriceFor = price => BigInt(Math.round(Math.sqrt(price * 1e6 / 1e18) * 2 ** 96));
+
+describe('Backfill Histórico', () => {
+  let dir;
+  let storage;
+  let backfiller;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-backfill-'));
+    storage = new StorageManager({ marketDir: path.join(dir, 'market'), persist: false });
+    backfiller = new Backfiller({ storage, checkpointDir: path.join(dir, 'checkpoints') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('subgraph: pagina swaps, agrupa em intervalos e grava no layout do loadMarketData', async () => {
+    const swaps = [
+      [60, 2500, '-2500'],
+      [180, 2510, '1000'],
+      [420, 2520, '-500'],
+      [3600, 2530, '100'],
+    ].map(([offset, price, amount1], index) => ({
+      id: `0xtx${index}#0`,
+      timestamp: String(DAY_START + offset),
+      amount0: '0',
+      amount1,
+      sqrtPriceX96: sqrtPriceFor(price).toString(),
+    }));
+
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const { query, variables } = JSON.parse(body);
+        requests.push(variables);
+
+        let data;
+        if (query.includes('poolDayDatas')) {
+          data = { poolDayDatas: [{ date: variables.date, tvlUSD: '1500000' }] };
+        } else if (query.includes('swaps')) {
+          data = {
+            swaps: swaps
+              .filter(swap => Number(swap.timestamp) >= Number(variables.from) && Number(swap.timestamp) < Number(variables.to))
+              .slice(0, variables.first),
+          };
+        } else {
+          data = { pools: [{ id: POOL.toLowerCase() }] };
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const source = new SubgraphBackfillSource({ url: `http://127.0.0.1:${server.address().port}/graphql`, pageSize: 2 });
+      const result = await backfiller.run({ source, network: 'arbitrum', pair: 'WETH/USDC', from: '2025-11-01', to: '2025-11-01' });
+
+      expect(requests[0]).toEqual({ token0: WETH.address.toLowerCase(), token1: USDC.address.toLowerCase(), fee: String(config.bot.poolFee) });
+      expect(result).toMatchObject({ done: true, written: 3, cursor: DAY_START + 86400 });
+
+      // Dois swaps por página: a primeira janela precisa de mais de uma consulta
+      expect(requests.filter(variables => variables.first && variables.to === String(DAY_START + 3600)).length).toBeGreaterThan(1);
+
+      const records = storage.loadMarketData('arbitrum', 'WETH/USDC', '2025-11-01');
+      expect(records.map(record => record.timestamp)).toEqual([
+        '2025-11-01T00:05:00.000Z', '2025-11-01T00:10:00.000Z', '2025-11-01T01:05:00.000Z',
+      ]);
+      expect(records.map(record => record.volume)).toEqual([3500, 4000, 4100]);
+      expect(records[0]).toMatchObject({ pair: 'WETH/USDC', liquidity: 1500000, swaps: 2, source: 'backfill' });
+      expect(records[0].price).toBeCloseTo(2510, 4);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('logs: converte datas em blocos, interpola horários e lê liquidez no bloco', async () => {
+    const genesis = DAY_START - 600; // bloco 10 = 00:00, um bloco por minuto
+    const swapLog = (block, weth, usdc, price) => ({
+      address: POOL,
+      blockNumber: block,
+      index: 0,
+      ...sushiswap.poolInterface.encodeEventLog('Swap', [
+        POOL, POOL, ethers.parseUnits(weth, 18), ethers.parseUnits(usdc, 6), sqrtPriceFor(price), 10n ** 18n, 0,
+      ]),
+    });
+    const logs = [swapLog(12, '-1', '2500', 2500), swapLog(13, '0.4', '-1000', 2505), swapLog(600, '-0.1', '200', 2600)];
+    const erc20 = new ethers.Interface(sushiswap.ERC20_ABI);
+
+    const provider = {
+      getBlockNumber: jest.fn(async () => 1500),
+      getBlock: jest.fn(async number => ({ number, timestamp: genesis + number * 60 })),
+      getLogs: jest.fn(async filter => logs.filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)),
+      call: jest.fn(async tx => erc20.encodeFunctionResult('balanceOf', [
+        tx.to === WETH.address ? ethers.parseUnits('100', 18) : ethers.parseUnits('250000', 6),
+      ])),
+    };
+    const collector = {
+      resolvePool: jest.fn(async () => ({
+        address: POOL,
+        base: { symbol: 'WETH', ...WETH },
+        quote: { symbol: 'USDC', ...USDC },
+        baseIsToken0: true,
+      })),
+    };
+
+    const source = new LogBackfillSource({ provider, collector, maxBlockRange: 500 });
+    const result = await backfiller.run({ source, network: 'arbitrum', pair: 'WETH/USDC', from: '2025-11-01', to: '2025-11-01' });
+
+    expect(source.fromBlock).toBe(10);
+    expect(source.toBlock).toBe(1449);
+    expect(provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([[10, 509], [510, 1009], [1010, 1449]]);
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ blockTag: 509 }));
+    expect(result.written).toBe(2);
+
+    const records = storage.loadMarketData('arbitrum', 'WETH/USDC', '2025-11-01');
+    expect(records.map(record => [record.timestamp, record.volume])).toEqual([
+      ['2025-11-01T00:05:00.000Z', 3500],
+      ['2025-11-01T09:55:00.000Z', 3700],
+    ]);
+    expect(records[0].price).toBeCloseTo(2505, 4);
+    expect(records[1].liquidity).toBeCloseTo(100 * 2600 + 250000, 2);
+  });
+
+  test('registro datado pelo fechamento do intervalo: replay não vê o preço antes do último swap', async () => {
+    const day = DAY_START * 1000;
+    const minute = 60 * 1000;
+    const source = {
+      name: 'stub',
+      init: async () => '0xpool',
+      fetchChunk: async () => ({
+        swaps: [
+          { time: day + minute, price: 100, amountQuote: 10 },
+          { time: day + 4 * minute, price: 104, amountQuote: 10 },
+          { time: day + 6 * minute, price: 106, amountQuote: 10 },
+        ],
+        liquidity: 5000,
+        until: day + 86400 * 1000,
+        cursor: 1,
+        done: true,
+      }),
+    };
+
+    await backfiller.run({ source, network: 'arbitrum', pair: 'WETH/USDC', from: '2025-11-01', to: '2025-11-01' });
+    const records = storage.loadMarketData('arbitrum', 'WETH/USDC', '2025-11-01');
+
+    // Preço do registro = último swap do intervalo, que já aconteceu no timestamp
+    expect(records.map(record => [record.timestamp, record.price])).toEqual([
+      ['2025-11-01T00:05:00.000Z', 104],
+      ['2025-11-01T00:10:00.000Z', 106],
+    ]);
+
+    const clock = new VirtualClock(day + 4 * minute + 59 * 1000);
+    const replay = new MarketReplay({ 'WETH/USDC': records }, clock);
+    expect(await replay.collect('WETH/USDC')).toBeNull();
+
+    clock.set(day + 5 * minute);
+    expect((await replay.collect('WETH/USDC')).price).toBe(104);
+  });
+
+  test('retoma do checkpoint após falha sem regravar chunks anteriores', async () => {
+    const hour = 3600 * 1000;
+    const day = DAY_START * 1000;
+    let failOnce = true;
+
+    const source = {
+      name: 'stub',
+      init: jest.fn(async () => '0xpool'),
+      fetchChunk: jest.fn(async cursor => {
+        const index = cursor ?? 0;
+
+        if (index === 1 && failOnce) {
+          failOnce = false;
+          throw new Error('rate limit');
+        }
+
+        return {
+          swaps: [{ time: day + index * hour + 1000, price: 100 + index, amountQuote: 10 }],
+          liquidity: 5000,
+          until: day + (index + 1) * hour,
+          cursor: index + 1,
+          done: index === 2,
+        };
+      }),
+    };
+
+    const params = { source, network: 'arbitrum', pair: 'WETH/USDC', from: '2025-11-01', to: '2025-11-01' };
+
+    await expect(backfiller.run(params)).rejects.toThrow('rate limit');
+    const checkpointFile = backfiller.getCheckpointFile('arbitrum', 'WETH/USDC', 'stub');
+    expect(JSON.parse(fs.readFileSync(checkpointFile, 'utf8'))).toMatchObject({ cursor: 1, written: 1, done: false });
+
+    const result = await backfiller.run(params);
+    expect(source.fetchChunk.mock.calls.map(([cursor]) => cursor)).toEqual([null, 1, 1, 2]);
+    expect(result).toMatchObject({ done: true, written: 3 });
+
+    const records = storage.loadMarketData('arbitrum', 'WETH/USDC', '2025-11-01');
+    expect(records.map(record => [record.price, record.volume])).toEqual([[100, 10], [101, 20], [102, 30]]);
+
+    // Concluído: nova execução não consulta a fonte; outro período exige --reset
+    await backfiller.run(params);
+    expect(source.fetchChunk).toHaveBeenCalledTimes(4);
+    await expect(backfiller.run({ ...params, to: '2025-11-02' })).rejects.toThrow('--reset');
+  });
+});
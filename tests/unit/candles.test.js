@@ -0,0 +1,101 @@
+/**
+ * Testes Unitários - Candles OHLCV
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CandleBuilder, aggregateTicks, resampleCandles, getBucketStart, getCloses } = require('../../src/data/candles');
+const { StorageManager } = require('../../src/data/storage');
+const { VirtualClock } = require('../../src/core/clock');
+const { BotEventEmitter, EVENTS } = require('../../src/core/events');
+
+const T0 = Date.parse('2025-11-10T23:58:00.000Z');
+const MIN = 60 * 1000;
+
+describe('Candles OHLCV', () => {
+  let dir;
+  let storage;
+  let events;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-candles-'));
+    storage = new StorageManager({ marketDir: dir, persist: false });
+    events = new BotEventEmitter();
+    clock = new VirtualClock(T0);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('agrega ticks em OHLCV e reagrupa em timeframe maior', () => {
+    const ticks = [
+      { time: T0 + 10000, price: 100, volume: 5 },
+      { time: T0 + 20000, price: 103, volume: 1 },
+      { time: T0 + 50000, price: 99, volume: 2 },
+      { timestamp: new Date(T0 + MIN + 1000).toISOString(), price: 101 },
+    ];
+
+    const candles = aggregateTicks(ticks, '1m');
+
+    expect(candles).toHaveLength(2);
+    expect(candles[0]).toMatchObject({ time: T0, open: 100, high: 103, low: 99, close: 99, volume: 8, ticks: 3 });
+    expect(candles[1]).toMatchObject({ time: T0 + MIN, open: 101, close: 101, volume: 0 });
+    expect(getCloses(candles)).toEqual([99, 101]);
+
+    const fiveMinutes = resampleCandles(candles, '5m');
+    expect(fiveMinutes).toHaveLength(1);
+    expect(fiveMinutes[0]).toMatchObject({ time: getBucketStart(T0, '5m'), timeframe: '5m', open: 100, high: 103, low: 99, close: 101, volume: 8, ticks: 4 });
+
+    expect(() => aggregateTicks(ticks, '2m')).toThrow('Timeframe inválido');
+  });
+
+  test('fecha candles ao virar o período, persiste por dia e consulta por intervalo', () => {
+    const builder = new CandleBuilder({ storage, events, clock, network: 'arbitrum', timeframes: ['1m', '5m'] });
+    const closed = jest.fn();
+    events.on(EVENTS.CANDLE_CLOSED, closed);
+
+    builder.addTick('WETH/USDC', { price: 100, volume: 10 });
+    clock.advance(30000);
+    builder.addTick('WETH/USDC', { price: 102, volume: 5 });
+    clock.advance(MIN);
+    builder.addTick('WETH/USDC', { price: 101 });
+    builder.addTick('WETH/USDC', { price: 50, time: T0 }); // atrasado: candle já fechado
+
+    clock.advance(2 * MIN); // vira o dia (00:01)
+    builder.addTick('WETH/USDC', { price: 104, volume: 1 });
+
+    expect(closed.mock.calls.map(([data]) => data.timeframe)).toEqual(['1m', '1m', '5m']);
+    expect(fs.existsSync(path.join(dir, 'arbitrum', '2025-11-10', 'WETH-USDC.1m.jsonl'))).toBe(true);
+    expect(fs.existsSync(path.join(dir, 'arbitrum', '2025-11-11', 'WETH-USDC.1m.jsonl'))).toBe(false);
+
+    const oneMinute = builder.getCandles('arbitrum', 'WETH/USDC', '1m');
+    expect(oneMinute.map(candle => candle.close)).toEqual([102, 101, 104]);
+    expect(oneMinute[0]).toMatchObject({ open: 100, high: 102, low: 100, volume: 15, ticks: 2 });
+
+    // Candle em formação entra na consulta, mas não foi persistido
+    expect(builder.getCandles('arbitrum', 'WETH/USDC', '1m', T0 + MIN, T0 + MIN)).toHaveLength(1);
+    expect(storage.loadCandles('arbitrum', 'WETH/USDC', '1m')).toHaveLength(2);
+
+    builder.flush();
+    expect(storage.loadCandles('arbitrum', 'WETH/USDC', '1m', Date.parse('2025-11-11T00:00:00.000Z'))).toHaveLength(1);
+    expect(storage.loadCandles('arbitrum', 'WETH/USDC', '5m').map(candle => candle.close)).toEqual([101, 104]);
+  });
+
+  test('snapshots do coletor viram ticks de preço (sem volume)', () => {
+    const builder = new CandleBuilder({ storage: null, events, clock, network: 'arbitrum', timeframes: ['1m'] });
+    builder.attach();
+
+    events.emit(EVENTS.MARKET_DATA_COLLECTED, { network: 'base', pair: 'WETH/USDC', price: 2500, volume: 1e6 });
+    clock.advance(MIN);
+    events.emit(EVENTS.MARKET_DATA_COLLECTED, { network: 'base', pair: 'WETH/USDC', price: 2510, volume: 1e6 });
+    builder.detach();
+    events.emit(EVENTS.MARKET_DATA_COLLECTED, { network: 'base', pair: 'WETH/USDC', price: 9999 });
+
+    const candles = builder.getCandles('base', 'WETH/USDC', '1m');
+    expect(candles.map(candle => [candle.close, candle.volume])).toEqual([[2500, 0], [2510, 0]]);
+    expect(builder.getCandles('arbitrum', 'WETH/USDC', '1m')).toEqual([]);
+  });
+});
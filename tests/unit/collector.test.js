@@ -0,0 +1,228 @@
+/**
+ * Testes Unitários - Coletor de Dados On-chain
+ */
+
+const { ethers } = require('ethers');
+const { MarketDataCollector } = require('../../src/data/collector');
+const MomentumStrategy = require('../../src/strategies/momentum');
+const { VirtualClock } = require('../../src/core/clock');
+const { botEvents, EVENTS } = require('../../src/core/events');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const POOL = ethers.getAddress('0x' + 'a1'.repeat(20));
+const GENESIS = Date.parse('2025-11-09T00:00:00.000Z') / 1000; // blocos de 1s
+const { WETH, USDC } = config.tokens.arbitrum;
+
+const factoryInterface = new ethers.Interface(sushiswap.FACTORY_ABI);
+const erc20Interface = new ethers.Interface(sushiswap.ERC20_ABI);
+const poolInterface = sushiswap.poolInterface;
+
+/**
+ * sqrtPriceX96 para WETH (token0, 18 dec) cotado em USDC (token1, 6 dec)
+ */
+const sqrtPriceFor = price => BigInt(Math.round(Math.sqrt(price * 1e6 / 1e18) * 2 ** 96));
+
+/**
+ * Log Swap do pool (amount0 = WETH, amount1 = USDC)
+ */
+const swapLog = (amount0, amount1) => {
+  const { data, topics } = poolInterface.encodeEventLog('Swap', [
+    POOL, POOL, amount0, amount1, sqrtPriceFor(2500), 10n ** 18n, 0,
+  ]);
+  return { address: POOL, data, topics };
+};
+
+/**
+ * Provider falso que responde eth_call com ABI encoding real
+ */
+function createProvider(state) {
+  return {
+    getBlockNumber: jest.fn(async () => state.block),
+    getBlock: jest.fn(async number => ({ number, timestamp: GENESIS + number })),
+    getLogs: jest.fn(async filter => state.logs.filter(log => log.block >= filter.fromBlock && log.block <= filter.toBlock)),
+    call: jest.fn(async tx => {
+      const to = tx.to.toLowerCase();
+      const selector = tx.data.slice(0, 10);
+
+      if (to === config.contracts.arbitrum.factory.toLowerCase()) {
+        return factoryInterface.encodeFunctionResult('getPool', [state.pool]);
+      }
+
+      if (to === POOL.toLowerCase()) {
+        const fragment = poolInterface.getFunction(selector);
+        if (fragment.name === 'slot0') {
+          return poolInterface.encodeFunctionResult('slot0', [sqrtPriceFor(state.price), 0, 0, 1, 1, 0, true]);
+        }
+        return poolInterface.encodeFunctionResult('liquidity', [123456789n]);
+      }
+
+      const balance = to === WETH.address.toLowerCase() ? ethers.parseUnits('10', 18) : ethers.parseUnits('25000', 6);
+      return erc20Interface.encodeFunctionResult('balanceOf', [balance]);
+    }),
+  };
+}
+
+describe('MarketDataCollector', () => {
+  let state;
+  let provider;
+  let storage;
+  let clock;
+  let collector;
+
+  beforeEach(() => {
+    state = {
+      block: 5000,
+      price: 2500,
+      pool: POOL,
+      logs: [
+        { ...swapLog(ethers.parseUnits('-1', 18), ethers.parseUnits('2500', 6)), block: 4500 },
+        { ...swapLog(ethers.parseUnits('0.4', 18), ethers.parseUnits('-1000', 6)), block: 4900 },
+        { ...swapLog(ethers.parseUnits('1', 18), ethers.parseUnits('-9999', 6)), block: 100 }, // fora da janela de 1h
+      ],
+    };
+    provider = createProvider(state);
+    storage = { saveMarketData: jest.fn() };
+    clock = new VirtualClock(Date.parse('2025-11-10T00:00:00.000Z'));
+
+    collector = new MarketDataCollector({
+      providerManager: { currentNetwork: 'arbitrum', getProvider: () => provider },
+      storage,
+      clock,
+      maxBlockRange: 1000,
+      volumeWindow: 60 * 60 * 1000,
+    });
+  });
+
+  afterEach(() => {
+    botEvents.removeAllListeners(EVENTS.MARKET_DATA_COLLECTED);
+    botEvents.removeAllListeners(EVENTS.MARKET_DATA_ERROR);
+  });
+
+  test('converte sqrtPriceX96 respeitando decimais e ordem dos tokens', () => {
+    const sqrtPriceX96 = sqrtPriceFor(2500);
+
+    expect(sushiswap.sqrtPriceX96ToPrice(sqrtPriceX96, 18, 6)).toBeCloseTo(2500, 4);
+    expect(sushiswap.sqrtPriceX96ToPrice(sqrtPriceX96, 18, 6, true)).toBeCloseTo(1 / 2500, 10);
+    expect(sushiswap.isToken0(WETH.address, USDC.address)).toBe(true);
+  });
+
+  test('coleta preço, liquidez e volume do pool e persiste snapshot', async () => {
+    const collected = jest.fn();
+    botEvents.on(EVENTS.MARKET_DATA_COLLECTED, collected);
+
+    const data = await collector.collect('WETH/USDC');
+
+    expect(data.price).toBeCloseTo(2500, 4);
+    expect(data.liquidity).toBeCloseTo(10 * 2500 + 25000, 2);
+    expect(data.activeLiquidity).toBe('123456789');
+    expect(data.volume).toBeCloseTo(3500, 6); // |2500| + |-1000| USDC, swap do bloco 100 fora da janela
+    expect(data.volumeReady).toBe(true);
+    expect(data.priceHistory).toEqual([data.price]);
+    expect(data.pool).toBe(POOL);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 1401, toBlock: 2400 })); // 1h de blocos de 1s
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 4401, toBlock: 5000 }));
+
+    expect(storage.saveMarketData).toHaveBeenCalledWith('arbitrum', 'WETH/USDC', expect.objectContaining({ price: data.price, volume: data.volume }));
+    expect(storage.saveMarketData.mock.calls[0][2].priceHistory).toBeUndefined();
+    expect(collected).toHaveBeenCalledWith(expect.objectContaining({ pair: 'WETH/USDC', network: 'arbitrum' }));
+  });
+
+  test('volume móvel soma swaps novos e descarta coletas fora da janela', async () => {
+    await collector.collect('WETH/USDC');
+
+    state.block = 5100;
+    state.price = 2550;
+    state.logs.push({ ...swapLog(ethers.parseUnits('-0.2', 18), ethers.parseUnits('500', 6)), block: 5050 });
+    clock.advance(30 * 60 * 1000);
+
+    let data = await collector.collect('WETH/USDC');
+    expect(provider.getLogs).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: 5001, toBlock: 5100 }));
+    expect(data.volume).toBeCloseTo(4000, 6);
+    expect(data.priceHistory).toHaveLength(2);
+    expect(data.avgVolume).toBeCloseTo((3500 + 4000) / 2, 6);
+
+    // Primeira coleta sai da janela de 1h
+    state.block = 5200;
+    clock.advance(45 * 60 * 1000);
+    data = await collector.collect('WETH/USDC');
+    expect(data.volume).toBeCloseTo(500, 6);
+
+    state.price = 2450;
+    state.block = 5300;
+    data = await collector.collect('WETH/USDC');
+    expect(data.volatility).toBeGreaterThan(0);
+    expect(provider.call.mock.calls.filter(([tx]) => tx.to.toLowerCase() === config.contracts.arbitrum.factory.toLowerCase())).toHaveLength(1);
+  });
+
+  test('primeira coleta busca a janela inteira e data os baldes pelo tempo de bloco', async () => {
+    state.logs.push({ ...swapLog(ethers.parseUnits('-0.32', 18), ethers.parseUnits('800', 6)), block: 2000 }); // ~50 min atrás
+
+    let data = await collector.collect('WETH/USDC');
+    expect(data.volume).toBeCloseTo(4300, 6);
+
+    // 20 min depois o trecho do bloco 2000 (~43 min antes da 1ª coleta) sai da janela; os swaps recentes ficam
+    state.block = 6200;
+    clock.advance(20 * 60 * 1000);
+    data = await collector.collect('WETH/USDC');
+    expect(data.volume).toBeCloseTo(3500, 6);
+    expect(data.avgVolume).toBeCloseTo((4300 + 3500) / 2, 6);
+  });
+
+  test('janela de volume buscada aos poucos: limite de consultas por coleta e progresso mantido após falha', async () => {
+    collector.maxChunksPerCollect = 2;
+    state.logs.push({ ...swapLog(ethers.parseUnits('-0.32', 18), ethers.parseUnits('800', 6)), block: 2000 });
+
+    // 1ª coleta: blocos 1401..3400 (2 consultas); preço sai normalmente, volume parcial fora da média
+    let data = await collector.collect('WETH/USDC');
+    expect(provider.getLogs).toHaveBeenCalledTimes(2);
+    expect(data.price).toBeCloseTo(2500, 4);
+    expect(data).toMatchObject({ volumeReady: false });
+    expect(data.volume).toBeCloseTo(800, 6);
+    expect(data.avgVolume).toBeCloseTo(800, 6);
+
+    // RPC falha no meio: coleta segue com o preço e o trecho já lido não é buscado de novo
+    state.block = 5015;
+    clock.advance(15 * 1000);
+    provider.getLogs.mockRejectedValueOnce(new Error('rate limited'));
+    data = await collector.collect('WETH/USDC');
+    expect(data).toMatchObject({ volumeReady: false });
+    expect(provider.getLogs).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: 3401, toBlock: 4400 }));
+
+    state.block = 5030;
+    clock.advance(15 * 1000);
+    data = await collector.collect('WETH/USDC');
+    expect(provider.getLogs.mock.calls.slice(3).map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([[3401, 4400], [4401, 5030]]);
+    expect(data).toMatchObject({ volumeReady: true });
+    expect(data.volume).toBeCloseTo(4300, 6);
+    expect(data.avgVolume).toBeCloseTo(4300, 6); // coletas parciais não entram na média
+  });
+
+  test('volatilidade em escala diária chega ao Momentum acima do mínimo de 5%', async () => {
+    state.logs.push({ ...swapLog(ethers.parseUnits('-20', 18), ethers.parseUnits('50000', 6)), block: 4990 });
+    const momentum = new MomentumStrategy();
+    let data;
+
+    // Coletas a cada 5 min oscilando 1%: ~1% por coleta ≈ 17% ao dia (√288 coletas)
+    for (let i = 0; i < 10; i++) {
+      state.price = i % 2 === 0 ? 2500 : 2525;
+      state.block += 300;
+      data = await collector.collect('WETH/USDC');
+      clock.advance(5 * 60 * 1000);
+    }
+
+    expect(data.volatility).toBeGreaterThan(0.15);
+    expect(data.volatility).toBeLessThan(0.2);
+    expect(momentum.canTrade(data)).toBe(true);
+  });
+
+  test('pool inexistente emite MARKET_DATA_ERROR e retorna null', async () => {
+    state.pool = ethers.ZeroAddress;
+    const errors = jest.fn();
+    botEvents.on(EVENTS.MARKET_DATA_ERROR, errors);
+
+    expect(await collector.collect('WETH/USDC')).toBeNull();
+    expect(errors).toHaveBeenCalledWith(expect.objectContaining({ pair: 'WETH/USDC', error: expect.stringContaining('Pool SushiSwap V3 inexistente') }));
+    expect(storage.saveMarketData).not.toHaveBeenCalled();
+  });
+});
@@ -37,6 +37,46 @@ describe('Config Manager', () => {
     expect(() => validateConfig()).not.toThrow();
   });
 
+  test('deve validar cada rede de ACTIVE_NETWORKS', () => {
+    const original = config.network.networks;
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(original).toEqual([config.network.active]);
+
+      config.network.networks = ['arbitrum', 'solana', 'arbitrum'];
+      expect(() => validateConfig()).toThrow('Configuração inválida');
+
+      const errors = consoleError.mock.calls.map(([message]) => message).join('\n');
+      expect(errors).toContain('Rede não suportada em ACTIVE_NETWORKS: solana');
+      expect(errors).toContain('ACTIVE_NETWORKS contém redes repetidas');
+    } finally {
+      config.network.networks = original;
+      consoleError.mockRestore();
+    }
+  });
+
+  test('deve recusar APPROVAL_POLICY=permit2 com o SwapRouter V3', () => {
+    const { approvals } = config.execution;
+    const original = { policy: approvals.policy, permit2Spenders: approvals.permit2Spenders };
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      approvals.policy = 'permit2';
+      approvals.permit2Spenders = [];
+      expect(() => validateConfig()).toThrow('Configuração inválida');
+      expect(consoleError.mock.calls.map(([message]) => message).join('\n'))
+        .toContain(`APPROVAL_POLICY=permit2 não funciona com o SwapRouter V3 de ${config.network.active}`);
+
+      // Router listado como spender do Permit2: aceito
+      approvals.permit2Spenders = [config.contracts[config.network.active].router];
+      expect(() => validateConfig()).not.toThrow();
+    } finally {
+      Object.assign(approvals, original);
+      consoleError.mockRestore();
+    }
+  });
+
   test('deve ter estratégias configuradas', () => {
     expect(config.strategies.default).toBeDefined();
     expect(config.strategies.grid).toBeDefined();
@@ -0,0 +1,330 @@
+/**
+ * Testes Unitários - Trade Executor
+ */
+
+const { ethers } = require('ethers');
+const { TradeExecutor } = require('../../src/execution/executor');
+const { AllowanceManager } = require('../../src/blockchain/allowance');
+const { botEvents, EVENTS } = require('../../src/core/events');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const WALLET = '0x' + 'a'.repeat(40);
+const POOL = '0x' + 'b'.repeat(40);
+
+const quoterInterface = new ethers.Interface(sushiswap.QUOTER_ABI);
+
+/**
+ * Log de Swap como emitido pelo pool
+ */
+function swapLog(recipient, amount0, amount1) {
+  const fragment = sushiswap.poolInterface.getEvent('Swap');
+  const encoded = sushiswap.poolInterface.encodeEventLog(fragment, [
+    WALLET, recipient, amount0, amount1, 2n ** 96n, 1000n, 0,
+  ]);
+  return { address: POOL, ...encoded };
+}
+
+describe('Trade Executor', () => {
+  let executor;
+  let walletManager;
+  let gasManager;
+  let allowanceManager;
+  let providerManager;
+  let quotedOut;
+
+  beforeEach(() => {
+    quotedOut = ethers.parseUnits('0.004', 18); // 10 USDC → 0.004 WETH
+
+    // Runner fake: responde static calls do Quoter
+    const provider = {
+      call: async tx => {
+        const { name } = quoterInterface.parseTransaction({ data: tx.data });
+        return quoterInterface.encodeFunctionResult(name, name === 'quoteExactInputSingle'
+          ? [quotedOut, 0n, 1, 100000n]
+          : [quotedOut, [], [], 100000n]);
+      },
+      getFeeData: async () => ({ maxFeePerGas: 10n ** 8n }),
+    };
+
+    providerManager = {
+      currentNetwork: 'arbitrum',
+      getProvider: () => provider,
+      getNetworkInfo: () => ({ wrappedNative: 'WETH' }),
+      waitForTransaction: jest.fn(async hash => ({
+        hash,
+        status: 1,
+        blockNumber: 100,
+        gasUsed: 150000n,
+        gasPrice: 10n ** 8n,
+        logs: [swapLog(WALLET, ethers.parseUnits('10', 6), -ethers.parseUnits('0.0039', 18))],
+      })),
+    };
+
+    walletManager = {
+      getAddress: () => WALLET,
+      approveToken: jest.fn(async () => null),
+      getTokenBalance: jest.fn(async () => ({ raw: ethers.parseUnits('1', 18).toString() })),
+      sendTransaction: jest.fn(async () => ({ hash: '0x' + '1'.repeat(64), nonce: 7 })),
+    };
+
+    gasManager = {
+      calculateMaxGas: jest.fn(() => 0.001),
+      isGasAcceptable: jest.fn(async () => ({
+        acceptable: true,
+        estimatedGas: 0.0001,
+        maxGas: 0.001,
+        details: { gasLimit: '150000' },
+      })),
+      optimizeGasSettings: jest.fn(async tx => ({ ...tx, maxFeePerGas: 10n ** 8n })),
+    };
+
+    allowanceManager = {
+      ensureAllowance: jest.fn(async () => null),
+      consume: jest.fn(),
+    };
+
+    executor = new TradeExecutor({ providerManager, walletManager, gasManager, allowanceManager, txWatcher: null, orderTimeout: 30000 });
+  });
+
+  afterEach(() => {
+    botEvents.removeAllListeners(EVENTS.TRADE_EXECUTED);
+    botEvents.removeAllListeners(EVENTS.TRADE_CANCELLED);
+    botEvents.removeAllListeners(EVENTS.TRADE_FAILED);
+  });
+
+  const buyOrder = { pair: 'WETH/USDC', side: 'buy', price: 2500, amountUSD: 10, amountToken: 0.004 };
+
+  test('aplica slippage sobre a cotação do Quoter', () => {
+    const minOut = sushiswap.applySlippage(10000n, 0.005);
+    expect(minOut).toBe(9950n);
+  });
+
+  test('monta exactInputSingle com amountOutMinimum e deadline', async () => {
+    const swap = await executor.buildSwap(buyOrder, 'arbitrum');
+    const router = new ethers.Interface(sushiswap.ROUTER_ABI);
+    const decoded = router.parseTransaction({ data: swap.tx.data });
+
+    expect(decoded.name).toBe('exactInputSingle');
+    expect(decoded.args.params.tokenIn).toBe(config.tokens.arbitrum.USDC.address);
+    expect(decoded.args.params.amountIn).toBe(ethers.parseUnits('10', 6));
+    expect(decoded.args.params.amountOutMinimum).toBe(sushiswap.applySlippage(quotedOut, config.risk.slippageTolerance));
+    expect(decoded.args.params.fee).toBe(BigInt(config.bot.poolFee));
+    expect(swap.tx.to).toBe(config.contracts.arbitrum.router);
+  });
+
+  test('monta exactInput quando ordem tem rota multi-hop', async () => {
+    const { WETH, USDC, USDT } = config.tokens.arbitrum;
+    const order = { ...buyOrder, route: { tokens: [USDT.address, USDC.address, WETH.address], fees: [100, 500] } };
+
+    const swap = await executor.buildSwap(order, 'arbitrum');
+    const decoded = new ethers.Interface(sushiswap.ROUTER_ABI).parseTransaction({ data: swap.tx.data });
+
+    expect(decoded.name).toBe('exactInput');
+    expect(decoded.args.params.path).toBe(sushiswap.encodePath(order.route.tokens, order.route.fees));
+  });
+
+  test('usa a melhor rota do RouteFinder quando ela difere do pool padrão', async () => {
+    const { WETH, USDC, USDT } = config.tokens.arbitrum;
+    const best = {
+      tokens: [USDC.address, USDT.address, WETH.address],
+      symbols: ['USDC', 'USDT', 'WETH'],
+      fees: [100, 500],
+      hops: 2,
+      path: sushiswap.encodePath([USDC.address, USDT.address, WETH.address], [100, 500]),
+      amountOut: ethers.parseUnits('0.0041', 18),
+      gasEstimate: 200000n,
+    };
+    const routeFinder = { findBestRoute: jest.fn(async () => best) };
+    executor = new TradeExecutor({ providerManager, walletManager, gasManager, routeFinder });
+
+    const swap = await executor.buildSwap(buyOrder, 'arbitrum');
+    const decoded = new ethers.Interface(sushiswap.ROUTER_ABI).parseTransaction({ data: swap.tx.data });
+
+    expect(routeFinder.findBestRoute).toHaveBeenCalledWith(expect.objectContaining({ amountIn: ethers.parseUnits('10', 6), network: 'arbitrum' }));
+    expect(decoded.name).toBe('exactInput');
+    expect(decoded.args.params.path).toBe(best.path);
+    expect(swap.amountOutMinimum).toBe(sushiswap.applySlippage(best.amountOut, config.risk.slippageTolerance));
+    expect(swap.route).toEqual({ tokens: best.tokens, fees: [100, 500] });
+
+    // Melhor rota = pool padrão: mantém exactInputSingle
+    routeFinder.findBestRoute.mockResolvedValue({ ...best, tokens: [USDC.address, WETH.address], fees: [config.bot.poolFee], hops: 1 });
+    const single = await executor.buildSwap(buyOrder, 'arbitrum');
+    expect(new ethers.Interface(sushiswap.ROUTER_ABI).parseTransaction({ data: single.tx.data }).name).toBe('exactInputSingle');
+    expect(single.route).toBeNull();
+  });
+
+  test('usa amountOut do evento Swap e emite TRADE_EXECUTED', async () => {
+    const executed = jest.fn();
+    botEvents.on(EVENTS.TRADE_EXECUTED, executed);
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.success).toBe(true);
+    expect(fill.amountToken).toBeCloseTo(0.0039);
+    expect(fill.amountUSD).toBeCloseTo(10);
+    expect(fill.receipt.amountOutSource).toBe('swap_event');
+    expect(fill.gasCostUSD).toBeGreaterThan(0);
+    expect(allowanceManager.ensureAllowance).toHaveBeenCalledWith(config.tokens.arbitrum.USDC.address, config.contracts.arbitrum.router, ethers.parseUnits('10', 6));
+    expect(allowanceManager.consume).toHaveBeenCalledWith(config.tokens.arbitrum.USDC.address, config.contracts.arbitrum.router, ethers.parseUnits('10', 6));
+    expect(executed).toHaveBeenCalledWith(expect.objectContaining({ pair: 'WETH/USDC', side: 'buy' }));
+  });
+
+  test('cancela quando gas está alto', async () => {
+    const cancelled = jest.fn();
+    botEvents.on(EVENTS.TRADE_CANCELLED, cancelled);
+    gasManager.isGasAcceptable.mockResolvedValue({ acceptable: false, estimatedGas: 0.01, maxGas: 0.001 });
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.success).toBe(false);
+    expect(walletManager.sendTransaction).not.toHaveBeenCalled();
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ reason: 'gas_too_high' }));
+  });
+
+  test('cancela antes de aprovar quando o gasEstimate do Quoter já passa do limite', async () => {
+    const cancelled = jest.fn();
+    botEvents.on(EVENTS.TRADE_CANCELLED, cancelled);
+    gasManager.calculateMaxGas.mockReturnValue(0.000001); // Quoter: 100k gas × 0,1 gwei = 0,00001 ETH
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.success).toBe(false);
+    expect(allowanceManager.ensureAllowance).not.toHaveBeenCalled();
+    expect(gasManager.isGasAcceptable).not.toHaveBeenCalled();
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ reason: 'gas_too_high' }));
+  });
+
+  test('com APPROVAL_POLICY=permit2 o swap pelo SwapRouter V3 falha antes de assinar qualquer transação', async () => {
+    const failed = jest.fn();
+    botEvents.on(EVENTS.TRADE_FAILED, failed);
+    allowanceManager = new AllowanceManager({ providerManager, walletManager, events: { emit: jest.fn() }, policy: 'permit2', permit2Spenders: [] });
+    executor = new TradeExecutor({ providerManager, walletManager, gasManager, allowanceManager, txWatcher: null, orderTimeout: 30000 });
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.success).toBe(false);
+    expect(walletManager.sendTransaction).not.toHaveBeenCalled();
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('router não puxa tokens pelo Permit2') }));
+  });
+
+  test('converte valores em unidades sem notação exponencial nem arredondamento para cima', () => {
+    expect(sushiswap.toUnits(1e21, 6)).toBe(10n ** 27n);
+    expect(sushiswap.toUnits(1e-7, 18)).toBe(10n ** 11n);
+    expect(sushiswap.toUnits(0.1234567, 6)).toBe(123456n);
+    expect(sushiswap.toUnits('123456789012345678901.5', 1)).toBe(1234567890123456789015n);
+  });
+
+  test('cancela quando receipt não chega dentro do orderTimeout', async () => {
+    const cancelled = jest.fn();
+    botEvents.on(EVENTS.TRADE_CANCELLED, cancelled);
+    providerManager.waitForTransaction.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.cancelled).toBe(true);
+    expect(providerManager.waitForTransaction).toHaveBeenCalledWith(expect.any(String), 1, 30000);
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ reason: 'timeout', nonce: 7 }));
+  });
+
+  test('swap parado vai para o TransactionWatcher e usa o receipt do reenvio', async () => {
+    const receipt = await providerManager.waitForTransaction('0x' + '2'.repeat(64));
+    providerManager.waitForTransaction.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+    const txWatcher = {
+      handleStuck: jest.fn(async ({ rebuild }) => ({ status: 'confirmed', receipt, swap: await rebuild(), hash: receipt.hash, replacements: 1 })),
+    };
+    executor = new TradeExecutor({ providerManager, walletManager, gasManager, allowanceManager, txWatcher, orderTimeout: 30000 });
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(txWatcher.handleStuck).toHaveBeenCalledWith(expect.objectContaining({ order: buyOrder, txResponse: expect.objectContaining({ nonce: 7 }) }));
+    expect(fill).toMatchObject({ success: true, txHash: receipt.hash });
+    expect(fill.amountToken).toBeCloseTo(0.0039);
+
+    // Watcher cancelou o swap: ordem cancelada com o motivo
+    const cancelled = jest.fn();
+    botEvents.on(EVENTS.TRADE_CANCELLED, cancelled);
+    txWatcher.handleStuck.mockResolvedValue({ status: 'cancelled', receipt: null, hash: '0xc0', replacements: 1, reason: 'gas_exceeds_edge' });
+
+    const stuck = await executor.execute(buyOrder);
+
+    expect(stuck).toMatchObject({ cancelled: true, error: 'gas_exceeds_edge', txStatus: 'cancelled' });
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ reason: 'gas_exceeds_edge', nonce: 7, txHash: '0xc0' }));
+  });
+
+  test('emite TRADE_FAILED quando transação reverte', async () => {
+    const failed = jest.fn();
+    botEvents.on(EVENTS.TRADE_FAILED, failed);
+    providerManager.waitForTransaction.mockResolvedValue({ status: 0, logs: [] });
+
+    const fill = await executor.execute(buyOrder);
+
+    expect(fill.success).toBe(false);
+    expect(failed).toHaveBeenCalled();
+  });
+
+  describe('modo paper', () => {
+    beforeEach(() => {
+      executor.mode = 'paper';
+      gasManager.estimateGasCost = jest.fn(async () => ({ gasLimit: '150000', totalCostETH: 0.0000015 }));
+    });
+
+    test('simula fill com cotação + slippage sem enviar transação', async () => {
+      const executed = jest.fn();
+      botEvents.on(EVENTS.TRADE_EXECUTED, executed);
+
+      const fill = await executor.execute(buyOrder);
+      const minOut = sushiswap.applySlippage(quotedOut, config.risk.slippageTolerance);
+
+      expect(fill.success).toBe(true);
+      expect(fill.simulated).toBe(true);
+      expect(fill.amountOut).toBe(minOut.toString());
+      expect(fill.gasCostUSD).toBeCloseTo(0.0000015 * buyOrder.price);
+      expect(walletManager.approveToken).not.toHaveBeenCalled();
+      expect(allowanceManager.ensureAllowance).not.toHaveBeenCalled();
+      expect(walletManager.sendTransaction).not.toHaveBeenCalled();
+      expect(executed).toHaveBeenCalledWith(expect.objectContaining({ simulated: true }));
+    });
+
+    test('venda simulada não depende do saldo da wallet', async () => {
+      const order = { pair: 'WETH/USDC', side: 'sell', price: 2500, amountUSD: 10, amountToken: 0.004 };
+
+      const fill = await executor.execute(order);
+
+      expect(fill.success).toBe(true);
+      expect(fill.amountToken).toBeCloseTo(0.004);
+      expect(walletManager.getTokenBalance).not.toHaveBeenCalled();
+    });
+
+    test('usa gasEstimate do Quoter quando estimateGas reverte', async () => {
+      gasManager.estimateGasCost.mockRejectedValue(new Error('execution reverted'));
+      providerManager.getProvider().getFeeData = async () => ({ maxFeePerGas: 10n ** 8n });
+
+      const fill = await executor.execute(buyOrder);
+
+      expect(fill.receipt.gasSource).toBe('quoter');
+      expect(fill.receipt.gasUsed).toBe('100000');
+    });
+
+    test('cancela simulação quando gas está alto', async () => {
+      gasManager.estimateGasCost.mockResolvedValue({ gasLimit: '150000', totalCostETH: 0.01 });
+
+      const fill = await executor.execute(buyOrder);
+
+      expect(fill.cancelled).toBe(true);
+      expect(fill.simulated).toBe(true);
+    });
+  });
+
+  test('ignora Swaps de outros recipients ao extrair amountOut', () => {
+    const receipt = {
+      logs: [
+        swapLog('0x' + 'c'.repeat(40), 5n, -7n),
+        swapLog(WALLET, -42n, 10n),
+      ],
+    };
+
+    expect(sushiswap.parseSwapAmountOut(receipt, WALLET).amountOut).toBe(42n);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Testes Unitários - Registro de redes (core/networks.json + NETWORKS_FILE)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadNetworkRegistry, validateNetworkRegistry } = require('../../src/core/network-registry');
+const { config } = require('../../src/core/config');
+const { NETWORKS } = require('../../src/blockchain/provider');
+
+const address = digit => '0x' + digit.repeat(40);
+
+describe('Network Registry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-networks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeRegistry = (content, name = 'networks.json') => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  test('registro embutido alimenta config e provider', () => {
+    const registry = loadNetworkRegistry();
+
+    expect(Object.keys(registry)).toEqual(['arbitrum', 'base', 'polygon']);
+    expect(validateNetworkRegistry(registry)).toEqual([]);
+    expect(registry.polygon).toMatchObject({ envKey: 'POLYGON', wrappedNative: 'WMATIC', rpcEnv: { mainnet: 'POLYGON_RPC_URL' } });
+
+    expect(NETWORKS.arbitrum.chainId.testnet).toBe(421614);
+    expect(config.contracts.arbitrum).toEqual(registry.arbitrum.contracts);
+    expect(config.tokens.base.WETH).toEqual(registry.base.tokens.WETH);
+    expect(config.network.testnet.arbitrum).toBe(process.env.ARBITRUM_TESTNET_RPC_URL);
+  });
+
+  test('arquivo do usuário adiciona redes e sobrescreve campos de uma rede', () => {
+    const file = writeRegistry({
+      optimism: {
+        name: 'Optimism',
+        chainId: { mainnet: 10, testnet: 11155420 },
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        wrappedNative: 'WETH',
+        contracts: { factory: address('1'), router: address('2'), quoter: address('3') },
+        tokens: { WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 } },
+      },
+      base: { contracts: { router: address('4') } },
+    });
+
+    const registry = loadNetworkRegistry(file);
+
+    expect(validateNetworkRegistry(registry)).toEqual([]);
+    expect(registry.optimism).toMatchObject({
+      envKey: 'OPTIMISM',
+      rpcEnv: { mainnet: 'OPTIMISM_RPC_URL', testnet: 'OPTIMISM_TESTNET_RPC_URL' },
+      wsEnv: 'OPTIMISM_WS_URL',
+    });
+
+    // Campos não informados da rede embutida são mantidos
+    expect(registry.base.contracts).toMatchObject({ router: address('4'), factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4' });
+    expect(registry.base.tokens.USDC.decimals).toBe(6);
+
+    // Arquivo .js também é aceito
+    const js = writeRegistry('module.exports = { avalanche: { name: "Avalanche", rpcEnv: { mainnet: "AVAX_RPC" } } };', 'networks.js');
+    expect(loadNetworkRegistry(js).avalanche.rpcEnv).toEqual({ mainnet: 'AVAX_RPC', testnet: 'AVALANCHE_TESTNET_RPC_URL' });
+  });
+
+  test('startup rejeita rede incompleta, endereço inválido e chainId repetido', () => {
+    const file = writeRegistry({
+      avalanche: {
+        name: 'Avalanche',
+        chainId: { mainnet: 42161 },
+        nativeCurrency: { name: 'Avalanche', symbol: 'AVAX' },
+        wrappedNative: 'WAVAX',
+        contracts: { factory: address('1'), router: '0x123' },
+        tokens: { USDC: { address: address('5') } },
+      },
+      'Bad_Key': { name: 'Bad', chainId: { testnet: 'x' } },
+    });
+
+    const errors = validateNetworkRegistry(loadNetworkRegistry(file));
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'Rede avalanche: nativeCurrency precisa de name, symbol e decimals',
+      'Rede avalanche: contracts.router inválido (0x123)',
+      'Rede avalanche: contracts.quoter inválido (undefined)',
+      'Rede avalanche: token USDC precisa de address e decimals',
+      'Rede avalanche: wrappedNative (WAVAX) precisa estar em tokens',
+      'chainId 42161 (mainnet) repetido em arbitrum e avalanche',
+      'Rede Bad_Key: chave inválida (use minúsculas, números e hífen)',
+      'Rede Bad_Key: chainId.testnet inválido (x)',
+    ]));
+
+    expect(() => loadNetworkRegistry(writeRegistry('{ "optimism": '))).toThrow(/Registro de redes inválido/);
+    expect(() => loadNetworkRegistry(path.join(dir, 'inexistente.json'))).toThrow(/Registro de redes inválido/);
+  });
+});
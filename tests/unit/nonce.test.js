@@ -0,0 +1,237 @@
+/**
+ * Testes Unitários - Nonce Manager (nonces locais e ciclo de vida das transações)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { NonceManager, TX_STATUS } = require('../../src/blockchain/nonce');
+const { VirtualClock } = require('../../src/core/clock');
+
+const GWEI = 10n ** 9n;
+const ROUTER = ethers.getAddress('0x' + 'b'.repeat(40));
+
+describe('NonceManager', () => {
+  let dir;
+  let chain;
+  let provider;
+  let signer;
+  let events;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-nonce-'));
+    signer = new ethers.Wallet('0x' + '11'.repeat(32));
+    clock = new VirtualClock(Date.parse('2026-01-01T00:00:00Z'));
+    events = { emit: jest.fn() };
+
+    // Chain fake: nonce minerado, mempool por hash e receipts
+    chain = { mined: 5, mempool: new Map(), receipts: new Map(), failures: [] };
+
+    provider = {
+      getNetwork: async () => ({ chainId: 42161n }),
+      getTransactionCount: jest.fn(async (address, tag) => (tag === 'pending' ? chain.mined + chain.mempool.size : chain.mined)),
+      estimateGas: async () => 150000n,
+      getFeeData: async () => ({ maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI / 10n, gasPrice: GWEI }),
+      broadcastTransaction: jest.fn(async signed => {
+        const tx = ethers.Transaction.from(signed);
+        const failure = chain.failures.shift();
+
+        if (!failure || failure.delivered) {
+          chain.mempool.set(tx.hash, tx);
+        }
+        if (failure) {
+          throw Object.assign(new Error(failure.message), { code: failure.code });
+        }
+        return { hash: tx.hash };
+      }),
+      getTransaction: async hash => chain.mempool.get(hash) || null,
+      getTransactionReceipt: async hash => chain.receipts.get(hash) || null,
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createManager = (options = {}) => new NonceManager({
+    signer,
+    provider,
+    events,
+    clock,
+    file: path.join(dir, 'pending.json'),
+    feeBump: 0.125,
+    dropTimeout: 60000,
+    retryDelay: 0,
+    ...options,
+  });
+
+  // Minera uma transação do mempool (demais do mesmo nonce somem)
+  const mine = (hash, status = 1) => {
+    const tx = chain.mempool.get(hash);
+    for (const [other, pending] of chain.mempool) {
+      if (pending.nonce === tx.nonce) chain.mempool.delete(other);
+    }
+    chain.receipts.set(hash, { hash, status, blockNumber: 100 });
+    chain.mined = tx.nonce + 1;
+  };
+
+  const emitted = event => events.emit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+  test('aloca nonces em sequência, persiste pendentes e retoma após reiniciar', async () => {
+    const manager = createManager();
+
+    const sent = await Promise.all([
+      manager.send({ to: ROUTER, data: '0x01' }, { label: 'buy WETH/USDC' }),
+      manager.send({ to: ROUTER, data: '0x02' }),
+      manager.send({ to: ROUTER, data: '0x03', gasPrice: GWEI }),
+    ]);
+
+    expect(sent.map(tx => tx.nonce)).toEqual([5, 6, 7]);
+    expect(provider.getTransactionCount).toHaveBeenCalledTimes(1); // só a sincronização inicial
+    expect(emitted('tx.sent')[0]).toMatchObject({ nonce: 5, label: 'buy WETH/USDC', status: 'pending' });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'pending.json'), 'utf8'));
+    expect(saved.map(record => record.nonce)).toEqual([5, 6, 7]);
+    expect(saved[0]).toMatchObject({ to: ROUTER, data: '0x01', gasLimit: '150000', hash: sent[0].hash });
+    expect(saved[0].attempts[0]).toMatchObject({ kind: 'original', maxFeePerGas: (2n * GWEI).toString() });
+    expect(saved[2].attempts[0]).toMatchObject({ gasPrice: GWEI.toString(), maxFeePerGas: null });
+
+    // Nova instância: nó perdeu o mempool, mas os nonces registrados não são realocados
+    chain.mempool.clear();
+    const restarted = createManager();
+    expect(restarted.load()).toBe(3);
+    expect(restarted.getPending(42161).map(record => record.hash)).toEqual(sent.map(tx => tx.hash));
+    expect((await restarted.send({ to: ROUTER, data: '0x04' })).nonce).toBe(8);
+  });
+
+  test('reenvia os mesmos bytes após erro de rede e ressincroniza nonce usado fora do bot', async () => {
+    const manager = createManager({ clock: undefined, broadcastRetries: 3 });
+
+    // Nó recebeu a transação mas a resposta se perdeu: não reenvia
+    chain.failures.push({ code: 'NETWORK_ERROR', message: 'socket hang up', delivered: true });
+    const delivered = await manager.send({ to: ROUTER, data: '0x01' });
+    expect(provider.broadcastTransaction).toHaveBeenCalledTimes(1);
+    expect(chain.mempool.has(delivered.hash)).toBe(true);
+
+    // Nó não recebeu: reenvia a mesma transação assinada (mesmo hash, sem envio duplo)
+    chain.failures.push({ code: 'TIMEOUT', message: 'timeout' });
+    const retried = await manager.send({ to: ROUTER, data: '0x02' });
+    const [first, second] = provider.broadcastTransaction.mock.calls.slice(1).map(([signed]) => signed);
+    expect(first).toBe(second);
+    expect(retried.nonce).toBe(delivered.nonce + 1);
+    expect(chain.mempool.size).toBe(2);
+
+    // Erro definitivo não é reenviado e devolve o nonce
+    chain.failures.push({ code: 'INSUFFICIENT_FUNDS', message: 'insufficient funds' });
+    await expect(manager.send({ to: ROUTER, data: '0x03' })).rejects.toThrow('insufficient funds');
+    expect(manager.nextNonce.get(42161)).toBe(retried.nonce + 1);
+
+    // Nonce usado por outra carteira/instância: ressincroniza com o nó e envia no próximo livre
+    chain.mined = 20;
+    chain.failures.push({ code: 'NONCE_EXPIRED', message: 'nonce too low' });
+    const resynced = await manager.send({ to: ROUTER, data: '0x04' });
+    expect(resynced.nonce).toBe(22); // 20 minerados + 2 no mempool
+  });
+
+  test('reenvios esgotados só devolvem o nonce quando o nó confirma que não tem a transação', async () => {
+    const manager = createManager({ broadcastRetries: 1 });
+    const networkError = { code: 'NETWORK_ERROR', message: 'socket hang up' };
+
+    // Nó não recebeu nenhuma tentativa (pending não passou do nonce): nonce volta para a fila
+    chain.failures.push(networkError);
+    await expect(manager.send({ to: ROUTER, data: '0x01' })).rejects.toThrow('socket hang up');
+    expect(manager.nextNonce.get(42161)).toBe(5);
+    expect(manager.getPending(42161)).toEqual([]);
+
+    // Nó aceitou, mas a consulta pelo hash não encontra (RPC atrás de balanceador): pending no nó confirma o envio
+    const getTransaction = provider.getTransaction;
+    provider.getTransaction = async () => null;
+    chain.failures.push({ ...networkError, delivered: true });
+    const accepted = await manager.send({ to: ROUTER, data: '0x02' });
+    provider.getTransaction = getTransaction;
+
+    expect(accepted.nonce).toBe(5);
+    expect(manager.getTransaction(5, 42161)).toMatchObject({ status: TX_STATUS.PENDING, hash: accepted.hash });
+    expect(emitted('tx.sent')).toEqual([expect.objectContaining({ nonce: 5 })]);
+
+    // Nó sem resposta nem para o nonce pending: erro segue, mas o nonce fica reservado e acompanhado
+    chain.failures.push(networkError);
+    provider.getTransactionCount.mockRejectedValueOnce(Object.assign(new Error('connection refused'), { code: 'NETWORK_ERROR' }));
+    const error = await manager.send({ to: ROUTER, data: '0x03' }).catch(failure => failure);
+    expect(error).toMatchObject({ message: 'socket hang up', nonce: 6, hash: expect.any(String) });
+    expect(manager.getTransaction(6, 42161)).toMatchObject({ status: TX_STATUS.PENDING, hash: error.hash });
+    expect((await manager.send({ to: ROUTER, data: '0x04' })).nonce).toBe(7);
+
+    // Nunca apareceu no mempool: check() marca dropped após dropTimeout e o nonce volta a ser alocado
+    mine(accepted.hash);
+    clock.advance(60000);
+    const finalized = await manager.check();
+    expect(finalized.map(record => [record.nonce, record.status])).toEqual([[5, TX_STATUS.CONFIRMED], [6, TX_STATUS.DROPPED]]);
+  });
+
+  test('speed-up e cancelamento substituem o nonce com fees maiores', async () => {
+    const manager = createManager();
+
+    const swap = await manager.send({ to: ROUTER, data: '0x01', maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI / 10n });
+    const faster = await manager.speedUp(swap.nonce);
+
+    const [original, bumped] = Array.from(chain.mempool.values());
+    expect(bumped.nonce).toBe(original.nonce);
+    expect(bumped.data).toBe('0x01');
+    expect(bumped.maxFeePerGas).toBe(2250000000n); // +12,5%
+    expect(bumped.maxPriorityFeePerGas).toBe(112500000n);
+    expect(emitted('tx.replaced')[0]).toMatchObject({ reason: 'speedup', previousHash: swap.hash, hash: faster.hash, attempts: 2 });
+
+    // Speed-up minerado: confirmada com o hash novo
+    mine(faster.hash);
+    const [confirmed] = await manager.check();
+    expect(confirmed).toMatchObject({ status: TX_STATUS.CONFIRMED, hash: faster.hash, blockNumber: 100 });
+    expect(emitted('tx.confirmed')[0]).toMatchObject({ nonce: swap.nonce, hash: faster.hash });
+
+    // Cancelamento: 0 para a própria wallet no mesmo nonce
+    const stuck = await manager.send({ to: ROUTER, data: '0x02' });
+    const cancel = await manager.cancel(stuck.nonce);
+    const cancelTx = chain.mempool.get(cancel.hash);
+    expect(cancelTx).toMatchObject({ to: signer.address, data: '0x', value: 0n, gasLimit: 21000n, nonce: stuck.nonce });
+
+    mine(cancel.hash);
+    await manager.check();
+    expect(manager.getTransaction(stuck.nonce, 42161).status).toBe(TX_STATUS.CANCELLED);
+    expect(emitted('tx.cancelled')).toHaveLength(1);
+    expect(manager.getPending()).toEqual([]);
+
+    await expect(manager.speedUp(stuck.nonce)).rejects.toThrow('Nenhuma transação pendente');
+  });
+
+  test('detecta revert, substituição externa e transação descartada do mempool', async () => {
+    const manager = createManager();
+
+    const reverted = await manager.send({ to: ROUTER, data: '0x01' });
+    mine(reverted.hash, 0);
+
+    // Nonce 6 minerado por outra transação (ex: substituída pela carteira manualmente)
+    const external = await manager.send({ to: ROUTER, data: '0x02' });
+    chain.mempool.delete(external.hash);
+    chain.mined = 7;
+
+    // Nonce 7 some do mempool
+    const dropped = await manager.send({ to: ROUTER, data: '0x03' });
+    chain.mempool.delete(dropped.hash);
+
+    let finalized = await manager.check();
+    expect(finalized.map(record => record.status)).toEqual([TX_STATUS.FAILED, TX_STATUS.REPLACED]);
+    expect(emitted('tx.replaced')[0]).toMatchObject({ nonce: 6, reason: 'external' });
+
+    // Só vira dropped após dropTimeout
+    clock.advance(60000);
+    finalized = await manager.check();
+    expect(finalized).toEqual([expect.objectContaining({ nonce: 7, status: TX_STATUS.DROPPED })]);
+    expect(emitted('tx.dropped')).toHaveLength(1);
+    expect(emitted('tx.failed')).toHaveLength(1);
+
+    // Nonce do drop volta a ser usado
+    expect((await manager.send({ to: ROUTER, data: '0x04' })).nonce).toBe(7);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Testes Unitários - Otimizador de Parâmetros
+ */
+
+const {
+  ParameterOptimizer,
+  normalizeSpace,
+  gridSearch,
+  randomSearch,
+  createRandom,
+  toEngineOptions,
+  splitWalkForward,
+  formatResultsTable,
+  toEnvLines,
+} = require('../../src/backtesting/optimizer');
+const { config } = require('../../src/core/config');
+
+const START = Date.parse('2025-11-01T00:00:00.000Z');
+
+/**
+ * Oscilação entre níveis do grid (97.5 ↔ 102.5) repetida
+ * Volatilidade diária fixa como nos snapshots do coletor
+ */
+function makeRecords(count) {
+  const cycle = [100, 99, 98, 97.5, 99, 101, 102.5, 101];
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(START + i * 15000).toISOString(),
+    price: cycle[i % cycle.length],
+    volume: 100000,
+    liquidity: 500000,
+    volatility: 0.02,
+  }));
+}
+
+describe('Parameter Optimizer', () => {
+  test('normaliza aliases do .env e ranges min/max/step', () => {
+    const space = normalizeSpace({
+      GRID_LEVELS: [3, 5],
+      'risk.stopLossTrailing': { min: 0.01, max: 0.03, step: 0.01 },
+    });
+
+    expect(space['grid.levels']).toEqual([3, 5]);
+    expect(space['risk.stopLossTrailing']).toEqual([0.01, 0.02, 0.03]);
+  });
+
+  test('grid search gera produto cartesiano', () => {
+    const combinations = gridSearch({ a: [1, 2], b: [3, 4, 5] });
+
+    expect(combinations).toHaveLength(6);
+    expect(combinations).toContainEqual({ a: 2, b: 5 });
+  });
+
+  test('random search é reproduzível com seed e sem repetições', () => {
+    const space = { a: [1, 2, 3], b: [4, 5, 6] };
+
+    const first = randomSearch(space, 5, createRandom(42));
+    const second = randomSearch(space, 5, createRandom(42));
+
+    expect(first).toEqual(second);
+    expect(new Set(first.map(c => JSON.stringify(c))).size).toBe(5);
+    expect(randomSearch(space, 100, createRandom(1))).toHaveLength(9);
+  });
+
+  test('converte parâmetros em overrides de estratégia e risco', () => {
+    const options = toEngineOptions({
+      'grid.levels': 7,
+      'risk.stopLossTrailing': 0.02,
+      'risk.takeProfitLevel2': 0.15,
+    });
+
+    expect(options.strategyConfig).toEqual({ grid: { levels: 7 } });
+    expect(options.riskConfig.stopLossTrailing).toBe(0.02);
+    expect(options.riskConfig.takeProfitLevels[1].percent).toBe(0.15);
+    expect(options.riskConfig.takeProfitLevels[0].percent).toBe(config.risk.takeProfitLevels[0].percent);
+    expect(() => toEngineOptions({ 'foo.bar': 1 })).toThrow('Parâmetro desconhecido');
+  });
+
+  test('walk-forward separa treino e teste sem sobreposição', () => {
+    const windows = splitWalkForward({ 'WETH/USDC': makeRecords(30) }, 3, 0.7);
+
+    expect(windows).toHaveLength(3);
+    windows.forEach(window => {
+      const train = window.train['WETH/USDC'];
+      const test = window.test['WETH/USDC'];
+
+      expect(train).toHaveLength(7);
+      expect(test).toHaveLength(3);
+      expect(new Date(train[train.length - 1].timestamp).getTime()).toBeLessThan(new Date(test[0].timestamp).getTime());
+    });
+  });
+
+  test('roda otimização e ranqueia por P&L fora da amostra', async () => {
+    const optimizer = new ParameterOptimizer({
+      strategy: 'grid',
+      space: {
+        'grid.rangeMin': [-0.05, -0.50],
+        'grid.rangeMax': [0.05],
+      },
+      folds: 2,
+      trainRatio: 0.5,
+      records: { 'WETH/USDC': makeRecords(32) },
+      engineOptions: { gasCostUSD: 0, slippage: 0, feeRate: 0 },
+    });
+
+    const report = await optimizer.run();
+
+    expect(report.combinations).toBe(2);
+    expect(report.results).toHaveLength(2);
+    expect(report.results[0].rank).toBe(1);
+    expect(report.results[0].test.pnlPercent).toBeGreaterThanOrEqual(report.results[1].test.pnlPercent);
+
+    // Grid simétrico em ±5% opera a oscilação; grid em -50% (nível mais próximo em 91.25) nunca compra
+    expect(report.results[0].params['grid.rangeMin']).toBe(-0.05);
+    expect(report.results[0].test.trades).toBeGreaterThan(0);
+    expect(report.results[1].test.trades).toBe(0);
+
+    const table = formatResultsTable(report.results);
+    expect(table).toContain('Teste P&L %');
+    expect(table).toContain('grid.rangeMin=-0.05');
+    expect(toEnvLines(report.results[0].params)).toContain('GRID_RANGE_MIN=-0.05');
+  });
+});
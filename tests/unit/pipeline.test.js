@@ -0,0 +1,187 @@
+/**
+ * Testes Unitários - Trading Pipeline
+ */
+
+const { TradingPipeline } = require('../../src/core/pipeline');
+const { StrategyManager } = require('../../src/strategies/manager');
+const { PositionManager } = require('../../src/risk/position-manager');
+const { ExitManager } = require('../../src/risk/exit-manager');
+const { DrawdownManager } = require('../../src/risk/drawdown');
+
+describe('Trading Pipeline', () => {
+  let pipeline;
+  let collector;
+  let executor;
+  let storage;
+  let prices;
+
+  const marketData = price => ({
+    price,
+    volume: 100000,
+    liquidity: 500000,
+    volatility: 0.02,
+    priceHistory: [],
+    avgVolume: 100000,
+    timestamp: new Date().toISOString(),
+  });
+
+  beforeEach(() => {
+    prices = [];
+    collector = { collect: jest.fn(async () => marketData(prices.shift())) };
+    executor = {
+      execute: jest.fn(async order => ({
+        success: true,
+        price: order.price,
+        amountToken: order.amountToken,
+        amountUSD: order.amountToken * order.price,
+        gasCostUSD: 0,
+      })),
+    };
+    storage = { addTrade: jest.fn(), addEvent: jest.fn() };
+
+    pipeline = new TradingPipeline({
+      collector,
+      executor,
+      pairs: ['WETH/USDC'],
+      strategyManager: new StrategyManager(),
+      positionManager: new PositionManager(),
+      exitManager: new ExitManager(),
+      drawdownManager: new DrawdownManager(),
+      storage,
+    });
+  });
+
+  test('ignora tick sem coletor configurado', async () => {
+    pipeline.collector = null;
+    const result = await pipeline.runCycle();
+
+    expect(result.processed).toBe(0);
+    expect(executor.execute).not.toHaveBeenCalled();
+  });
+
+  test('executa compra aprovada e abre posição com exit management', async () => {
+    prices.push(100);
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'buy', reason: 'teste', confidence: 1 }));
+
+    const result = await pipeline.runCycle();
+
+    expect(result.orders).toHaveLength(1);
+    expect(executor.execute).toHaveBeenCalledWith(expect.objectContaining({ side: 'buy', pair: 'WETH/USDC' }));
+    expect(pipeline.positionManager.hasOpenPosition('WETH/USDC')).toBe(true);
+    expect(pipeline.exitManager.isManaging('WETH/USDC')).toBe(true);
+    expect(storage.addTrade).toHaveBeenCalledWith(expect.objectContaining({ side: 'buy', pnl: null }));
+  });
+
+  test('ignora venda sem posição aberta', async () => {
+    prices.push(100);
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'sell', reason: 'teste' }));
+
+    const result = await pipeline.runCycle();
+
+    expect(result.orders).toHaveLength(0);
+    expect(executor.execute).not.toHaveBeenCalled();
+  });
+
+  test('stop-loss fecha posição e registra P&L', async () => {
+    prices.push(100, 90);
+    pipeline.strategyManager.analyze = jest.fn()
+      .mockResolvedValueOnce({ action: 'buy', reason: 'entrada' })
+      .mockResolvedValue(null);
+
+    await pipeline.runCycle();
+    await pipeline.runCycle();
+
+    expect(pipeline.positionManager.hasOpenPosition('WETH/USDC')).toBe(false);
+    expect(pipeline.exitManager.isManaging('WETH/USDC')).toBe(false);
+
+    const sell = storage.addTrade.mock.calls[1][0];
+    expect(sell.side).toBe('sell');
+    expect(sell.type).toBe('stop_loss');
+    expect(sell.pnl).toBeLessThan(0);
+  });
+
+  test('take-profit nível 1 vende 25% da posição', async () => {
+    prices.push(100, 111);
+    pipeline.strategyManager.analyze = jest.fn()
+      .mockResolvedValueOnce({ action: 'buy', reason: 'entrada' })
+      .mockResolvedValue(null);
+
+    await pipeline.runCycle();
+    const boughtTokens = pipeline.positionManager.getPosition('WETH/USDC').tokenAmount;
+    await pipeline.runCycle();
+
+    const position = pipeline.positionManager.getPosition('WETH/USDC');
+    expect(position.tokenAmount).toBeCloseTo(boughtTokens * 0.75);
+  });
+
+  test('bloqueia compras quando drawdown pausou o trading', async () => {
+    prices.push(100);
+    pipeline.drawdownManager.isTradingPaused = () => true;
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'buy', reason: 'teste' }));
+
+    await pipeline.runCycle();
+
+    expect(executor.execute).not.toHaveBeenCalled();
+  });
+
+  test('compra limitada pelo impacto de preço estimado no Quoter', async () => {
+    prices.push(100, 100);
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'buy', reason: 'teste' }));
+    pipeline.impactEstimator = { getMaxTradeSize: jest.fn(async () => ({ amountUSD: 2, capped: true })) };
+
+    await pipeline.runCycle();
+
+    const fullSize = new PositionManager().calculatePositionSize(100, 0.02).amountUSD;
+    expect(pipeline.impactEstimator.getMaxTradeSize).toHaveBeenCalledWith('WETH/USDC', fullSize);
+    expect(executor.execute).toHaveBeenCalledWith(expect.objectContaining({ amountUSD: 2, amountToken: 0.02, cappedByImpact: true }));
+
+    // Nem o menor tamanho cabe na tolerância: sem ordem
+    pipeline.positionManager = new PositionManager();
+    pipeline.impactEstimator.getMaxTradeSize.mockResolvedValue({ amountUSD: 0, capped: true });
+    executor.execute.mockClear();
+
+    const result = await pipeline.runCycle();
+    expect(result.orders).toHaveLength(0);
+    expect(executor.execute).not.toHaveBeenCalled();
+  });
+
+  test('closeAllPositions espera o tick em andamento do par e não vende a posição duas vezes', async () => {
+    prices.push(100);
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'buy', reason: 'entrada' }));
+    await pipeline.runCycle();
+    executor.execute.mockClear();
+
+    // Tick lento que dispara o stop-loss enquanto o fechamento manual chega
+    let release;
+    collector.collect.mockImplementationOnce(() => new Promise(resolve => { release = () => resolve(marketData(90)); }));
+    const tick = pipeline.runCycle();
+    const closing = pipeline.closeAllPositions();
+
+    release();
+    await tick;
+
+    expect(await closing).toEqual([]);
+    expect(executor.execute).toHaveBeenCalledTimes(1);
+    expect(pipeline.positionManager.hasOpenPosition('WETH/USDC')).toBe(false);
+  });
+
+  test('Swap entre ticks alimenta Momentum e dispara stop-loss', async () => {
+    prices.push(100);
+    pipeline.strategyManager.analyze = jest.fn(async () => ({ action: 'buy', reason: 'entrada' }));
+    await pipeline.runCycle();
+
+    const momentum = pipeline.strategyManager.strategies.momentum;
+    const historySize = momentum.priceHistory.length;
+
+    expect(await pipeline.processTrade({ pair: 'WETH/USDC', price: 99, amountQuote: 50, rollingVolume: 5000 })).toEqual([]);
+    expect(momentum.priceHistory).toHaveLength(historySize + 1);
+    expect(momentum.volumeHistory[momentum.volumeHistory.length - 1]).toBe(5000);
+
+    const orders = await pipeline.processTrade({ pair: 'WETH/USDC', price: 90, amountQuote: 50, rollingVolume: 5050 });
+
+    expect(orders).toHaveLength(1);
+    expect(orders[0].order).toMatchObject({ side: 'sell', price: 90 });
+    expect(pipeline.positionManager.hasOpenPosition('WETH/USDC')).toBe(false);
+    expect(await pipeline.processTrade({ pair: 'ARB/USDC', price: 1 })).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Testes Unitários - Portfolio (capital global com várias redes)
+ */
+
+const { Portfolio } = require('../../src/risk/portfolio');
+const { TradingPipeline } = require('../../src/core/pipeline');
+const { NetworkContext, getNetworkFile } = require('../../src/core/network-context');
+const { getListsFile } = require('../../src/analysis/whitelist');
+const { StrategyManager } = require('../../src/strategies/manager');
+const { PositionManager } = require('../../src/risk/position-manager');
+const { ExitManager } = require('../../src/risk/exit-manager');
+const { DrawdownManager } = require('../../src/risk/drawdown');
+
+describe('Portfolio', () => {
+  const createPortfolio = allocation => {
+    const portfolio = new Portfolio({ initialCapital: 100, allocation });
+    portfolio.addBook('arbitrum', new PositionManager({ initialCapital: 100 }));
+    portfolio.addBook('base', new PositionManager({ initialCapital: 100 }));
+    return portfolio;
+  };
+
+  test('divide o capital por CAPITAL_ALLOCATION ou em partes iguais', () => {
+    const weighted = createPortfolio({ arbitrum: 3, base: 1 });
+    expect(weighted.allocate()).toEqual({ arbitrum: 0.75, base: 0.25 });
+    expect(weighted.getBook('arbitrum').currentCapital).toBe(75);
+    expect(weighted.getBook('base').currentCapital).toBe(25);
+    expect(weighted.getCapital()).toBe(100);
+
+    const equal = createPortfolio({});
+    expect(equal.allocate()).toEqual({ arbitrum: 0.5, base: 0.5 });
+
+    // Rede fora da alocação fica sem capital
+    const partial = createPortfolio({ arbitrum: 1 });
+    partial.allocate();
+    expect(partial.getBook('base').currentCapital).toBe(0);
+
+    partial.removeBook('base');
+    expect(partial.getShares()).toEqual({ arbitrum: 1 });
+    expect(partial.getBook('base')).toBeNull();
+  });
+
+  test('resumo global soma P&L não realizado de todas as redes', () => {
+    const portfolio = createPortfolio({ arbitrum: 1, base: 1 });
+    portfolio.allocate();
+
+    portfolio.getBook('arbitrum').openPosition('WETH/USDC', 100, 10, 0.1);
+    portfolio.getBook('arbitrum').updatePosition('WETH/USDC', 110); // +$1
+    portfolio.getBook('base').openPosition('WETH/USDC', 100, 20, 0.2);
+    portfolio.getBook('base').updatePosition('WETH/USDC', 95); // -$1
+
+    const summary = portfolio.getSummary();
+
+    expect(summary).toMatchObject({ initialCapital: 100, capital: 100, equity: 100, pnl: 0, openPositions: 2 });
+    expect(summary.networks.arbitrum).toMatchObject({ share: 0.5, capital: 50, unrealizedPnL: 1, openPositions: 1, invested: 10 });
+    expect(summary.networks.base).toMatchObject({ share: 0.5, equity: 49, unrealizedPnL: -1, invested: 20 });
+    expect(portfolio.getAllPositions().map(position => [position.network, position.pair])).toEqual([
+      ['arbitrum', 'WETH/USDC'],
+      ['base', 'WETH/USDC'],
+    ]);
+  });
+
+  test('pipelines de redes diferentes marcam os trades e compartilham o drawdown', async () => {
+    const portfolio = createPortfolio({ arbitrum: 1, base: 1 });
+    portfolio.allocate();
+
+    const drawdownManager = new DrawdownManager({ initialCapital: 100, events: { emit: jest.fn() } });
+    const storage = { addTrade: jest.fn(), addEvent: jest.fn() };
+    const prices = { arbitrum: [100, 100], base: [100, 98] };
+
+    const createPipeline = network => new TradingPipeline({
+      network,
+      portfolio,
+      pairs: ['WETH/USDC'],
+      collector: {
+        collect: jest.fn(async () => ({ price: prices[network].shift(), volume: 100000, liquidity: 500000, volatility: 0.02, priceHistory: [], avgVolume: 100000 })),
+      },
+      executor: {
+        execute: jest.fn(async order => ({ success: true, price: order.price, amountToken: order.amountToken, amountUSD: order.amountToken * order.price, gasCostUSD: 0 })),
+      },
+      strategyManager: Object.assign(new StrategyManager(), {
+        analyze: jest.fn().mockResolvedValueOnce({ action: 'buy', reason: 'teste', confidence: 1 }).mockResolvedValue(null),
+      }),
+      positionManager: portfolio.getBook(network),
+      exitManager: new ExitManager(),
+      drawdownManager,
+      storage,
+    });
+
+    const pipelines = [createPipeline('arbitrum'), createPipeline('base')];
+    await Promise.all(pipelines.map(pipeline => pipeline.runCycle()));
+
+    expect(storage.addTrade.mock.calls.map(([trade]) => trade.network).sort()).toEqual(['arbitrum', 'base']);
+
+    // Queda só na Base reduz o patrimônio global visto pelo drawdown
+    await Promise.all(pipelines.map(pipeline => pipeline.runCycle()));
+
+    expect(portfolio.getEquity()).toBeLessThan(100);
+    expect(drawdownManager.currentCapital).toBeCloseTo(portfolio.getEquity());
+    expect(drawdownManager.peakCapital).toBe(100);
+  });
+
+  test('arquivo de pendentes separado por rede', () => {
+    expect(getNetworkFile('data/pending-transactions.json', 'base')).toBe('data/pending-transactions.base.json');
+  });
+
+  test('cada rede tem a própria whitelist, compartilhada por estratégias e executor', () => {
+    const base = new NetworkContext('base', { paper: true });
+    const arbitrum = new NetworkContext('arbitrum', { paper: true });
+
+    expect(base.universe.network).toBe('base');
+    expect(base.universe.file).toBe(getListsFile('base'));
+    expect(base.strategyManager.universe).toBe(base.universe);
+    expect(base.executor.universe).toBe(base.universe);
+
+    expect(arbitrum.universe).not.toBe(base.universe);
+    expect(arbitrum.universe.network).toBe('arbitrum');
+    expect(arbitrum.executor.universe).toBe(arbitrum.universe);
+  });
+});
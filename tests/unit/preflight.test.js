@@ -0,0 +1,83 @@
+/**
+ * Testes Unitários - Preflight (chainId, contratos, pool e saldo de gas no startup)
+ */
+
+const { ethers } = require('ethers');
+const { Preflight } = require('../../src/blockchain/preflight');
+const { ProviderManager } = require('../../src/blockchain/provider');
+const { FACTORY_ABI } = require('../../src/blockchain/sushiswap');
+const { config } = require('../../src/core/config');
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const POOL = ethers.getAddress('0x' + 'c'.repeat(40));
+const GWEI = 10n ** 9n;
+
+describe('Preflight', () => {
+  let chain;
+
+  beforeEach(() => {
+    // Chain fake: Arbitrum Sepolia com os contratos configurados implantados
+    const { factory, router, quoter } = config.contracts.arbitrum;
+    chain = {
+      chainIds: [{ label: 'rpc-a.example', chainId: 421614 }, { label: 'rpc-b.example', chainId: null, error: 'timeout' }],
+      code: new Set([factory, router, quoter, POOL].map(address => address.toLowerCase())),
+      pool: POOL,
+      balance: ethers.parseEther('0.01'),
+      maxFeePerGas: 1n * GWEI,
+    };
+  });
+
+  const provider = () => ({
+    getChainIds: async () => chain.chainIds,
+    getCode: async address => (chain.code.has(address.toLowerCase()) ? '0x6080' : '0x'),
+    call: async () => factoryInterface.encodeFunctionResult('getPool', [chain.pool]),
+    getFeeData: async () => ({ maxFeePerGas: chain.maxFeePerGas, gasPrice: null }),
+    getBalance: async () => chain.balance,
+  });
+
+  const run = (options = {}) => new Preflight({ paper: false, gasReserveSwaps: 10, swapGasLimit: 200000, ...options })
+    .run(provider(), 'arbitrum', 'testnet');
+
+  test('passa com chainId, contratos, pool e saldo de gas corretos', async () => {
+    const report = await run();
+
+    expect(report.passed).toBe(true);
+    expect(report.checks.map(check => check.name)).toEqual(['chainId', 'factory', 'router', 'quoter', 'pool', 'gasBalance']);
+    expect(report.checks[0].detail).toBe('421614 (1 endpoint(s))');
+    expect(report.checks[4].detail).toBe(`WETH/USDC ${POOL}`);
+  });
+
+  test('aponta chain errada, contrato sem bytecode, pool ausente e saldo insuficiente', async () => {
+    chain.chainIds.push({ label: 'rpc-c.example', chainId: 42161 });
+    chain.code.delete(config.contracts.arbitrum.quoter.toLowerCase());
+    chain.pool = ethers.ZeroAddress;
+    chain.maxFeePerGas = 10n * GWEI; // 10 swaps × 200k × 10 gwei = 0.02 ETH
+
+    const report = await run();
+
+    expect(report.passed).toBe(false);
+    expect(Object.fromEntries(report.failed.map(check => [check.name, check.detail]))).toEqual({
+      chainId: 'esperado 421614, recebido 42161 em rpc-c.example',
+      quoter: `sem bytecode em ${config.contracts.arbitrum.quoter}`,
+      pool: 'pool WETH/USDC (fee 500) não encontrado na factory',
+      gasBalance: 'saldo 0.01 ETH < 0.02 ETH (gas de 10 swaps)',
+    });
+
+    // Paper trading não gasta gas
+    expect((await run({ paper: true })).checks.map(check => check.name)).not.toContain('gasBalance');
+  });
+
+  test('ProviderManager recusa iniciar em mainnet e só avisa em testnet', async () => {
+    const failed = { passed: false, checks: [{ name: 'chainId', ok: false, detail: 'esperado 42161, recebido 1 em rpc-a.example' }] };
+    failed.failed = failed.checks;
+
+    const manager = new ProviderManager({ preflight: { run: jest.fn(async () => failed) } });
+    manager.currentProvider = provider();
+
+    await expect(manager.runPreflight('arbitrum', 'mainnet')).rejects.toThrow('Preflight falhou em arbitrum (mainnet): chainId: esperado 42161, recebido 1 em rpc-a.example');
+    await expect(manager.runPreflight('arbitrum', 'testnet')).resolves.toBe(failed);
+    expect(manager.preflightReports.get('arbitrum')).toBe(failed);
+
+    expect(await new ProviderManager({ preflight: null }).runPreflight('arbitrum', 'mainnet')).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Testes Unitários - Price Impact Estimator (Quoter V2)
+ */
+
+const { ethers } = require('ethers');
+const { PriceImpactEstimator } = require('../../src/execution/price-impact');
+const { PositionManager } = require('../../src/risk/position-manager');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const quoterInterface = new ethers.Interface(sushiswap.QUOTER_ABI);
+const { WETH, USDC } = config.tokens.arbitrum;
+
+describe('PriceImpactEstimator', () => {
+  let provider;
+
+  // Pool de produto constante: 400 WETH / 1.000.000 USDC (preço 2500)
+  const reserves = { weth: 400, usdc: 1000000 };
+  const swapOut = (amountIn, reserveIn, reserveOut) => reserveOut - (reserveIn * reserveOut) / (reserveIn + amountIn);
+
+  beforeEach(() => {
+    provider = {
+      call: jest.fn(async tx => {
+        const parsed = quoterInterface.parseTransaction({ data: tx.data });
+
+        if (parsed.name === 'quoteExactInputSingle') {
+          const { tokenIn, amountIn } = parsed.args[0];
+          const buying = tokenIn === USDC.address;
+          const amount = parseFloat(ethers.formatUnits(amountIn, buying ? 6 : 18));
+          const out = buying ? swapOut(amount, reserves.usdc, reserves.weth) : swapOut(amount, reserves.weth, reserves.usdc);
+          const amountOut = ethers.parseUnits(out.toFixed(buying ? 18 : 6), buying ? 18 : 6);
+
+          return quoterInterface.encodeFunctionResult('quoteExactInputSingle', [amountOut, 0, Math.floor(amount / 1000), 90000]);
+        }
+
+        // Multi-hop: dois hops com 3 e 4 ticks cruzados, saída = entrada × 0,99
+        const [, amountIn] = parsed.args;
+        return quoterInterface.encodeFunctionResult('quoteExactInput', [amountIn * 99n / 100n, [0, 0], [3, 4], 150000]);
+      }),
+    };
+  });
+
+  const createEstimator = (options = {}) => new PriceImpactEstimator({
+    providerManager: { currentNetwork: 'arbitrum', getProvider: () => provider },
+    maxPriceImpact: 0.005,
+    ...options,
+  });
+
+  test('cota compra no Quoter com saída esperada, impacto e ticks cruzados', async () => {
+    const estimator = createEstimator();
+    const result = await estimator.estimate('WETH/USDC', 'buy', 10000);
+
+    const quoterAddress = config.contracts.arbitrum.quoter;
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ to: quoterAddress }));
+
+    expect(result.expectedOut).toBeCloseTo(swapOut(10000, 1000000, 400), 6);
+    expect(result.priceImpact).toBeCloseTo(10000 / 1010000, 4); // x·y=k: impacto = in / (reserva + in)
+    expect(result.ticksCrossed).toBe(10);
+    expect(result.gasEstimate).toBe(90000n);
+
+    // Venda usa o base como entrada
+    const sell = await estimator.estimate('WETH/USDC', 'sell', 1);
+    expect(sell.executionPrice).toBeCloseTo(swapOut(1, 400, 1000000), 2);
+  });
+
+  test('rota multi-hop usa quoteExactInput e soma ticks dos hops', async () => {
+    const estimator = createEstimator();
+    const route = { tokens: [USDC.address, WETH.address, USDC.address], fees: [500, 3000] };
+
+    const result = await estimator.quote({ tokenIn: USDC, tokenOut: USDC, amountIn: 1000000000n, route });
+
+    expect(result.expectedOut).toBeCloseTo(990, 6);
+    expect(result.priceImpact).toBeCloseTo(0, 6); // saída proporcional: sem impacto
+    expect(result.ticksCrossed).toBe(7);
+  });
+
+  test('tamanho máximo mantém impacto dentro da tolerância e limita a posição', async () => {
+    const estimator = createEstimator();
+
+    const small = await estimator.getMaxTradeSize('WETH/USDC', 1000);
+    expect(small).toMatchObject({ amountUSD: 1000, capped: false });
+
+    const capped = await estimator.getMaxTradeSize('WETH/USDC', 20000);
+    const limit = 0.005 * 1000000 / 0.995; // impacto = 0,5%
+    expect(capped.capped).toBe(true);
+    expect(capped.amountUSD).toBeLessThanOrEqual(limit);
+    expect(capped.amountUSD).toBeGreaterThan(limit - 20000 / 64);
+    expect(capped.priceImpact).toBeLessThanOrEqual(0.005);
+
+    const positionManager = new PositionManager({ initialCapital: 100000, maxPositionPercent: 0.2 });
+    const size = positionManager.calculatePositionSize(2500, null, capped.amountUSD);
+    expect(size).toMatchObject({ amountUSD: capped.amountUSD, cappedByImpact: true });
+    expect(positionManager.calculatePositionSize(2500, null, 1e9).cappedByImpact).toBe(false);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Testes Unitários - Route Finder (multi-hop entre fee tiers)
+ */
+
+const { ethers } = require('ethers');
+const { RouteFinder } = require('../../src/execution/route-finder');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const quoterInterface = new ethers.Interface(sushiswap.QUOTER_ABI);
+const factoryInterface = new ethers.Interface(sushiswap.FACTORY_ABI);
+const { WETH, USDC, USDT } = config.tokens.arbitrum;
+const { factory: FACTORY } = config.contracts.arbitrum;
+
+const ARB = { symbol: 'ARB', address: '0x912CE59144191C1204E64559FE8253a0e49E6548', decimals: 18 };
+const TOKENS = [ARB, { symbol: 'WETH', ...WETH }, { symbol: 'USDC', ...USDC }, { symbol: 'USDT', ...USDT }];
+const bySymbol = Object.fromEntries(TOKENS.map(token => [token.symbol, token]));
+const byAddress = address => TOKENS.find(token => token.address.toLowerCase() === address.toLowerCase());
+
+// Preço (saída por entrada) de cada pool: `${A}/${B}` → { fee: A cotado em B }
+const POOLS = {
+  'ARB/WETH': { 3000: 0.0004 },
+  'ARB/USDC': { 10000: 0.9 },
+  'WETH/USDC': { 500: 2500, 3000: 2490 },
+  'WETH/USDT': { 500: 2505 },
+  'USDT/USDC': { 100: 1 },
+};
+
+const rateOf = (tokenIn, tokenOut, fee) => {
+  const direct = POOLS[`${tokenIn.symbol}/${tokenOut.symbol}`]?.[fee];
+  if (direct) return direct;
+  const reverse = POOLS[`${tokenOut.symbol}/${tokenIn.symbol}`]?.[fee];
+  return reverse ? 1 / reverse : null;
+};
+
+/**
+ * Decodifica path V3 (token 20 bytes + fee 3 bytes ...)
+ */
+const decodePath = path => {
+  const hex = path.slice(2);
+  const tokens = [];
+  const fees = [];
+  for (let i = 0; i < hex.length; i += 46) {
+    tokens.push(byAddress('0x' + hex.slice(i, i + 40)));
+    if (i + 40 < hex.length) fees.push(parseInt(hex.slice(i + 40, i + 46), 16));
+  }
+  return { tokens, fees };
+};
+
+const swapOut = (tokens, fees, amountIn) => {
+  const amount = parseFloat(ethers.formatUnits(amountIn, tokens[0].decimals));
+  const out = fees.reduce((value, fee, i) => value * rateOf(tokens[i], tokens[i + 1], fee), amount);
+  const last = tokens[tokens.length - 1];
+  return ethers.parseUnits(out.toFixed(last.decimals), last.decimals);
+};
+
+describe('RouteFinder', () => {
+  let provider;
+  let getPoolCalls;
+
+  beforeEach(() => {
+    getPoolCalls = 0;
+    provider = {
+      call: jest.fn(async tx => {
+        if (tx.to === FACTORY) {
+          getPoolCalls++;
+          const [tokenA, tokenB, fee] = factoryInterface.decodeFunctionData('getPool', tx.data);
+          const exists = rateOf(byAddress(tokenA), byAddress(tokenB), Number(fee)) !== null;
+          return factoryInterface.encodeFunctionResult('getPool', [exists ? '0x' + 'c'.repeat(40) : ethers.ZeroAddress]);
+        }
+
+        const parsed = quoterInterface.parseTransaction({ data: tx.data });
+
+        if (parsed.name === 'quoteExactInputSingle') {
+          const { tokenIn, tokenOut, amountIn, fee } = parsed.args[0];
+          const amountOut = swapOut([byAddress(tokenIn), byAddress(tokenOut)], [Number(fee)], amountIn);
+          return quoterInterface.encodeFunctionResult('quoteExactInputSingle', [amountOut, 0, 1, 100000]);
+        }
+
+        const { tokens, fees } = decodePath(parsed.args[0]);
+        const amountOut = swapOut(tokens, fees, parsed.args[1]);
+        return quoterInterface.encodeFunctionResult('quoteExactInput', [amountOut, fees.map(() => 0), fees.map(() => 1), 100000 * fees.length]);
+      }),
+    };
+  });
+
+  test('enumera rotas de até 3 hops só com pools existentes (cache do getPool)', async () => {
+    const finder = new RouteFinder({ feeTiers: [100, 500, 3000, 10000], baseTokens: ['WETH', 'USDC', 'USDT'], maxHops: 3 });
+    const routes = await finder.enumerateRoutes(ARB, bySymbol.USDC, 'arbitrum', provider);
+
+    const labels = routes.map(route => `${route.tokens.map(t => t.symbol).join('>')}:${route.fees.join('/')}`);
+    expect(labels.sort()).toEqual([
+      'ARB>USDC:10000',
+      'ARB>WETH>USDC:3000/3000',
+      'ARB>WETH>USDC:3000/500',
+      'ARB>WETH>USDT>USDC:3000/500/100',
+    ]);
+
+    const calls = getPoolCalls;
+    await finder.enumerateRoutes(ARB, bySymbol.USDC, 'arbitrum', provider);
+    expect(getPoolCalls).toBe(calls);
+
+    const direct = new RouteFinder({ feeTiers: [500, 3000], baseTokens: ['USDT'], maxHops: 1 });
+    const directRoutes = await direct.enumerateRoutes(bySymbol.WETH, bySymbol.USDC, 'arbitrum', provider);
+    expect(directRoutes.map(route => route.fees)).toEqual([[500], [3000]]);
+  });
+
+  test('falha transitória do getPool não fica em cache e o pool aparece na busca seguinte', async () => {
+    const finder = new RouteFinder({ feeTiers: [500, 3000], baseTokens: [], maxHops: 1 });
+    const amountIn = ethers.parseUnits('1', 18);
+    const call = provider.call.getMockImplementation();
+
+    // RPC fora do ar em todos os tiers: sem rota nesta busca
+    provider.call.mockImplementation(async tx => {
+      if (tx.to === FACTORY) throw Object.assign(new Error('rate limited'), { code: 'SERVER_ERROR' });
+      return call(tx);
+    });
+    const params = { tokenIn: bySymbol.WETH, tokenOut: bySymbol.USDC, amountIn, network: 'arbitrum', provider, gasPrice: 0n };
+    expect(await finder.findBestRoute(params)).toBeNull();
+
+    // Só o primeiro getPool falha: o tier 3000 responde, mas o resultado parcial não vai para o cache
+    let failures = 1;
+    provider.call.mockImplementation(async tx => {
+      if (tx.to === FACTORY && failures-- > 0) throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+      return call(tx);
+    });
+    expect((await finder.findBestRoute(params)).fees).toEqual([3000]);
+
+    // RPC normalizado: o pool de 500 (melhor taxa) volta a ser encontrado
+    provider.call.mockImplementation(call);
+    expect((await finder.findBestRoute(params)).fees).toEqual([500]);
+
+    const calls = getPoolCalls;
+    await finder.findBestRoute(params);
+    expect(getPoolCalls).toBe(calls); // agora completo, em cache
+  });
+
+  test('escolhe a maior saída líquida de gas e codifica o path do exactInput', async () => {
+    const finder = new RouteFinder({ feeTiers: [100, 500, 3000, 10000], baseTokens: ['WETH', 'USDC', 'USDT'], maxHops: 3 });
+    const amountIn = ethers.parseUnits('1000', 18);
+
+    // Sem custo de gas vence o caminho de 3 hops (1002 USDC)
+    const gross = await finder.findBestRoute({ tokenIn: ARB, tokenOut: bySymbol.USDC, amountIn, network: 'arbitrum', provider, gasPrice: 0n });
+    expect(gross.symbols).toEqual(['ARB', 'WETH', 'USDT', 'USDC']);
+    expect(gross.expectedOut).toBeCloseTo(1002, 4);
+
+    // 100k gas por hop a 12 gwei = 0,0012 ETH = 3 USDC por hop: 2 hops rendem mais (994 vs 993)
+    const net = await finder.findBestRoute({ tokenIn: ARB, tokenOut: bySymbol.USDC, amountIn, network: 'arbitrum', provider, gasPrice: 12n * 10n ** 9n });
+    expect(net).toMatchObject({ symbols: ['ARB', 'WETH', 'USDC'], fees: [3000, 500], hops: 2 });
+    expect(net.gasCostOut).toBeCloseTo(6, 4);
+    expect(net.netOut).toBeCloseTo(994, 4);
+    expect(net.path).toBe(sushiswap.encodePath([ARB.address, WETH.address, USDC.address], [3000, 500]));
+
+    // Sem nenhum pool não há rota
+    const none = await finder.findBestRoute({
+      tokenIn: { symbol: 'XYZ', address: '0x' + '1'.repeat(40), decimals: 18 },
+      tokenOut: bySymbol.USDC,
+      amountIn,
+      network: 'arbitrum',
+      provider,
+      gasPrice: 0n,
+    });
+    expect(none).toBeNull();
+  });
+});
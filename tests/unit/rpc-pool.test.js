@@ -0,0 +1,163 @@
+/**
+ * Testes Unitários - RPC Pool (failover, health check e quorum)
+ */
+
+const { ethers } = require('ethers');
+const { RpcPool } = require('../../src/blockchain/rpc-pool');
+const { VirtualClock } = require('../../src/core/clock');
+
+const WALLET = '0x' + 'a'.repeat(40);
+const NETWORK = { chainId: 42161, name: 'Arbitrum Mainnet' };
+
+describe('RpcPool', () => {
+  let clock;
+  let events;
+  let nodes;
+
+  beforeEach(() => {
+    clock = new VirtualClock(Date.parse('2026-01-01T00:00:00Z'));
+    events = { emit: jest.fn() };
+
+    // Nós fake por URL: bloco atual, latência, saldo e falha forçada
+    nodes = {
+      'https://rpc-a.example/KEY': { block: 1000, latency: 50, balance: 10n, failure: null },
+      'https://rpc-b.example/KEY': { block: 1000, latency: 120, balance: 10n, failure: null },
+      'https://rpc-c.example/KEY': { block: 1000, latency: 200, balance: 10n, failure: null },
+    };
+  });
+
+  const createPool = (options = {}) => new RpcPool(Object.keys(nodes), NETWORK, {
+    events,
+    clock,
+    timeout: 1000,
+    maxBlockLag: 5,
+    maxErrorRate: 0.25,
+    quorum: 1,
+    quorumMethods: ['getBalance'],
+    createProvider: url => ({
+      _perform: jest.fn(async req => {
+        const node = nodes[url];
+        clock.advance(node.latency);
+
+        if (node.failure) {
+          throw Object.assign(new Error(node.failure), { code: node.failure === 'revert' ? 'CALL_EXCEPTION' : 'NETWORK_ERROR' });
+        }
+
+        switch (req.method) {
+        case 'chainId':
+          return ethers.toQuantity(node.chainId || NETWORK.chainId);
+        case 'getBlockNumber':
+          return ethers.toQuantity(node.block);
+        case 'getBalance':
+          return ethers.toQuantity(node.balance);
+        default:
+          return '0x';
+        }
+      }),
+    }),
+    ...options,
+  });
+
+  const calls = (pool, index) => pool.endpoints[index].provider._perform.mock.calls.map(([req]) => req);
+
+  test('passa ao próximo endpoint em erro de transporte e avisa o failover', async () => {
+    const pool = createPool();
+
+    expect(await pool.getBlockNumber()).toBe(1000);
+    expect(calls(pool, 0)).toHaveLength(1);
+
+    nodes['https://rpc-a.example/KEY'].failure = 'socket hang up';
+    expect(await pool.getBalance(WALLET)).toBe(10n);
+    expect(calls(pool, 1)).toHaveLength(1);
+    expect(events.emit).toHaveBeenCalledWith('rpc.failover', expect.objectContaining({ from: 'rpc-a.example', to: 'rpc-b.example', reason: 'socket hang up' }));
+
+    // Endpoint fora do ar deixa de receber requisições até voltar no health check
+    await pool._perform({ method: 'getGasPrice' });
+    expect(calls(pool, 0)).toHaveLength(2);
+    expect(calls(pool, 1)).toHaveLength(2);
+
+    // Revert é resposta válida: não troca de endpoint nem conta como erro
+    nodes['https://rpc-b.example/KEY'].failure = 'revert';
+    await expect(pool._perform({ method: 'call', transaction: {}, blockTag: 'latest' })).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(calls(pool, 2)).toHaveLength(0);
+    expect(pool.getMetrics().endpoints[1]).toMatchObject({ active: true, healthy: true, errors: 0 });
+
+    // Broadcast vai só ao endpoint ativo (o NonceManager decide o reenvio)
+    nodes['https://rpc-b.example/KEY'].failure = 'timeout';
+    await expect(pool._perform({ method: 'broadcastTransaction', signedTransaction: '0x01' })).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+    expect(calls(pool, 2).map(req => req.method)).not.toContain('broadcastTransaction');
+
+    // Todos fora do ar: propaga o último erro
+    Object.values(nodes).forEach(node => { node.failure = 'down'; });
+    await expect(pool._perform({ method: 'getGasPrice' })).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+  });
+
+  test('health check mede latência, atraso de blocos e taxa de erro', async () => {
+    const pool = createPool();
+    nodes['https://rpc-a.example/KEY'].block = 990; // 10 blocos atrás
+    nodes['https://rpc-b.example/KEY'].block = 1001;
+    nodes['https://rpc-c.example/KEY'].failure = 'rate limited';
+
+    const metrics = await pool.checkHealth();
+
+    expect(metrics).toMatchObject({ network: 'Arbitrum Mainnet', chainId: 42161, active: 'rpc-b.example' });
+    expect(metrics.endpoints.map(endpoint => endpoint.label)).toEqual(['rpc-a.example', 'rpc-b.example', 'rpc-c.example']);
+    expect(metrics.endpoints[0]).toMatchObject({ healthy: false, blockLag: 11, latencyMs: 50, errorRate: 0 });
+    expect(metrics.endpoints[1]).toMatchObject({ healthy: true, active: true, blockLag: 0, latencyMs: 120 });
+    expect(metrics.endpoints[2]).toMatchObject({ healthy: false, score: 0, errorRate: 1, lastError: 'rate limited' });
+    expect(JSON.stringify(metrics)).not.toContain('KEY');
+
+    // Endpoint atrasado ainda atende quando é o único respondendo
+    nodes['https://rpc-b.example/KEY'].failure = 'down';
+    expect(await pool.getBlockNumber()).toBe(990);
+
+    // Recuperados: volta ao endpoint mais rápido; os que falharam seguem com taxa de erro alta na janela
+    Object.values(nodes).forEach(node => { node.failure = null; node.block = 1002; });
+    pool.start();
+    clock.advance(pool.healthInterval);
+    await new Promise(resolve => setImmediate(resolve));
+    pool.stop();
+
+    expect(pool.getMetrics().active).toBe('rpc-a.example');
+    expect(pool.getMetrics().endpoints.map(endpoint => [endpoint.blockLag, endpoint.healthy, endpoint.errorRate])).toEqual([
+      [0, true, 0],
+      [0, false, 1 / 3],
+      [0, false, 0.5],
+    ]);
+  });
+
+  test('quorum confirma saldos no mesmo bloco e rejeita divergência', async () => {
+    const pool = createPool({ quorum: 2 });
+    nodes['https://rpc-c.example/KEY'].block = 998;
+    await pool.checkHealth();
+
+    // Um endpoint divergente: maioria vence
+    nodes['https://rpc-a.example/KEY'].balance = 11n;
+    expect(await pool.getBalance(WALLET)).toBe(10n);
+
+    // Bloco fixado no mais antigo visto pelos endpoints
+    expect(calls(pool, 0).find(req => req.method === 'getBalance').blockTag).toBe(ethers.toQuantity(998));
+
+    // Sem maioria: erro em vez de um saldo não confirmado
+    nodes['https://rpc-b.example/KEY'].balance = 12n;
+    await expect(pool._perform({ method: 'getBalance', address: WALLET, blockTag: 'latest' })).rejects.toThrow('Quorum RPC não atingido');
+
+    // Métodos fora da lista usam um endpoint só
+    await pool._perform({ method: 'getGasPrice' });
+    expect(calls(pool, 1).filter(req => req.method === 'getGasPrice')).toHaveLength(0);
+
+    expect(createPool({ quorum: 5 }).quorum).toBe(3);
+  });
+
+  test('chainId real de cada endpoint (a rede do pool é estática)', async () => {
+    const pool = createPool();
+    nodes['https://rpc-b.example/KEY'].chainId = 1;
+    nodes['https://rpc-c.example/KEY'].failure = 'down';
+
+    expect(await pool.getChainIds()).toEqual([
+      { label: 'rpc-a.example', chainId: 42161 },
+      { label: 'rpc-b.example', chainId: 1 },
+      { label: 'rpc-c.example', chainId: null, error: 'down' },
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Testes Unitários - Signers (keystore criptografado e signer remoto JSON-RPC)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const { createSigner } = require('../../src/blockchain/signers');
+
+const KEY = new ethers.Wallet('0x' + '2'.repeat(64));
+const TOKEN = 'segredo';
+const TX = {
+  type: 2,
+  chainId: 42161,
+  nonce: 7,
+  to: '0x' + 'a'.repeat(40),
+  data: '0x1234',
+  value: 0n,
+  gasLimit: 200000n,
+  maxFeePerGas: 2n * 10n ** 9n,
+  maxPriorityFeePerGas: 10n ** 8n,
+};
+
+describe('Signers', () => {
+  let server;
+  let url;
+  let requests;
+  let tamper;
+
+  beforeAll(async () => {
+    // Signer remoto fake: eth_accounts e eth_signTransaction com a chave de teste
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        const { id, method, params } = JSON.parse(body);
+        requests.push({ method, params, auth: req.headers.authorization });
+
+        const reply = payload => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+        };
+
+        if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+          return reply({ error: { code: -32001, message: 'não autorizado' } });
+        }
+
+        if (method === 'eth_accounts') {
+          return reply({ result: [KEY.address.toLowerCase()] });
+        }
+
+        const { gas, type, nonce, ...fields } = params[0];
+        const tx = { ...fields, from: undefined, gasLimit: gas, type: Number(type), nonce: Number(nonce) };
+        if (tamper) tx.to = '0x' + 'b'.repeat(40);
+
+        reply({ result: { raw: await KEY.signTransaction(tx), tx } });
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    tamper = false;
+  });
+
+  const remote = (options = {}) => createSigner(null, {
+    signer: 'remote',
+    address: KEY.address,
+    remote: { url, token: TOKEN, timeout: 5000 },
+    ...options,
+  });
+
+  test('signer remoto assina por eth_signTransaction sem a chave local', async () => {
+    const signer = await remote();
+    const signed = await signer.signTransaction({ ...TX, from: KEY.address });
+
+    expect(signed).toBe(await KEY.signTransaction(TX));
+    expect(ethers.Transaction.from(signed).from).toBe(KEY.address);
+
+    const request = requests.find(item => item.method === 'eth_signTransaction');
+    expect(request.auth).toBe(`Bearer ${TOKEN}`);
+    expect(request.params[0]).toMatchObject({ from: KEY.address, gas: '0x30d40', nonce: '0x7', chainId: '0xa4b1', type: '0x2' });
+    expect(request.params[0]).not.toHaveProperty('gasPrice');
+  });
+
+  test('recusa transação alterada, conta alheia e token inválido', async () => {
+    const signer = await remote();
+
+    tamper = true;
+    await expect(signer.signTransaction(TX)).rejects.toThrow('Signer remoto devolveu transação diferente da solicitada');
+    await expect(signer.signTransaction({ ...TX, from: '0x' + 'c'.repeat(40) })).rejects.toThrow('não pertence ao signer remoto');
+
+    await expect(remote({ address: '0x' + 'd'.repeat(40) })).rejects.toThrow('não controla');
+    await expect(remote({ remote: { url, token: 'errado', timeout: 5000 } })).rejects.toThrow('Signer remoto recusou eth_accounts: não autorizado');
+    await expect(remote({ signer: 'hsm' })).rejects.toThrow('SIGNER_TYPE inválido: hsm');
+  });
+
+  test('keystore destravado pela senha do .env ou digitada (uma vez por processo)', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-keystore-'));
+    const json = await ethers.encryptKeystoreJson({ address: KEY.address, privateKey: KEY.privateKey }, 'senha', { scrypt: { N: 1 << 10 } });
+    const files = ['env.json', 'prompt.json', 'errada.json'].map(name => path.join(dir, name));
+    files.forEach(file => fs.writeFileSync(file, json));
+
+    try {
+      const fromEnv = await createSigner(null, { signer: 'keystore', keystore: { file: files[0], password: 'senha' } });
+      expect(fromEnv.address).toBe(KEY.address);
+
+      const prompt = jest.fn(async () => 'senha');
+      const keystore = { file: files[1], password: null };
+      await createSigner(null, { signer: 'keystore', keystore, prompt });
+      await createSigner(null, { signer: 'keystore', keystore, prompt });
+      expect(prompt).toHaveBeenCalledTimes(1);
+
+      await expect(createSigner(null, { signer: 'keystore', keystore: { file: files[2], password: 'outra' } }))
+        .rejects.toThrow(`Falha ao destravar keystore ${files[2]}`);
+      await expect(createSigner(null, { signer: 'keystore', keystore: { file: path.join(dir, 'nada.json'), password: 'senha' } }))
+        .rejects.toThrow('Keystore não encontrado');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
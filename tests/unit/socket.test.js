@@ -0,0 +1,119 @@
+/**
+ * Testes Unitários - Event Stream (Socket.IO)
+ */
+
+const { EventEmitter } = require('events');
+const { EventStream, getTopic } = require('../../src/api/socket');
+const { BotEventEmitter, EVENTS } = require('../../src/core/events');
+
+/**
+ * io/socket falsos: registram salas e emissões
+ */
+function createFakeIo() {
+  const io = new EventEmitter();
+  io.sent = [];
+  io.to = room => ({ emit: (event, payload) => io.sent.push({ room, event, payload }) });
+  io.disconnectSockets = jest.fn();
+  return io;
+}
+
+function createFakeSocket(topics) {
+  const socket = new EventEmitter();
+  socket.id = 'socket-1';
+  socket.handshake = { query: topics ? { topics } : {} };
+  socket.rooms = new Set();
+  socket.join = room => socket.rooms.add(room);
+  socket.leave = room => socket.rooms.delete(room);
+  socket.received = [];
+  const on = socket.emit.bind(socket);
+  socket.emit = (event, payload) => {
+    socket.received.push({ event, payload });
+    return on(event, payload);
+  };
+  return socket;
+}
+
+describe('Event Stream', () => {
+  let events;
+  let io;
+  let stream;
+
+  beforeEach(() => {
+    events = new BotEventEmitter();
+    io = createFakeIo();
+    stream = new EventStream({ events, replaySize: 3 });
+    stream.bind(io);
+  });
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  test('mapeia eventos para tópicos', () => {
+    expect(getTopic(EVENTS.TRADE_EXECUTED)).toBe('trades');
+    expect(getTopic(EVENTS.DRAWDOWN_LEVEL_2)).toBe('risk');
+    expect(getTopic(EVENTS.GAS_TOO_HIGH)).toBe('gas');
+    expect(getTopic(EVENTS.STRATEGY_CHANGED)).toBe('strategy');
+    expect(getTopic(EVENTS.BOT_STARTED)).toBe('bot');
+  });
+
+  test('repassa eventos do bot para a sala do tópico', () => {
+    events.emit(EVENTS.TRADE_EXECUTED, { pair: 'WETH/USDC', amountIn: 10n });
+
+    expect(io.sent).toHaveLength(1);
+    expect(io.sent[0].room).toBe('trades');
+    expect(io.sent[0].event).toBe(EVENTS.TRADE_EXECUTED);
+    expect(io.sent[0].payload.data).toEqual({ pair: 'WETH/USDC', amountIn: '10' });
+    expect(io.sent[0].payload.seq).toBe(1);
+  });
+
+  test('serializa erros emitidos', () => {
+    events.emit(EVENTS.BOT_ERROR, new Error('RPC caiu'));
+
+    expect(io.sent[0].payload.data).toEqual({ name: 'Error', message: 'RPC caiu' });
+  });
+
+  test('cliente entra nas salas da query e recebe replay filtrado', () => {
+    events.emit(EVENTS.TRADE_EXECUTED, { id: 1 });
+    events.emit(EVENTS.GAS_TOO_HIGH, { id: 2 });
+
+    const socket = createFakeSocket('trades,risk');
+    io.emit('connection', socket);
+
+    expect([...socket.rooms]).toEqual(['trades', 'risk']);
+    expect(socket.received[0].event).toBe('replay');
+    expect(socket.received[0].payload.map(e => e.data.id)).toEqual([1]);
+  });
+
+  test('sem tópicos na query assina todos; subscribe/unsubscribe alteram salas', () => {
+    const socket = createFakeSocket();
+    io.emit('connection', socket);
+    expect(socket.rooms.has('gas')).toBe(true);
+
+    socket.emit('unsubscribe', ['gas']);
+    expect(socket.rooms.has('gas')).toBe(false);
+
+    events.emit(EVENTS.GAS_ACCEPTABLE, { id: 3 });
+    socket.emit('subscribe', ['gas']);
+
+    expect(socket.rooms.has('gas')).toBe(true);
+    const replay = socket.received.filter(r => r.event === 'replay').pop();
+    expect(replay.payload.map(e => e.data.id)).toEqual([3]);
+  });
+
+  test('buffer de replay guarda apenas os últimos N eventos', () => {
+    [1, 2, 3, 4, 5].forEach(id => events.emit(EVENTS.TRADE_EXECUTED, { id }));
+
+    expect(stream.getReplay().map(e => e.data.id)).toEqual([3, 4, 5]);
+  });
+
+  test('close remove listeners e desconecta clientes', () => {
+    stream.close();
+
+    expect(events.listenerCount(EVENTS.TRADE_EXECUTED)).toBe(0);
+    expect(io.disconnectSockets).toHaveBeenCalledWith(true);
+
+    events.emit(EVENTS.TRADE_EXECUTED, {});
+    expect(io.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Testes Unitários - Spending Guard (limites de gasto e destinos permitidos antes de assinar)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { SpendingGuard } = require('../../src/blockchain/spending-guard');
+const { WalletManager } = require('../../src/blockchain/wallet');
+const { ROUTER_ABI, ERC20_ABI, encodePath } = require('../../src/blockchain/sushiswap');
+const { VirtualClock } = require('../../src/core/clock');
+const { EVENTS } = require('../../src/core/events');
+const { config } = require('../../src/core/config');
+
+const router = new ethers.Interface(ROUTER_ABI);
+const erc20 = new ethers.Interface(ERC20_ABI);
+const WALLET = ethers.getAddress('0x' + 'a'.repeat(40));
+const ROUTER = config.contracts.arbitrum.router;
+const { WETH, USDC } = config.tokens.arbitrum;
+const HOUR = 60 * 60 * 1000;
+
+// Compra de WETH pagando amountUSD em USDC (exactInputSingle)
+function buy(amountUSD, recipient = WALLET) {
+  return {
+    to: ROUTER,
+    data: router.encodeFunctionData('exactInputSingle', [{
+      tokenIn: USDC.address,
+      tokenOut: WETH.address,
+      fee: 500,
+      recipient,
+      deadline: 0,
+      amountIn: ethers.parseUnits(String(amountUSD), USDC.decimals),
+      amountOutMinimum: 0,
+      sqrtPriceLimitX96: 0,
+    }]),
+  };
+}
+
+// Venda de WETH por USDC (exactInput)
+function sell(amountWETH, recipient = WALLET) {
+  return {
+    to: ROUTER,
+    data: router.encodeFunctionData('exactInput', [{
+      path: encodePath([WETH.address, USDC.address], [500]),
+      recipient,
+      deadline: 0,
+      amountIn: ethers.parseUnits(String(amountWETH), WETH.decimals),
+      amountOutMinimum: 0,
+    }]),
+  };
+}
+
+describe('SpendingGuard', () => {
+  let clock;
+  let events;
+  let storage;
+  let blocked;
+
+  beforeEach(() => {
+    clock = new VirtualClock(Date.parse('2026-01-01T00:00:00Z'));
+    events = new EventEmitter();
+    storage = { addEvent: jest.fn() };
+    blocked = [];
+    events.on(EVENTS.SPENDING_LIMIT_BLOCKED, violation => blocked.push(violation));
+  });
+
+  const createGuard = (options = {}) => new SpendingGuard({
+    enabled: true,
+    maxTradeUSD: 10,
+    maxHourlyUSD: 25,
+    maxDailyUSD: 40,
+    address: WALLET,
+    permit2: null,
+    file: null,
+    clock,
+    events,
+    storage,
+    ...options,
+  });
+
+  test('soma compras por hora e por dia (quote 1:1); vendas não contam', () => {
+    const guard = createGuard();
+
+    expect(guard.authorize(buy(8), { network: 'arbitrum' }).amountUSD).toBe(8);
+    expect(guard.authorize(sell(0.004), { network: 'arbitrum' }).amountUSD).toBe(0);
+    expect(() => guard.authorize(buy(10.5), { network: 'arbitrum' })).toThrow('acima do limite por trade ($10)');
+
+    guard.authorize(buy(8), { network: 'arbitrum' });
+    guard.authorize(buy(8), { network: 'arbitrum' });
+    expect(() => guard.authorize(buy(2), { network: 'arbitrum' })).toThrow('$26.00 na última hora acima do limite ($25)');
+
+    // Próxima hora libera o limite horário, mas o diário segue somando
+    clock.set(clock.now() + HOUR + 1);
+    guard.authorize(buy(10), { network: 'arbitrum' });
+    expect(() => guard.authorize(buy(8), { network: 'arbitrum' })).toThrow('$42.00 nas últimas 24h acima do limite ($40)');
+
+    expect(guard.getStatus().spent).toEqual({ hourUSD: 10, dayUSD: 34 });
+    expect(blocked.map(violation => violation.reason)).toEqual(['trade_limit', 'hourly_limit', 'daily_limit']);
+    expect(storage.addEvent).toHaveBeenCalledWith(EVENTS.SPENDING_LIMIT_BLOCKED, expect.objectContaining({ reason: 'daily_limit', token: 'USDC' }));
+  });
+
+  test('bloqueia destino desconhecido, approve para terceiros, recipient alheio e token não configurado', () => {
+    const guard = createGuard();
+    const stranger = ethers.getAddress('0x' + 'b'.repeat(40));
+
+    expect(() => guard.authorize({ to: stranger, data: '0x' }, { network: 'arbitrum' })).toThrow('não é o router nem token configurado');
+    expect(() => guard.authorize({ to: USDC.address, data: erc20.encodeFunctionData('approve', [stranger, 1n]) }, { network: 'arbitrum' }))
+      .toThrow('só é permitido como approve para o router');
+    expect(() => guard.authorize(buy(1, stranger), { network: 'arbitrum' })).toThrow(`resultado para ${stranger}`);
+    expect(() => guard.authorize({ ...buy(1), value: 1n }, { network: 'arbitrum' })).toThrow('moeda nativa');
+
+    // Venda fica fora dos limites, mas não do recipient nem dos tokens configurados
+    expect(() => guard.authorize(sell(0.001, stranger), { network: 'arbitrum' })).toThrow(`resultado para ${stranger}`);
+    const unknownSell = {
+      to: ROUTER,
+      data: router.encodeFunctionData('exactInputSingle', [{
+        tokenIn: stranger,
+        tokenOut: USDC.address,
+        fee: 500,
+        recipient: WALLET,
+        deadline: 0,
+        amountIn: 1n,
+        amountOutMinimum: 0,
+        sqrtPriceLimitX96: 0,
+      }]),
+    };
+    expect(() => guard.authorize(unknownSell, { network: 'arbitrum' })).toThrow(`tokenIn ${stranger} não configurado`);
+
+    // Approve para o router e cancelamento (0 para a própria wallet) não contam como gasto
+    expect(guard.authorize({ to: USDC.address, data: erc20.encodeFunctionData('approve', [ROUTER, 1n]) }, { network: 'arbitrum' }).amountUSD).toBe(0);
+    expect(guard.authorize({ to: WALLET, data: '0x' }, { network: 'arbitrum' }).amountUSD).toBe(0);
+    expect(() => guard.authorize({ to: WALLET, data: '0x01' }, { network: 'arbitrum' })).toThrow('não é o router nem token configurado');
+
+    expect(blocked.map(violation => violation.reason)).toEqual(['unknown_target', 'token_call', 'recipient', 'native_value', 'recipient', 'unknown_token', 'unknown_target']);
+  });
+
+  test('stop-loss vende mesmo com o limite diário esgotado pelas compras', async () => {
+    const nonceManager = { send: jest.fn(async () => ({ hash: '0x' + '1'.repeat(64), nonce: 0 })) };
+    const guard = createGuard({ maxHourlyUSD: 0, maxDailyUSD: 20 });
+    const wallet = new WalletManager({ providerManager: { currentNetwork: 'arbitrum' }, nonceManager, spendingGuard: guard });
+
+    await wallet.sendTransaction(buy(10), { label: 'buy WETH/USDC' });
+    await wallet.sendTransaction(buy(10), { label: 'buy WETH/USDC' });
+    await expect(wallet.sendTransaction(buy(1), { label: 'buy WETH/USDC' })).rejects.toMatchObject({ code: 'SPENDING_BLOCKED' });
+
+    // Sem preço coletado e com o dia esgotado, a saída da posição ainda é assinada
+    await wallet.sendTransaction(sell(0.008), { label: 'sell WETH/USDC' });
+    expect(nonceManager.send).toHaveBeenCalledTimes(3);
+    expect(guard.getStatus().spent.dayUSD).toBe(20);
+    expect(blocked.map(violation => violation.reason)).toEqual(['daily_limit']);
+  });
+
+  test('speed-up com swap remontado passa pelo guard e substitui o gasto do mesmo nonce', async () => {
+    const pending = { chainId: 42161, nonce: 3, from: WALLET, to: ROUTER, value: '0', label: 'buy WETH/USDC', hash: null };
+    const nonceManager = {
+      send: jest.fn(async () => {
+        pending.hash = '0x' + '1'.repeat(64);
+        return { hash: pending.hash, nonce: 3 };
+      }),
+      getChainId: async () => 42161,
+      getTransaction: (nonce, chainId) => (nonce === 3 && chainId === 42161 ? pending : null),
+      speedUp: jest.fn(async () => {
+        pending.hash = '0x' + '2'.repeat(64);
+        return { hash: pending.hash, nonce: 3 };
+      }),
+      cancel: jest.fn(async () => ({ hash: '0x' + '3'.repeat(64), nonce: 3 })),
+    };
+    const guard = createGuard();
+    const wallet = new WalletManager({ providerManager: { currentNetwork: 'arbitrum' }, nonceManager, spendingGuard: guard });
+
+    await wallet.sendTransaction(buy(9), { label: 'buy WETH/USDC' });
+    await wallet.sendTransaction(buy(9), { label: 'buy WETH/USDC' });
+
+    // Calldata novo acima do limite por trade: não assina a substituição
+    await expect(wallet.speedUpTransaction(3, { chainId: 42161, data: buy(12).data })).rejects.toMatchObject({ code: 'SPENDING_BLOCKED' });
+    expect(nonceManager.speedUp).not.toHaveBeenCalled();
+
+    // $18 na hora + $10 passaria de $25, mas o gasto do nonce 3 ($9) é trocado pelo da substituta
+    await wallet.speedUpTransaction(3, { chainId: 42161, data: buy(10).data });
+    expect(nonceManager.speedUp).toHaveBeenCalledWith(3, expect.objectContaining({ data: buy(10).data }));
+    expect(guard.getStatus().spent).toEqual({ hourUSD: 19, dayUSD: 19 });
+    expect(guard.spends.map(spend => spend.hash)).toEqual(['0x' + '1'.repeat(64), '0x' + '2'.repeat(64)]);
+
+    // Recipient alheio no swap remontado também é recusado
+    const stranger = ethers.getAddress('0x' + 'b'.repeat(40));
+    await expect(wallet.speedUpTransaction(3, { chainId: 42161, data: buy(1, stranger).data })).rejects.toThrow(`resultado para ${stranger}`);
+
+    // Cancelamento passa pelo guard sem contar como gasto (a original ainda pode minerar)
+    await wallet.cancelTransaction(3, { chainId: 42161 });
+    expect(nonceManager.cancel).toHaveBeenCalledWith(3, { chainId: 42161 });
+    expect(guard.getStatus().spent.hourUSD).toBe(19);
+    expect(blocked.map(violation => violation.reason)).toEqual(['trade_limit', 'recipient']);
+  });
+
+  test('arquivo de gastos corrompido bloqueia todo envio até ser corrigido', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-spending-'));
+    const file = path.join(dir, 'spending.json');
+
+    try {
+      fs.writeFileSync(file, '[{"timestamp": 1, "amountUSD"', 'utf8');
+      const guard = createGuard({ file });
+
+      expect(() => guard.authorize(buy(1), { network: 'arbitrum', label: 'buy WETH/USDC' })).toThrow(`gastos salvos em ${file} ilegíveis`);
+      expect(() => guard.authorize(buy(1), { network: 'arbitrum' })).toThrow('ilegíveis');
+      expect(fs.readFileSync(file, 'utf8')).toBe('[{"timestamp": 1, "amountUSD"'); // não sobrescreve o histórico
+      expect(blocked[0]).toMatchObject({ reason: 'spending_file', network: 'arbitrum', label: 'buy WETH/USDC' });
+
+      // JSON válido mas sem o formato esperado também falha fechado
+      fs.writeFileSync(file, JSON.stringify({ spends: [] }), 'utf8');
+      expect(() => createGuard({ file }).authorize(buy(1), { network: 'arbitrum' })).toThrow('esperada uma lista');
+
+      // Corrigido o arquivo, o guard volta a liberar
+      fs.writeFileSync(file, '[]', 'utf8');
+      expect(guard.authorize(buy(1), { network: 'arbitrum' }).amountUSD).toBe(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('WalletManager não assina envio bloqueado e o limite diário sobrevive ao reinício', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-spending-'));
+    const file = path.join(dir, 'spending.json');
+
+    try {
+      const nonceManager = { send: jest.fn(async () => ({ hash: '0x' + '1'.repeat(64), nonce: 0 })) };
+      const wallet = new WalletManager({
+        providerManager: { currentNetwork: 'arbitrum' },
+        nonceManager,
+        spendingGuard: createGuard({ file }),
+      });
+
+      await wallet.sendTransaction(buy(10), { label: 'buy WETH/USDC' });
+      await expect(wallet.sendTransaction(buy(11), { label: 'buy WETH/USDC' })).rejects.toMatchObject({ code: 'SPENDING_BLOCKED' });
+      expect(nonceManager.send).toHaveBeenCalledTimes(1);
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([
+        expect.objectContaining({ network: 'arbitrum', label: 'buy WETH/USDC', amountUSD: 10, hash: '0x' + '1'.repeat(64) }),
+      ]);
+
+      // Após reiniciar, os $10 já gastos contam no limite diário ($25)
+      const restarted = createGuard({ file, maxHourlyUSD: 0, maxDailyUSD: 25 });
+      clock.set(clock.now() + 2 * HOUR);
+      restarted.authorize(buy(10), { network: 'arbitrum' });
+      expect(() => restarted.authorize(buy(10), { network: 'arbitrum' })).toThrow('$30.00 nas últimas 24h acima do limite ($25)');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -15,6 +15,8 @@ describe('Storage Manager', () => {
   });
 
   afterEach(() => {
+    jest.useRealTimers();
+
     // Limpa ciclo de teste se existir
     if (testCycleId && storage.currentCycleFile && fs.existsSync(storage.currentCycleFile)) {
       fs.unlinkSync(storage.currentCycleFile);
@@ -39,6 +41,14 @@ describe('Storage Manager', () => {
     expect(cycle.totalTrades).toBe(0);
   });
 
+  test('deve marcar ciclo paper como simulado', () => {
+    const cycle = storage.startNewCycle('arbitrum', 'grid', { simulated: true });
+    testCycleId = cycle.cycleId;
+
+    expect(cycle.simulated).toBe(true);
+    expect(cycle.executionMode).toBe('paper');
+  });
+
   test('deve adicionar trade ao ciclo', () => {
     const cycle = storage.startNewCycle('arbitrum', 'grid');
     testCycleId = cycle.cycleId;
@@ -59,6 +69,9 @@ describe('Storage Manager', () => {
   });
 
   test('deve finalizar ciclo corretamente', () => {
+    // Relógio falso: ciclo iniciado e finalizado no mesmo segundo teria duração 0
+    jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') });
+
     const cycle = storage.startNewCycle('arbitrum', 'grid');
     testCycleId = cycle.cycleId;
 
@@ -73,11 +86,13 @@ describe('Storage Manager', () => {
       pnl: 5,
     });
 
+    jest.advanceTimersByTime(90 * 1000);
     const finalized = storage.finalizeCycle();
 
     expect(finalized).toBeDefined();
     expect(finalized.endTime).toBeDefined();
     expect(finalized.durationSeconds).toBeGreaterThan(0);
+    expect(finalized.durationSeconds).toBe(90);
     expect(finalized.pnl).toBeDefined();
   });
 
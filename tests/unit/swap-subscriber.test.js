@@ -0,0 +1,144 @@
+/**
+ * Testes Unitários - Swap Subscriber (WebSocket + fallback eth_getLogs)
+ */
+
+const { ethers } = require('ethers');
+const { SwapSubscriber, SWAP_TOPIC } = require('../../src/data/swap-subscriber');
+const { VirtualClock } = require('../../src/core/clock');
+const { config } = require('../../src/core/config');
+const sushiswap = require('../../src/blockchain/sushiswap');
+
+const POOL = ethers.getAddress('0x' + 'b2'.repeat(20));
+const { WETH, USDC } = config.tokens.arbitrum;
+
+const sqrtPriceFor = price => BigInt(Math.round(Math.sqrt(price * 1e6 / 1e18) * 2 ** 96));
+
+/**
+ * Log Swap (amount0 = WETH, amount1 = USDC) no formato do ethers
+ */
+const swapLog = ({ block, index = 0, weth, usdc, price }) => {
+  const { data, topics } = sushiswap.poolInterface.encodeEventLog('Swap', [
+    POOL, POOL, ethers.parseUnits(weth, 18), ethers.parseUnits(usdc, 6), sqrtPriceFor(price), 10n ** 18n, 0,
+  ]);
+  return { address: POOL, data, topics, blockNumber: block, index, transactionHash: `0x${String(block).padStart(64, '0')}` };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SwapSubscriber', () => {
+  let chain;
+  let provider;
+  let clock;
+  let trades;
+  let collector;
+
+  beforeEach(() => {
+    chain = { block: 100, logs: [] };
+    provider = {
+      getBlockNumber: jest.fn(async () => chain.block),
+      getLogs: jest.fn(async filter => chain.logs.filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)),
+    };
+    clock = new VirtualClock(Date.parse('2025-11-10T00:00:00.000Z'));
+    trades = [];
+    collector = {
+      resolvePool: jest.fn(async () => ({
+        address: POOL,
+        base: { symbol: 'WETH', ...WETH },
+        quote: { symbol: 'USDC', ...USDC },
+        baseIsToken0: true,
+      })),
+    };
+  });
+
+  const createSubscriber = (options = {}) => new SwapSubscriber({
+    providerManager: { currentNetwork: 'arbitrum', getProvider: () => provider },
+    collector,
+    clock,
+    pollInterval: 3000,
+    maxBlockRange: 50,
+    onTrade: trade => trades.push(trade),
+    ...options,
+  });
+
+  test('polling de eth_getLogs entrega trades com preço, lado e volume móvel', async () => {
+    const subscriber = createSubscriber({ wsUrl: null });
+    expect(await subscriber.start(['WETH/USDC'])).toBe('polling');
+
+    chain.block = 180;
+    chain.logs.push(
+      swapLog({ block: 120, weth: '-1', usdc: '2500', price: 2500 }),
+      swapLog({ block: 175, weth: '0.5', usdc: '-1260', price: 2520 }),
+    );
+
+    clock.advance(3000);
+    await flush();
+
+    expect(provider.getLogs).toHaveBeenCalledWith({ address: [POOL], topics: [SWAP_TOPIC], fromBlock: 101, toBlock: 150 });
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 151, toBlock: 180 }));
+
+    expect(trades).toHaveLength(2);
+    expect(trades[0]).toMatchObject({ pair: 'WETH/USDC', side: 'buy', amountBase: 1, amountQuote: 2500, rollingVolume: 2500 });
+    expect(trades[0].price).toBeCloseTo(2500, 4);
+    expect(trades[1]).toMatchObject({ side: 'sell', amountQuote: 1260, rollingVolume: 3760 });
+    expect(subscriber.getHistory('WETH/USDC')).toHaveLength(2);
+
+    // Sem blocos novos não há consulta de logs
+    provider.getLogs.mockClear();
+    clock.advance(3000);
+    await flush();
+    expect(provider.getLogs).not.toHaveBeenCalled();
+
+    await subscriber.stop();
+    expect(clock.timers.size).toBe(0);
+  });
+
+  test('WebSocket entrega eventos e cai para polling sem duplicar logs', async () => {
+    const listeners = {};
+    const wsProvider = {
+      getBlockNumber: jest.fn(async () => 100),
+      on: jest.fn(async (filter, listener) => { listeners[typeof filter === 'string' ? filter : 'swap'] = listener; }),
+      removeAllListeners: jest.fn(async () => {}),
+      destroy: jest.fn(async () => {}),
+    };
+
+    const subscriber = createSubscriber({ wsUrl: 'ws://localhost:8546', createWebSocketProvider: () => wsProvider });
+    expect(await subscriber.start(['WETH/USDC'])).toBe('websocket');
+    expect(wsProvider.on).toHaveBeenCalledWith({ address: [POOL], topics: [SWAP_TOPIC] }, expect.any(Function));
+
+    const first = swapLog({ block: 101, index: 0, weth: '-1', usdc: '2500', price: 2500 });
+    listeners.swap(first);
+    await flush();
+    expect(trades).toHaveLength(1);
+
+    // Queda do WebSocket: polling recomeça no último bloco visto
+    await listeners.error(new Error('socket hang up'));
+    expect(subscriber.mode).toBe('polling');
+    expect(wsProvider.destroy).toHaveBeenCalled();
+
+    chain.block = 103;
+    chain.logs.push(first, swapLog({ block: 101, index: 1, weth: '0.2', usdc: '-499', price: 2495 }));
+    clock.advance(3000);
+    await flush();
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 101, toBlock: 103 }));
+    expect(trades.map(trade => trade.logIndex)).toEqual([0, 1]);
+
+    await subscriber.stop();
+  });
+
+  test('WebSocket indisponível inicia direto em polling', async () => {
+    const subscriber = createSubscriber({
+      wsUrl: 'ws://localhost:1',
+      createWebSocketProvider: () => ({
+        getBlockNumber: jest.fn(async () => { throw new Error('ECONNREFUSED'); }),
+        removeAllListeners: jest.fn(async () => {}),
+        destroy: jest.fn(async () => {}),
+      }),
+    });
+
+    expect(await subscriber.start(['WETH/USDC'])).toBe('polling');
+    expect(subscriber.lastBlock).toBe(100);
+
+    await subscriber.stop();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Testes Unitários - Token Universe (whitelist/blacklist no fluxo de trade)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenUniverse } = require('../../src/analysis/token-universe');
+const { saveLists, getListsFile } = require('../../src/analysis/whitelist');
+const { StrategyManager } = require('../../src/strategies/manager');
+const { TradeExecutor } = require('../../src/execution/executor');
+const { botEvents, EVENTS } = require('../../src/core/events');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const BASE_WETH = '0x4200000000000000000000000000000000000006';
+
+const lists = (whitelist, blacklist = []) => ({ week: '2025-W46', network: 'arbitrum', whitelist, blacklist, unverified: [] });
+
+describe('Token Universe', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-universe-'));
+    file = path.join(dir, 'whitelist.json');
+  });
+
+  afterEach(() => {
+    botEvents.removeAllListeners(EVENTS.WHITELIST_UPDATED);
+    botEvents.removeAllListeners(EVENTS.TRADE_CANCELLED);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('sem arquivo de listas tudo é permitido', () => {
+    const universe = new TokenUniverse({ file, network: 'arbitrum', enforce: true });
+    universe.load();
+
+    expect(universe.isActive()).toBe(false);
+    expect(universe.isPairAllowed('WETH/USDC')).toBe(true);
+    expect(universe.isBlacklisted('WETH/USDC')).toBe(false);
+  });
+
+  test('compara tokens configurados por endereço e os demais por símbolo', () => {
+    saveLists(lists(
+      [{ symbol: 'WETH', address: WETH.toLowerCase() }, { symbol: 'arb', address: '0xarb' }],
+      [{ symbol: 'SCAM', address: '0xscam', reasons: ['min_marketCap'] }, { symbol: 'USDT', address: '0xfake' }],
+    ), file);
+
+    const universe = new TokenUniverse({ file, network: 'arbitrum', enforce: true });
+    universe.load();
+
+    expect(universe.isPairAllowed('WETH/USDC')).toBe(true);
+    expect(universe.isPairAllowed('ARB/USDC')).toBe(true);
+    expect(universe.isPairAllowed('SCAM/USDC')).toBe(false);
+    expect(universe.isBlacklisted('SCAM/WETH')).toBe(true);
+    // Homônimo com outro endereço não bloqueia o USDT configurado
+    expect(universe.isBlacklisted('USDT/USDC')).toBe(false);
+
+    const otherNetwork = new TokenUniverse({ file, network: 'base', enforce: true });
+    otherNetwork.load();
+    expect(otherNetwork.isActive()).toBe(false);
+
+    const disabled = new TokenUniverse({ file, network: 'arbitrum', enforce: false });
+    disabled.load();
+    expect(disabled.isPairAllowed('SCAM/USDC')).toBe(true);
+  });
+
+  test('recarrega listas quando o arquivo muda', async () => {
+    saveLists(lists([{ symbol: 'ARB', address: '0xarb' }]), file);
+
+    const universe = new TokenUniverse({ file, network: 'arbitrum', enforce: true, watchInterval: 20 });
+    universe.watch();
+    expect(universe.isPairAllowed('GMX/USDC')).toBe(false);
+
+    const updated = new Promise(resolve => botEvents.once(EVENTS.WHITELIST_UPDATED, resolve));
+    // mtime diferente garante detecção mesmo em sistemas de arquivos com resolução de 1s
+    saveLists(lists([{ symbol: 'GMX', address: '0xgmx' }]), file);
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+    const summary = await updated;
+    universe.unwatch();
+
+    expect(summary.whitelist).toEqual(['GMX']);
+    expect(universe.isPairAllowed('GMX/USDC')).toBe(true);
+    expect(universe.isPairAllowed('ARB/USDC')).toBe(false);
+  });
+
+  test('StrategyManager ignora pares fora da whitelist sem posição aberta', async () => {
+    saveLists(lists([{ symbol: 'ARB', address: '0xarb' }]), file);
+    const universe = new TokenUniverse({ file, network: 'arbitrum', enforce: true });
+    universe.load();
+
+    const manager = new StrategyManager({ universe, defaultStrategy: 'grid' });
+    manager.selectStrategy('grid');
+    const analyze = jest.spyOn(manager.currentStrategy, 'analyze').mockResolvedValue({ action: 'hold' });
+
+    expect(await manager.analyze({ pair: 'WETH/USDC', price: 2500 })).toBeNull();
+    expect(analyze).not.toHaveBeenCalled();
+
+    // Com posição aberta a estratégia continua gerindo a saída
+    manager.currentStrategy.updatePosition({ pair: 'WETH/USDC', entryPrice: 2500 });
+    jest.spyOn(manager.currentStrategy, 'canTrade').mockReturnValue(true);
+    expect(await manager.analyze({ pair: 'WETH/USDC', price: 2500 })).toEqual({ action: 'hold' });
+  });
+
+  test('executor cancela compra de token na blacklist e libera a venda', async () => {
+    saveLists(lists([], [{ symbol: 'WETH', address: WETH.toLowerCase(), reasons: ['min_volume24h'] }]), file);
+    const universe = new TokenUniverse({ file, network: 'arbitrum', enforce: true });
+    universe.load();
+
+    const executor = new TradeExecutor({ universe, mode: 'paper', providerManager: { currentNetwork: 'arbitrum' } });
+    const simulate = jest.spyOn(executor, 'simulate').mockResolvedValue({ success: true });
+    const cancelled = jest.fn();
+    botEvents.on(EVENTS.TRADE_CANCELLED, cancelled);
+
+    const buy = await executor.execute({ pair: 'WETH/USDC', side: 'buy', price: 2500, amountUSD: 10, amountToken: 0.004 });
+    expect(buy).toMatchObject({ success: false, cancelled: true, error: 'token_blacklisted' });
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ reason: 'token_blacklisted' }));
+
+    const sell = await executor.execute({ pair: 'WETH/USDC', side: 'sell', price: 2500, amountUSD: 10, amountToken: 0.004 });
+    expect(sell.success).toBe(true);
+    expect(simulate).toHaveBeenCalledTimes(1);
+  });
+
+  test('universo por rede: arquivo próprio e endereços da própria rede', () => {
+    expect(getListsFile('arbitrum')).toBe(new TokenUniverse().file);
+    expect(getListsFile('base')).toMatch(/\.base\.json$/);
+
+    const baseFile = path.join(dir, 'whitelist.base.json');
+    saveLists({ ...lists([{ symbol: 'WETH', address: BASE_WETH.toLowerCase() }]), network: 'base' }, baseFile);
+    saveLists(lists([{ symbol: 'ARB', address: '0xarb' }]), file);
+
+    const base = new TokenUniverse({ file: baseFile, network: 'base', enforce: true });
+    const arbitrum = new TokenUniverse({ file, network: 'arbitrum', enforce: true });
+    base.load();
+    arbitrum.load();
+
+    // WETH da Base casa pelo endereço da Base; a lista da Arbitrum não vale para ela
+    expect(base.isPairAllowed('WETH/USDC')).toBe(true);
+    expect(arbitrum.isPairAllowed('WETH/USDC')).toBe(false);
+    expect(arbitrum.isPairAllowed('ARB/USDC')).toBe(true);
+  });
+});
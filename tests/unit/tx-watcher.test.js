@@ -0,0 +1,168 @@
+/**
+ * Testes Unitários - Transaction Watcher (swaps parados no mempool)
+ */
+
+const { TransactionWatcher } = require('../../src/execution/tx-watcher');
+
+const GWEI = 10n ** 9n;
+const FEES = { medium: GWEI, high: 2n * GWEI, urgent: 4n * GWEI };
+
+describe('TransactionWatcher', () => {
+  let record;
+  let nonceManager;
+  let walletManager;
+  let gasManager;
+  let events;
+  let onCheck;
+
+  // Swap enviado (saída em unidades fictícias): mínimo aceito 39
+  const order = { pair: 'WETH/USDC', side: 'buy', price: 2500, amountUSD: 100 };
+  const swap = { expectedOut: 40n, amountOutMinimum: 39n, tx: { data: '0x01' } };
+  const rebuild = jest.fn();
+
+  beforeEach(() => {
+    record = { chainId: 42161, nonce: 7, status: 'pending', hash: '0xa0', gasLimit: '200000' };
+    onCheck = () => {};
+    let replacements = 0;
+
+    nonceManager = {
+      check: jest.fn(async () => onCheck()),
+      getChainId: async () => 42161,
+      getTransaction: () => record,
+      speedUp: jest.fn(async () => {
+        record.hash = `0xb${++replacements}`;
+        return { hash: record.hash, nonce: 7 };
+      }),
+      cancel: jest.fn(async () => {
+        record.hash = '0xc0';
+        return { hash: record.hash, nonce: 7 };
+      }),
+      getProvider: () => ({ getTransactionReceipt: async hash => ({ hash, status: 1 }) }),
+    };
+
+    // Substituições passam pelo WalletManager (SpendingGuard) e chegam ao NonceManager
+    walletManager = {
+      speedUpTransaction: jest.fn((nonce, options) => nonceManager.speedUp(nonce, options)),
+      cancelTransaction: jest.fn((nonce, options) => nonceManager.cancel(nonce, options)),
+    };
+
+    gasManager = {
+      getGasTrend: jest.fn(() => 'stable'),
+      optimizeGasSettings: jest.fn(async (tx, level) => ({ ...tx, maxFeePerGas: FEES[level], maxPriorityFeePerGas: FEES[level] / 10n })),
+      calculateMaxGas: (amountUSD, nativePriceUSD) => (amountUSD * 0.02) / nativePriceUSD, // 2% do trade
+    };
+
+    events = { emit: jest.fn() };
+
+    rebuild.mockReset();
+    rebuild.mockImplementation(async () => ({ expectedOut: 40n, amountOutMinimum: 39n, tx: { data: `0x0${rebuild.mock.calls.length + 1}` } }));
+  });
+
+  const createWatcher = () => new TransactionWatcher({ nonceManager, walletManager, gasManager, events, timeout: 5, pollInterval: 1 });
+  const stuck = () => createWatcher().handleStuck({ order, swap, txResponse: { hash: '0xa0', nonce: 7, chainId: 42161 }, nativePriceUSD: 2500, rebuild });
+
+  test('nível seguinte segue a tendência do gas', () => {
+    const watcher = createWatcher();
+
+    expect(watcher.getNextLevel('medium', 'stable', false)).toBe('high');
+    expect(watcher.getNextLevel('medium', 'insufficient_data', false)).toBe('high');
+    expect(watcher.getNextLevel('medium', 'rising', false)).toBe('urgent');
+    expect(watcher.getNextLevel('high', 'rising', false)).toBe('urgent');
+    expect(watcher.getNextLevel('medium', 'falling', false)).toBeNull();
+    expect(watcher.getNextLevel('medium', 'falling', true)).toBe('high');
+  });
+
+  test('reenvia medium → high → urgent com swap remontado até minerar', async () => {
+    // Minera quando o segundo reenvio (urgent) está no mempool
+    onCheck = () => {
+      if (nonceManager.speedUp.mock.calls.length === 2) record.status = 'confirmed';
+    };
+
+    const outcome = await stuck();
+
+    expect(nonceManager.speedUp.mock.calls.map(([, options]) => options.fees.maxFeePerGas)).toEqual([FEES.high, FEES.urgent]);
+    expect(nonceManager.speedUp.mock.calls.map(([, options]) => options.data)).toEqual(['0x02', '0x03']);
+    expect(outcome).toMatchObject({ status: 'confirmed', hash: '0xb2', level: 'urgent', replacements: 2, receipt: { hash: '0xb2', status: 1 } });
+    expect(outcome.swap.tx.data).toBe('0x03');
+    expect(events.emit).toHaveBeenCalledWith('tx.stuck', expect.objectContaining({ nonce: 7, level: 'medium', trend: 'stable' }));
+    expect(nonceManager.cancel).not.toHaveBeenCalled();
+  });
+
+  test('gas em queda aguarda um intervalo antes de subir a prioridade', async () => {
+    gasManager.getGasTrend.mockReturnValue('falling');
+    onCheck = () => {
+      if (nonceManager.check.mock.calls.length >= 3) record.status = 'confirmed';
+    };
+
+    const outcome = await stuck();
+
+    expect(outcome).toMatchObject({ status: 'confirmed', hash: '0xa0', level: 'medium', replacements: 0 });
+    expect(outcome.swap).toBe(swap);
+    expect(nonceManager.speedUp).not.toHaveBeenCalled();
+  });
+
+  test('cancela quando o gas novo supera a vantagem ou a cotação saiu do mínimo', async () => {
+    // 300k gas × 4 gwei × $2500 = $3 > 2% de $100 (urgent direto com gas em alta)
+    record.gasLimit = '300000';
+    gasManager.getGasTrend.mockReturnValue('rising');
+    onCheck = () => {
+      if (nonceManager.cancel.mock.calls.length > 0) record.status = 'cancelled';
+    };
+
+    const expensive = await stuck();
+    expect(expensive).toMatchObject({ status: 'cancelled', reason: 'gas_exceeds_edge', hash: '0xc0', receipt: null });
+    expect(nonceManager.cancel).toHaveBeenCalledWith(7, expect.objectContaining({ fees: expect.objectContaining({ maxFeePerGas: FEES.urgent }) }));
+    expect(nonceManager.speedUp).not.toHaveBeenCalled();
+
+    // Preço andou contra: cotação nova abaixo do amountOutMinimum original
+    record = { ...record, status: 'pending', hash: '0xa0', gasLimit: '200000' };
+    nonceManager.cancel.mockClear();
+    gasManager.getGasTrend.mockReturnValue('stable');
+    rebuild.mockImplementation(async () => ({ expectedOut: 38n, amountOutMinimum: 37n, tx: { data: '0x09' } }));
+
+    const moved = await stuck();
+    expect(moved).toMatchObject({ status: 'cancelled', reason: 'price_moved' });
+
+    // Cancelamento perdeu a corrida: o swap minerou antes e o resultado traz o receipt
+    record = { ...record, status: 'pending', hash: '0xa0' };
+    nonceManager.cancel.mockClear();
+    nonceManager.cancel.mockImplementationOnce(async () => ({ hash: '0xc1', nonce: 7 }));
+    onCheck = () => {
+      if (nonceManager.cancel.mock.calls.length > 0) record.status = 'confirmed';
+    };
+
+    const raced = await stuck();
+    expect(raced).toMatchObject({ status: 'confirmed', hash: '0xa0', swap, receipt: { status: 1 } });
+  });
+
+  test('cancela quando o SpendingGuard bloqueia o swap remontado', async () => {
+    walletManager.speedUpTransaction.mockRejectedValueOnce(Object.assign(new Error('Envio bloqueado pelo limite de gastos'), { code: 'SPENDING_BLOCKED' }));
+    onCheck = () => {
+      if (nonceManager.cancel.mock.calls.length > 0) record.status = 'cancelled';
+    };
+
+    const outcome = await stuck();
+
+    expect(walletManager.speedUpTransaction).toHaveBeenCalledWith(7, expect.objectContaining({ data: '0x02', label: 'buy WETH/USDC' }));
+    expect(nonceManager.speedUp).not.toHaveBeenCalled();
+    expect(walletManager.cancelTransaction).toHaveBeenCalledWith(7, expect.objectContaining({ chainId: 42161 }));
+    expect(outcome).toMatchObject({ status: 'cancelled', reason: 'spending_blocked', replacements: 0 });
+  });
+
+  test('desiste no nível urgent quando nem ele minera', async () => {
+    onCheck = () => {
+      if (nonceManager.cancel.mock.calls.length > 0) record.status = 'cancelled';
+    };
+
+    const outcome = await createWatcher().handleStuck({
+      order: { ...order, priority: 'urgent' },
+      swap,
+      txResponse: { hash: '0xa0', nonce: 7, chainId: 42161 },
+      nativePriceUSD: 2500,
+      rebuild,
+    });
+
+    expect(outcome).toMatchObject({ status: 'cancelled', reason: 'max_priority' });
+    expect(rebuild).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Testes Unitários - Análise Semanal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  TokenScanner,
+  SubgraphSource,
+  calculateDailyVolatility,
+  scoreToken,
+} = require('../../src/analysis/token-scanner');
+const { classifyTokens, saveLists, loadLists } = require('../../src/analysis/whitelist');
+const { getIsoWeek, buildWeeklyReport, saveWeeklyReport } = require('../../src/analysis/weekly-report');
+
+const NOW = Date.parse('2025-11-10T12:00:00.000Z');
+const DAY = 86400;
+const today = Math.floor(Date.parse('2025-11-10T00:00:00.000Z') / 1000);
+
+const token = (id, symbol) => ({ id, symbol, name: symbol, decimals: '18' });
+
+/**
+ * Dias do subgraph (mais recente primeiro; o primeiro é o dia corrente, incompleto)
+ */
+const days = (volumeUSD, high, low) => [0, 1, 2, 3].map(i => ({
+  date: String(today - i * DAY),
+  volumeUSD: String(i === 0 ? 1 : volumeUSD),
+  tvlUSD: '0',
+  open: '1',
+  high: String(high),
+  low: String(low),
+  close: '1',
+}));
+
+// Resposta do subgraph (schema Uniswap V3 usado pelo SushiSwap V3)
+const FIXTURE = {
+  data: {
+    pools: [
+      {
+        id: '0xPOOL1',
+        feeTier: '500',
+        createdAtTimestamp: String(today - 200 * DAY),
+        totalValueLockedUSD: '2000000',
+        token0: token('0xARB', 'ARB'),
+        token1: token('0xUSDC', 'USDC'),
+        poolDayData: days(400000, 1.1, 1.0),
+      },
+      {
+        id: '0xPOOL2',
+        feeTier: '3000',
+        createdAtTimestamp: String(today - 3 * DAY),
+        totalValueLockedUSD: '90000',
+        token0: token('0xSCAM', 'SCAM'),
+        token1: token('0xWETH', 'WETH'),
+        poolDayData: days(50000, 1.5, 1.0),
+      },
+    ],
+  },
+};
+
+describe('Análise Semanal', () => {
+  let server;
+  let url;
+  let requests;
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(FIXTURE));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/graphql`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('volatilidade diária independe do lado do pool', () => {
+    expect(calculateDailyVolatility([{ high: 1.1, low: 1.0 }])).toBeCloseTo(0.1);
+    expect(calculateDailyVolatility([{ high: 1 / 1.0, low: 1 / 1.1 }])).toBeCloseTo(0.1);
+    expect(calculateDailyVolatility([{ high: 0, low: 0 }])).toBeNull();
+  });
+
+  test('score usa pesos configurados (0-100)', () => {
+    const criteria = {
+      minLiquidity: 100, minVolume24h: 100, minVolatility: 0.05, minMarketCap: 100, minPoolAge: 10,
+      scoreWeights: { liquidity: 0.5, volume: 0.5, volatility: 0, age: 0, marketCap: 0 },
+    };
+
+    expect(scoreToken({ liquidity: 1000, volume24h: 1000 }, criteria).score).toBe(100);
+    expect(scoreToken({ liquidity: 100, volume24h: 100 }, criteria).score).toBe(50);
+    expect(scoreToken({ liquidity: 0, volume24h: null }, criteria).score).toBe(0);
+  });
+
+  test('scanner lê pools do servidor GraphQL e classifica tokens', async () => {
+    const scanner = new TokenScanner({
+      network: 'arbitrum',
+      source: new SubgraphSource({ url }),
+      marketData: { fetchMarketCaps: async () => new Map([['0xarb', 1e9], ['0xscam', 1e5]]) },
+      now: () => NOW,
+      poolsToScan: 50,
+      volatilityDays: 3,
+    });
+
+    const tokens = await scanner.scan();
+    expect(requests[0].variables).toEqual({ first: 50, days: 4 });
+
+    // USDC (stablecoin) fica fora do ranking
+    expect(tokens.map(t => t.symbol).sort()).toEqual(['ARB', 'SCAM', 'WETH']);
+    expect(tokens[0].symbol).toBe('ARB');
+
+    const arb = tokens[0];
+    expect(arb.metrics.liquidity).toBe(2000000);
+    expect(arb.metrics.volume24h).toBe(400000); // último dia completo, não o dia corrente
+    expect(arb.metrics.volatility).toBeCloseTo(0.1);
+    expect(arb.metrics.poolAgeDays).toBe(200);
+    expect(arb.criteria.passed).toBe(true);
+
+    const lists = classifyTokens(tokens);
+    expect(lists.whitelist.map(t => t.symbol)).toEqual(['ARB']);
+    expect(lists.blacklist.find(t => t.symbol === 'SCAM').reasons).toEqual(['min_marketCap', 'min_poolAgeDays']);
+    expect(lists.unverified.map(t => t.symbol)).toEqual([]);
+    expect(lists.blacklist.find(t => t.symbol === 'WETH').reasons).toEqual(['min_poolAgeDays']);
+  });
+
+  test('sem market cap o token fica como não verificado', async () => {
+    const scanner = new TokenScanner({
+      network: 'arbitrum',
+      source: new SubgraphSource({ url }),
+      marketData: null,
+      now: () => NOW,
+    });
+
+    const lists = classifyTokens(await scanner.scan());
+
+    expect(lists.whitelist).toEqual([]);
+    expect(lists.unverified.map(t => t.symbol)).toEqual(['ARB']);
+    expect(lists.unverified[0].missing).toEqual(['marketCap']);
+  });
+
+  test('gera relatório JSON/Markdown e persiste listas', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jbt-weekly-'));
+    const scanner = new TokenScanner({
+      network: 'arbitrum',
+      source: new SubgraphSource({ url }),
+      marketData: { fetchMarketCaps: async () => new Map([['0xarb', 1e9]]) },
+      now: () => NOW,
+    });
+
+    const tokens = await scanner.scan();
+    const lists = classifyTokens(tokens);
+    const report = buildWeeklyReport({ network: 'arbitrum', tokens, lists, generatedAt: new Date(NOW) });
+    const files = saveWeeklyReport(report, dir);
+    const whitelistFile = saveLists({ week: report.week, ...lists }, path.join(dir, 'whitelist.json'));
+
+    expect(getIsoWeek(new Date(NOW))).toBe('2025-W46');
+    expect(path.basename(files.json)).toBe('weekly-2025-W46.json');
+    expect(fs.readFileSync(files.markdown, 'utf8')).toContain('| 1 | ARB |');
+    expect(loadLists(whitelistFile).whitelist[0].symbol).toBe('ARB');
+    expect(loadLists(path.join(dir, 'inexistente.json'))).toBeNull();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});